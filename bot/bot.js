@@ -1,61 +1,81 @@
 /**
  * Elite India Roleplay - Discord Bot Module
  * 
- * Handles role assignment for passed quiz users
+ * Handles role assignment for passed quiz users (allowlist + job quiz roles)
  * 
- * Commands:
- * - !verify - Check your own verification status
- * - !sync - (Admin only) Bulk sync all passed users
+ * Slash commands (registered for DISCORD_GUILD_ID, replies are ephemeral):
+ * - /verify - Check your own verification status and get your roles
+ * - /sync - (Manage Roles) Bulk sync all passed users
+ * - /status user: - (Manage Roles) Show a user's quiz status
+ * - /quiz-stats - (Manage Roles) Quiz totals and pass rates
+ * - /ban user: reason: days: and /unban user: - (Ban Members) Manage the website/FiveM blacklist
+ *
+ * Banned users (see src/utils/bans.js) never get quiz roles from the bot.
+ * New applications are posted to APPLICATION_REVIEW_CHANNEL_ID for review: staff applications get
+ * Approve/Deny vote buttons, gang and admin-built form applications Accept/Reject buttons.
+ *
+ * Approved gangs get their own Discord role (and a private channel under GANG_CATEGORY_ID when set),
+ * kept in sync with the roster managed on the website.
  */
 
-const { Client, GatewayIntentBits, PermissionFlagsBits, EmbedBuilder } = require('discord.js');
+const {
+    Client,
+    GatewayIntentBits,
+    PermissionFlagsBits,
+    ChannelType,
+    EmbedBuilder,
+    MessageFlags,
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    ModalBuilder,
+    TextInputBuilder,
+    TextInputStyle
+} = require('discord.js');
 const storage = require('../src/utils/storage');
+const { APPLICATION_TYPES, getApplication, reviewApplication, castVote } = require('../src/utils/applications');
+const { STATUS_LABELS, isOpenStatus } = require('../src/config/applications');
+const { STAFF_FORM_ID, GANG_FORM_ID } = require('../src/config/forms');
+const { PERMISSIONS, hasPermission } = require('../src/config/permissions');
+const { registerCommand, registerComponent, deployCommands, handleCommand, handleComponent } = require('./commands');
+const { DEFAULT_QUIZ_ID } = require('../src/config/quiz');
+const { formatDuration } = require('../src/utils/format');
+const { MAX_BAN_DAYS, banUser, unbanUser } = require('../src/utils/bans');
 
 // Bot configuration from environment
 const BOT_TOKEN = process.env.DISCORD_BOT_TOKEN;
 const GUILD_ID = process.env.DISCORD_GUILD_ID;
 const ALLOWLIST_ROLE_ID = process.env.ALLOWLIST_ROLE_ID;
-const ADMIN_ROLE_ID = process.env.ADMIN_ROLE_ID;
-const BOT_PREFIX = process.env.BOT_PREFIX || '!';
+const REVIEW_CHANNEL_ID = process.env.APPLICATION_REVIEW_CHANNEL_ID;
+const GANG_CATEGORY_ID = process.env.GANG_CATEGORY_ID;
 
 // Create Discord client
 const client = new Client({
     intents: [
         GatewayIntentBits.Guilds,
         GatewayIntentBits.GuildMembers,
-        GatewayIntentBits.GuildMessages,
-        GatewayIntentBits.MessageContent,
     ],
 });
 
 /**
- * Check if a member has admin permissions
+ * Assign a role to a member (allowlist role by default)
  */
-function isAdmin(member) {
-    if (member.permissions.has(PermissionFlagsBits.Administrator)) {
-        return true;
-    }
-    if (ADMIN_ROLE_ID && member.roles.cache.has(ADMIN_ROLE_ID)) {
-        return true;
+async function assignRole(member, roleId = ALLOWLIST_ROLE_ID) {
+    if (!roleId) {
+        return { success: false, reason: 'Role ID not configured' };
     }
-    return false;
-}
 
-/**
- * Assign allowlist role to a member
- */
-async function assignRole(member) {
-    if (!ALLOWLIST_ROLE_ID) {
-        return { success: false, reason: 'Role ID not configured' };
+    if (await storage.getActiveBan(member.id)) {
+        return { success: false, reason: 'User is banned' };
     }
 
     try {
-        const role = member.guild.roles.cache.get(ALLOWLIST_ROLE_ID);
+        const role = member.guild.roles.cache.get(roleId);
         if (!role) {
             return { success: false, reason: 'Role not found in server' };
         }
 
-        if (member.roles.cache.has(ALLOWLIST_ROLE_ID)) {
+        if (member.roles.cache.has(roleId)) {
             return { success: true, reason: 'Already has role' };
         }
 
@@ -68,10 +88,12 @@ async function assignRole(member) {
 }
 
 /**
- * Handle !verify command
+ * Handle /verify command
  */
-async function handleVerify(message) {
-    const discordId = message.author.id;
+async function handleVerify(interaction) {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const discordId = interaction.user.id;
     const user = await storage.getUser(discordId);
 
     const embed = new EmbedBuilder()
@@ -89,159 +111,403 @@ async function handleVerify(message) {
             .addFields({ name: 'Status', value: 'Passed', inline: true });
 
         // Try to assign role
-        const member = message.member;
+        const member = interaction.member;
         if (member && ALLOWLIST_ROLE_ID) {
             const result = await assignRole(member);
+            if (result.reason === 'Role assigned') {
+                await storage.logAudit({
+                    actorId: discordId,
+                    actorName: interaction.user.tag,
+                    actorType: 'bot',
+                    action: 'bot.verify.role',
+                    targetType: 'user',
+                    targetId: discordId,
+                    after: { roleId: ALLOWLIST_ROLE_ID }
+                });
+            }
             if (result.success) {
                 embed.addFields({ name: 'Role', value: result.reason === 'Already has role' ? '✅ Already assigned' : '✅ Assigned!', inline: true });
             } else {
                 embed.addFields({ name: 'Role', value: `⚠️ ${result.reason}`, inline: true });
             }
         }
+
+        // Job quiz roles (police, EMS, ...) the user has also passed
+        if (member) {
+            const quizzes = await storage.getQuizzes();
+            for (const quiz of quizzes) {
+                if (quiz.id === DEFAULT_QUIZ_ID || !quiz.roleId) continue;
+                if (storage.getQuizStatus(user, quiz.id).status !== 'passed') continue;
+
+                const result = await assignRole(member, quiz.roleId);
+                embed.addFields({
+                    name: quiz.name,
+                    value: result.success ? '✅ Passed - role assigned' : `⚠️ ${result.reason}`,
+                    inline: true
+                });
+            }
+        }
     } else if (user.status === 'failed') {
-        const { inCooldown, remainingTime } = storage.isInCooldown(discordId);
+        const cooldown = await storage.isInCooldown(discordId);
         embed.setColor(0xff4757)
             .setDescription('❌ You have not passed the quiz yet.');
 
-        if (inCooldown) {
-            const hours = Math.floor(remainingTime / (1000 * 60 * 60));
-            const minutes = Math.floor((remainingTime % (1000 * 60 * 60)) / (1000 * 60));
-            embed.addFields({ name: 'Cooldown', value: `You can retry in ${hours}h ${minutes}m`, inline: true });
+        if (cooldown.inCooldown) {
+            embed.addFields({
+                name: cooldown.monthlyLimitReached ? 'Monthly Limit Reached' : 'Cooldown',
+                value: `You can retry in ${formatDuration(cooldown.remainingTime)}`,
+                inline: true
+            });
         } else {
             embed.addFields({ name: 'Status', value: 'Cooldown ended. You can retry!', inline: true });
         }
+
+        if (cooldown.override) {
+            embed.addFields({ name: 'Adjusted by Staff', value: cooldown.override.reason || 'No reason given', inline: false });
+        }
+
+        embed.addFields(
+            { name: 'Failed Attempts in a Row', value: String(cooldown.failures), inline: true },
+            { name: 'Cooldown if You Fail Again', value: formatDuration(cooldown.nextCooldownMs), inline: true }
+        );
+        if (cooldown.maxAttemptsPerMonth > 0) {
+            embed.addFields({
+                name: 'Attempts This Month',
+                value: `${cooldown.attemptsThisMonth} / ${cooldown.maxAttemptsPerMonth}`,
+                inline: true
+            });
+        }
     } else {
         embed.setColor(0xffa502)
             .setDescription('⏳ You have not attempted the quiz yet.')
             .addFields({ name: 'Next Steps', value: 'Visit the website to take the quiz.' });
     }
 
-    await message.reply({ embeds: [embed] });
+    await interaction.editReply({ embeds: [embed] });
 }
 
 /**
- * Handle !sync command (Admin only)
+ * Handle /sync command (Manage Roles)
+ * Brings every quiz role (allowlist and job quizzes) in line with the website: users who passed get the
+ * role, registered users who no longer pass or are banned lose it. Members who never registered are left alone.
  */
-async function handleSync(message) {
-    if (!isAdmin(message.member)) {
-        const embed = new EmbedBuilder()
-            .setColor(0xff4757)
-            .setTitle('❌ Access Denied')
-            .setDescription('You do not have permission to use this command.');
-        await message.reply({ embeds: [embed] });
-        return;
-    }
-
-    if (!ALLOWLIST_ROLE_ID) {
+async function handleSync(interaction) {
+    const quizzes = (await storage.getQuizzes()).filter(q => q.roleId);
+    if (quizzes.length === 0) {
         const embed = new EmbedBuilder()
             .setColor(0xff4757)
             .setTitle('❌ Configuration Error')
-            .setDescription('ALLOWLIST_ROLE_ID is not configured in .env');
-        await message.reply({ embeds: [embed] });
+            .setDescription('No quiz roles are configured (ALLOWLIST_ROLE_ID, POLICE_ROLE_ID, ... in .env or the quiz settings)');
+        await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
         return;
     }
 
-    const statusMsg = await message.reply('🔄 Syncing roles for all passed users...');
+    await interaction.reply({ content: '🔄 Syncing quiz roles...', flags: MessageFlags.Ephemeral });
 
     try {
-        const users = storage.getUsers();
-        const passedUsers = Object.values(users).filter(u => u.status === 'passed');
+        const users = await storage.getUsers();
+        const bannedIds = new Set((await storage.getBans()).filter(b => b.active).map(b => b.discordId));
+        const members = await interaction.guild.members.fetch();
+
+        const notInServer = new Set();
+        const results = {};
+
+        for (const quiz of quizzes) {
+            // null = the role is missing from the server
+            const role = interaction.guild.roles.cache.get(quiz.roleId);
+            results[quiz.id] = null;
+            if (!role) continue;
 
-        let assigned = 0;
-        let alreadyHad = 0;
-        let failed = 0;
-        let notInServer = 0;
+            const stats = { assigned: 0, alreadyHad: 0, removed: 0, failed: 0 };
+            results[quiz.id] = stats;
 
-        for (const user of passedUsers) {
-            try {
-                const member = await message.guild.members.fetch(user.discordId).catch(() => null);
+            const passed = Object.values(users)
+                .filter(u => !bannedIds.has(u.discordId) && storage.getQuizStatus(u, quiz.id).status === 'passed');
+            const passedIds = new Set(passed.map(u => u.discordId));
 
+            for (const user of passed) {
+                const member = members.get(user.discordId);
                 if (!member) {
-                    notInServer++;
+                    notInServer.add(user.discordId);
                     continue;
                 }
 
-                const result = await assignRole(member);
-                if (result.success) {
-                    if (result.reason === 'Already has role') {
-                        alreadyHad++;
-                    } else {
-                        assigned++;
-                    }
-                } else {
-                    failed++;
+                const result = await assignRole(member, quiz.roleId);
+                if (!result.success) stats.failed++;
+                else if (result.reason === 'Already has role') stats.alreadyHad++;
+                else stats.assigned++;
+            }
+
+            for (const member of role.members.values()) {
+                if (passedIds.has(member.id) || !users[member.id]) continue;
+                try {
+                    await member.roles.remove(role);
+                    stats.removed++;
+                } catch (err) {
+                    console.error(`[Bot] Failed to remove ${role.name} from ${member.user.tag}:`, err.message);
+                    stats.failed++;
                 }
-            } catch (err) {
-                failed++;
             }
         }
 
         const embed = new EmbedBuilder()
             .setColor(0x00ff88)
             .setTitle('✅ Sync Complete')
-            .setDescription(`Processed ${passedUsers.length} passed users`)
+            .setDescription(`Processed ${Object.keys(users).length} registered users`)
             .addFields(
-                { name: '✅ Newly Assigned', value: String(assigned), inline: true },
-                { name: '✔️ Already Had Role', value: String(alreadyHad), inline: true },
-                { name: '❌ Failed', value: String(failed), inline: true },
-                { name: '👻 Not in Server', value: String(notInServer), inline: true }
+                ...quizzes.map(quiz => {
+                    const stats = results[quiz.id];
+                    return {
+                        name: quiz.name,
+                        value: !stats
+                            ? '⚠️ Role not found in server'
+                            : `✅ ${stats.assigned} assigned · ✔️ ${stats.alreadyHad} already had it · ➖ ${stats.removed} removed · ❌ ${stats.failed} failed`
+                    };
+                }),
+                { name: '👻 Not in Server', value: String(notInServer.size), inline: true }
             )
             .setTimestamp();
 
-        await statusMsg.edit({ content: null, embeds: [embed] });
+        await interaction.editReply({ content: null, embeds: [embed] });
+
+        await storage.logAudit({
+            actorId: interaction.user.id,
+            actorName: interaction.user.tag,
+            actorType: 'bot',
+            action: 'bot.sync',
+            targetType: 'role',
+            targetId: null,
+            after: { processed: Object.keys(users).length, notInServer: notInServer.size, quizzes: results }
+        });
 
     } catch (error) {
         console.error('[Bot] Sync error:', error);
-        await statusMsg.edit('❌ Sync failed: ' + error.message);
+        await interaction.editReply('❌ Sync failed: ' + error.message);
     }
 }
 
 /**
- * Bot event handlers
+ * Handle /status command (Manage Roles)
  */
-client.once('ready', () => {
-    console.log(`[Bot] Logged in as ${client.user.tag}`);
+async function handleStatus(interaction) {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
 
-    // Set bot activity
-    client.user.setActivity('Elite India Roleplay', { type: 3 }); // Watching
+    const target = interaction.options.getUser('user', true);
+    const allowlist = await storage.getAllowlistStatus(target.id);
+
+    const embed = new EmbedBuilder()
+        .setColor(0x9b4dca)
+        .setTitle('🔎 Quiz Status')
+        .setAuthor({ name: target.tag, iconURL: target.displayAvatarURL() })
+        .setTimestamp();
+
+    // Shown whether or not the user ever registered (bans can be issued up front)
+    const addBan = () => {
+        if (!allowlist.ban) return;
+        const ends = allowlist.ban.expiresAt ? `Ends <t:${Math.floor(new Date(allowlist.ban.expiresAt).getTime() / 1000)}:R>` : 'Permanent';
+        embed.setColor(0xff4757).addFields({ name: '⛔ Banned', value: `${allowlist.ban.reason}\n${ends}`, inline: false });
+    };
+
+    if (allowlist.quizStatus === null) {
+        embed.setColor(0xffa502).setDescription('This user has not registered on the quiz website.');
+        addBan();
+        await interaction.editReply({ embeds: [embed] });
+        return;
+    }
+
+    const [cooldown, attempts, quizzes] = await Promise.all([
+        storage.isInCooldown(target.id),
+        storage.getUserAttempts(target.id),
+        storage.getQuizzes()
+    ]);
+    const jobNames = quizzes.filter(q => allowlist.jobs.includes(q.id)).map(q => q.name);
+
+    embed.setColor(allowlist.allowlisted ? 0x00ff88 : allowlist.quizStatus === 'failed' ? 0xff4757 : 0xffa502)
+        .addFields(
+            { name: 'Allowlist', value: allowlist.allowlisted ? '✅ Passed' : allowlist.quizStatus === 'failed' ? '❌ Failed' : '⏳ Not attempted', inline: true },
+            { name: 'Attempts', value: String(attempts.length), inline: true },
+            {
+                name: 'Last Attempt',
+                value: allowlist.lastAttempt ? `<t:${Math.floor(new Date(allowlist.lastAttempt).getTime() / 1000)}:R>` : 'Never',
+                inline: true
+            },
+            {
+                name: cooldown.monthlyLimitReached ? 'Monthly Limit Reached' : 'Cooldown',
+                value: cooldown.inCooldown ? `${formatDuration(cooldown.remainingTime)} remaining` : 'None',
+                inline: true
+            },
+            { name: 'Job Quizzes Passed', value: jobNames.length > 0 ? jobNames.join(', ') : 'None', inline: true }
+        );
+    addBan();
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Handle /ban command (Ban Members): blacklist a user on the website, the bot and the FiveM server
+ */
+async function handleBan(interaction) {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const target = interaction.options.getUser('user', true);
+    const result = await banUser({
+        discordId: target.id,
+        reason: interaction.options.getString('reason', true),
+        days: interaction.options.getInteger('days')
+    }, { discordId: interaction.user.id, username: interaction.user.tag, type: 'bot' });
+
+    if (!result.success) {
+        await interaction.editReply(`❌ ${result.error}`);
+        return;
+    }
+
+    const { ban } = result;
+    const duration = ban.expiresAt ? `until <t:${Math.floor(new Date(ban.expiresAt).getTime() / 1000)}:f>` : 'permanently';
+    await interaction.editReply(`⛔ ${result.updated ? 'Updated the ban on' : 'Banned'} **${target.tag}** ${duration}. ` +
+        `They were logged out of the website (${result.sessionsRevoked || 0} session(s)) and ${result.rolesRemoved} quiz role(s) were removed.`);
+}
+
+/**
+ * Handle /unban command (Ban Members)
+ */
+async function handleUnban(interaction) {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const target = interaction.options.getUser('user', true);
+    const result = await unbanUser({
+        discordId: target.id,
+        reason: interaction.options.getString('reason')
+    }, { discordId: interaction.user.id, username: interaction.user.tag, type: 'bot' });
+
+    if (!result.success) {
+        await interaction.editReply(`❌ ${result.error}`);
+        return;
+    }
+    await interaction.editReply(`✅ Lifted the ban on **${target.tag}**. They can log in again and get their roles back with /verify.`);
+}
+
+/**
+ * Handle /quiz-stats command (Manage Roles)
+ */
+async function handleQuizStats(interaction) {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const [users, attempts, quizzes] = await Promise.all([
+        storage.getUsers(),
+        storage.getAttempts(),
+        storage.getQuizzes()
+    ]);
+    const allUsers = Object.values(users);
+    const since = Date.now() - 30 * 24 * 60 * 60 * 1000;
+    const recent = attempts.filter(a => new Date(a.timestamp).getTime() >= since);
+    const passRate = (list) => list.length > 0 ? `${Math.round(list.filter(a => a.passed).length / list.length * 100)}%` : '-';
+
+    const embed = new EmbedBuilder()
+        .setColor(0x9b4dca)
+        .setTitle('📊 Quiz Stats')
+        .addFields(
+            { name: 'Registered Users', value: String(allUsers.length), inline: true },
+            { name: 'Allowlisted', value: String(allUsers.filter(u => u.status === 'passed').length), inline: true },
+            { name: 'Attempts (30 days)', value: `${recent.length} · ${passRate(recent)} passed`, inline: true }
+        )
+        .setTimestamp();
+
+    for (const quiz of quizzes) {
+        const quizRecent = recent.filter(a => (a.quizId || DEFAULT_QUIZ_ID) === quiz.id);
+        const passedUsers = allUsers.filter(u => storage.getQuizStatus(u, quiz.id).status === 'passed').length;
+        embed.addFields({
+            name: quiz.name,
+            value: `${passedUsers} passed · ${quizRecent.length} attempts (30d) · ${passRate(quizRecent)} pass rate`,
+            inline: false
+        });
+    }
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+// ==================== SLASH COMMANDS ====================
+
+registerCommand({
+    name: 'verify',
+    description: 'Check your quiz status and get your allowlist and job roles',
+    execute: handleVerify
+});
+
+registerCommand({
+    name: 'sync',
+    description: 'Bulk assign the allowlist role to all passed users',
+    permissions: PermissionFlagsBits.ManageRoles,
+    execute: handleSync
+});
+
+registerCommand({
+    name: 'status',
+    description: 'Show a user\'s quiz status',
+    options: [{ type: 'user', name: 'user', description: 'User to look up', required: true }],
+    permissions: PermissionFlagsBits.ManageRoles,
+    execute: handleStatus
+});
+
+registerCommand({
+    name: 'ban',
+    description: 'Ban a user from the website, quizzes, applications and the FiveM server',
+    options: [
+        { type: 'user', name: 'user', description: 'User to ban', required: true },
+        { type: 'string', name: 'reason', description: 'Why (recorded in the audit log)', required: true },
+        { type: 'integer', name: 'days', description: `Ban length in days, up to ${MAX_BAN_DAYS} (omit for a permanent ban)` }
+    ],
+    permissions: PermissionFlagsBits.BanMembers,
+    execute: handleBan
+});
+
+registerCommand({
+    name: 'unban',
+    description: 'Lift a user\'s website/FiveM ban',
+    options: [
+        { type: 'user', name: 'user', description: 'User to unban', required: true },
+        { type: 'string', name: 'reason', description: 'Why (recorded in the audit log)' }
+    ],
+    permissions: PermissionFlagsBits.BanMembers,
+    execute: handleUnban
 });
 
-client.on('messageCreate', async (message) => {
-    // Ignore DMs
-    if (!message.guild) return;
+registerCommand({
+    name: 'quiz-stats',
+    description: 'Show quiz totals and pass rates',
+    permissions: PermissionFlagsBits.ManageRoles,
+    execute: handleQuizStats
+});
 
-    // Ignore bots
-    if (message.author.bot) return;
+/**
+ * Bot event handlers
+ */
+client.once('ready', async () => {
+    console.log(`[Bot] Logged in as ${client.user.tag}`);
 
-    // Check for command prefix
-    if (!message.content.startsWith(BOT_PREFIX)) return;
+    // Set bot activity
+    client.user.setActivity('Elite India Roleplay', { type: 3 }); // Watching
 
-    const args = message.content.slice(BOT_PREFIX.length).trim().split(/\s+/);
-    const command = args.shift().toLowerCase();
+    if (!GUILD_ID) {
+        console.log('[Bot] DISCORD_GUILD_ID not configured - slash commands not registered');
+        return;
+    }
 
     try {
-        switch (command) {
-            case 'verify':
-                await handleVerify(message);
-                break;
-            case 'sync':
-                await handleSync(message);
-                break;
-            case 'help':
-                const helpEmbed = new EmbedBuilder()
-                    .setColor(0x9b4dca)
-                    .setTitle('🎮 Elite India Roleplay Bot')
-                    .setDescription('Commands for the allowlist verification system')
-                    .addFields(
-                        { name: `${BOT_PREFIX}verify`, value: 'Check your quiz status and get your role', inline: false },
-                        { name: `${BOT_PREFIX}sync`, value: '(Admin) Bulk assign roles to all passed users', inline: false }
-                    )
-                    .setFooter({ text: 'Complete the quiz on the website to get allowlisted!' });
-                await message.reply({ embeds: [helpEmbed] });
-                break;
-        }
+        const count = await deployCommands(client, GUILD_ID);
+        console.log(`[Bot] Registered ${count} slash commands`);
     } catch (error) {
-        console.error(`[Bot] Error handling command ${command}:`, error);
+        console.error('[Bot] Failed to register slash commands:', error.message);
+    }
+});
+
+client.on('interactionCreate', async (interaction) => {
+    // Commands are registered per guild; ignore anything else
+    if (!interaction.inGuild()) return;
+
+    if (interaction.isChatInputCommand()) {
+        await handleCommand(interaction);
+    } else if (interaction.isButton() || interaction.isModalSubmit()) {
+        await handleComponent(interaction);
     }
 });
 
@@ -279,9 +545,11 @@ function getClient() {
 /**
  * Assign role to a user by Discord ID (called from website when quiz passed)
  * @param {string} discordId - The Discord user ID
+ * @param {string} [roleId] - Role from the quiz definition (defaults to the allowlist role)
+ * @param {string} [quizName] - Quiz name shown in the DM
  * @returns {Promise<{success: boolean, reason: string}>}
  */
-async function assignRoleToUser(discordId) {
+async function assignRoleToUser(discordId, roleId = ALLOWLIST_ROLE_ID, quizName = null) {
     if (!client.isReady()) {
         console.log('[Bot] Cannot assign role - bot not ready');
         return { success: false, reason: 'Bot not ready' };
@@ -292,11 +560,16 @@ async function assignRoleToUser(discordId) {
         return { success: false, reason: 'Guild ID not configured' };
     }
 
-    if (!ALLOWLIST_ROLE_ID) {
-        console.log('[Bot] Cannot assign role - ALLOWLIST_ROLE_ID not configured');
+    if (!roleId) {
+        console.log('[Bot] Cannot assign role - role ID not configured');
         return { success: false, reason: 'Role ID not configured' };
     }
 
+    if (await storage.getActiveBan(discordId)) {
+        console.log(`[Bot] Not assigning role to ${discordId} - user is banned`);
+        return { success: false, reason: 'User is banned' };
+    }
+
     try {
         // Get the guild
         const guild = await client.guilds.fetch(GUILD_ID);
@@ -311,20 +584,20 @@ async function assignRoleToUser(discordId) {
         }
 
         // Get the role
-        const role = guild.roles.cache.get(ALLOWLIST_ROLE_ID);
+        const role = guild.roles.cache.get(roleId);
         if (!role) {
             return { success: false, reason: 'Role not found' };
         }
 
         // Check if already has role
-        if (member.roles.cache.has(ALLOWLIST_ROLE_ID)) {
-            console.log(`[Bot] User ${member.user.tag} already has allowlist role`);
+        if (member.roles.cache.has(roleId)) {
+            console.log(`[Bot] User ${member.user.tag} already has role ${role.name}`);
             return { success: true, reason: 'Already has role' };
         }
 
         // Assign the role
         await member.roles.add(role);
-        console.log(`[Bot] ✅ Assigned allowlist role to ${member.user.tag}`);
+        console.log(`[Bot] ✅ Assigned role ${role.name} to ${member.user.tag}`);
 
         // Optional: Send DM to user
         try {
@@ -332,9 +605,11 @@ async function assignRoleToUser(discordId) {
                 embeds: [{
                     color: 0x00ff88,
                     title: '🎉 Congratulations!',
-                    description: 'You have passed the Elite India Roleplay allowlist quiz!',
+                    description: quizName
+                        ? `You have passed the Elite India Roleplay ${quizName} quiz!`
+                        : 'You have passed the Elite India Roleplay allowlist quiz!',
                     fields: [
-                        { name: 'Status', value: '✅ Allowlisted', inline: true },
+                        { name: 'Status', value: quizName ? '✅ Passed' : '✅ Allowlisted', inline: true },
                         { name: 'Role', value: '✅ Assigned', inline: true }
                     ],
                     footer: { text: 'Welcome to Elite India Roleplay!' },
@@ -355,11 +630,13 @@ async function assignRoleToUser(discordId) {
 }
 
 /**
- * Remove allowlist role from a user by Discord ID (called when admin fails user)
+ * Remove a quiz role from a user by Discord ID (called when admin fails user)
  * @param {string} discordId - The Discord user ID
+ * @param {string} [roleId] - Role from the quiz definition (defaults to the allowlist role)
+ * @param {object} [options] - { notify } - false skips the "retake the quiz" DM (e.g. when banning)
  * @returns {Promise<{success: boolean, reason: string}>}
  */
-async function removeRoleFromUser(discordId) {
+async function removeRoleFromUser(discordId, roleId = ALLOWLIST_ROLE_ID, { notify = true } = {}) {
     if (!client.isReady()) {
         console.log('[Bot] Cannot remove role - bot not ready');
         return { success: false, reason: 'Bot not ready' };
@@ -370,8 +647,8 @@ async function removeRoleFromUser(discordId) {
         return { success: false, reason: 'Guild ID not configured' };
     }
 
-    if (!ALLOWLIST_ROLE_ID) {
-        console.log('[Bot] Cannot remove role - ALLOWLIST_ROLE_ID not configured');
+    if (!roleId) {
+        console.log('[Bot] Cannot remove role - role ID not configured');
         return { success: false, reason: 'Role ID not configured' };
     }
 
@@ -389,20 +666,22 @@ async function removeRoleFromUser(discordId) {
         }
 
         // Get the role
-        const role = guild.roles.cache.get(ALLOWLIST_ROLE_ID);
+        const role = guild.roles.cache.get(roleId);
         if (!role) {
             return { success: false, reason: 'Role not found' };
         }
 
         // Check if user has the role
-        if (!member.roles.cache.has(ALLOWLIST_ROLE_ID)) {
-            console.log(`[Bot] User ${member.user.tag} doesn't have allowlist role`);
+        if (!member.roles.cache.has(roleId)) {
+            console.log(`[Bot] User ${member.user.tag} doesn't have role ${role.name}`);
             return { success: true, reason: 'Role not present' };
         }
 
         // Remove the role
         await member.roles.remove(role);
-        console.log(`[Bot] ❌ Removed allowlist role from ${member.user.tag}`);
+        console.log(`[Bot] ❌ Removed role ${role.name} from ${member.user.tag}`);
+
+        if (!notify) return { success: true, reason: 'Role removed' };
 
         // Optional: Send DM to user
         try {
@@ -461,6 +740,42 @@ async function notifyStaffAppResult(discordId, status, reason) {
     }
 }
 
+/**
+ * Notify user that their staff application moved to a new review stage
+ * @param {object} details - { interviewAt, note } for interview_scheduled
+ */
+async function notifyStaffAppProgress(discordId, status, { interviewAt = null, note = null } = {}) {
+    if (!client.isReady()) return { success: false, reason: 'Bot not ready' };
+
+    try {
+        const user = await client.users.fetch(discordId).catch(() => null);
+        if (!user) return { success: false, reason: 'User not found' };
+
+        const embed = new EmbedBuilder()
+            .setColor(0xffa502)
+            .setTitle(`👔 Staff Application: ${STATUS_LABELS[status] || status}`)
+            .setTimestamp();
+
+        if (status === 'interview_scheduled') {
+            embed.setDescription('You have been invited to an interview for your staff application.');
+            if (interviewAt) {
+                embed.addFields({ name: 'When', value: `<t:${Math.floor(new Date(interviewAt).getTime() / 1000)}:F>` });
+            }
+        } else {
+            embed.setDescription('Your staff application is now being reviewed by our staff team.');
+        }
+        if (note) {
+            embed.addFields({ name: 'Message', value: note });
+        }
+
+        await user.send({ embeds: [embed] });
+        return { success: true };
+    } catch (error) {
+        console.error(`[Bot] Failed to DM user ${discordId}:`, error.message);
+        return { success: false, reason: error.message };
+    }
+}
+
 /**
  * Notify user of gang application result
  */
@@ -491,4 +806,468 @@ async function notifyGangAppResult(discordId, status, gangName, reason) {
     }
 }
 
-module.exports = { startBot, getClient, assignRoleToUser, removeRoleFromUser, notifyStaffAppResult, notifyGangAppResult };
+/**
+ * Tell a user they have been banned, why and until when
+ */
+async function notifyBan(discordId, ban) {
+    if (!client.isReady()) return { success: false, reason: 'Bot not ready' };
+
+    try {
+        const user = await client.users.fetch(discordId).catch(() => null);
+        if (!user) return { success: false, reason: 'User not found' };
+
+        const embed = new EmbedBuilder()
+            .setColor(0xff4757)
+            .setTitle('⛔ You Have Been Banned')
+            .setDescription('You can no longer log in to the website, take quizzes, apply or join the server.')
+            .addFields(
+                { name: 'Reason', value: ban.reason },
+                { name: 'Ends', value: ban.expiresAt ? `<t:${Math.floor(new Date(ban.expiresAt).getTime() / 1000)}:f>` : 'Never (permanent)' }
+            )
+            .setFooter({ text: 'Elite India Roleplay' })
+            .setTimestamp();
+
+        await user.send({ embeds: [embed] });
+        return { success: true };
+    } catch (error) {
+        console.error(`[Bot] Failed to DM user ${discordId}:`, error.message);
+        return { success: false, reason: error.message };
+    }
+}
+
+/**
+ * Notify user of the result of an application made with an admin-built form
+ */
+async function notifyFormAppResult(discordId, status, formName, reason) {
+    if (!client.isReady()) return { success: false, reason: 'Bot not ready' };
+
+    try {
+        const user = await client.users.fetch(discordId).catch(() => null);
+        if (!user) return { success: false, reason: 'User not found' };
+
+        const isAccepted = status === 'accepted';
+        const embed = new EmbedBuilder()
+            .setColor(isAccepted ? 0x00ff88 : 0xff4757)
+            .setTitle(`📝 ${formName} ${isAccepted ? 'Accepted!' : 'Rejected'}`)
+            .setDescription(`Your ${formName} for Elite India Roleplay has been ${status}.`)
+            .addFields({ name: 'Reason/Message', value: reason || 'No specific reason provided.' })
+            .setTimestamp();
+
+        await user.send({ embeds: [embed] });
+        return { success: true };
+    } catch (error) {
+        console.error(`[Bot] Failed to DM user ${discordId}:`, error.message);
+        return { success: false, reason: error.message };
+    }
+}
+
+// ==================== APPLICATION REVIEW ====================
+
+// Admin permission needed to review each application type
+const REVIEW_PERMISSIONS = {
+    staff: PERMISSIONS.STAFF_APP_REVIEWER,
+    gang: PERMISSIONS.GANG_APP_REVIEWER,
+    form: PERMISSIONS.STAFF_APP_REVIEWER
+};
+
+// Embed field values are capped at 1024 characters
+const fieldValue = (value) => String(value === undefined || value === null || value === '' ? '-' : value).slice(0, 1024);
+
+// Embeds hold 25 fields; leave room for the applicant and the status/votes/decision fields
+const MAX_ANSWER_FIELDS = 18;
+
+const GANG_CORE_FIELDS = ['gangName', 'gangType', 'memberCount', 'story'];
+
+/**
+ * Embed fields for an application's answers, labelled from its form (answers to removed fields keep their key)
+ */
+async function buildAnswerFields(formId, answers = {}) {
+    const form = await storage.getForm(formId);
+    const labels = new Map((form ? form.fields : []).map(f => [f.key, f.label]));
+    const keys = [...labels.keys(), ...Object.keys(answers).filter(k => !labels.has(k))]
+        .filter(k => answers[k] !== undefined);
+
+    return keys.slice(0, MAX_ANSWER_FIELDS).map(key => {
+        const value = typeof answers[key] === 'boolean' ? (answers[key] ? 'Yes' : 'No') : answers[key];
+        return { name: (labels.get(key) || key).slice(0, 256), value: fieldValue(value), inline: String(value).length <= 40 };
+    });
+}
+
+/**
+ * Build the review embed for an application
+ */
+async function buildApplicationEmbed(type, app) {
+    const embed = new EmbedBuilder()
+        .setColor(0xffa502)
+        .setFooter({ text: `Application ID: ${app.applicationId}` })
+        .setTimestamp(app.submittedAt ? new Date(app.submittedAt) : new Date());
+
+    if (type === 'gang') {
+        const extra = Object.fromEntries(Object.entries(app.answers || {}).filter(([k]) => !GANG_CORE_FIELDS.includes(k)));
+        embed.setTitle('🔫 New Gang Application')
+            .addFields(
+                { name: 'Leader', value: `<@${app.leaderDiscordId}> (${app.leaderUsername})`, inline: true },
+                { name: 'Gang Name', value: fieldValue(app.gangName), inline: true },
+                { name: 'Type', value: fieldValue(app.gangType), inline: true },
+                { name: 'Members', value: fieldValue(app.memberCount), inline: true },
+                { name: 'Story', value: fieldValue(app.story) },
+                ...await buildAnswerFields(GANG_FORM_ID, extra)
+            );
+    } else {
+        const formId = type === 'staff' ? STAFF_FORM_ID : app.formId;
+        embed.setTitle(type === 'staff' ? '👔 New Staff Application' : `📝 New ${app.formName || 'Application'}`)
+            .addFields(
+                { name: 'Applicant', value: `<@${app.discordId}> (${app.username})`, inline: true },
+                ...await buildAnswerFields(formId, app.answers)
+            );
+    }
+    return embed;
+}
+
+/**
+ * Review buttons: staff applications are voted on, gang applications decided directly
+ */
+function buildReviewButtons(type, appId) {
+    const [yes, no] = type === 'staff' ? ['approve', 'deny'] : ['accept', 'reject'];
+    return new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`app-review:${yes}:${type}:${appId}`)
+            .setLabel(yes === 'approve' ? 'Approve' : 'Accept')
+            .setStyle(ButtonStyle.Success),
+        new ButtonBuilder()
+            .setCustomId(`app-review:${no}:${type}:${appId}`)
+            .setLabel(no === 'deny' ? 'Deny' : 'Reject')
+            .setStyle(ButtonStyle.Danger)
+    );
+}
+
+/**
+ * Post a new application to the review channel with its review buttons
+ * @param {'staff'|'gang'|'form'} type
+ * @returns {Promise<{success: boolean, reason?: string}>}
+ */
+async function postApplicationForReview(type, app) {
+    if (!client.isReady()) return { success: false, reason: 'Bot not ready' };
+    if (!REVIEW_CHANNEL_ID) return { success: false, reason: 'Review channel not configured' };
+
+    try {
+        const channel = await client.channels.fetch(REVIEW_CHANNEL_ID);
+        const message = await channel.send({
+            embeds: [await buildApplicationEmbed(type, app)],
+            components: [buildReviewButtons(type, app.applicationId)]
+        });
+
+        // Remember the message so the decision can be shown on it, wherever it is made
+        await APPLICATION_TYPES[type].update(app.applicationId, { reviewMessage: { channelId: channel.id, messageId: message.id } });
+
+        return { success: true };
+    } catch (error) {
+        console.error(`[Bot] Failed to post ${type} application for review:`, error.message);
+        return { success: false, reason: error.message };
+    }
+}
+
+/**
+ * Refresh an application's review message with its status and vote tally.
+ * Once decided, the decision is shown and the buttons are removed.
+ * @param {'staff'|'gang'|'form'} type
+ * @param {object} app - Application with its current status (and reviewedBy once decided)
+ * @param {object} details - { reason, tally } where tally comes from getVoteTally (staff only)
+ */
+async function updateApplicationReviewMessage(type, app, { reason = null, tally = null } = {}) {
+    if (!client.isReady()) return { success: false, reason: 'Bot not ready' };
+    if (!app.reviewMessage) return { success: false, reason: 'No review message' };
+
+    try {
+        const channel = await client.channels.fetch(app.reviewMessage.channelId);
+        const message = await channel.messages.fetch(app.reviewMessage.messageId);
+
+        const embed = await buildApplicationEmbed(type, app);
+        if (tally) {
+            embed.addFields({
+                name: 'Votes',
+                value: `✅ ${tally.approve}/${tally.approvalsRequired} approve · ❌ ${tally.deny}/${tally.denialsRequired} deny`
+            });
+        }
+
+        if (isOpenStatus(app.status)) {
+            embed.addFields({ name: 'Status', value: STATUS_LABELS[app.status] || app.status });
+            await message.edit({ embeds: [embed] });
+            return { success: true };
+        }
+
+        const accepted = app.status === 'accepted';
+        embed.setColor(accepted ? 0x00ff88 : 0xff4757)
+            .addFields({
+                name: 'Decision',
+                value: `${accepted ? '✅ Accepted' : '❌ Rejected'} by <@${app.reviewedBy.discordId}>`
+            });
+        if (reason) {
+            embed.addFields({ name: 'Reason/Message', value: fieldValue(reason) });
+        }
+
+        await message.edit({ embeds: [embed], components: [] });
+        return { success: true };
+    } catch (error) {
+        console.error(`[Bot] Failed to update review message for ${type} application ${app.applicationId}:`, error.message);
+        return { success: false, reason: error.message };
+    }
+}
+
+/**
+ * Review buttons open a reason/comment modal; submitting the modal applies the decision or vote
+ * Custom id: app-review:<accept|reject>:<gang|form>:<applicationId> or app-review:<approve|deny>:staff:<applicationId>
+ */
+async function handleReviewInteraction(interaction, [action, type, appId]) {
+    const label = APPLICATION_TYPES[type] ? APPLICATION_TYPES[type].label : 'Unknown';
+
+    // Same permissions as the admin panel (lazy require: the auth middleware requires this module)
+    const { getPermissions } = require('../src/middleware/auth');
+    const permissions = await getPermissions(interaction.user.id);
+    if (!REVIEW_PERMISSIONS[type] || !hasPermission(permissions, REVIEW_PERMISSIONS[type])) {
+        await interaction.reply({ content: `❌ You do not have permission to review ${label.toLowerCase()} applications.`, flags: MessageFlags.Ephemeral });
+        return;
+    }
+
+    const app = await getApplication(type, appId);
+    if (!app) {
+        await interaction.reply({ content: '❌ Application not found.', flags: MessageFlags.Ephemeral });
+        return;
+    }
+    if (!isOpenStatus(app.status)) {
+        await interaction.reply({ content: `This application was already ${app.status}.`, flags: MessageFlags.Ephemeral });
+        return;
+    }
+
+    if (type === 'staff') {
+        await handleVoteInteraction(interaction, action, appId);
+        return;
+    }
+
+    const accept = action === 'accept';
+
+    if (interaction.isButton()) {
+        const modal = new ModalBuilder()
+            .setCustomId(`app-review:${action}:${type}:${appId}`)
+            .setTitle(`${accept ? 'Accept' : 'Reject'} ${label} Application`)
+            .addComponents(new ActionRowBuilder().addComponents(
+                new TextInputBuilder()
+                    .setCustomId('reason')
+                    .setLabel(accept ? 'Message to the applicant (optional)' : 'Reason for rejection')
+                    .setStyle(TextInputStyle.Paragraph)
+                    .setRequired(!accept)
+                    .setMaxLength(1000)
+            ));
+        await interaction.showModal(modal);
+        return;
+    }
+
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const result = await reviewApplication(type, appId, {
+        status: accept ? 'accepted' : 'rejected',
+        reason: interaction.fields.getTextInputValue('reason') || null,
+        reviewer: { discordId: interaction.user.id, username: interaction.user.username },
+        via: 'bot'
+    });
+
+    await interaction.editReply(result.success
+        ? `${accept ? '✅ Accepted' : '❌ Rejected'} the ${label.toLowerCase()} application.${result.notified ? ' The applicant has been notified.' : ' The applicant could not be sent a DM.'}`
+        : `❌ ${result.error}`);
+}
+
+/**
+ * Staff application vote: the button opens a comment modal, submitting it casts the vote
+ */
+async function handleVoteInteraction(interaction, action, appId) {
+    // Messages posted before voting was introduced still carry Accept/Reject buttons
+    const vote = (action === 'approve' || action === 'accept') ? 'approve' : 'deny';
+
+    if (interaction.isButton()) {
+        const modal = new ModalBuilder()
+            .setCustomId(`app-review:${vote}:staff:${appId}`)
+            .setTitle(`${vote === 'approve' ? 'Approve' : 'Deny'} Staff Application`)
+            .addComponents(new ActionRowBuilder().addComponents(
+                new TextInputBuilder()
+                    .setCustomId('comment')
+                    .setLabel(vote === 'approve' ? 'Comment (optional)' : 'Why are you voting to deny?')
+                    .setStyle(TextInputStyle.Paragraph)
+                    .setRequired(vote === 'deny')
+                    .setMaxLength(1000)
+            ));
+        await interaction.showModal(modal);
+        return;
+    }
+
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const result = await castVote(appId, {
+        vote,
+        comment: interaction.fields.getTextInputValue('comment') || null,
+        reviewer: { discordId: interaction.user.id, username: interaction.user.username },
+        via: 'bot'
+    });
+
+    if (!result.success) {
+        await interaction.editReply(`❌ ${result.error}`);
+        return;
+    }
+
+    const { tally } = result;
+    const decided = tally.decision ? ` The application has been **${tally.decision}**.` : '';
+    await interaction.editReply(`🗳️ Voted to ${vote} (${tally.approve} approve / ${tally.deny} deny).${decided}`);
+}
+
+registerComponent('app-review', handleReviewInteraction);
+
+// ==================== GANGS ====================
+
+/**
+ * Fetch the configured guild (null when the bot is not ready or DISCORD_GUILD_ID is missing)
+ */
+async function getGuild() {
+    if (!client.isReady() || !GUILD_ID) return null;
+    return client.guilds.fetch(GUILD_ID).catch(() => null);
+}
+
+/**
+ * Add or remove a gang's role for one member
+ * @returns {Promise<{success: boolean, reason?: string}>}
+ */
+async function setGangRole(gang, discordId, add) {
+    if (!gang.roleId) return { success: false, reason: 'Gang has no role' };
+
+    const guild = await getGuild();
+    if (!guild) return { success: false, reason: 'Bot not ready' };
+
+    try {
+        const member = await guild.members.fetch(discordId).catch(() => null);
+        if (!member) return { success: false, reason: 'User not in server' };
+
+        if (add) await member.roles.add(gang.roleId);
+        else await member.roles.remove(gang.roleId);
+        return { success: true };
+    } catch (error) {
+        console.error(`[Bot] Failed to ${add ? 'add' : 'remove'} gang role for ${discordId}:`, error.message);
+        return { success: false, reason: error.message };
+    }
+}
+
+const addGangRole = (gang, discordId) => setGangRole(gang, discordId, true);
+
+const removeGangRole = (gang, discordId) => setGangRole(gang, discordId, false);
+
+/**
+ * Create a gang's role and, when GANG_CATEGORY_ID is set, a private channel only its members can see.
+ * The role is given to the current members (the leader, right after approval).
+ * @returns {Promise<{success: boolean, reason?: string, roleId?: string, channelId?: string|null}>}
+ */
+async function setupGang(gang) {
+    const guild = await getGuild();
+    if (!guild) return { success: false, reason: 'Bot not ready' };
+
+    let role;
+    try {
+        role = await guild.roles.create({ name: gang.name, mentionable: false, reason: `Gang approved (${gang.gangId})` });
+        console.log(`[Bot] ✅ Created gang role ${role.name}`);
+    } catch (error) {
+        console.error(`[Bot] Failed to create role for gang ${gang.name}:`, error.message);
+        return { success: false, reason: error.message };
+    }
+
+    // The role is already created, so a channel failure is logged but does not fail the setup
+    let channelId = null;
+    if (GANG_CATEGORY_ID) {
+        try {
+            const channel = await guild.channels.create({
+                name: gang.name,
+                type: ChannelType.GuildText,
+                parent: GANG_CATEGORY_ID,
+                permissionOverwrites: [
+                    { id: guild.roles.everyone.id, deny: [PermissionFlagsBits.ViewChannel] },
+                    { id: role.id, allow: [PermissionFlagsBits.ViewChannel] },
+                    { id: client.user.id, allow: [PermissionFlagsBits.ViewChannel] }
+                ],
+                reason: `Gang approved (${gang.gangId})`
+            });
+            channelId = channel.id;
+        } catch (error) {
+            console.error(`[Bot] Failed to create channel for gang ${gang.name}:`, error.message);
+        }
+    }
+
+    for (const member of gang.members) {
+        await addGangRole({ ...gang, roleId: role.id }, member.discordId);
+    }
+
+    return { success: true, roleId: role.id, channelId };
+}
+
+/**
+ * Delete a disbanded gang's role (removing it from every member) and its channel
+ * @returns {Promise<{success: boolean, reason?: string}>}
+ */
+async function teardownGang(gang) {
+    const guild = await getGuild();
+    if (!guild) return { success: false, reason: 'Bot not ready' };
+
+    try {
+        if (gang.roleId) {
+            const role = await guild.roles.fetch(gang.roleId).catch(() => null);
+            if (role) await role.delete(`Gang disbanded (${gang.gangId})`);
+        }
+        if (gang.channelId) {
+            const channel = await guild.channels.fetch(gang.channelId).catch(() => null);
+            if (channel) await channel.delete(`Gang disbanded (${gang.gangId})`);
+        }
+        console.log(`[Bot] ❌ Removed role and channel of gang ${gang.name}`);
+        return { success: true };
+    } catch (error) {
+        console.error(`[Bot] Failed to remove gang ${gang.name} from Discord:`, error.message);
+        return { success: false, reason: error.message };
+    }
+}
+
+/**
+ * Let a user know they were invited to a gang
+ */
+async function notifyGangInvite(discordId, gangName, invitedBy) {
+    if (!client.isReady()) return { success: false, reason: 'Bot not ready' };
+
+    try {
+        const user = await client.users.fetch(discordId).catch(() => null);
+        if (!user) return { success: false, reason: 'User not found' };
+
+        const embed = new EmbedBuilder()
+            .setColor(0x9b4dca)
+            .setTitle('🔫 Gang Invitation')
+            .setDescription(`**${invitedBy}** invited you to join **${gangName}**.`)
+            .addFields({ name: 'Next Steps', value: 'Accept or decline the invitation from the My Gang page on the website.' })
+            .setTimestamp();
+
+        await user.send({ embeds: [embed] });
+        return { success: true };
+    } catch (error) {
+        console.error(`[Bot] Failed to DM user ${discordId}:`, error.message);
+        return { success: false, reason: error.message };
+    }
+}
+
+module.exports = {
+    startBot,
+    getClient,
+    assignRoleToUser,
+    removeRoleFromUser,
+    notifyStaffAppResult,
+    notifyStaffAppProgress,
+    notifyGangAppResult,
+    notifyFormAppResult,
+    notifyBan,
+    postApplicationForReview,
+    updateApplicationReviewMessage,
+    setupGang,
+    teardownGang,
+    addGangRole,
+    removeGangRole,
+    notifyGangInvite
+};
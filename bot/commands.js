@@ -0,0 +1,149 @@
+/**
+ * Slash Command Registry
+ * Commands are declared once with `registerCommand` and then registered for the guild and dispatched from here.
+ *
+ * Declaration:
+ *   registerCommand({
+ *       name: 'status',
+ *       description: 'Show a user\'s quiz status',
+ *       options: [{ type: 'user', name: 'user', description: 'User to look up', required: true }],
+ *       permissions: PermissionFlagsBits.ManageRoles, // Default member permissions (omit = everyone)
+ *       execute: async (interaction) => { ... }
+ *   });
+ *
+ * Who may use a command is enforced by Discord (default member permissions); server admins can
+ * change it per role/channel under Server Settings → Integrations.
+ *
+ * Buttons and modals are routed the same way by custom id prefix (`<prefix>:<arg>:<arg>...`):
+ *   registerComponent('app-review', async (interaction, [action, type, appId]) => { ... });
+ */
+
+const { SlashCommandBuilder, MessageFlags } = require('discord.js');
+
+const commands = new Map();
+const components = new Map();
+
+// Option type -> SlashCommandBuilder method
+const OPTION_BUILDERS = {
+    string: 'addStringOption',
+    integer: 'addIntegerOption',
+    boolean: 'addBooleanOption',
+    user: 'addUserOption',
+    role: 'addRoleOption',
+    channel: 'addChannelOption'
+};
+
+/**
+ * Build the Discord API payload for a command declaration
+ */
+function buildCommandData(command) {
+    const builder = new SlashCommandBuilder()
+        .setName(command.name)
+        .setDescription(command.description);
+
+    if (command.permissions !== undefined) {
+        builder.setDefaultMemberPermissions(command.permissions);
+    }
+
+    for (const option of command.options || []) {
+        const method = OPTION_BUILDERS[option.type];
+        if (!method) throw new Error(`Unknown option type "${option.type}" on /${command.name}`);
+
+        builder[method](o => {
+            o.setName(option.name).setDescription(option.description).setRequired(!!option.required);
+            if (option.choices) o.addChoices(...option.choices);
+            return o;
+        });
+    }
+
+    return builder.toJSON();
+}
+
+/**
+ * Declare a slash command
+ * @param {object} command - { name, description, options?, permissions?, execute(interaction) }
+ */
+function registerCommand(command) {
+    if (commands.has(command.name)) {
+        throw new Error(`Command /${command.name} is already registered`);
+    }
+    commands.set(command.name, { ...command, data: buildCommandData(command) });
+}
+
+function getCommands() {
+    return [...commands.values()];
+}
+
+/**
+ * Register all declared commands for a guild (replaces whatever was registered before)
+ * @returns {Promise<number>} Number of commands registered
+ */
+async function deployCommands(client, guildId) {
+    const guild = await client.guilds.fetch(guildId);
+    await guild.commands.set(getCommands().map(c => c.data));
+    return commands.size;
+}
+
+/**
+ * Handle buttons/modals whose custom id starts with `prefix:`
+ * @param {string} prefix
+ * @param {function} execute - (interaction, args) where args are the remaining `:`-separated parts
+ */
+function registerComponent(prefix, execute) {
+    if (components.has(prefix)) {
+        throw new Error(`Component prefix "${prefix}" is already registered`);
+    }
+    components.set(prefix, execute);
+}
+
+/**
+ * Reply with an ephemeral error, whatever state the interaction is in
+ */
+async function replyWithError(interaction, content) {
+    const reply = { content, flags: MessageFlags.Ephemeral };
+    if (interaction.deferred || interaction.replied) {
+        await interaction.followUp(reply).catch(() => null);
+    } else {
+        await interaction.reply(reply).catch(() => null);
+    }
+}
+
+/**
+ * Run the command for a chat input interaction, replying with an ephemeral error if it throws
+ */
+async function handleCommand(interaction) {
+    const command = commands.get(interaction.commandName);
+    if (!command) return;
+
+    try {
+        await command.execute(interaction);
+    } catch (error) {
+        console.error(`[Bot] Error handling /${interaction.commandName}:`, error);
+        await replyWithError(interaction, '❌ Something went wrong running this command.');
+    }
+}
+
+/**
+ * Run the handler for a button or modal submit interaction
+ */
+async function handleComponent(interaction) {
+    const [prefix, ...args] = interaction.customId.split(':');
+    const execute = components.get(prefix);
+    if (!execute) return;
+
+    try {
+        await execute(interaction, args);
+    } catch (error) {
+        console.error(`[Bot] Error handling component ${interaction.customId}:`, error);
+        await replyWithError(interaction, '❌ Something went wrong handling this action.');
+    }
+}
+
+module.exports = {
+    registerCommand,
+    registerComponent,
+    getCommands,
+    deployCommands,
+    handleCommand,
+    handleComponent
+};
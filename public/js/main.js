@@ -17,7 +17,9 @@ const API = {
         const response = await fetch(endpoint, { ...defaultOptions, ...options });
 
         if (response.status === 401) {
-            window.location.href = '/';
+            // Banned users get the explanation on the home page
+            const error = await response.json().catch(() => ({}));
+            window.location.href = error.code === 'banned' ? '/?error=banned' : '/';
             return null;
         }
 
@@ -34,10 +36,20 @@ const API = {
     },
 
     /**
-     * Get quiz questions
+     * Get available quizzes with the user's status for each
+     */
+    async getQuizzes() {
+        const response = await this.fetch('/api/quizzes');
+        if (!response || !response.ok) return null;
+        return response.json();
+    },
+
+    /**
+     * Get quiz questions for the current attempt.
+     * Timed attempts include `expiresAt` and `remainingTime` (ms left before the server deadline).
      */
-    async getQuestions() {
-        const response = await this.fetch('/api/questions');
+    async getQuestions(quizId = 'civilian') {
+        const response = await this.fetch(`/api/quizzes/${encodeURIComponent(quizId)}/questions`);
         if (!response) return null;
 
         if (!response.ok) {
@@ -48,12 +60,12 @@ const API = {
     },
 
     /**
-     * Submit quiz answers
+     * Submit quiz answers for the attempt the questions were issued under
      */
-    async submitQuiz(answers) {
-        const response = await this.fetch('/api/submit-quiz', {
+    async submitQuiz(answers, sessionId, quizId = 'civilian', timings = []) {
+        const response = await this.fetch(`/api/quizzes/${encodeURIComponent(quizId)}/submit`, {
             method: 'POST',
-            body: JSON.stringify({ answers }),
+            body: JSON.stringify({ answers, sessionId, timings }),
         });
 
         if (!response) return null;
@@ -69,8 +81,8 @@ const API = {
     /**
      * Get quiz result
      */
-    async getResult() {
-        const response = await this.fetch('/api/result');
+    async getResult(quizId = 'civilian') {
+        const response = await this.fetch(`/api/quizzes/${encodeURIComponent(quizId)}/result`);
         if (!response || !response.ok) return null;
         return response.json();
     },
@@ -85,6 +97,19 @@ const API = {
         return response.json();
     },
 
+    /**
+     * Get an open application form with its fields
+     */
+    async getForm(formId) {
+        const response = await this.fetch(`/api/forms/${encodeURIComponent(formId)}`);
+        if (!response) return null;
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to load form');
+        }
+        return response.json();
+    },
+
     /**
      * Generic GET request
      */
@@ -165,6 +190,28 @@ const Utils = {
             .join(':');
     },
 
+    /**
+     * Count down from remainingMs, calling onTick(msLeft) every second and onDone() at zero.
+     * Counts against the local clock so a throttled background tab doesn't drift.
+     * @returns {number} interval ID (pass to clearInterval to stop)
+     */
+    startCountdown(remainingMs, onTick, onDone) {
+        const endsAt = Date.now() + remainingMs;
+        onTick(remainingMs);
+
+        const interval = setInterval(() => {
+            const left = endsAt - Date.now();
+            if (left <= 0) {
+                clearInterval(interval);
+                onTick(0);
+                onDone();
+                return;
+            }
+            onTick(left);
+        }, 1000);
+        return interval;
+    },
+
     /**
      * Format date for display
      */
@@ -179,6 +226,18 @@ const Utils = {
         });
     },
 
+    /**
+     * Escape text for use in HTML (admin-defined form labels, user answers)
+     */
+    escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
     /**
      * Show loading overlay
      */
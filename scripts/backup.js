@@ -0,0 +1,123 @@
+/**
+ * Backup / restore CLI for every table in the configured storage (STORAGE_DRIVER)
+ *
+ *   node scripts/backup.js dump [--out <dir>]
+ *   node scripts/backup.js restore <dir> [--dry-run] [--keep-existing] [--only users,attempts]
+ *
+ * Backups are directories of data/backup-style JSON files (default: data/backups/<timestamp>).
+ * Restoring is safe to repeat: rows are upserted by primary key and identical rows are skipped.
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { createBackup, restoreBackup } = require('../src/utils/backup');
+
+const USAGE = `Usage:
+  node scripts/backup.js dump [--out <dir>]
+  node scripts/backup.js restore <dir> [--dry-run] [--keep-existing] [--only users,attempts]
+
+  --out <dir>       Write the backup here instead of data/backups/<timestamp>
+  --dry-run         Report what a restore would change without writing anything
+  --keep-existing   Do not overwrite rows that differ from the backup (they are still reported)
+  --only <tables>   Restore only these tables (comma-separated)`;
+
+const parseArgs = (argv) => {
+    const args = { _: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dry-run') args.dryRun = true;
+        else if (arg === '--keep-existing') args.keepExisting = true;
+        else if (arg === '--out' || arg === '--only') args[arg.slice(2)] = argv[++i];
+        else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+        else args._.push(arg);
+    }
+    return args;
+};
+
+const printIssues = (issues) => {
+    if (issues.length === 0) {
+        console.log('✅ Integrity checks passed.');
+        return;
+    }
+    const errors = issues.filter(i => i.level === 'error').length;
+    console.log(`⚠️  ${issues.length} integrity issue(s) (${errors} row(s) cannot be restored):`);
+    issues.forEach(issue => {
+        const icon = issue.level === 'error' ? '❌' : '⚠️ ';
+        console.log(`   ${icon} ${issue.table}${issue.key ? ` [${issue.key}]` : ''}: ${issue.message}`);
+    });
+};
+
+async function dump(args) {
+    console.log('🔄 Dumping all tables...');
+    const result = await createBackup({ dir: args.out });
+    if (!result.success) {
+        console.error(`❌ ${result.error}`);
+        return 1;
+    }
+
+    Object.entries(result.counts).forEach(([table, count]) => console.log(`   ${table}: ${count}`));
+    printIssues(result.issues);
+    console.log(`✨ Backup written to ${result.dir}`);
+    return 0;
+}
+
+async function restore(args) {
+    const dir = args._[1];
+    if (!dir) {
+        console.error(USAGE);
+        return 1;
+    }
+
+    const only = args.only ? args.only.split(',').map(t => t.trim()).filter(Boolean) : null;
+    console.log(`🔄 ${args.dryRun ? 'Checking' : 'Restoring'} ${path.resolve(dir)}${args.dryRun ? ' (dry run, nothing is written)' : ''}...`);
+
+    const result = await restoreBackup(path.resolve(dir), {
+        dryRun: !!args.dryRun,
+        keepExisting: !!args.keepExisting,
+        only
+    });
+
+    Object.entries(result.report || {}).forEach(([table, r]) => {
+        console.log(`   ${table}: ${r.total} in backup → ${r.inserted} new, ${r.updated} updated, ${r.unchanged} unchanged` +
+            `${r.skipped ? `, ${r.skipped} kept` : ''}${r.invalid ? `, ${r.invalid} invalid` : ''}`);
+        if (r.conflicts.length > 0) {
+            const listed = r.conflicts.slice(0, 20).join(', ');
+            const more = r.conflicts.length > 20 ? ` and ${r.conflicts.length - 20} more` : '';
+            console.log(`      ⚠️  ${r.conflicts.length} conflict(s) (${args.keepExisting ? 'kept' : 'overwritten'}): ${listed}${more}`);
+        }
+    });
+    if (result.issues) printIssues(result.issues);
+
+    if (!result.success) {
+        console.error(`❌ ${result.error}`);
+        return 1;
+    }
+
+    (result.notes || []).forEach(note => console.log(`ℹ️  ${note}`));
+    console.log(args.dryRun ? '✨ Dry run complete.' : '✨ Restore complete.');
+    return 0;
+}
+
+async function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        console.error(`❌ ${err.message}\n\n${USAGE}`);
+        process.exit(1);
+    }
+
+    const commands = { dump, restore };
+    const command = commands[args._[0]];
+    if (!command) {
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    process.exit(await command(args));
+}
+
+main().catch(err => {
+    console.error('❌ Backup failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,303 @@
+-- Elite India Roleplay - Supabase schema
+-- Run in the Supabase SQL editor. Statements are idempotent so the file can be re-run after updates.
+
+-- ==================== CORE TABLES ====================
+
+CREATE TABLE IF NOT EXISTS users (
+    discord_id TEXT PRIMARY KEY,
+    username TEXT,
+    avatar TEXT,
+    status TEXT DEFAULT 'new',
+    last_attempt TIMESTAMPTZ,
+    data JSONB DEFAULT '{}'::jsonb
+);
+
+CREATE TABLE IF NOT EXISTS attempts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    discord_id TEXT NOT NULL,
+    score INTEGER NOT NULL,
+    passed BOOLEAN NOT NULL,
+    timestamp TIMESTAMPTZ DEFAULT now()
+);
+
+-- Questions issued in the attempt and the per-category breakdown of the score
+ALTER TABLE attempts ADD COLUMN IF NOT EXISTS total INTEGER;
+ALTER TABLE attempts ADD COLUMN IF NOT EXISTS category_scores JSONB;
+ALTER TABLE attempts ADD COLUMN IF NOT EXISTS quiz_id TEXT DEFAULT 'civilian';
+-- Timed attempt abandoned or submitted after its deadline
+ALTER TABLE attempts ADD COLUMN IF NOT EXISTS expired BOOLEAN DEFAULT false;
+-- Manual pass/fail by an admin (not counted by the cooldown policy)
+ALTER TABLE attempts ADD COLUMN IF NOT EXISTS manual BOOLEAN DEFAULT false;
+-- Per-question answers ([{ questionId, option, correct }]) and where/how fast the attempt was
+-- submitted, for the suspicious attempts report. Only a keyed hash of the IP is stored.
+ALTER TABLE attempts ADD COLUMN IF NOT EXISTS answers JSONB DEFAULT '[]';
+ALTER TABLE attempts ADD COLUMN IF NOT EXISTS ip_hash TEXT;
+ALTER TABLE attempts ADD COLUMN IF NOT EXISTS user_agent TEXT;
+ALTER TABLE attempts ADD COLUMN IF NOT EXISTS duration_ms INTEGER;
+
+-- Admin panel lists are paginated, filtered and sorted by the database
+CREATE INDEX IF NOT EXISTS users_status_idx ON users (status);
+CREATE INDEX IF NOT EXISTS users_last_attempt_idx ON users (last_attempt DESC NULLS LAST);
+CREATE INDEX IF NOT EXISTS attempts_discord_idx ON attempts (discord_id);
+CREATE INDEX IF NOT EXISTS attempts_timestamp_idx ON attempts (timestamp DESC);
+CREATE INDEX IF NOT EXISTS attempts_quiz_idx ON attempts (quiz_id);
+CREATE INDEX IF NOT EXISTS attempts_ip_hash_idx ON attempts (ip_hash);
+
+CREATE TABLE IF NOT EXISTS questions (
+    id SERIAL PRIMARY KEY,
+    question TEXT NOT NULL,
+    options JSONB NOT NULL,
+    correct_option INTEGER NOT NULL
+);
+
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS category TEXT DEFAULT 'general';
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS quiz_id TEXT DEFAULT 'civilian';
+
+-- Bulk question import from the admin panel: a function body runs in one transaction,
+-- so an import is saved whole or not at all
+CREATE OR REPLACE FUNCTION import_questions(creates JSONB, updates JSONB, deletes INTEGER[])
+RETURNS VOID AS $$
+BEGIN
+    DELETE FROM questions WHERE id = ANY(deletes);
+
+    UPDATE questions q
+    SET question = u.question, options = u.options, correct_option = u.correct_option, category = u.category
+    FROM jsonb_to_recordset(updates) AS u(id INTEGER, question TEXT, options JSONB, correct_option INTEGER, category TEXT)
+    WHERE q.id = u.id;
+
+    INSERT INTO questions (question, options, correct_option, category, quiz_id)
+    SELECT c.question, c.options, c.correct_option, c.category, c.quiz_id
+    FROM jsonb_to_recordset(creates) AS c(question TEXT, options JSONB, correct_option INTEGER, category TEXT, quiz_id TEXT);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Only the server (service role) may run it, not API clients holding the anon key
+REVOKE EXECUTE ON FUNCTION import_questions(JSONB, JSONB, INTEGER[]) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION import_questions(JSONB, JSONB, INTEGER[]) TO service_role;
+
+CREATE TABLE IF NOT EXISTS staff_applications (
+    application_id TEXT PRIMARY KEY DEFAULT gen_random_uuid()::text,
+    discord_id TEXT NOT NULL,
+    username TEXT,
+    experience TEXT,
+    status TEXT DEFAULT 'pending',
+    submitted_at TIMESTAMPTZ DEFAULT now(),
+    reviewed_at TIMESTAMPTZ,
+    details JSONB DEFAULT '{}'::jsonb
+);
+
+-- Reviewer votes on staff applications, one row per reviewer (vote_id = '<application_id>:<reviewer_id>'),
+-- so votes cast at the same time are separate upserts. Older votes stay in staff_applications.details.
+CREATE TABLE IF NOT EXISTS staff_application_votes (
+    vote_id TEXT PRIMARY KEY,
+    application_id TEXT NOT NULL,
+    reviewer_id TEXT NOT NULL,
+    username TEXT,
+    vote TEXT NOT NULL,
+    comment TEXT,
+    voted_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS staff_application_votes_app_idx ON staff_application_votes (application_id);
+
+CREATE TABLE IF NOT EXISTS gang_applications (
+    application_id TEXT PRIMARY KEY DEFAULT gen_random_uuid()::text,
+    leader_discord_id TEXT NOT NULL,
+    leader_username TEXT,
+    gang_name TEXT,
+    gang_type TEXT,
+    member_count INTEGER,
+    story TEXT,
+    status TEXT DEFAULT 'pending',
+    submitted_at TIMESTAMPTZ DEFAULT now(),
+    reviewed_at TIMESTAMPTZ,
+    details JSONB DEFAULT '{}'::jsonb
+);
+
+-- ==================== QUIZ SESSIONS ====================
+-- One row per issued attempt: which questions were drawn and how their options were shuffled
+
+CREATE TABLE IF NOT EXISTS quiz_sessions (
+    session_id TEXT PRIMARY KEY,
+    discord_id TEXT NOT NULL,
+    quiz_id TEXT NOT NULL DEFAULT 'civilian',
+    question_ids JSONB NOT NULL,
+    option_order JSONB NOT NULL,
+    categories JSONB,
+    status TEXT DEFAULT 'active',
+    created_at TIMESTAMPTZ DEFAULT now(),
+    submitted_at TIMESTAMPTZ
+);
+
+-- Deadline of timed attempts (NULL = untimed)
+ALTER TABLE quiz_sessions ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS quiz_sessions_discord_status_idx ON quiz_sessions (discord_id, quiz_id, status);
+
+-- ==================== QUIZZES ====================
+-- Admin overrides of the built-in quiz definitions in src/config/quiz.js (and any extra quizzes)
+
+CREATE TABLE IF NOT EXISTS quizzes (
+    quiz_id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    description TEXT,
+    role_id TEXT,
+    pass_score INTEGER NOT NULL,
+    shuffle_options BOOLEAN DEFAULT true,
+    requires_quiz_id TEXT,
+    active BOOLEAN DEFAULT true,
+    sections JSONB NOT NULL
+);
+
+-- Time allowed per attempt (0 = untimed, NULL = use the built-in default)
+ALTER TABLE quizzes ADD COLUMN IF NOT EXISTS time_limit_ms BIGINT;
+
+-- Cooldowns now come from the shared policy in the settings table
+ALTER TABLE quizzes DROP COLUMN IF EXISTS cooldown_ms;
+
+-- ==================== SETTINGS ====================
+-- Admin-editable settings (key -> JSON value), e.g. 'cooldown_policy'
+
+CREATE TABLE IF NOT EXISTS settings (
+    key TEXT PRIMARY KEY,
+    value JSONB NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- ==================== AUDIT LOG ====================
+-- Every admin/bot action: who did what to which record, with before/after snapshots
+
+CREATE TABLE IF NOT EXISTS audit_log (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    actor_id TEXT,
+    actor_name TEXT,
+    actor_type TEXT NOT NULL DEFAULT 'admin',
+    action TEXT NOT NULL,
+    target_type TEXT,
+    target_id TEXT,
+    before JSONB,
+    after JSONB,
+    reason TEXT,
+    created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS audit_log_created_idx ON audit_log (created_at DESC);
+CREATE INDEX IF NOT EXISTS audit_log_actor_idx ON audit_log (actor_id);
+CREATE INDEX IF NOT EXISTS audit_log_target_idx ON audit_log (target_id);
+
+-- ==================== API KEYS ====================
+-- Machine access for the FiveM server (/api/server). Only a SHA-256 hash of each key is stored.
+
+CREATE TABLE IF NOT EXISTS api_keys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    key_prefix TEXT NOT NULL,
+    created_by TEXT,
+    created_at TIMESTAMPTZ DEFAULT now(),
+    last_used_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ
+);
+
+-- ==================== BANS ====================
+-- Blacklist by Discord ID, enforced by the website, the bot and the FiveM API. One row per user; a ban
+-- is in force until expires_at (NULL = permanent) unless lifted_at is set.
+
+CREATE TABLE IF NOT EXISTS bans (
+    discord_id TEXT PRIMARY KEY,
+    username TEXT,
+    reason TEXT NOT NULL,
+    banned_by TEXT,
+    banned_by_name TEXT,
+    created_at TIMESTAMPTZ DEFAULT now(),
+    expires_at TIMESTAMPTZ,
+    lifted_at TIMESTAMPTZ,
+    lifted_by TEXT,
+    lift_reason TEXT
+);
+
+-- ==================== LOGIN SESSIONS ====================
+-- Website sessions (express-session). sid is a SHA-256 hash of the session cookie's id; data holds the
+-- session (logged-in user, cookie). Expired rows are removed by the website every hour.
+
+CREATE TABLE IF NOT EXISTS login_sessions (
+    sid TEXT PRIMARY KEY,
+    discord_id TEXT,
+    data JSONB NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT now(),
+    updated_at TIMESTAMPTZ DEFAULT now(),
+    expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS login_sessions_discord_idx ON login_sessions (discord_id);
+CREATE INDEX IF NOT EXISTS login_sessions_expires_idx ON login_sessions (expires_at);
+
+-- ==================== APPLICATION FORMS ====================
+-- Admin-built application forms; rows override the built-in staff/gang forms in src/config/forms.js by id
+
+CREATE TABLE IF NOT EXISTS application_forms (
+    form_id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    description TEXT,
+    notice TEXT,
+    active BOOLEAN DEFAULT true,
+    fields JSONB NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- Submissions of admin-built forms (staff/gang keep their own tables); answers live in details
+CREATE TABLE IF NOT EXISTS form_applications (
+    application_id TEXT PRIMARY KEY DEFAULT gen_random_uuid()::text,
+    form_id TEXT NOT NULL,
+    discord_id TEXT NOT NULL,
+    username TEXT,
+    status TEXT DEFAULT 'pending',
+    submitted_at TIMESTAMPTZ DEFAULT now(),
+    reviewed_at TIMESTAMPTZ,
+    details JSONB DEFAULT '{}'::jsonb
+);
+
+CREATE INDEX IF NOT EXISTS form_applications_form_idx ON form_applications (form_id);
+
+-- ==================== GANGS ====================
+-- Gangs created from accepted gang applications; members: [{ discordId, username, joinedAt }],
+-- invites: [{ discordId, invitedBy, invitedAt }]
+
+CREATE TABLE IF NOT EXISTS gangs (
+    gang_id TEXT PRIMARY KEY DEFAULT gen_random_uuid()::text,
+    application_id TEXT,
+    name TEXT NOT NULL,
+    gang_type TEXT,
+    leader_discord_id TEXT NOT NULL,
+    role_id TEXT,
+    channel_id TEXT,
+    status TEXT DEFAULT 'active',
+    members JSONB DEFAULT '[]'::jsonb,
+    invites JSONB DEFAULT '[]'::jsonb,
+    created_at TIMESTAMPTZ DEFAULT now(),
+    disbanded_at TIMESTAMPTZ,
+    disband_reason TEXT
+);
+
+CREATE INDEX IF NOT EXISTS gangs_status_idx ON gangs (status);
+
+-- ==================== ROW LEVEL SECURITY ====================
+-- The server uses the service role key, which bypasses RLS. With RLS on and no policies, the anon and
+-- authenticated keys (exposed through PostgREST) can't read or write any of these tables.
+
+ALTER TABLE users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE attempts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE questions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE staff_applications ENABLE ROW LEVEL SECURITY;
+ALTER TABLE staff_application_votes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE gang_applications ENABLE ROW LEVEL SECURITY;
+ALTER TABLE quiz_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE quizzes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
+ALTER TABLE api_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE bans ENABLE ROW LEVEL SECURITY;
+ALTER TABLE login_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE application_forms ENABLE ROW LEVEL SECURITY;
+ALTER TABLE form_applications ENABLE ROW LEVEL SECURITY;
+ALTER TABLE gangs ENABLE ROW LEVEL SECURITY;
@@ -4,6 +4,7 @@
  * Main entry point that starts BOTH:
  * 1. Express website (Discord OAuth quiz)
  * 2. Discord bot (role assignment)
+ * 3. Nightly data backup (when BACKUP_NIGHTLY_AT is set)
  * 
  * Run with: node server.js
  */
@@ -12,6 +13,7 @@ require('dotenv').config();
 
 const { startWebsite } = require('./website/website');
 const { startBot } = require('./bot/bot');
+const { scheduleNightlyBackup } = require('./src/utils/backup');
 
 console.log(`
 ╔═══════════════════════════════════════════════════════════╗
@@ -21,11 +23,12 @@ console.log(`
 `);
 
 // Validate required environment variables for website
-const requiredEnvVars = [
-    'DISCORD_CLIENT_ID',
-    'DISCORD_CLIENT_SECRET',
-    'SESSION_SECRET'
-];
+const requiredEnvVars = ['SESSION_SECRET'];
+
+// Discord/Supabase credentials are not needed when running offline on the local storage adapter
+if ((process.env.STORAGE_DRIVER || 'supabase').toLowerCase() !== 'local') {
+    requiredEnvVars.push('DISCORD_CLIENT_ID', 'DISCORD_CLIENT_SECRET');
+}
 
 const missingVars = requiredEnvVars.filter(v => !process.env[v]);
 if (missingVars.length > 0) {
@@ -43,6 +46,8 @@ async function main() {
         await startWebsite(PORT);
         console.log(`✅ Website started on http://localhost:${PORT}`);
 
+        scheduleNightlyBackup();
+
         // Check if bot token is configured properly
         const botToken = process.env.DISCORD_BOT_TOKEN;
         const isPlaceholder = !botToken || botToken === 'your_bot_token_here' || botToken.startsWith('placeholder');
@@ -0,0 +1,49 @@
+/**
+ * Application Review Configuration
+ * Staff applications go through a review stage where reviewers vote; the review policy
+ * (saved by super admins in the settings table, over these defaults) decides the outcome.
+ *
+ * Staff application lifecycle:
+ *   pending -> under_review (first vote) -> interview_scheduled (optional) -> accepted | rejected
+ */
+
+// Application is still open (counts as "already applied" and can be voted on)
+const OPEN_STATUSES = ['pending', 'under_review', 'interview_scheduled'];
+
+// Final outcomes
+const FINAL_STATUSES = ['accepted', 'rejected'];
+
+// Statuses reviewers can move a staff application to without deciding it
+const STAGE_STATUSES = ['under_review', 'interview_scheduled'];
+
+const STATUS_LABELS = {
+    pending: 'Pending',
+    under_review: 'Under Review',
+    interview_scheduled: 'Interview Scheduled',
+    accepted: 'Accepted',
+    rejected: 'Rejected'
+};
+
+const VOTES = ['approve', 'deny'];
+
+// Approve votes that accept an application / deny votes that reject it
+const DEFAULT_REVIEW_POLICY = {
+    approvalsRequired: 2,
+    denialsRequired: 2
+};
+
+// Time between staff applications (counted from the last submission)
+const STAFF_REAPPLY_COOLDOWN_MS = 7 * 24 * 60 * 60 * 1000;
+
+const isOpenStatus = (status) => OPEN_STATUSES.includes(status);
+
+module.exports = {
+    OPEN_STATUSES,
+    FINAL_STATUSES,
+    STAGE_STATUSES,
+    STATUS_LABELS,
+    VOTES,
+    DEFAULT_REVIEW_POLICY,
+    STAFF_REAPPLY_COOLDOWN_MS,
+    isOpenStatus
+};
@@ -0,0 +1,86 @@
+/**
+ * Backup Configuration
+ * Tables included in backups, in restore order (referenced tables before the rows that point at them),
+ * and how each one is laid out in its backup file. Backup files use the data/backup/*.json shapes,
+ * which are also the local storage adapter's files.
+ *
+ * Table: { name, key, wrapper, format }
+ *   - name: table name and file name (<name>.json)
+ *   - key: primary key field of a row
+ *   - wrapper: top-level key of the file ({ "users": ... })
+ *   - format: 'list' ([row, ...]), 'map' ({ key: row }) or 'values' ({ key: value }, rows are { key, value })
+ */
+
+const crypto = require('crypto');
+
+const BACKUP_TABLES = [
+    { name: 'users', key: 'discordId', wrapper: 'users', format: 'map' },
+    { name: 'quizzes', key: 'id', wrapper: 'quizzes', format: 'list' },
+    { name: 'questions', key: 'id', wrapper: 'questions', format: 'list' },
+    { name: 'attempts', key: 'id', wrapper: 'attempts', format: 'list' },
+    { name: 'application_forms', key: 'id', wrapper: 'forms', format: 'list' },
+    { name: 'staff_applications', key: 'applicationId', wrapper: 'applications', format: 'list' },
+    { name: 'staff_application_votes', key: 'voteId', wrapper: 'votes', format: 'list' },
+    { name: 'gang_applications', key: 'applicationId', wrapper: 'applications', format: 'list' },
+    { name: 'form_applications', key: 'applicationId', wrapper: 'applications', format: 'list' },
+    { name: 'gangs', key: 'gangId', wrapper: 'gangs', format: 'list' },
+    { name: 'bans', key: 'discordId', wrapper: 'bans', format: 'list' },
+    { name: 'settings', key: 'key', wrapper: 'settings', format: 'values' },
+    { name: 'api_keys', key: 'id', wrapper: 'keys', format: 'list' },
+    { name: 'audit_log', key: 'id', wrapper: 'entries', format: 'list' }
+];
+
+const getBackupTable = (name) => BACKUP_TABLES.find(t => t.name === name) || null;
+
+/**
+ * Stable UUID for an attempt saved before attempts had ids (derived from who took it and when),
+ * so restoring the same old backup twice does not duplicate its attempts
+ */
+const legacyAttemptId = (attempt) => {
+    const hex = crypto.createHash('sha1')
+        .update(`${attempt.discordId}:${new Date(attempt.timestamp).toISOString()}`)
+        .digest('hex');
+    const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+};
+
+/**
+ * Primary key of a row as a string, or null when the row has none
+ */
+const getRowKey = (table, row) => {
+    const key = row[table.key];
+    if (key !== undefined && key !== null && key !== '') return String(key);
+    if (table.name === 'attempts' && row.discordId && !isNaN(Date.parse(row.timestamp))) return legacyAttemptId(row);
+    return null;
+};
+
+/**
+ * Rows of a table from the parsed contents of its backup file
+ */
+const rowsFromFile = (table, data) => {
+    const content = data && data[table.wrapper];
+    if (!content) return [];
+    if (table.format === 'values') return Object.entries(content).map(([key, value]) => ({ key, value }));
+    return Array.isArray(content) ? content : Object.values(content);
+};
+
+/**
+ * Contents of a table's backup file for a list of rows
+ */
+const rowsToFile = (table, rows) => {
+    if (table.format === 'list') return { [table.wrapper]: rows };
+    return {
+        [table.wrapper]: rows.reduce((acc, row) => {
+            acc[row[table.key]] = table.format === 'values' ? row.value : row;
+            return acc;
+        }, {})
+    };
+};
+
+module.exports = {
+    BACKUP_TABLES,
+    getBackupTable,
+    getRowKey,
+    rowsFromFile,
+    rowsToFile
+};
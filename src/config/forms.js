@@ -0,0 +1,196 @@
+/**
+ * Application Form Definitions
+ * Field schemas for the application forms rendered by public/apply.html and validated on submission.
+ *
+ * Staff and gang forms are built in; admins can edit them and add new forms (business, streamer, ...)
+ * from the panel. Definitions saved in the `application_forms` table override these defaults by id.
+ *
+ * Field: { key, label, type, required, help, placeholder, minLength, maxLength, min, max, options }
+ *   - text / textarea: minLength, maxLength
+ *   - number: min, max
+ *   - select: options [{ value, label }]
+ *   - checkbox: required means it must be ticked
+ */
+
+const FIELD_TYPES = ['text', 'textarea', 'number', 'select', 'checkbox'];
+
+const STAFF_FORM_ID = 'staff';
+const GANG_FORM_ID = 'gang';
+
+// Form ids are used in URLs (/apply/<id>)
+const FORM_ID_PATTERN = /^[a-z0-9-]{2,32}$/;
+const FIELD_KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,31}$/;
+
+const MAX_FIELDS = 30;
+const MAX_TEXT_LENGTH = 5000;
+
+const DEFAULT_FORMS = [
+    {
+        id: STAFF_FORM_ID,
+        name: 'Staff Application',
+        description: 'Join the team dedicated to maintaining elite roleplay standards.',
+        notice: null,
+        active: true,
+        fields: [
+            { key: 'age', label: 'Real Age', type: 'number', required: true, min: 13, max: 100, placeholder: '18' },
+            { key: 'availability', label: 'Weekly Availability', type: 'text', required: true, maxLength: 200, placeholder: 'e.g. Mon-Fri 6PM-10PM' },
+            { key: 'experience', label: 'Prior Experience', type: 'text', required: true, maxLength: 500, placeholder: 'List servers, roles, and duration...' },
+            { key: 'whyStaff', label: 'Motivation', type: 'textarea', required: true, maxLength: 2000, placeholder: 'Why do you want to join the staff team? What can you bring to the table?' },
+            {
+                key: 'scenario',
+                label: 'Scenario: Rule Break',
+                type: 'textarea',
+                required: true,
+                maxLength: 3000,
+                help: "You witness two players breaking 'No-RP' rules during a high-speed chase. They are arguing OOC in voice chat.",
+                placeholder: 'Detail your exact step-by-step resolution process...'
+            }
+        ]
+    },
+    {
+        id: GANG_FORM_ID,
+        name: 'Gang Registration',
+        description: 'Claim your territory. Establish your legacy.',
+        notice: 'Submitting this application will lock your organization name. Ensure you have verified your member count and story before proceeding. Only serious RP organizations will be approved.',
+        active: true,
+        fields: [
+            { key: 'gangName', label: 'Organization Name', type: 'text', required: true, minLength: 2, maxLength: 50, placeholder: 'e.g. The Lost MC' },
+            { key: 'memberCount', label: 'Est. Members', type: 'number', required: true, min: 3, max: 50, placeholder: '5' },
+            {
+                key: 'gangType',
+                label: 'Organization Type',
+                type: 'select',
+                required: true,
+                options: [
+                    { value: 'street', label: 'Street Gang' },
+                    { value: 'mafia', label: 'Mafia / Syndicate' },
+                    { value: 'cartel', label: 'Cartel' },
+                    { value: 'mc', label: 'Motorcycle Club' },
+                    { value: 'security', label: 'Private Security / Mercenary' },
+                    { value: 'other', label: 'Other' }
+                ]
+            },
+            { key: 'story', label: 'Backstory & Operations', type: 'textarea', required: true, maxLength: 5000, placeholder: "Describe your organization's history, hierarchy, dress code, and illegal activities..." }
+        ]
+    }
+];
+
+// Fields the gang registration logic depends on: they can be relabelled but not removed or retyped
+const LOCKED_FIELDS = {
+    [GANG_FORM_ID]: { gangName: 'text', memberCount: 'number', gangType: 'select', story: 'textarea' }
+};
+
+const isBuiltInForm = (formId) => DEFAULT_FORMS.some(f => f.id === formId);
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Check a form definition saved from the builder
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateFormDefinition = (form) => {
+    if (!FORM_ID_PATTERN.test(form.id || '')) return 'Form id must be 2-32 lowercase letters, numbers or dashes';
+    if (!form.name || typeof form.name !== 'string') return 'Form name is required';
+    if (!Array.isArray(form.fields) || form.fields.length === 0) return 'At least one field is required';
+    if (form.fields.length > MAX_FIELDS) return `A form can have at most ${MAX_FIELDS} fields`;
+
+    const keys = new Set();
+    for (const field of form.fields) {
+        if (!FIELD_KEY_PATTERN.test(field.key || '')) return `Invalid field key "${field.key}" (letters, numbers and _ only)`;
+        if (keys.has(field.key)) return `Duplicate field key "${field.key}"`;
+        keys.add(field.key);
+
+        if (!field.label || typeof field.label !== 'string') return `Field "${field.key}" needs a label`;
+        if (!FIELD_TYPES.includes(field.type)) return `Field "${field.key}" has an invalid type`;
+
+        for (const limit of ['minLength', 'maxLength', 'min', 'max']) {
+            if (field[limit] !== undefined && field[limit] !== null && !isNumber(field[limit])) {
+                return `Field "${field.key}" has an invalid ${limit}`;
+            }
+        }
+        if (isNumber(field.minLength) && isNumber(field.maxLength) && field.minLength > field.maxLength) {
+            return `Field "${field.key}" has a minimum length above its maximum`;
+        }
+        if (isNumber(field.min) && isNumber(field.max) && field.min > field.max) {
+            return `Field "${field.key}" has a minimum above its maximum`;
+        }
+
+        if (field.type === 'select') {
+            if (!Array.isArray(field.options) || field.options.length === 0) return `Field "${field.key}" needs at least one option`;
+            if (field.options.some(o => !o || !o.value || !o.label)) return `Field "${field.key}" has an option without a value or label`;
+        }
+    }
+
+    for (const [key, type] of Object.entries(LOCKED_FIELDS[form.id] || {})) {
+        const field = form.fields.find(f => f.key === key);
+        if (!field || field.type !== type || !field.required) {
+            return `The ${form.id} form must keep the required ${type} field "${key}"`;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Validate a submission against a form's fields
+ * @returns {{ error: string|null, answers: object }} Answers keyed by field key, coerced to the field type
+ */
+const validateSubmission = (form, body = {}) => {
+    const answers = {};
+
+    for (const field of form.fields) {
+        const raw = body[field.key];
+
+        if (field.type === 'checkbox') {
+            const checked = raw === true || raw === 'true' || raw === 'on';
+            if (field.required && !checked) return { error: `${field.label} must be checked.`, answers };
+            answers[field.key] = checked;
+            continue;
+        }
+
+        const empty = raw === undefined || raw === null || String(raw).trim() === '';
+        if (empty) {
+            if (field.required) return { error: `${field.label} is required.`, answers };
+            continue;
+        }
+
+        if (field.type === 'number') {
+            const value = Number(raw);
+            if (!Number.isFinite(value)) return { error: `${field.label} must be a number.`, answers };
+            if (isNumber(field.min) && value < field.min) return { error: `${field.label} must be at least ${field.min}.`, answers };
+            if (isNumber(field.max) && value > field.max) return { error: `${field.label} must be at most ${field.max}.`, answers };
+            answers[field.key] = value;
+            continue;
+        }
+
+        const value = String(raw).trim();
+
+        if (field.type === 'select') {
+            if (!field.options.some(o => o.value === value)) return { error: `Invalid choice for ${field.label}.`, answers };
+            answers[field.key] = value;
+            continue;
+        }
+
+        const maxLength = Math.min(isNumber(field.maxLength) ? field.maxLength : MAX_TEXT_LENGTH, MAX_TEXT_LENGTH);
+        if (isNumber(field.minLength) && value.length < field.minLength) {
+            return { error: `${field.label} must be at least ${field.minLength} characters.`, answers };
+        }
+        if (value.length > maxLength) {
+            return { error: `${field.label} must be at most ${maxLength} characters.`, answers };
+        }
+        answers[field.key] = value;
+    }
+
+    return { error: null, answers };
+};
+
+module.exports = {
+    FIELD_TYPES,
+    STAFF_FORM_ID,
+    GANG_FORM_ID,
+    DEFAULT_FORMS,
+    LOCKED_FIELDS,
+    isBuiltInForm,
+    validateFormDefinition,
+    validateSubmission
+};
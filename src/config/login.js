@@ -0,0 +1,42 @@
+/**
+ * Login Gate Configuration
+ * Checks a Discord account has to pass before it can log in to the website (see src/utils/loginGates.js).
+ * Every gate is off unless configured; IDs in ADMIN_DISCORD_IDS always get in.
+ *
+ *   LOGIN_REQUIRE_GUILD_MEMBER=true   must be a member of DISCORD_GUILD_ID
+ *   LOGIN_REQUIRED_ROLE_ID=<role>     must hold this role there (e.g. a verification role)
+ *   LOGIN_MIN_ACCOUNT_AGE_DAYS=<n>    Discord account must be at least n days old
+ */
+
+const LOGIN_GATES = {
+    requireGuildMember: process.env.LOGIN_REQUIRE_GUILD_MEMBER === 'true',
+    requiredRoleId: process.env.LOGIN_REQUIRED_ROLE_ID || null,
+    minAccountAgeDays: Math.max(parseFloat(process.env.LOGIN_MIN_ACCOUNT_AGE_DAYS) || 0, 0)
+};
+
+// Why a login was rejected; the code is passed to index.html (?error=<code>), which explains what to do
+const LOGIN_ERRORS = {
+    banned: 'You are banned from this server',
+    not_in_guild: 'You must join our Discord server before logging in',
+    missing_role: 'You must be verified in our Discord server before logging in',
+    account_too_new: 'Your Discord account is too new to log in',
+    discord_unavailable: 'Discord membership could not be checked right now'
+};
+
+// First second of 2015, the start of Discord snowflake timestamps
+const DISCORD_EPOCH = 1420070400000;
+
+/**
+ * When a Discord account was created, from its snowflake ID
+ * @returns {Date|null} null if the ID is not a snowflake
+ */
+const getAccountCreatedAt = (discordId) => {
+    if (!/^\d{5,20}$/.test(String(discordId || ''))) return null;
+    return new Date(Number(BigInt(discordId) >> 22n) + DISCORD_EPOCH);
+};
+
+module.exports = {
+    LOGIN_GATES,
+    LOGIN_ERRORS,
+    getAccountCreatedAt
+};
@@ -0,0 +1,55 @@
+/**
+ * Admin Permissions
+ * Granular access to the admin panel instead of a single admin flag.
+ *
+ * A user's permissions are the union of:
+ * - Super admin for ADMIN_DISCORD_IDS and the ADMIN_ROLE_ID Discord role (previous admin behaviour)
+ * - Discord roles mapped to a permission via the env vars in PERMISSION_ROLE_ENV
+ * - Permissions granted per user by a super admin (stored on the user record)
+ *
+ * Super admins implicitly hold every permission.
+ */
+
+const PERMISSIONS = {
+    QUIZ_REVIEWER: 'quiz_reviewer',
+    STAFF_APP_REVIEWER: 'staff_app_reviewer',
+    GANG_APP_REVIEWER: 'gang_app_reviewer',
+    QUESTION_EDITOR: 'question_editor',
+    BAN_MANAGER: 'ban_manager',
+    SUPER_ADMIN: 'super_admin'
+};
+
+const PERMISSION_LABELS = {
+    quiz_reviewer: 'Quiz Reviewer',
+    staff_app_reviewer: 'Staff App Reviewer',
+    gang_app_reviewer: 'Gang App Reviewer',
+    question_editor: 'Question Editor',
+    ban_manager: 'Ban Manager',
+    super_admin: 'Super Admin'
+};
+
+// Env var holding the Discord role id that grants each permission
+const PERMISSION_ROLE_ENV = {
+    quiz_reviewer: 'QUIZ_REVIEWER_ROLE_ID',
+    staff_app_reviewer: 'STAFF_APP_REVIEWER_ROLE_ID',
+    gang_app_reviewer: 'GANG_APP_REVIEWER_ROLE_ID',
+    question_editor: 'QUESTION_EDITOR_ROLE_ID',
+    ban_manager: 'BAN_MANAGER_ROLE_ID',
+    super_admin: 'ADMIN_ROLE_ID'
+};
+
+const isValidPermission = (permission) => Object.values(PERMISSIONS).includes(permission);
+
+/**
+ * Check a resolved permission list (super admin grants everything)
+ */
+const hasPermission = (permissions, permission) =>
+    permissions.includes(PERMISSIONS.SUPER_ADMIN) || permissions.includes(permission);
+
+module.exports = {
+    PERMISSIONS,
+    PERMISSION_LABELS,
+    PERMISSION_ROLE_ENV,
+    isValidPermission,
+    hasPermission
+};
@@ -0,0 +1,135 @@
+/**
+ * Quiz Definitions
+ * Question categories and the built-in quizzes (civilian allowlist + job allowlists).
+ *
+ * Each quiz has its own question bank, pass mark, time limit and Discord role.
+ * Definitions saved by admins in the `quizzes` table override these defaults by id.
+ *
+ * An attempt passes only if the overall score reaches `passScore` AND every
+ * section reaches its `minCorrect`. If the bank has fewer questions in a category
+ * than `count`, all of them are drawn and the minimums are capped to what was drawn.
+ */
+
+// Rule sections applicants are tested on (key -> display label)
+const CATEGORIES = {
+    'rdm-vdm': 'RDM / VDM Rules',
+    nlr: 'New Life Rule (NLR)',
+    metagaming: 'Metagaming',
+    powergaming: 'Powergaming',
+    'server-rules': 'Server-Specific Rules',
+    'job-procedures': 'Job Procedures',
+    general: 'General Roleplay'
+};
+
+// Questions without a category (e.g. created before categories existed) fall in here
+const DEFAULT_CATEGORY = 'general';
+
+// The server allowlist quiz; legacy routes, users.status and ALLOWLIST_ROLE_ID all refer to it
+const DEFAULT_QUIZ_ID = 'civilian';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Cooldown after a failed attempt, escalating with consecutive failures (the last step repeats).
+// Applies to every quiz; admins can change it from the panel (saved in the settings store).
+const DEFAULT_COOLDOWN_POLICY = {
+    steps: [1 * HOUR_MS, 24 * HOUR_MS, 72 * HOUR_MS, 7 * 24 * HOUR_MS],
+    maxAttemptsPerMonth: 5 // Per quiz, over a rolling 30 days (0 = unlimited)
+};
+
+// Time allowed from when questions are issued to submission (0 = untimed)
+const DEFAULT_TIME_LIMIT_MS = (parseInt(process.env.QUIZ_TIME_LIMIT_MINUTES, 10) || 15) * 60 * 1000;
+
+// Longest time limit a quiz can be given in the admin panel (one day)
+const MAX_TIME_LIMIT_MINUTES = 24 * 60;
+
+// Sections shared by the job quizzes
+const JOB_SECTIONS = [
+    { category: 'job-procedures', count: 8, minCorrect: 5 },
+    { category: 'general', count: 2, minCorrect: 0 }
+];
+
+const DEFAULT_QUIZZES = [
+    {
+        id: DEFAULT_QUIZ_ID,
+        name: 'Civilian Allowlist',
+        description: 'Server rules exam required to join Elite India Roleplay.',
+        roleId: process.env.ALLOWLIST_ROLE_ID || null,
+        passScore: 7,
+        timeLimitMs: DEFAULT_TIME_LIMIT_MS,
+        shuffleOptions: process.env.QUIZ_SHUFFLE_OPTIONS !== 'false',
+        requiresQuizId: null,
+        active: true,
+        sections: [
+            { category: 'rdm-vdm', count: 2, minCorrect: 1 },
+            { category: 'nlr', count: 1, minCorrect: 1 },
+            { category: 'metagaming', count: 1, minCorrect: 1 },
+            { category: 'powergaming', count: 1, minCorrect: 1 },
+            { category: 'server-rules', count: 1, minCorrect: 1 },
+            { category: 'general', count: 3, minCorrect: 1 }
+        ]
+    },
+    {
+        id: 'police',
+        name: 'Police Department',
+        description: 'Procedures and conduct exam for the LSPD allowlist.',
+        roleId: process.env.POLICE_ROLE_ID || null,
+        passScore: 7,
+        timeLimitMs: DEFAULT_TIME_LIMIT_MS,
+        shuffleOptions: true,
+        requiresQuizId: DEFAULT_QUIZ_ID,
+        active: true,
+        sections: JOB_SECTIONS
+    },
+    {
+        id: 'ems',
+        name: 'Emergency Medical Services',
+        description: 'Medical RP and response exam for the EMS allowlist.',
+        roleId: process.env.EMS_ROLE_ID || null,
+        passScore: 7,
+        timeLimitMs: DEFAULT_TIME_LIMIT_MS,
+        shuffleOptions: true,
+        requiresQuizId: DEFAULT_QUIZ_ID,
+        active: true,
+        sections: JOB_SECTIONS
+    },
+    {
+        id: 'mechanic',
+        name: 'Mechanic',
+        description: 'Workshop RP exam for the mechanic job allowlist.',
+        roleId: process.env.MECHANIC_ROLE_ID || null,
+        passScore: 7,
+        timeLimitMs: DEFAULT_TIME_LIMIT_MS,
+        shuffleOptions: true,
+        requiresQuizId: DEFAULT_QUIZ_ID,
+        active: true,
+        sections: JOB_SECTIONS
+    },
+    {
+        id: 'gang',
+        name: 'Gang Roleplay',
+        description: 'Criminal RP rules exam for gang members.',
+        roleId: process.env.GANG_ROLE_ID || null,
+        passScore: 7,
+        timeLimitMs: DEFAULT_TIME_LIMIT_MS,
+        shuffleOptions: true,
+        requiresQuizId: DEFAULT_QUIZ_ID,
+        active: true,
+        sections: JOB_SECTIONS
+    }
+];
+
+const isValidCategory = (category) => Object.prototype.hasOwnProperty.call(CATEGORIES, category);
+
+const getCategoryLabel = (category) => CATEGORIES[category] || category;
+
+module.exports = {
+    CATEGORIES,
+    DEFAULT_CATEGORY,
+    DEFAULT_QUIZ_ID,
+    DEFAULT_COOLDOWN_POLICY,
+    DEFAULT_TIME_LIMIT_MS,
+    MAX_TIME_LIMIT_MINUTES,
+    DEFAULT_QUIZZES,
+    isValidCategory,
+    getCategoryLabel
+};
@@ -1,12 +1,22 @@
 /**
  * Authentication Middleware
  * Protects routes and handles admin access
- * 
- * Admin access is granted if user:
- * - Has Discord ID in ADMIN_DISCORD_IDS, OR
- * - Has the ADMIN_ROLE_ID role in Discord server
+ *
+ * Admin panel access is granted per permission (see src/config/permissions.js):
+ * - Discord ID in ADMIN_DISCORD_IDS or the ADMIN_ROLE_ID role -> super admin
+ * - A Discord role mapped to a permission (e.g. QUIZ_REVIEWER_ROLE_ID)
+ * - Permissions granted to the user from the admin panel
  */
 
+const storage = require('../utils/storage');
+const {
+    PERMISSIONS,
+    PERMISSION_LABELS,
+    PERMISSION_ROLE_ENV,
+    isValidPermission,
+    hasPermission
+} = require('../config/permissions');
+
 // Get admin Discord IDs from environment
 const getAdminIds = () => {
     const adminIds = process.env.ADMIN_DISCORD_IDS || '';
@@ -23,57 +33,91 @@ try {
 }
 
 /**
- * Check if a user has admin role in Discord
- * @param {string} discordId 
- * @returns {Promise<boolean>}
+ * Get the role ids a user holds in the Discord server
+ * @param {string} discordId
+ * @returns {Promise<string[]>}
  */
-async function hasAdminRole(discordId) {
-    if (!getClient) return false;
+async function getMemberRoleIds(discordId) {
+    if (!getClient) return [];
 
     const client = getClient();
-    if (!client || !client.isReady()) return false;
+    if (!client || !client.isReady()) return [];
 
     const guildId = process.env.DISCORD_GUILD_ID;
-    const adminRoleId = process.env.ADMIN_ROLE_ID;
-
-    if (!guildId || !adminRoleId) return false;
+    if (!guildId) return [];
 
     try {
         const guild = await client.guilds.fetch(guildId);
-        if (!guild) return false;
+        if (!guild) return [];
 
         const member = await guild.members.fetch(discordId).catch(() => null);
-        if (!member) return false;
+        if (!member) return [];
 
-        return member.roles.cache.has(adminRoleId);
+        return [...member.roles.cache.keys()];
     } catch (err) {
-        console.error('[Auth] Error checking admin role:', err.message);
-        return false;
+        console.error('[Auth] Error checking member roles:', err.message);
+        return [];
     }
 }
 
 /**
- * Check if user is admin (by ID or role)
+ * Resolve a user's admin permissions (super admins get every permission)
  * @param {string} discordId
- * @returns {Promise<boolean>}
+ * @returns {Promise<string[]>}
  */
-async function checkIsAdmin(discordId) {
+async function getPermissions(discordId) {
+    const all = Object.values(PERMISSIONS);
+
     // First check if in admin IDs list
-    const adminIds = getAdminIds();
-    if (adminIds.includes(discordId)) {
-        return true;
+    if (getAdminIds().includes(discordId)) {
+        return all;
+    }
+
+    const granted = new Set();
+
+    // Permissions granted from the admin panel
+    const user = await storage.getUser(discordId);
+    (user?.permissions || []).filter(isValidPermission).forEach(p => granted.add(p));
+
+    // Then check Discord roles
+    const roleIds = await getMemberRoleIds(discordId);
+    for (const permission of all) {
+        const roleId = process.env[PERMISSION_ROLE_ENV[permission]];
+        if (roleId && roleIds.includes(roleId)) granted.add(permission);
     }
 
-    // Then check Discord role
-    return await hasAdminRole(discordId);
+    if (granted.has(PERMISSIONS.SUPER_ADMIN)) return all;
+    return all.filter(p => granted.has(p));
+}
+
+/**
+ * Check if user has any admin permission (by ID, role or grant)
+ * @param {string} discordId
+ * @returns {Promise<boolean>}
+ */
+async function checkIsAdmin(discordId) {
+    return (await getPermissions(discordId)).length > 0;
+}
+
+/**
+ * End the session of a user who has been banned since logging in
+ * @returns {Promise<boolean>} Whether the user is banned
+ */
+async function endBannedSession(req) {
+    if (!await storage.getActiveBan(req.session.user.discordId)) return false;
+    req.session.destroy(() => {});
+    return true;
 }
 
 /**
- * Middleware to ensure user is authenticated
+ * Middleware to ensure user is authenticated (and not banned, which also covers the quiz, apply and gang routes)
  */
-const ensureAuth = (req, res, next) => {
+const ensureAuth = async (req, res, next) => {
     // Check if user is authenticated via session
     if (req.session && req.session.user) {
+        if (await endBannedSession(req)) {
+            return res.status(401).json({ error: 'You are banned from this server', code: 'banned' });
+        }
         // Polyfill req.user for backward compatibility with routes
         req.user = req.session.user;
         return next();
@@ -84,8 +128,9 @@ const ensureAuth = (req, res, next) => {
 /**
  * Middleware to ensure user is authenticated (for pages)
  */
-const ensureAuthPage = (req, res, next) => {
+const ensureAuthPage = async (req, res, next) => {
     if (req.session && req.session.user) {
+        if (await endBannedSession(req)) return res.redirect('/?error=banned');
         req.user = req.session.user; // Polyfill
         return next();
     }
@@ -93,7 +138,7 @@ const ensureAuthPage = (req, res, next) => {
 };
 
 /**
- * Middleware to ensure user is an admin (API - async)
+ * Middleware to ensure user has at least one admin permission (API - async)
  */
 const ensureAdmin = async (req, res, next) => {
     if (!req.session || !req.session.user) {
@@ -102,14 +147,33 @@ const ensureAdmin = async (req, res, next) => {
 
     req.user = req.session.user; // Polyfill
 
-    const isAdmin = await checkIsAdmin(req.user.discordId);
-    if (isAdmin) {
+    req.permissions = await getPermissions(req.user.discordId);
+    if (req.permissions.length > 0) {
         return next();
     }
 
     res.status(403).json({ error: 'Forbidden: Admin access required' });
 };
 
+/**
+ * Middleware factory to ensure user holds a specific admin permission (API - async)
+ * @param {string} permission - One of PERMISSIONS
+ */
+const ensurePermission = (permission) => async (req, res, next) => {
+    if (!req.session || !req.session.user) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    req.user = req.session.user; // Polyfill
+
+    req.permissions = await getPermissions(req.user.discordId);
+    if (hasPermission(req.permissions, permission)) {
+        return next();
+    }
+
+    res.status(403).json({ error: `Forbidden: ${PERMISSION_LABELS[permission]} permission required` });
+};
+
 /**
  * Middleware to ensure user is an admin (for pages - async)
  */
@@ -129,6 +193,23 @@ const ensureAdminPage = async (req, res, next) => {
     res.redirect('/dashboard.html');
 };
 
+/**
+ * Middleware to authenticate machine clients (FiveM server) by API key
+ * Accepts `X-API-Key: <key>` or `Authorization: Bearer <key>`
+ */
+const ensureApiKey = async (req, res, next) => {
+    const authHeader = req.get('authorization') || '';
+    const key = req.get('x-api-key') || (authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : null);
+
+    const apiKey = await storage.verifyApiKey(key);
+    if (!apiKey) {
+        return res.status(401).json({ error: 'Invalid or revoked API key' });
+    }
+
+    req.apiKey = apiKey;
+    next();
+};
+
 /**
  * Check if a user ID is an admin (sync version - only checks ID list)
  */
@@ -142,6 +223,9 @@ module.exports = {
     ensureAuthPage,
     ensureAdmin,
     ensureAdminPage,
+    ensurePermission,
+    ensureApiKey,
     isAdmin: checkIsAdminSync,
-    checkIsAdmin
+    checkIsAdmin,
+    getPermissions
 };
@@ -4,91 +4,164 @@
  */
 
 const express = require('express');
-const { ensureAdmin } = require('../middleware/auth');
+const { ensurePermission } = require('../middleware/auth');
+const { PERMISSIONS, isValidPermission } = require('../config/permissions');
 const storage = require('../utils/storage');
-
-// Import bot functions for role management and notifications
+const { reviewApplication, castVote, addReviewComment, setReviewStage, getVoteTally } = require('../utils/applications');
+const { disbandGang } = require('../utils/gangs');
+const { banUser, unbanUser } = require('../utils/bans');
+const { getSuspiciousReport } = require('../utils/suspicious');
+const { getQuestionAnalytics } = require('../utils/questionAnalytics');
+const { validateQuestion, planImport, commitImport } = require('../utils/questions');
+const { EXPORT_FORMATS, createExportStream } = require('../utils/export');
+const { isOpenStatus } = require('../config/applications');
+const { STAFF_FORM_ID, GANG_FORM_ID, validateFormDefinition } = require('../config/forms');
+const { CATEGORIES, DEFAULT_QUIZ_ID, DEFAULT_TIME_LIMIT_MS, MAX_TIME_LIMIT_MINUTES, isValidCategory } = require('../config/quiz');
+
+// Import bot functions for role management
 let assignRoleToUser = null;
 let removeRoleFromUser = null;
-let notifyStaffAppResult = null;
-let notifyGangAppResult = null;
 try {
     const bot = require('../../bot/bot');
     assignRoleToUser = bot.assignRoleToUser;
     removeRoleFromUser = bot.removeRoleFromUser;
-    notifyStaffAppResult = bot.notifyStaffAppResult;
-    notifyGangAppResult = bot.notifyGangAppResult;
 } catch (err) {
-    console.log('[Admin] Bot module not available for role management/notifications');
+    console.log('[Admin] Bot module not available for role management');
 }
 
 const router = express.Router();
 
-// ==================== USER MANAGEMENT ====================
+// Most users one bulk action may change
+const MAX_BULK_FAIL = 100;
 
 /**
- * GET /admin/users
- * Get all users with optional filtering
+ * Record an admin action in the audit log
+ * @param {object} [details] - { before, after, reason }
  */
-router.get('/users', ensureAdmin, async (req, res) => {
-    const { status, search } = req.query;
-    const allUsers = await storage.getUsers();
-    let users = Object.values(allUsers);
+const audit = (req, action, targetType, targetId, details = {}) => storage.logAudit({
+    actorId: req.user.discordId,
+    actorName: req.user.username,
+    actorType: 'admin',
+    action,
+    targetType,
+    targetId: targetId !== undefined && targetId !== null ? String(targetId) : null,
+    ...details
+});
 
-    // Filter by status
-    if (status && status !== 'all') {
-        users = users.filter(u => u.status === status);
-    }
+// ==================== PAGINATION ====================
 
-    // Search by username or ID
-    if (search) {
-        const searchLower = search.toLowerCase();
-        users = users.filter(u =>
-            u.username.toLowerCase().includes(searchLower) ||
-            u.discordId.includes(search)
-        );
-    }
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
 
-    // Sort by last attempt (most recent first)
-    users.sort((a, b) => {
-        if (!a.lastAttempt) return 1;
-        if (!b.lastAttempt) return -1;
-        return new Date(b.lastAttempt) - new Date(a.lastAttempt);
-    });
+/**
+ * Read ?page=&limit=&order= for a paginated list (pages start at 1, newest first by default)
+ * @returns {{ page: number, limit: number, offset: number, order: 'asc'|'desc' }}
+ */
+const getPaging = (query) => {
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    return { page, limit, offset: (page - 1) * limit, order: query.order === 'asc' ? 'asc' : 'desc' };
+};
 
-    // Get latest attempt for each user
-    // Optimization: fetch all attempts once
-    const allAttempts = await storage.getAttempts();
+const getPagination = ({ page, limit }, total) => ({ page, limit, total, pages: Math.max(Math.ceil(total / limit), 1) });
+
+/**
+ * Filters of the users list (also used by its export)
+ * Query: status, search
+ */
+const getUserFilters = ({ status, search }) => ({
+    status: status && status !== 'all' ? status : null,
+    search: search ? String(search).trim() : null
+});
+
+/**
+ * Filters of the attempts list (also used by its export)
+ * Query: status ('passed'|'failed'), discordId, quizId, from, to
+ * @returns {object|null} null when the date range is invalid
+ */
+const getAttemptFilters = ({ status, discordId, quizId, from, to }) => {
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) return null;
+
+    const filters = {
+        discordId: discordId || null,
+        quizId: quizId && quizId !== 'all' ? quizId : null,
+        from: from || null,
+        to: to || null
+    };
+    if (status === 'passed' || status === 'failed') filters.passed = status === 'passed';
+    return filters;
+};
+
+/**
+ * Filter staff/gang applications by ?status: 'pending' means still open, 'all' (or none) everything
+ */
+const filterAppsByStatus = (apps, status) => {
+    if (!status || status === 'all') return apps;
+    if (status === 'pending') return apps.filter(a => isOpenStatus(a.status));
+    return apps.filter(a => a.status === status);
+};
+
+// Totals shown above the lists, computed by count queries
+const getUserStats = async () => {
+    const [total, passed, failed, fresh] = await Promise.all([
+        storage.countUsers(),
+        storage.countUsers({ status: 'passed' }),
+        storage.countUsers({ status: 'failed' }),
+        storage.countUsers({ status: 'new' })
+    ]);
+    return { total, passed, failed, new: fresh };
+};
+
+const getAttemptStats = async () => {
+    const [total, passed] = await Promise.all([
+        storage.countAttempts(),
+        storage.countAttempts({ passed: true })
+    ]);
+    return { total, passed, failed: total - passed };
+};
+
+// ==================== USER MANAGEMENT ====================
+
+/**
+ * GET /admin/users
+ * Get one page of users with optional filtering
+ * Query: status, search, sort ('lastAttempt'|'username'), order ('asc'|'desc'), page, limit
+ */
+router.get('/users', ensurePermission(PERMISSIONS.QUIZ_REVIEWER), async (req, res) => {
+    const paging = getPaging(req.query);
+
+    const [{ users, total }, stats] = await Promise.all([
+        storage.queryUsers({ ...getUserFilters(req.query), sort: req.query.sort, order: paging.order, offset: paging.offset, limit: paging.limit }),
+        getUserStats()
+    ]);
+
+    // Latest score and attempt count, for this page's users only
+    const attempts = await storage.getAttemptsForUsers(users.map(u => u.discordId));
 
     const usersWithAttempts = users.map(user => {
-        const userAttempts = allAttempts.filter(a => a.discordId === user.discordId);
-        // Sort
-        userAttempts.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        const userAttempts = attempts
+            .filter(a => a.discordId === user.discordId)
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
         const latestAttempt = userAttempts[0];
 
         return {
             ...user,
-            latestScore: latestAttempt?.score || null,
-            attemptCount: userAttempts.length
+            latestScore: latestAttempt?.score ?? null,
+            latestTotal: latestAttempt?.total ?? null,
+            attemptCount: userAttempts.length,
+            permissions: user.permissions || []
         };
     });
 
-    // Stats
-    const stats = {
-        total: Object.keys(allUsers).length,
-        passed: Object.values(allUsers).filter(u => u.status === 'passed').length,
-        failed: Object.values(allUsers).filter(u => u.status === 'failed').length,
-        new: Object.values(allUsers).filter(u => u.status === 'new').length
-    };
-
-    res.json({ users: usersWithAttempts, stats });
+    res.json({ users: usersWithAttempts, stats, pagination: getPagination(paging, total) });
 });
 
 /**
  * POST /admin/users/:discordId/pass
  * Manually pass a user (grants full marks and assigns role)
+ * Body: { quizId } - defaults to the allowlist quiz
  */
-router.post('/users/:discordId/pass', ensureAdmin, async (req, res) => {
+router.post('/users/:discordId/pass', ensurePermission(PERMISSIONS.QUIZ_REVIEWER), async (req, res) => {
     const { discordId } = req.params;
     const user = await storage.getUser(discordId);
 
@@ -96,58 +169,68 @@ router.post('/users/:discordId/pass', ensureAdmin, async (req, res) => {
         return res.status(404).json({ error: 'User not found' });
     }
 
+    const quiz = await storage.getQuiz(req.body.quizId || DEFAULT_QUIZ_ID);
+    if (!quiz) {
+        return res.status(404).json({ error: 'Quiz not found' });
+    }
+
+    const before = storage.getQuizStatus(user, quiz.id);
+
     // Update user status
-    await storage.updateUser(discordId, {
+    await storage.setQuizStatus(discordId, quiz.id, {
         status: 'passed',
         lastAttempt: new Date().toISOString()
     });
 
     // Add a manual pass attempt
-    const questions = await storage.getQuestions();
-    const totalQuestions = questions.length;
+    const totalQuestions = await storage.getQuestionsPerAttempt(quiz.id);
     await storage.addAttempt({
         discordId,
+        quizId: quiz.id,
         score: totalQuestions, // Full marks
+        total: totalQuestions,
         passed: true,
         answers: [],
-        ip: 'admin-manual',
         manualPass: true,
         passedBy: req.user.discordId
     });
 
     // Assign Discord role
     let roleAssigned = false;
-    if (assignRoleToUser) {
+    if (assignRoleToUser && quiz.roleId) {
         try {
-            const roleResult = await assignRoleToUser(discordId);
+            const roleResult = await assignRoleToUser(discordId, quiz.roleId, quiz.name);
             roleAssigned = roleResult.success;
-            console.log(`[Admin] Manual pass for ${discordId}: Role ${roleResult.reason}`);
+            console.log(`[Admin] Manual pass for ${discordId} (${quiz.id}): Role ${roleResult.reason}`);
         } catch (err) {
             console.error('[Admin] Failed to assign role:', err.message);
         }
     }
 
+    await audit(req, 'user.pass', 'user', discordId, {
+        before: { quizId: quiz.id, ...before },
+        after: { quizId: quiz.id, status: 'passed', roleAssigned },
+        reason: req.body.reason || null
+    });
+
     res.json({
         success: true,
-        message: 'User manually passed',
+        message: `User manually passed (${quiz.name})`,
         roleAssigned
     });
 });
 
 /**
- * POST /admin/users/:discordId/fail
- * Manually fail a user (revokes pass and removes role)
+ * Revoke a user's result for a quiz: status back to new, a manual fail attempt, role removed,
+ * logged out everywhere and audited
+ * @returns {Promise<{ roleRemoved: boolean, sessionsRevoked: number|null }>}
  */
-router.post('/users/:discordId/fail', ensureAdmin, async (req, res) => {
-    const { discordId } = req.params;
-    const user = await storage.getUser(discordId);
-
-    if (!user) {
-        return res.status(404).json({ error: 'User not found' });
-    }
+async function failUserQuiz(req, user, quiz, reason) {
+    const { discordId } = user;
+    const before = storage.getQuizStatus(user, quiz.id);
 
     // Update user status to new (can retake quiz)
-    await storage.updateUser(discordId, {
+    await storage.setQuizStatus(discordId, quiz.id, {
         status: 'new',
         lastAttempt: new Date().toISOString()
     });
@@ -155,38 +238,173 @@ router.post('/users/:discordId/fail', ensureAdmin, async (req, res) => {
     // Add a manual fail record
     await storage.addAttempt({
         discordId,
+        quizId: quiz.id,
         score: 0,
         passed: false,
         answers: [],
-        ip: 'admin-manual',
         manualFail: true,
         failedBy: req.user.discordId
     });
 
     // Remove Discord role
     let roleRemoved = false;
-    if (removeRoleFromUser) {
+    if (removeRoleFromUser && quiz.roleId) {
         try {
-            const roleResult = await removeRoleFromUser(discordId);
+            const roleResult = await removeRoleFromUser(discordId, quiz.roleId);
             roleRemoved = roleResult.success;
-            console.log(`[Admin] Manual fail for ${discordId}: Role ${roleResult.reason}`);
+            console.log(`[Admin] Manual fail for ${discordId} (${quiz.id}): Role ${roleResult.reason}`);
         } catch (err) {
             console.error('[Admin] Failed to remove role:', err.message);
         }
     }
 
+    // Log them out everywhere so they pick up the revoked status
+    const sessionsRevoked = await storage.revokeUserLoginSessions(discordId);
+
+    await audit(req, 'user.fail', 'user', discordId, {
+        before: { quizId: quiz.id, ...before },
+        after: { quizId: quiz.id, status: 'new', roleRemoved, sessionsRevoked },
+        reason: reason || null
+    });
+
+    return { roleRemoved, sessionsRevoked };
+}
+
+/**
+ * POST /admin/users/:discordId/fail
+ * Manually fail a user (revokes pass and removes role)
+ * Body: { quizId } - defaults to the allowlist quiz
+ */
+router.post('/users/:discordId/fail', ensurePermission(PERMISSIONS.QUIZ_REVIEWER), async (req, res) => {
+    const { discordId } = req.params;
+    const user = await storage.getUser(discordId);
+
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
+    const quiz = await storage.getQuiz(req.body.quizId || DEFAULT_QUIZ_ID);
+    if (!quiz) {
+        return res.status(404).json({ error: 'Quiz not found' });
+    }
+
+    const { roleRemoved, sessionsRevoked } = await failUserQuiz(req, user, quiz, req.body.reason);
+
     res.json({
         success: true,
         message: 'User status revoked',
-        roleRemoved
+        roleRemoved,
+        sessionsRevoked
     });
 });
 
+/**
+ * POST /admin/users/bulk-fail
+ * Manually fail several users at once (e.g. from the suspicious attempts report)
+ * Body: { discordIds, quizId, reason } - quizId defaults to the allowlist quiz; a reason is required
+ */
+router.post('/users/bulk-fail', ensurePermission(PERMISSIONS.QUIZ_REVIEWER), async (req, res) => {
+    const { discordIds, reason } = req.body;
+    if (!Array.isArray(discordIds) || discordIds.length === 0 || discordIds.length > MAX_BULK_FAIL) {
+        return res.status(400).json({ error: `discordIds must list 1 to ${MAX_BULK_FAIL} users` });
+    }
+    if (typeof reason !== 'string' || !reason.trim()) {
+        return res.status(400).json({ error: 'A reason is required' });
+    }
+
+    const quiz = await storage.getQuiz(req.body.quizId || DEFAULT_QUIZ_ID);
+    if (!quiz) {
+        return res.status(404).json({ error: 'Quiz not found' });
+    }
+
+    const users = await storage.getUsersByIds([...new Set(discordIds.map(String))]);
+    const failed = [];
+    for (const user of Object.values(users)) {
+        await failUserQuiz(req, user, quiz, reason.trim());
+        failed.push(user.discordId);
+    }
+    console.log(`[Admin] Bulk fail (${quiz.id}) of ${failed.length} user(s) by ${req.user.discordId}`);
+
+    res.json({
+        success: true,
+        failed,
+        notFound: discordIds.map(String).filter(id => !users[id])
+    });
+});
+
+/**
+ * GET /admin/users/:discordId/cooldown?quizId=
+ * Get a user's current cooldown for a quiz and their cooldown adjustment history
+ */
+router.get('/users/:discordId/cooldown', ensurePermission(PERMISSIONS.QUIZ_REVIEWER), async (req, res) => {
+    const { discordId } = req.params;
+    const quizId = req.query.quizId || DEFAULT_QUIZ_ID;
+    const user = await storage.getUser(discordId);
+
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+        quizId,
+        cooldown: await storage.isInCooldown(discordId, quizId),
+        history: (user.cooldownHistory || []).filter(h => h.quizId === quizId).reverse()
+    });
+});
+
+/**
+ * POST /admin/users/:discordId/cooldown
+ * Clear, shorten or extend a user's cooldown
+ * Body: { action: 'clear'|'shorten'|'extend', hours, reason, quizId }
+ */
+router.post('/users/:discordId/cooldown', ensurePermission(PERMISSIONS.QUIZ_REVIEWER), async (req, res) => {
+    const { discordId } = req.params;
+    const { action, reason } = req.body;
+    const quizId = req.body.quizId || DEFAULT_QUIZ_ID;
+    const hours = parseFloat(req.body.hours);
+
+    if (!storage.COOLDOWN_ACTIONS.includes(action)) {
+        return res.status(400).json({ error: `Action must be one of: ${storage.COOLDOWN_ACTIONS.join(', ')}` });
+    }
+
+    if (action !== 'clear' && (!Number.isFinite(hours) || hours <= 0 || hours > storage.MAX_COOLDOWN_ADJUST_HOURS)) {
+        return res.status(400).json({ error: `Hours must be more than 0 and at most ${storage.MAX_COOLDOWN_ADJUST_HOURS}` });
+    }
+
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+        return res.status(400).json({ error: 'A reason is required' });
+    }
+
+    if (!await storage.getQuiz(quizId)) {
+        return res.status(404).json({ error: 'Quiz not found' });
+    }
+
+    const before = await storage.isInCooldown(discordId, quizId);
+    const cooldown = await storage.adjustCooldown(discordId, quizId, {
+        action,
+        hours: action === 'clear' ? 0 : hours,
+        reason: reason.trim(),
+        by: req.user.discordId
+    });
+
+    if (!cooldown) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
+    console.log(`[Admin] Cooldown ${action} for ${discordId} (${quizId}) by ${req.user.discordId}`);
+    await audit(req, `user.cooldown.${action}`, 'user', discordId, {
+        before: { quizId, inCooldown: before.inCooldown, remainingTime: before.remainingTime },
+        after: { quizId, inCooldown: cooldown.inCooldown, remainingTime: cooldown.remainingTime, hours },
+        reason: reason.trim()
+    });
+    res.json({ success: true, cooldown });
+});
+
 /**
  * DELETE /admin/users/:discordId
  * Delete a user completely
  */
-router.delete('/users/:discordId', ensureAdmin, async (req, res) => {
+router.delete('/users/:discordId', ensurePermission(PERMISSIONS.SUPER_ADMIN), async (req, res) => {
     const { discordId } = req.params;
     const user = await storage.getUser(discordId);
 
@@ -203,103 +421,231 @@ router.delete('/users/:discordId', ensureAdmin, async (req, res) => {
         }
     }
 
-    // Delete user
+    // Delete user and log them out everywhere
     await storage.deleteUser(discordId);
+    const sessionsRevoked = await storage.revokeUserLoginSessions(discordId);
+    await audit(req, 'user.delete', 'user', discordId, {
+        before: user,
+        after: { sessionsRevoked },
+        reason: req.body?.reason || null
+    });
 
-    res.json({ success: true, message: 'User deleted' });
+    res.json({ success: true, message: 'User deleted', sessionsRevoked });
 });
 
-// ==================== ATTEMPTS ====================
+/**
+ * GET /admin/users/:discordId/sessions
+ * List a user's active website sessions
+ */
+router.get('/users/:discordId/sessions', ensurePermission(PERMISSIONS.SUPER_ADMIN), async (req, res) => {
+    res.json({ sessions: await storage.getUserLoginSessions(req.params.discordId) });
+});
 
 /**
- * GET /admin/attempts
- * Get all quiz attempts with filtering
+ * DELETE /admin/users/:discordId/sessions
+ * Log a user out of every session
  */
-router.get('/attempts', ensureAdmin, async (req, res) => {
-    const { status, discordId } = req.query;
-    let attempts = await storage.getAttempts();
+router.delete('/users/:discordId/sessions', ensurePermission(PERMISSIONS.SUPER_ADMIN), async (req, res) => {
+    const { discordId } = req.params;
 
-    // Filter by status
-    if (status === 'passed') {
-        attempts = attempts.filter(a => a.passed);
-    } else if (status === 'failed') {
-        attempts = attempts.filter(a => !a.passed);
+    const revoked = await storage.revokeUserLoginSessions(discordId);
+    if (revoked === null) {
+        return res.status(500).json({ error: 'Failed to revoke sessions' });
     }
 
-    // Filter by user
-    if (discordId) {
-        attempts = attempts.filter(a => a.discordId === discordId);
+    await audit(req, 'user.sessions.revoke', 'user', discordId, { after: { revoked }, reason: req.body?.reason || null });
+    console.log(`[Admin] ${revoked} session(s) of ${discordId} revoked by ${req.user.discordId}`);
+    res.json({ success: true, revoked });
+});
+
+/**
+ * DELETE /admin/users/:discordId/sessions/:sessionId
+ * Log a user out of one session (id from the session list)
+ */
+router.delete('/users/:discordId/sessions/:sessionId', ensurePermission(PERMISSIONS.SUPER_ADMIN), async (req, res) => {
+    const { discordId, sessionId } = req.params;
+
+    const success = await storage.revokeLoginSession(discordId, sessionId);
+    if (success === null) {
+        return res.status(404).json({ error: 'Session not found' });
     }
+    if (!success) {
+        return res.status(500).json({ error: 'Failed to revoke session' });
+    }
+
+    await audit(req, 'user.sessions.revoke', 'user', discordId, { after: { revoked: 1, sessionId }, reason: req.body?.reason || null });
+    console.log(`[Admin] Session of ${discordId} revoked by ${req.user.discordId}`);
+    res.json({ success: true, revoked: 1 });
+});
 
-    // Sort by timestamp (most recent first)
-    attempts.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+/**
+ * PUT /admin/users/:discordId/permissions
+ * Set the admin permissions granted to a user (on top of any from Discord roles)
+ * Body: { permissions: string[], reason? }
+ */
+router.put('/users/:discordId/permissions', ensurePermission(PERMISSIONS.SUPER_ADMIN), async (req, res) => {
+    const { discordId } = req.params;
+    const { permissions, reason } = req.body;
+    const user = await storage.getUser(discordId);
+
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!Array.isArray(permissions) || !permissions.every(isValidPermission)) {
+        return res.status(400).json({ error: 'Invalid permissions' });
+    }
+
+    const granted = [...new Set(permissions)];
+    const success = await storage.updateUser(discordId, { permissions: granted });
+    if (!success) {
+        return res.status(500).json({ error: 'Failed to update permissions' });
+    }
+
+    await audit(req, 'user.permissions', 'user', discordId, {
+        before: { permissions: user.permissions || [] },
+        after: { permissions: granted },
+        reason: reason || null
+    });
+    console.log(`[Admin] Permissions for ${discordId} set to [${granted.join(', ')}] by ${req.user.discordId}`);
+
+    res.json({ success: true, permissions: granted });
+});
 
-    // Get user info for each attempt
-    const users = await storage.getUsers();
+// ==================== ATTEMPTS ====================
+
+/**
+ * GET /admin/attempts
+ * Get one page of quiz attempts with filtering
+ * Query: status ('passed'|'failed'), discordId, quizId, from, to, sort ('timestamp'|'score'), order, page, limit
+ */
+router.get('/attempts', ensurePermission(PERMISSIONS.QUIZ_REVIEWER), async (req, res) => {
+    const filters = getAttemptFilters(req.query);
+    if (!filters) {
+        return res.status(400).json({ error: 'Invalid date range' });
+    }
+
+    const paging = getPaging(req.query);
+    const [{ attempts, total }, stats] = await Promise.all([
+        storage.queryAttempts({ ...filters, sort: req.query.sort, order: paging.order, offset: paging.offset, limit: paging.limit }),
+        getAttemptStats()
+    ]);
+
+    // Usernames for this page's attempts only
+    const users = await storage.getUsersByIds([...new Set(attempts.map(a => a.discordId))]);
     const attemptsWithUsers = attempts.map(attempt => ({
         ...attempt,
+        quizId: attempt.quizId || DEFAULT_QUIZ_ID,
         username: users[attempt.discordId]?.username || 'Unknown'
     }));
 
-    // Stats
-    const allAttempts = await storage.getAttempts();
-    const stats = {
-        total: allAttempts.length,
-        passed: allAttempts.filter(a => a.passed).length,
-        failed: allAttempts.filter(a => !a.passed).length
-    };
+    res.json({ attempts: attemptsWithUsers, stats, pagination: getPagination(paging, total) });
+});
+
+/**
+ * GET /admin/attempts/suspicious
+ * Flag possible alt accounts and answer sharing in recent attempts (see src/utils/suspicious.js)
+ * Query: quizId (default allowlist quiz), days (default 30)
+ */
+router.get('/attempts/suspicious', ensurePermission(PERMISSIONS.QUIZ_REVIEWER), async (req, res) => {
+    const result = await getSuspiciousReport({
+        quizId: req.query.quizId || DEFAULT_QUIZ_ID,
+        days: req.query.days || undefined
+    });
+    if (!result.success) {
+        return res.status(result.code).json({ error: result.error });
+    }
 
-    res.json({ attempts: attemptsWithUsers, stats });
+    const { success, ...report } = result;
+    const quizzes = await storage.getQuizzes();
+    res.json({ ...report, quizzes: quizzes.map(q => ({ id: q.id, name: q.name })) });
 });
 
 // ==================== QUESTION MANAGEMENT ====================
 
 /**
- * GET /admin/questions
- * Get all questions (with correct answers for admin)
+ * GET /admin/questions?quizId=
+ * Get a quiz's questions (with correct answers for admin), the categories and how many are drawn per attempt
  */
-router.get('/questions', ensureAdmin, async (req, res) => {
-    const questions = await storage.getQuestions();
+router.get('/questions', ensurePermission(PERMISSIONS.QUESTION_EDITOR), async (req, res) => {
+    const quizId = req.query.quizId || DEFAULT_QUIZ_ID;
+    const quiz = await storage.getQuiz(quizId);
+    if (!quiz) {
+        return res.status(404).json({ error: 'Quiz not found' });
+    }
+
+    const questions = await storage.getQuestions(quizId);
     // Normalize field name (some may have correctOption, new ones have correctAnswer)
     const normalizedQuestions = questions.map(q => ({
         ...q,
         correctOption: q.correctOption !== undefined ? q.correctOption : q.correctAnswer
     }));
-    res.json({ questions: normalizedQuestions });
+    const plan = await storage.getQuizPlan(quizId);
+    const quizzes = await storage.getQuizzes();
+    res.json({
+        quizId,
+        quizzes: quizzes.map(q => ({ id: q.id, name: q.name })),
+        questions: normalizedQuestions,
+        categories: CATEGORIES,
+        pool: {
+            bankSize: questions.length,
+            questionsPerAttempt: plan.total,
+            passScore: plan.passScore,
+            shuffleOptions: plan.shuffleOptions,
+            sections: plan.sections
+        }
+    });
+});
+
+/**
+ * GET /admin/questions/analytics
+ * Per-question correct rate, chosen options, discrimination and average time (see src/utils/questionAnalytics.js)
+ * Query: quizId (default allowlist quiz), days (default every attempt)
+ */
+router.get('/questions/analytics', ensurePermission(PERMISSIONS.QUESTION_EDITOR), async (req, res) => {
+    const result = await getQuestionAnalytics({ quizId: req.query.quizId || DEFAULT_QUIZ_ID, days: req.query.days });
+    if (!result.success) {
+        return res.status(result.code).json({ error: result.error });
+    }
+
+    const { success, ...analytics } = result;
+    res.json(analytics);
 });
 
 /**
  * POST /admin/questions
  * Add a new question
  */
-router.post('/questions', ensureAdmin, async (req, res) => {
-    const { question, options } = req.body;
+router.post('/questions', ensurePermission(PERMISSIONS.QUESTION_EDITOR), async (req, res) => {
+    const { question, options, category } = req.body;
     // Accept both correctOption and correctAnswer for compatibility
     const correctOption = req.body.correctOption !== undefined ? req.body.correctOption : req.body.correctAnswer;
 
-    // Validate input
-    if (!question || typeof question !== 'string') {
-        return res.status(400).json({ error: 'Question text is required' });
+    const quizId = req.body.quizId || DEFAULT_QUIZ_ID;
+    if (!await storage.getQuiz(quizId)) {
+        return res.status(400).json({ error: 'Invalid quiz' });
     }
 
-    if (!options || !Array.isArray(options) || options.length < 2) {
-        return res.status(400).json({ error: 'At least 2 options are required' });
-    }
-
-    if (correctOption === undefined || correctOption < 0 || correctOption >= options.length) {
-        return res.status(400).json({ error: 'Valid correct answer index is required' });
+    // Same rules as question imports
+    const { question: valid, errors } = validateQuestion({ question, options, correctOption, category }, quizId);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: errors.join('; ') });
     }
 
     const newQuestion = await storage.addQuestion({
-        question: question.trim(),
-        options: options.map(o => o.trim()),
-        correctOption: parseInt(correctOption)
+        question: valid.question,
+        options: valid.options,
+        correctOption: valid.correctOption,
+        category: valid.category,
+        quizId
     });
 
     if (!newQuestion) {
         return res.status(500).json({ error: 'Failed to add question' });
     }
 
+    await audit(req, 'question.create', 'question', newQuestion.id, { after: newQuestion });
+
     res.json({ success: true, question: newQuestion });
 });
 
@@ -307,153 +653,886 @@ router.post('/questions', ensureAdmin, async (req, res) => {
  * PUT /admin/questions/:id
  * Update a question
  */
-router.put('/questions/:id', ensureAdmin, async (req, res) => {
+router.put('/questions/:id', ensurePermission(PERMISSIONS.QUESTION_EDITOR), async (req, res) => {
     const id = parseInt(req.params.id);
-    const { question, options } = req.body;
+    const { question, options, category } = req.body;
     // Accept both correctOption and correctAnswer
     const correctOption = req.body.correctOption !== undefined ? req.body.correctOption : req.body.correctAnswer;
 
-    const updates = {};
-    if (question) updates.question = question.trim();
-    if (options) updates.options = options.map(o => o.trim());
-    if (correctOption !== undefined) updates.correctOption = parseInt(correctOption);
+    const before = (await storage.getQuestions()).find(q => q.id === id) || null;
+    if (!before) {
+        return res.status(404).json({ error: 'Question not found or update failed' });
+    }
+
+    // Fields left out keep their current value; the result is checked like a new question
+    const changes = { question, options, correctOption, category };
+    Object.keys(changes).forEach(key => changes[key] === undefined && delete changes[key]);
+    const { question: valid, errors } = validateQuestion({ ...before, ...changes }, before.quizId);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: errors.join('; ') });
+    }
 
+    const updates = {
+        question: valid.question,
+        options: valid.options,
+        correctOption: valid.correctOption,
+        category: valid.category
+    };
     const updatedQuestion = await storage.updateQuestion(id, updates);
 
     if (!updatedQuestion) {
         return res.status(404).json({ error: 'Question not found or update failed' });
     }
 
+    await audit(req, 'question.update', 'question', id, { before, after: updatedQuestion });
+
     res.json({ success: true, question: updatedQuestion });
 });
 
+/**
+ * Import body shared by preview and commit
+ * Body: { quizId, format: 'csv'|'json', mode: 'merge'|'replace', content } (content is the file's text)
+ */
+const getImportParams = (body) => ({
+    quizId: body.quizId || DEFAULT_QUIZ_ID,
+    format: body.format,
+    mode: body.mode || 'merge',
+    content: body.content
+});
+
+/**
+ * POST /admin/questions/import/preview
+ * Validate an uploaded question file and show what importing it would change; nothing is saved.
+ * Returns the plan: per-row status/errors/diff, questions a replace would delete, and the bank version to commit against.
+ */
+router.post('/questions/import/preview', ensurePermission(PERMISSIONS.QUESTION_EDITOR), async (req, res) => {
+    const result = await planImport(getImportParams(req.body));
+    if (!result.success) {
+        return res.status(result.code).json({ error: result.error });
+    }
+    res.json(result.plan);
+});
+
+/**
+ * POST /admin/questions/import
+ * Save a previewed import in one transaction
+ * Body: preview body + { version } from the preview (409 when the bank changed since)
+ */
+router.post('/questions/import', ensurePermission(PERMISSIONS.QUESTION_EDITOR), async (req, res) => {
+    const result = await commitImport(
+        { ...getImportParams(req.body), version: req.body.version },
+        { discordId: req.user.discordId, username: req.user.username }
+    );
+    if (!result.success) {
+        return res.status(result.code).json({ error: result.error, plan: result.plan });
+    }
+
+    const { summary, quizId } = result.plan;
+    console.log(`[Admin] ${req.user.discordId} imported questions into ${quizId}: ` +
+        `${summary.create} new, ${summary.update} updated, ${summary.delete} deleted`);
+    res.json({ success: true, summary });
+});
+
+// ==================== SETTINGS ====================
+
+/**
+ * GET /admin/settings/cooldown
+ * Get the quiz cooldown policy (durations in hours)
+ */
+router.get('/settings/cooldown', ensurePermission(PERMISSIONS.SUPER_ADMIN), async (req, res) => {
+    const policy = await storage.getCooldownPolicy();
+    res.json({
+        stepsHours: policy.steps.map(ms => ms / (60 * 60 * 1000)),
+        maxAttemptsPerMonth: policy.maxAttemptsPerMonth
+    });
+});
+
+/**
+ * PUT /admin/settings/cooldown
+ * Update the quiz cooldown policy
+ * Body: { stepsHours: [1, 24, 72, 168], maxAttemptsPerMonth: 5 }
+ */
+router.put('/settings/cooldown', ensurePermission(PERMISSIONS.SUPER_ADMIN), async (req, res) => {
+    const { stepsHours, maxAttemptsPerMonth } = req.body;
+
+    if (!Array.isArray(stepsHours) || stepsHours.length === 0 || stepsHours.length > 10) {
+        return res.status(400).json({ error: 'Between 1 and 10 cooldown steps are required' });
+    }
+
+    const steps = stepsHours.map(h => Math.round(parseFloat(h) * 60 * 60 * 1000));
+    if (steps.some(ms => !Number.isFinite(ms) || ms < 0)) {
+        return res.status(400).json({ error: 'Cooldown steps must be zero or more hours' });
+    }
+
+    const maxAttempts = parseInt(maxAttemptsPerMonth, 10);
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 0) {
+        return res.status(400).json({ error: 'Monthly attempt limit must be zero (unlimited) or more' });
+    }
+
+    const before = await storage.getCooldownPolicy();
+    const success = await storage.saveCooldownPolicy({ steps, maxAttemptsPerMonth: maxAttempts });
+    if (!success) {
+        return res.status(500).json({ error: 'Failed to save cooldown policy' });
+    }
+
+    await audit(req, 'settings.cooldown', 'settings', 'cooldown_policy', {
+        before,
+        after: { steps, maxAttemptsPerMonth: maxAttempts }
+    });
+
+    console.log(`[Admin] Cooldown policy updated by ${req.user.discordId}`);
+    res.json({ success: true, stepsHours: steps.map(ms => ms / (60 * 60 * 1000)), maxAttemptsPerMonth: maxAttempts });
+});
+
+/**
+ * GET /admin/settings/review
+ * Get the staff application review policy (votes needed to accept/reject)
+ */
+router.get('/settings/review', ensurePermission(PERMISSIONS.SUPER_ADMIN), async (req, res) => {
+    res.json(await storage.getReviewPolicy());
+});
+
+/**
+ * PUT /admin/settings/review
+ * Update the staff application review policy
+ * Body: { approvalsRequired: 2, denialsRequired: 2 }
+ */
+router.put('/settings/review', ensurePermission(PERMISSIONS.SUPER_ADMIN), async (req, res) => {
+    const approvalsRequired = parseInt(req.body.approvalsRequired, 10);
+    const denialsRequired = parseInt(req.body.denialsRequired, 10);
+
+    if (!Number.isInteger(approvalsRequired) || approvalsRequired < 1 ||
+        !Number.isInteger(denialsRequired) || denialsRequired < 1) {
+        return res.status(400).json({ error: 'At least one vote must be required to accept and to reject' });
+    }
+
+    const before = await storage.getReviewPolicy();
+    const policy = { approvalsRequired, denialsRequired };
+    if (!await storage.saveReviewPolicy(policy)) {
+        return res.status(500).json({ error: 'Failed to save review policy' });
+    }
+
+    await audit(req, 'settings.review', 'settings', 'staff_review_policy', { before, after: policy });
+
+    console.log(`[Admin] Review policy updated by ${req.user.discordId}`);
+    res.json({ success: true, ...policy });
+});
+
+// ==================== QUIZ MANAGEMENT ====================
+
+/**
+ * GET /admin/quizzes
+ * Get all quiz definitions with their bank sizes
+ */
+router.get('/quizzes', ensurePermission(PERMISSIONS.QUESTION_EDITOR), async (req, res) => {
+    const quizzes = await storage.getQuizzes();
+    const questions = await storage.getQuestions();
+
+    res.json({
+        quizzes: quizzes.map(quiz => ({
+            ...quiz,
+            bankSize: questions.filter(q => q.quizId === quiz.id).length
+        })),
+        categories: CATEGORIES
+    });
+});
+
+/**
+ * PUT /admin/quizzes/:quizId
+ * Create or update a quiz definition (name, role, pass mark, time limit, sections...)
+ */
+router.put('/quizzes/:quizId', ensurePermission(PERMISSIONS.SUPER_ADMIN), async (req, res) => {
+    const { quizId } = req.params;
+    const existing = await storage.getQuiz(quizId);
+
+    if (!existing && !/^[a-z0-9-]{2,32}$/.test(quizId)) {
+        return res.status(400).json({ error: 'Quiz ID must be 2-32 lowercase letters, numbers or dashes' });
+    }
+
+    const quiz = {
+        id: quizId,
+        name: existing?.name,
+        description: existing?.description || '',
+        roleId: existing?.roleId || null,
+        passScore: existing?.passScore,
+        timeLimitMs: existing ? existing.timeLimitMs : DEFAULT_TIME_LIMIT_MS,
+        shuffleOptions: existing ? existing.shuffleOptions : true,
+        requiresQuizId: existing ? existing.requiresQuizId : DEFAULT_QUIZ_ID,
+        active: existing ? existing.active : true,
+        sections: existing?.sections
+    };
+
+    const {
+        name, description, roleId, passScore, timeLimitMinutes,
+        shuffleOptions, requiresQuizId, active, sections
+    } = req.body;
+
+    if (name !== undefined) quiz.name = String(name).trim();
+    if (description !== undefined) quiz.description = String(description).trim();
+    if (roleId !== undefined) quiz.roleId = roleId ? String(roleId).trim() : null;
+    if (passScore !== undefined) quiz.passScore = parseInt(passScore);
+    if (timeLimitMinutes !== undefined) {
+        const minutes = parseFloat(timeLimitMinutes);
+        if (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_TIME_LIMIT_MINUTES) {
+            return res.status(400).json({ error: `Time limit must be a whole number of minutes from 0 (untimed) to ${MAX_TIME_LIMIT_MINUTES}` });
+        }
+        quiz.timeLimitMs = minutes * 60 * 1000;
+    }
+    if (shuffleOptions !== undefined) quiz.shuffleOptions = !!shuffleOptions;
+    if (requiresQuizId !== undefined) quiz.requiresQuizId = requiresQuizId || null;
+    if (active !== undefined) quiz.active = !!active;
+    if (sections !== undefined) quiz.sections = sections;
+
+    // Validate
+    if (!quiz.name) {
+        return res.status(400).json({ error: 'Quiz name is required' });
+    }
+
+    if (!Number.isInteger(quiz.passScore) || quiz.passScore < 1) {
+        return res.status(400).json({ error: 'Pass score must be a positive number' });
+    }
+
+    if (!Number.isFinite(quiz.timeLimitMs) || quiz.timeLimitMs < 0) {
+        return res.status(400).json({ error: 'Time limit must be zero (untimed) or more minutes' });
+    }
+
+    if (!Array.isArray(quiz.sections) || quiz.sections.length === 0) {
+        return res.status(400).json({ error: 'At least one section is required' });
+    }
+
+    for (const section of quiz.sections) {
+        if (!isValidCategory(section.category)) {
+            return res.status(400).json({ error: `Invalid section category: ${section.category}` });
+        }
+        if (!Number.isInteger(section.count) || section.count < 1 ||
+            !Number.isInteger(section.minCorrect) || section.minCorrect < 0 || section.minCorrect > section.count) {
+            return res.status(400).json({ error: `Invalid count or minimum for section ${section.category}` });
+        }
+    }
+
+    const totalQuestions = quiz.sections.reduce((sum, s) => sum + s.count, 0);
+    if (quiz.passScore > totalQuestions) {
+        return res.status(400).json({ error: `Pass score cannot exceed the ${totalQuestions} questions per attempt` });
+    }
+
+    if (quiz.requiresQuizId) {
+        if (quiz.requiresQuizId === quizId || !await storage.getQuiz(quiz.requiresQuizId)) {
+            return res.status(400).json({ error: 'Invalid prerequisite quiz' });
+        }
+    }
+
+    const saved = await storage.saveQuiz({
+        ...quiz,
+        sections: quiz.sections.map(s => ({ category: s.category, count: s.count, minCorrect: s.minCorrect }))
+    });
+
+    if (!saved) {
+        return res.status(500).json({ error: 'Failed to save quiz' });
+    }
+
+    console.log(`[Admin] Quiz ${quizId} saved by ${req.user.discordId}`);
+    const after = await storage.getQuiz(quizId);
+    await audit(req, 'quiz.save', 'quiz', quizId, { before: existing, after });
+    res.json({ success: true, quiz: after });
+});
+
 /**
  * GET /admin/staff-applications
- * View all staff applications
+ * View staff applications
+ * Query: status ('pending' = still open, 'all', or a status)
  */
-router.get('/staff-applications', ensureAdmin, async (req, res) => {
+router.get('/staff-applications', ensurePermission(PERMISSIONS.STAFF_APP_REVIEWER), async (req, res) => {
     const apps = await storage.getStaffApps();
+    const policy = await storage.getReviewPolicy();
     const stats = {
         total: apps.length,
-        pending: apps.filter(a => a.status === 'pending').length
+        pending: apps.filter(a => isOpenStatus(a.status)).length
     };
-    res.json({ applications: apps, stats });
+    res.json({
+        applications: filterAppsByStatus(apps, req.query.status).map(a => ({ ...a, tally: getVoteTally(a, policy) })),
+        stats,
+        policy,
+        fields: (await storage.getForm(STAFF_FORM_ID)).fields
+    });
 });
 
 /**
  * GET /admin/gang-applications
- * View all gang applications
+ * View gang applications
+ * Query: status ('pending' = still open, 'all', or a status)
  */
-router.get('/gang-applications', ensureAdmin, async (req, res) => {
+router.get('/gang-applications', ensurePermission(PERMISSIONS.GANG_APP_REVIEWER), async (req, res) => {
     const apps = await storage.getGangApps();
     const stats = {
         total: apps.length,
         pending: apps.filter(a => a.status === 'pending').length
     };
-    res.json({ applications: apps, stats });
+    res.json({ applications: filterAppsByStatus(apps, req.query.status), stats, fields: (await storage.getForm(GANG_FORM_ID)).fields });
+});
+
+/**
+ * GET /admin/form-applications
+ * View applications made with admin-built forms
+ * Query: ?formId=business
+ */
+router.get('/form-applications', ensurePermission(PERMISSIONS.STAFF_APP_REVIEWER), async (req, res) => {
+    const { formId } = req.query;
+    let apps = await storage.getFormApps();
+    if (formId && formId !== 'all') {
+        apps = apps.filter(a => a.formId === formId);
+    }
+
+    const forms = (await storage.getForms()).filter(f => !f.builtIn);
+    const stats = {
+        total: apps.length,
+        pending: apps.filter(a => isOpenStatus(a.status)).length
+    };
+    res.json({
+        applications: apps.sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt)),
+        stats,
+        forms: forms.map(f => ({ id: f.id, name: f.name, fields: f.fields }))
+    });
 });
 
 /**
  * DELETE /admin/questions/:id
  * Delete a question
  */
-router.delete('/questions/:id', ensureAdmin, async (req, res) => {
+router.delete('/questions/:id', ensurePermission(PERMISSIONS.QUESTION_EDITOR), async (req, res) => {
     const id = parseInt(req.params.id);
+    const before = (await storage.getQuestions()).find(q => q.id === id) || null;
     const success = await storage.deleteQuestion(id);
 
     if (!success) {
         return res.status(404).json({ error: 'Question not found or delete failed' });
     }
 
+    await audit(req, 'question.delete', 'question', id, { before });
+
     res.json({ success: true, message: 'Question deleted' });
 });
 
 /**
- * POST /admin/staff-applications/:id/status
- * Accept or Reject a staff application
+ * Accept or reject an application (same path as the Discord review buttons)
+ * Body: { status: 'accepted'|'rejected', reason }
  */
-router.post('/staff-applications/:id/status', ensureAdmin, async (req, res) => {
+async function handleReview(type, req, res) {
     try {
-        const appId = req.params.id;
         const { status, reason } = req.body;
+        console.log(`[Admin] Update ${type} app: ${req.params.id} -> ${status}`);
+
+        const result = await reviewApplication(type, req.params.id, {
+            status,
+            reason: reason || null,
+            reviewer: { discordId: req.user.discordId, username: req.user.username },
+            via: 'admin'
+        });
+        if (!result.success) {
+            return res.status(result.code).json({ error: result.error });
+        }
 
-        console.log(`[Admin] Update Staff App: ${appId} -> ${status}`);
+        const message = result.gang && !result.gang.success
+            ? `Application ${status}, but the gang could not be created: ${result.gang.error}`
+            : `Application ${status}`;
+        res.json({ success: true, message });
+    } catch (err) {
+        console.error(`[Admin] Error updating ${type} app: ${err.message}`);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
 
-        if (!['accepted', 'rejected'].includes(status)) {
-            return res.status(400).json({ error: 'Invalid status' });
-        }
+/**
+ * POST /admin/staff-applications/:id/status
+ * Accept or Reject a staff application directly, overriding the vote
+ */
+router.post('/staff-applications/:id/status', ensurePermission(PERMISSIONS.SUPER_ADMIN), (req, res) => handleReview('staff', req, res));
 
-        const apps = await storage.getStaffApps();
-        const app = apps.find(a => a.applicationId === appId);
+/**
+ * POST /admin/staff-applications/:id/votes
+ * Cast or change your vote on a staff application
+ * Body: { vote: 'approve'|'deny', comment }
+ */
+router.post('/staff-applications/:id/votes', ensurePermission(PERMISSIONS.STAFF_APP_REVIEWER), async (req, res) => {
+    const { vote } = req.body;
+    const comment = typeof req.body.comment === 'string' ? req.body.comment.trim().slice(0, 1000) : '';
 
-        if (!app) {
-            console.log(`[Admin] Staff App ${appId} not found`);
-            return res.status(404).json({ error: 'Application not found' });
-        }
+    if (vote === 'deny' && !comment) {
+        return res.status(400).json({ error: 'A comment is required when voting to deny' });
+    }
 
-        const success = await storage.updateStaffAppStatus(appId, status);
-        if (!success) {
-            return res.status(500).json({ error: 'Failed to update status in storage' });
-        }
+    const result = await castVote(req.params.id, {
+        vote,
+        comment: comment || null,
+        reviewer: { discordId: req.user.discordId, username: req.user.username },
+        via: 'admin'
+    });
+    if (!result.success) {
+        return res.status(result.code).json({ error: result.error });
+    }
 
-        // Notify user via bot
-        if (notifyStaffAppResult) {
-            try {
-                await notifyStaffAppResult(app.discordId, status, reason);
-            } catch (botErr) {
-                console.error(`[Admin] Failed to send bot notification: ${botErr.message}`);
-            }
-        }
+    console.log(`[Admin] ${req.user.discordId} voted ${vote} on staff app ${req.params.id}`);
+    res.json({ success: true, status: result.app.status, tally: result.tally });
+});
 
-        res.json({ success: true, message: `Application ${status}` });
-    } catch (err) {
-        console.error(`[Admin] Error updating staff app: ${err.message}`);
-        res.status(500).json({ error: 'Internal server error' });
+/**
+ * POST /admin/staff-applications/:id/comments
+ * Add an internal reviewer comment
+ * Body: { comment }
+ */
+router.post('/staff-applications/:id/comments', ensurePermission(PERMISSIONS.STAFF_APP_REVIEWER), async (req, res) => {
+    const comment = typeof req.body.comment === 'string' ? req.body.comment.trim().slice(0, 1000) : '';
+    if (!comment) {
+        return res.status(400).json({ error: 'Comment is required' });
+    }
+
+    const result = await addReviewComment(req.params.id, {
+        comment,
+        reviewer: { discordId: req.user.discordId, username: req.user.username },
+        via: 'admin'
+    });
+    if (!result.success) {
+        return res.status(result.code).json({ error: result.error });
     }
+
+    res.json({ success: true, comments: result.app.comments });
+});
+
+/**
+ * POST /admin/staff-applications/:id/stage
+ * Move a staff application to "under review" or "interview scheduled" (the applicant is DMed)
+ * Body: { status, interviewAt, note }
+ */
+router.post('/staff-applications/:id/stage', ensurePermission(PERMISSIONS.STAFF_APP_REVIEWER), async (req, res) => {
+    const { status, interviewAt } = req.body;
+    const note = typeof req.body.note === 'string' ? req.body.note.trim().slice(0, 1000) : '';
+
+    if (interviewAt && isNaN(new Date(interviewAt).getTime())) {
+        return res.status(400).json({ error: 'Invalid interview time' });
+    }
+
+    const result = await setReviewStage(req.params.id, {
+        status,
+        interviewAt: interviewAt ? new Date(interviewAt).toISOString() : null,
+        note: note || null,
+        reviewer: { discordId: req.user.discordId, username: req.user.username },
+        via: 'admin'
+    });
+    if (!result.success) {
+        return res.status(result.code).json({ error: result.error });
+    }
+
+    console.log(`[Admin] Staff app ${req.params.id} -> ${status}`);
+    res.json({ success: true, status, notified: result.notified });
 });
 
 /**
  * POST /admin/gang-applications/:id/status
  * Accept or Reject a gang application
  */
-router.post('/gang-applications/:id/status', ensureAdmin, async (req, res) => {
-    try {
-        const appId = req.params.id;
-        const { status, reason } = req.body;
+router.post('/gang-applications/:id/status', ensurePermission(PERMISSIONS.GANG_APP_REVIEWER), (req, res) => handleReview('gang', req, res));
+
+/**
+ * POST /admin/form-applications/:id/status
+ * Accept or Reject an application made with an admin-built form
+ */
+router.post('/form-applications/:id/status', ensurePermission(PERMISSIONS.STAFF_APP_REVIEWER), (req, res) => handleReview('form', req, res));
 
-        console.log(`[Admin] Update Gang App: ${appId} -> ${status}`);
+// ==================== GANGS ====================
 
-        if (!['accepted', 'rejected'].includes(status)) {
-            return res.status(400).json({ error: 'Invalid status' });
-        }
+/**
+ * GET /admin/gangs
+ * Get gang rosters (members and pending invites), newest first
+ * Query: status ('active'|'disbanded')
+ */
+router.get('/gangs', ensurePermission(PERMISSIONS.GANG_APP_REVIEWER), async (req, res) => {
+    const { status } = req.query;
+    const gangs = (await storage.getGangs())
+        .filter(g => !status || g.status === status)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 
-        const apps = storage.getGangApps();
-        const app = apps.find(a => a.applicationId === appId);
+    res.json({ gangs });
+});
 
-        if (!app) {
-            console.log(`[Admin] Gang App ${appId} not found`);
-            return res.status(404).json({ error: 'Application not found' });
-        }
+/**
+ * POST /admin/gangs/:gangId/disband
+ * Disband a gang; the bot deletes its Discord role and channel
+ * Body: { reason }
+ */
+router.post('/gangs/:gangId/disband', ensurePermission(PERMISSIONS.GANG_APP_REVIEWER), async (req, res) => {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, 1000) : '';
+    if (!reason) {
+        return res.status(400).json({ error: 'A reason is required' });
+    }
 
-        const success = storage.updateGangAppStatus(appId, status);
-        if (!success) {
-            return res.status(500).json({ error: 'Failed to update status in storage' });
-        }
+    const result = await disbandGang(req.params.gangId, {
+        reason,
+        actor: { discordId: req.user.discordId, username: req.user.username },
+        via: 'admin'
+    });
+    if (!result.success) {
+        return res.status(result.code).json({ error: result.error });
+    }
+
+    console.log(`[Admin] Gang ${req.params.gangId} disbanded by ${req.user.discordId}`);
+    res.json({ success: true, discordUpdated: result.discord.success });
+});
+
+// ==================== APPLICATION FORMS ====================
 
-        // Notify user via bot
-        if (notifyGangAppResult) {
-            try {
-                await notifyGangAppResult(app.leaderDiscordId, status, app.gangName, reason);
-            } catch (botErr) {
-                console.error(`[Admin] Failed to send bot notification: ${botErr.message}`);
-            }
+/**
+ * Keep only the known properties of a field from the form builder
+ */
+const normalizeField = (f = {}) => {
+    const field = {
+        key: String(f.key || '').trim(),
+        label: String(f.label || '').trim(),
+        type: f.type,
+        required: !!f.required
+    };
+    for (const prop of ['help', 'placeholder']) {
+        if (f[prop]) field[prop] = String(f[prop]).trim().slice(0, 500);
+    }
+    for (const limit of ['minLength', 'maxLength', 'min', 'max']) {
+        if (f[limit] !== undefined && f[limit] !== null && f[limit] !== '') field[limit] = Number(f[limit]);
+    }
+    if (f.type === 'select') {
+        field.options = (Array.isArray(f.options) ? f.options : [])
+            .map(o => ({ value: String((o && o.value) || '').trim(), label: String((o && o.label) || '').trim() }));
+    }
+    return field;
+};
+
+/**
+ * GET /admin/forms
+ * Get all application forms (built-in staff/gang forms and admin-built forms)
+ */
+router.get('/forms', ensurePermission(PERMISSIONS.SUPER_ADMIN), async (req, res) => {
+    res.json({ forms: await storage.getForms() });
+});
+
+/**
+ * PUT /admin/forms/:formId
+ * Create or update an application form
+ * Body: { name, description, notice, active, fields: [{ key, label, type, required, ... }] }
+ */
+router.put('/forms/:formId', ensurePermission(PERMISSIONS.SUPER_ADMIN), async (req, res) => {
+    const formId = req.params.formId;
+    const existing = await storage.getForm(formId);
+
+    const form = {
+        id: formId,
+        name: typeof req.body.name === 'string' ? req.body.name.trim() : '',
+        description: req.body.description ? String(req.body.description).trim() : null,
+        notice: req.body.notice ? String(req.body.notice).trim() : null,
+        active: req.body.active !== false,
+        fields: Array.isArray(req.body.fields) ? req.body.fields.map(normalizeField) : []
+    };
+
+    const error = validateFormDefinition(form);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    if (!await storage.saveForm(form)) {
+        return res.status(500).json({ error: 'Failed to save form' });
+    }
+
+    const after = await storage.getForm(formId);
+    await audit(req, existing ? 'form.update' : 'form.create', 'form', formId, { before: existing, after });
+
+    console.log(`[Admin] Form ${formId} saved by ${req.user.discordId}`);
+    res.json({ success: true, form: after });
+});
+
+/**
+ * DELETE /admin/forms/:formId
+ * Delete an admin-built form, or reset a built-in form to its default fields
+ */
+router.delete('/forms/:formId', ensurePermission(PERMISSIONS.SUPER_ADMIN), async (req, res) => {
+    const formId = req.params.formId;
+    const existing = await storage.getForm(formId);
+    if (!existing) {
+        return res.status(404).json({ error: 'Form not found' });
+    }
+
+    if (!await storage.deleteForm(formId)) {
+        return res.status(500).json({ error: 'Failed to delete form' });
+    }
+
+    await audit(req, existing.builtIn ? 'form.reset' : 'form.delete', 'form', formId, { before: existing });
+
+    res.json({ success: true, message: existing.builtIn ? 'Form reset to default' : 'Form deleted' });
+});
+
+// ==================== EXPORT ====================
+
+// Rows fetched per storage query while streaming users/attempts
+const EXPORT_BATCH_SIZE = 500;
+
+const column = (header, value = (row) => row[header]) => ({ header, value });
+
+/**
+ * Yield every row of a paginated storage query, one batch at a time
+ */
+async function* fetchInBatches(query, key) {
+    for (let offset = 0; ; offset += EXPORT_BATCH_SIZE) {
+        const page = await query({ offset, limit: EXPORT_BATCH_SIZE });
+        yield page[key];
+        if (page[key].length < EXPORT_BATCH_SIZE) return;
+    }
+}
+
+/**
+ * Columns for an application form's answers ("answers.age", ...)
+ */
+const answerColumns = async (formId) => (await storage.getForm(formId)).fields
+    .map(f => column(`answers.${f.key}`, (app) => (app.answers || {})[f.key]));
+
+/**
+ * Exportable lists: permission, the list's filters, CSV columns and the data/backup file shape.
+ * Questions and staff/gang applications are loaded whole (like their lists), users and attempts in batches.
+ */
+const EXPORTS = {
+    users: {
+        permission: PERMISSIONS.QUIZ_REVIEWER,
+        jsonKey: 'users',
+        keyedBy: 'discordId',
+        columns: async () => ['discordId', 'username', 'status', 'lastAttempt', 'avatar'].map(h => column(h)),
+        rows: (query) => {
+            const filters = getUserFilters(query);
+            const order = query.order === 'asc' ? 'asc' : 'desc';
+            return fetchInBatches(page => storage.queryUsers({ ...filters, sort: query.sort, order, ...page }), 'users');
+        }
+    },
+    attempts: {
+        permission: PERMISSIONS.QUIZ_REVIEWER,
+        jsonKey: 'attempts',
+        columns: async () => [
+            ...['id', 'discordId', 'quizId', 'score', 'total', 'passed', 'expired', 'manualPass', 'manualFail', 'timestamp',
+                'durationMs', 'ipHash', 'userAgent'].map(h => column(h)),
+            column('categoryScores'),
+            column('answers')
+        ],
+        rows: (query) => {
+            const filters = getAttemptFilters(query);
+            const order = query.order === 'asc' ? 'asc' : 'desc';
+            return fetchInBatches(page => storage.queryAttempts({ ...filters, sort: query.sort, order, ...page }), 'attempts');
+        },
+        validate: (query) => (getAttemptFilters(query) ? null : 'Invalid date range')
+    },
+    questions: {
+        permission: PERMISSIONS.QUESTION_EDITOR,
+        jsonKey: 'questions',
+        // Same columns the question import reads; one option column per option of the longest question
+        columns: async (query) => {
+            const questions = await storage.getQuestions(query.quizId || DEFAULT_QUIZ_ID);
+            const optionCount = Math.max(4, ...questions.map(q => q.options.length));
+            return [
+                ...['id', 'question', 'category'].map(h => column(h)),
+                column('answer', (q) => q.correctOption + 1),
+                ...Array.from({ length: optionCount }, (_, i) => column(`option${i + 1}`, (q) => q.options[i]))
+            ];
+        },
+        rows: async function* (query) {
+            yield await storage.getQuestions(query.quizId || DEFAULT_QUIZ_ID);
         }
+    },
+    'staff-applications': {
+        permission: PERMISSIONS.STAFF_APP_REVIEWER,
+        jsonKey: 'applications',
+        columns: async () => [
+            ...['applicationId', 'discordId', 'username', 'status', 'submittedAt', 'reviewedAt', 'reviewReason'].map(h => column(h)),
+            ...await answerColumns(STAFF_FORM_ID)
+        ],
+        rows: async function* (query) {
+            yield filterAppsByStatus(await storage.getStaffApps(), query.status);
+        }
+    },
+    'gang-applications': {
+        permission: PERMISSIONS.GANG_APP_REVIEWER,
+        jsonKey: 'applications',
+        columns: async () => [
+            ...['applicationId', 'leaderDiscordId', 'leaderUsername', 'gangName', 'gangType', 'memberCount', 'story',
+                'status', 'submittedAt', 'reviewedAt', 'reviewReason'].map(h => column(h)),
+            column('answers')
+        ],
+        rows: async function* (query) {
+            yield filterAppsByStatus(await storage.getGangApps(), query.status);
+        }
+    }
+};
+
+/**
+ * GET /admin/export/:entity?format=csv|json
+ * Download users, attempts, questions (?quizId=), staff-applications or gang-applications with the same filters as their lists.
+ * JSON matches data/backup/<file>.json.
+ */
+router.get('/export/:entity', async (req, res, next) => {
+    const config = EXPORTS[req.params.entity];
+    if (!config) {
+        return res.status(404).json({ error: `Unknown export. Available: ${Object.keys(EXPORTS).join(', ')}` });
+    }
+    ensurePermission(config.permission)(req, res, next);
+}, async (req, res) => {
+    const { entity } = req.params;
+    const config = EXPORTS[entity];
+    const format = req.query.format || 'csv';
+
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `Format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+    const invalid = config.validate && config.validate(req.query);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+
+    const stream = createExportStream(res, {
+        format,
+        filename: `${entity}-${new Date().toISOString().slice(0, 10)}`,
+        columns: await config.columns(req.query),
+        jsonKey: config.jsonKey,
+        keyedBy: config.keyedBy
+    });
 
-        res.json({ success: true, message: `Application ${status}` });
+    let count = 0;
+    try {
+        for await (const rows of config.rows(req.query)) {
+            await stream.write(rows);
+            count += rows.length;
+        }
     } catch (err) {
-        console.error(`[Admin] Error updating gang app: ${err.message}`);
-        res.status(500).json({ error: 'Internal server error' });
+        // Headers are already sent; cut the download short so it isn't mistaken for a complete file
+        console.error(`[Admin] Export of ${entity} failed: ${err.message}`);
+        return res.destroy(err);
+    }
+    await stream.end();
+
+    await audit(req, 'data.export', 'export', entity, { after: { format, count, filters: req.query } });
+    console.log(`[Admin] ${req.user.discordId} exported ${count} ${entity} as ${format}`);
+});
+
+// ==================== BANS ====================
+
+/**
+ * GET /admin/bans
+ * Get bans, newest first
+ * Query: status ('active' (default)|'all')
+ */
+router.get('/bans', ensurePermission(PERMISSIONS.BAN_MANAGER), async (req, res) => {
+    const bans = await storage.getBans();
+    res.json({ bans: req.query.status === 'all' ? bans : bans.filter(b => b.active) });
+});
+
+/**
+ * POST /admin/bans
+ * Ban a Discord ID from the website, quizzes, applications and the FiveM server
+ * Body: { discordId, reason, days } - no days = permanent
+ */
+router.post('/bans', ensurePermission(PERMISSIONS.BAN_MANAGER), async (req, res) => {
+    const { discordId, reason, days } = req.body;
+    const result = await banUser({ discordId, reason, days }, { discordId: req.user.discordId, username: req.user.username, type: 'admin' });
+    if (!result.success) {
+        return res.status(result.code).json({ error: result.error });
     }
+
+    res.json({ success: true, ban: result.ban, sessionsRevoked: result.sessionsRevoked, rolesRemoved: result.rolesRemoved });
+});
+
+/**
+ * POST /admin/bans/:discordId/lift
+ * Lift a ban
+ * Body: { reason }
+ */
+router.post('/bans/:discordId/lift', ensurePermission(PERMISSIONS.BAN_MANAGER), async (req, res) => {
+    const result = await unbanUser({ discordId: req.params.discordId, reason: req.body.reason }, { discordId: req.user.discordId, username: req.user.username, type: 'admin' });
+    if (!result.success) {
+        return res.status(result.code).json({ error: result.error });
+    }
+
+    res.json({ success: true, ban: result.ban });
+});
+
+// ==================== API KEYS ====================
+
+/**
+ * GET /admin/api-keys
+ * List FiveM server API keys (the keys themselves are never returned again)
+ */
+router.get('/api-keys', ensurePermission(PERMISSIONS.SUPER_ADMIN), async (req, res) => {
+    res.json({ apiKeys: await storage.getApiKeys() });
+});
+
+/**
+ * POST /admin/api-keys
+ * Create an API key. The key is only shown in this response.
+ * Body: { name }
+ */
+router.post('/api-keys', ensurePermission(PERMISSIONS.SUPER_ADMIN), async (req, res) => {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name) {
+        return res.status(400).json({ error: 'Key name is required' });
+    }
+
+    const result = await storage.createApiKey(name, req.user.discordId);
+    if (!result) {
+        return res.status(500).json({ error: 'Failed to create API key' });
+    }
+
+    await audit(req, 'api_key.create', 'api_key', result.apiKey.id, { after: result.apiKey });
+    console.log(`[Admin] API key "${name}" created by ${req.user.discordId}`);
+
+    res.json({ success: true, key: result.key, apiKey: result.apiKey });
+});
+
+/**
+ * DELETE /admin/api-keys/:id
+ * Revoke an API key
+ */
+router.delete('/api-keys/:id', ensurePermission(PERMISSIONS.SUPER_ADMIN), async (req, res) => {
+    const apiKey = (await storage.getApiKeys()).find(k => k.id === req.params.id);
+    if (!apiKey) {
+        return res.status(404).json({ error: 'API key not found' });
+    }
+    if (apiKey.revokedAt) {
+        return res.status(400).json({ error: 'API key already revoked' });
+    }
+
+    const success = await storage.revokeApiKey(apiKey.id);
+    if (!success) {
+        return res.status(500).json({ error: 'Failed to revoke API key' });
+    }
+
+    await audit(req, 'api_key.revoke', 'api_key', apiKey.id, { before: apiKey, reason: req.body?.reason || null });
+    console.log(`[Admin] API key "${apiKey.name}" revoked by ${req.user.discordId}`);
+
+    res.json({ success: true });
+});
+
+// ==================== AUDIT LOG ====================
+
+/**
+ * GET /admin/audit
+ * View the audit log, filtered by actor, target, action and date range
+ * Query: actorId, targetId, action, from, to (ISO dates), limit
+ */
+router.get('/audit', ensurePermission(PERMISSIONS.SUPER_ADMIN), async (req, res) => {
+    const { actorId, targetId, action, from, to } = req.query;
+
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+        return res.status(400).json({ error: 'Invalid date range' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 200, 1000);
+    const entries = await storage.getAuditLog({
+        actorId: actorId || null,
+        targetId: targetId || null,
+        action: action || null,
+        from: from || null,
+        to: to || null,
+        limit
+    });
+
+    res.json({ entries });
 });
 
 module.exports = router;
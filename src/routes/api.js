@@ -1,7 +1,11 @@
 const express = require('express');
 const rateLimit = require('express-rate-limit');
-const { ensureAuth, checkIsAdmin } = require('../middleware/auth');
+const { ensureAuth, getPermissions } = require('../middleware/auth');
 const storage = require('../utils/storage');
+const { getUserApplications } = require('../utils/applications');
+const gangs = require('../utils/gangs');
+const { DEFAULT_QUIZ_ID } = require('../config/quiz');
+const { formatDuration } = require('../utils/format');
 
 // Import bot function for automatic role assignment
 let assignRoleToUser = null;
@@ -26,12 +30,15 @@ const quizSubmitLimiter = rateLimit({
  * Get current user information
  */
 router.get('/me', ensureAuth, async (req, res) => {
+    // Settle an allowlist attempt abandoned past its deadline so the cooldown shows up
+    await storage.expireStaleQuizSession(req.user.discordId);
+
     const user = await storage.getUser(req.user.discordId);
-    const { inCooldown, remainingTime } = await storage.isInCooldown(req.user.discordId);
+    const cooldown = await storage.isInCooldown(req.user.discordId);
     const latestAttempt = await storage.getLatestAttempt(req.user.discordId);
 
-    // Check if user is admin (by Discord ID or role)
-    const isAdmin = await checkIsAdmin(req.user.discordId);
+    // Admin panel permissions (by Discord ID, role or grant)
+    const permissions = await getPermissions(req.user.discordId);
 
     res.json({
         user: {
@@ -41,13 +48,13 @@ router.get('/me', ensureAuth, async (req, res) => {
             status: user.status,
             lastAttempt: user.lastAttempt
         },
-        isAdmin,
-        cooldown: {
-            inCooldown,
-            remainingTime
-        },
+        isAdmin: permissions.length > 0,
+        permissions,
+        cooldown,
         latestAttempt: latestAttempt ? {
             score: latestAttempt.score,
+            // Older attempts predate stored totals; fall back to the current quiz size
+            total: latestAttempt.total || await storage.getQuestionsPerAttempt(),
             passed: latestAttempt.passed,
             timestamp: latestAttempt.timestamp
         } : null
@@ -55,12 +62,25 @@ router.get('/me', ensureAuth, async (req, res) => {
 });
 
 /**
- * GET /api/questions
- * Get quiz questions (without correct answers)
+ * Resolve the quiz for a request: `:quizId` on /api/quizzes/* routes, the default quiz on legacy routes
+ */
+const loadQuiz = async (req, res, next) => {
+    const quiz = await storage.getQuiz(req.params.quizId || DEFAULT_QUIZ_ID);
+    if (!quiz || !quiz.active) {
+        return res.status(404).json({ error: 'Quiz not found' });
+    }
+    req.quiz = quiz;
+    next();
+};
+
+/**
+ * Issue (or resume) the user's attempt and send its questions (without correct answers)
  */
-router.get('/questions', ensureAuth, async (req, res) => {
+async function handleGetQuestions(req, res) {
+    const { quiz } = req;
+
     // Check if user can take quiz
-    const canAttempt = await storage.canAttemptQuiz(req.user.discordId);
+    const canAttempt = await storage.canAttemptQuiz(req.user.discordId, quiz.id);
 
     if (!canAttempt.allowed) {
         return res.status(403).json({
@@ -69,21 +89,31 @@ router.get('/questions', ensureAuth, async (req, res) => {
         });
     }
 
-    const questions = await storage.getQuestionsForClient();
+    // Issue (or resume) this user's attempt with its own random question set
+    const session = await storage.startQuizSession(req.user.discordId, quiz.id);
+    const questions = session ? await storage.getQuestionsForClient(session) : [];
 
     if (questions.length === 0) {
         return res.status(500).json({ error: 'No questions available' });
     }
 
-    res.json({ questions });
-});
+    res.json({
+        quizId: quiz.id,
+        quizName: quiz.name,
+        sessionId: session.sessionId,
+        questions,
+        startedAt: session.createdAt,
+        expiresAt: session.expiresAt || null,
+        remainingTime: storage.getSessionRemainingTime(session)
+    });
+}
 
 /**
- * POST /api/submit-quiz
- * Submit quiz answers for evaluation
+ * Score answers against the questions issued for the attempt, record it and assign the quiz role on pass
  */
-router.post('/submit-quiz', ensureAuth, quizSubmitLimiter, async (req, res) => {
-    const { answers } = req.body;
+async function handleSubmitQuiz(req, res) {
+    const { quiz } = req;
+    const { answers, sessionId, timings } = req.body;
     const discordId = req.user.discordId;
 
     // Validate input
@@ -91,8 +121,22 @@ router.post('/submit-quiz', ensureAuth, quizSubmitLimiter, async (req, res) => {
         return res.status(400).json({ error: 'Invalid answers format' });
     }
 
+    // Find the attempt these answers belong to
+    const session = await storage.getActiveQuizSession(discordId, quiz.id);
+
+    // Submissions after the deadline fail the attempt instead of being scored
+    if (session && storage.isSessionExpired(session)) {
+        await storage.expireQuizSession(session);
+        const { remainingTime } = await storage.isInCooldown(discordId, quiz.id);
+        return res.status(403).json({
+            error: 'Time is up. This attempt has been recorded as failed.',
+            expired: true,
+            remainingTime
+        });
+    }
+
     // Check if user can take quiz
-    const canAttempt = await storage.canAttemptQuiz(discordId);
+    const canAttempt = await storage.canAttemptQuiz(discordId, quiz.id);
 
     if (!canAttempt.allowed) {
         return res.status(403).json({
@@ -107,89 +151,293 @@ router.post('/submit-quiz', ensureAuth, quizSubmitLimiter, async (req, res) => {
         return isNaN(num) ? -1 : num;
     });
 
+    if (!session || (sessionId && session.sessionId !== sessionId)) {
+        return res.status(400).json({ error: 'No active quiz attempt. Please reload the quiz.' });
+    }
+
+    // Time spent per question (for question analytics): reported by the browser, so only kept
+    // when it is plausible - never more than the whole attempt took
+    const durationMs = Date.now() - new Date(session.createdAt).getTime();
+    const questionTimes = Array.isArray(timings) && timings.length === answers.length
+        ? timings.map(t => {
+            const ms = Math.round(Number(t));
+            return Number.isFinite(ms) && ms >= 0 && ms <= durationMs ? ms : null;
+        })
+        : [];
+
     // Validate quiz
-    const { valid, score } = await storage.validateQuiz(sanitizedAnswers);
+    const { valid, score, total: totalQuestions, passed, categories, responses } = await storage.validateQuiz(sanitizedAnswers, session, questionTimes);
 
     if (!valid) {
         return res.status(400).json({ error: 'Invalid number of answers' });
     }
 
-    // Determine pass/fail
-    const passed = score >= 7;
-    const allQuestions = await storage.getQuestions();
-    const totalQuestions = allQuestions.length;
+    // Close the attempt so the same question set can't be submitted twice
+    await storage.completeQuizSession(session.sessionId);
 
     // Record attempt
     await storage.addAttempt({
         discordId,
+        quizId: quiz.id,
         score,
+        total: totalQuestions,
         passed,
-        answers: sanitizedAnswers,
-        ip: req.ip || req.connection.remoteAddress
+        categoryScores: categories,
+        answers: responses,
+        ip: req.ip || req.connection.remoteAddress,
+        userAgent: req.get('user-agent'),
+        durationMs
     });
 
-    // Update user status
-    await storage.updateUser(discordId, {
+    // Update user status for this quiz
+    await storage.setQuizStatus(discordId, quiz.id, {
         status: passed ? 'passed' : 'failed',
         lastAttempt: new Date().toISOString()
     });
 
-    // Automatically assign Discord role if passed
+    // Automatically assign the quiz's Discord role if passed
     let roleAssigned = false;
-    if (passed && assignRoleToUser) {
+    if (passed && assignRoleToUser && quiz.roleId) {
         try {
-            const roleResult = await assignRoleToUser(discordId);
+            const roleResult = await assignRoleToUser(discordId, quiz.roleId, quiz.name);
             roleAssigned = roleResult.success;
-            console.log(`[API] Auto role assignment for ${discordId}: ${roleResult.reason}`);
+            console.log(`[API] Auto role assignment for ${discordId} (${quiz.id}): ${roleResult.reason}`);
         } catch (err) {
             console.error(`[API] Failed to auto-assign role:`, err.message);
         }
     }
 
+    const cooldown = await storage.isInCooldown(discordId, quiz.id);
+    let message = `Congratulations! You have passed the ${quiz.name} quiz.`;
+    if (!passed) {
+        message = cooldown.monthlyLimitReached
+            ? `You did not pass and have used all ${cooldown.maxAttemptsPerMonth} attempts for this month. You can retry in ${formatDuration(cooldown.remainingTime)}.`
+            : cooldown.inCooldown
+                ? `You did not pass. You can retry in ${formatDuration(cooldown.remainingTime)}.`
+                : 'You did not pass. You can retry now.';
+    }
+
     res.json({
+        quizId: quiz.id,
         score,
         total: totalQuestions,
         passed,
+        categories,
         roleAssigned,
-        message: passed
-            ? 'Congratulations! You have passed the allowlist quiz.'
-            : 'You did not pass. You can retry after 24 hours.'
+        cooldown,
+        message
     });
-});
+}
 
 /**
- * GET /api/result
- * Get user's quiz result and status
+ * Send the user's latest result and cooldown for a quiz
  */
-router.get('/result', ensureAuth, async (req, res) => {
+async function handleGetResult(req, res) {
+    const { quiz } = req;
     const discordId = req.user.discordId;
     const user = await storage.getUser(discordId);
-    const latestAttempt = await storage.getLatestAttempt(discordId);
-    const { inCooldown, remainingTime } = await storage.isInCooldown(discordId);
-
-    // Get total questions count
-    const allQuestions = await storage.getQuestions();
-    const totalQuestions = allQuestions.length;
+    const latestAttempt = await storage.getLatestAttempt(discordId, quiz.id);
+    const cooldown = await storage.isInCooldown(discordId, quiz.id);
 
     if (!latestAttempt) {
         return res.json({
+            quizId: quiz.id,
             hasAttempted: false,
             status: 'new'
         });
     }
 
     res.json({
+        quizId: quiz.id,
+        quizName: quiz.name,
         hasAttempted: true,
-        status: user.status,
+        status: storage.getQuizStatus(user, quiz.id).status,
         score: latestAttempt.score,
-        total: totalQuestions,
+        // Older attempts predate stored totals; fall back to the current quiz size
+        total: latestAttempt.total || await storage.getQuestionsPerAttempt(quiz.id),
         passed: latestAttempt.passed,
+        categories: latestAttempt.categoryScores || [],
         timestamp: latestAttempt.timestamp,
-        cooldown: {
-            inCooldown,
-            remainingTime
-        }
+        cooldown
+    });
+}
+
+/**
+ * GET /api/quizzes
+ * List available quizzes with the user's status for each
+ */
+router.get('/quizzes', ensureAuth, async (req, res) => {
+    const discordId = req.user.discordId;
+    const user = await storage.getUser(discordId);
+    const quizzes = (await storage.getQuizzes()).filter(q => q.active);
+
+    const result = await Promise.all(quizzes.map(async (quiz) => {
+        const { status, lastAttempt } = storage.getQuizStatus(user, quiz.id);
+        const canAttempt = await storage.canAttemptQuiz(discordId, quiz.id);
+        return {
+            id: quiz.id,
+            name: quiz.name,
+            description: quiz.description,
+            requiresQuizId: quiz.requiresQuizId,
+            questionCount: await storage.getQuestionsPerAttempt(quiz.id),
+            status,
+            lastAttempt,
+            canAttempt: canAttempt.allowed,
+            reason: canAttempt.reason || null,
+            remainingTime: canAttempt.remainingTime || 0
+        };
+    }));
+
+    res.json({ quizzes: result });
+});
+
+/**
+ * GET /api/quizzes/:quizId/questions
+ * Get the questions issued for the user's current attempt at a quiz
+ */
+router.get('/quizzes/:quizId/questions', ensureAuth, loadQuiz, handleGetQuestions);
+
+/**
+ * POST /api/quizzes/:quizId/submit
+ * Submit answers for a quiz
+ */
+router.post('/quizzes/:quizId/submit', ensureAuth, quizSubmitLimiter, loadQuiz, handleSubmitQuiz);
+
+/**
+ * GET /api/quizzes/:quizId/result
+ * Get user's result and status for a quiz
+ */
+router.get('/quizzes/:quizId/result', ensureAuth, loadQuiz, handleGetResult);
+
+/**
+ * GET /api/questions
+ * Get the questions issued for the user's current attempt (default allowlist quiz)
+ */
+router.get('/questions', ensureAuth, loadQuiz, handleGetQuestions);
+
+/**
+ * POST /api/submit-quiz
+ * Submit quiz answers for evaluation (default allowlist quiz)
+ */
+router.post('/submit-quiz', ensureAuth, quizSubmitLimiter, loadQuiz, handleSubmitQuiz);
+
+/**
+ * GET /api/result
+ * Get user's quiz result and status (default allowlist quiz)
+ */
+router.get('/result', ensureAuth, loadQuiz, handleGetResult);
+
+/**
+ * GET /api/my-applications
+ * The user's applications with their status, the reviewer's reason and when they can apply again
+ */
+router.get('/my-applications', ensureAuth, async (req, res) => {
+    res.json({ applications: await getUserApplications(req.user.discordId) });
+});
+
+/**
+ * GET /api/forms
+ * List open application forms
+ */
+router.get('/forms', ensureAuth, async (req, res) => {
+    const forms = (await storage.getForms()).filter(f => f.active);
+    res.json({
+        forms: forms.map(f => ({ id: f.id, name: f.name, description: f.description, builtIn: f.builtIn }))
     });
 });
 
+/**
+ * GET /api/forms/:formId
+ * Get an open application form with its fields
+ */
+router.get('/forms/:formId', ensureAuth, async (req, res) => {
+    const form = await storage.getForm(req.params.formId);
+    if (!form || !form.active) {
+        return res.status(404).json({ error: 'This application is not open.' });
+    }
+    res.json({ form });
+});
+
+// ==================== GANGS ====================
+
+const gangUser = (req) => ({ discordId: req.user.discordId, username: req.user.username });
+
+/**
+ * Send the result of a roster change
+ */
+const sendGangResult = (res, result) => {
+    if (!result.success) {
+        return res.status(result.code).json({ error: result.error });
+    }
+    res.json({ success: true, ...(result.notified !== undefined && { notified: result.notified }) });
+};
+
+/**
+ * GET /api/gang
+ * The user's gang (with pending invites if they lead it) and the gang invites they have received
+ */
+router.get('/gang', ensureAuth, async (req, res) => {
+    res.json(await gangs.getUserGang(req.user.discordId));
+});
+
+/**
+ * POST /api/gangs/:gangId/invites
+ * Leader invites a user by Discord ID
+ * Body: { discordId }
+ */
+router.post('/gangs/:gangId/invites', ensureAuth, async (req, res) => {
+    const discordId = String(req.body.discordId || '').trim();
+    sendGangResult(res, await gangs.inviteMember(req.params.gangId, discordId, gangUser(req)));
+});
+
+/**
+ * DELETE /api/gangs/:gangId/invites/:discordId
+ * Leader cancels a pending invite
+ */
+router.delete('/gangs/:gangId/invites/:discordId', ensureAuth, async (req, res) => {
+    sendGangResult(res, await gangs.cancelInvite(req.params.gangId, req.params.discordId, gangUser(req)));
+});
+
+/**
+ * POST /api/gangs/:gangId/invite/accept
+ * Accept your invite and join the gang
+ */
+router.post('/gangs/:gangId/invite/accept', ensureAuth, async (req, res) => {
+    sendGangResult(res, await gangs.respondToInvite(req.params.gangId, true, gangUser(req)));
+});
+
+/**
+ * POST /api/gangs/:gangId/invite/decline
+ * Decline your invite
+ */
+router.post('/gangs/:gangId/invite/decline', ensureAuth, async (req, res) => {
+    sendGangResult(res, await gangs.respondToInvite(req.params.gangId, false, gangUser(req)));
+});
+
+/**
+ * POST /api/gangs/:gangId/leave
+ * Leave your gang (leaders must transfer leadership first)
+ */
+router.post('/gangs/:gangId/leave', ensureAuth, async (req, res) => {
+    sendGangResult(res, await gangs.leaveGang(req.params.gangId, gangUser(req)));
+});
+
+/**
+ * DELETE /api/gangs/:gangId/members/:discordId
+ * Leader kicks a member
+ */
+router.delete('/gangs/:gangId/members/:discordId', ensureAuth, async (req, res) => {
+    sendGangResult(res, await gangs.kickMember(req.params.gangId, req.params.discordId, gangUser(req)));
+});
+
+/**
+ * POST /api/gangs/:gangId/leader
+ * Leader hands leadership to another member
+ * Body: { discordId }
+ */
+router.post('/gangs/:gangId/leader', ensureAuth, async (req, res) => {
+    const discordId = String(req.body.discordId || '').trim();
+    sendGangResult(res, await gangs.transferLeadership(req.params.gangId, discordId, gangUser(req)));
+});
+
 module.exports = router;
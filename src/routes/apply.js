@@ -3,9 +3,58 @@ const path = require('path');
 const rateLimit = require('express-rate-limit');
 const { ensureAuth } = require('../middleware/auth');
 const storage = require('../utils/storage');
+const { getApplyEligibility } = require('../utils/applications');
+const { STAFF_FORM_ID, GANG_FORM_ID, validateSubmission } = require('../config/forms');
+
+// Import bot function for posting applications to the Discord review channel
+let postApplicationForReview = null;
+try {
+    const bot = require('../../bot/bot');
+    postApplicationForReview = bot.postApplicationForReview;
+} catch (err) {
+    console.log('[Apply] Bot module not available for application review posts');
+}
 
 const router = express.Router();
 
+// Generic form page: loads the form's fields from /api/forms/:formId
+const APPLY_PAGE = path.join(__dirname, '../../public/apply.html');
+
+const newApplicationId = () => Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+
+/**
+ * Load an open form and validate the request body against its fields.
+ * Sends the error response and returns null if the form is closed or an answer is invalid.
+ * @returns {Promise<{ form: object, answers: object }|null>}
+ */
+async function readSubmission(formId, req, res) {
+    const form = await storage.getForm(formId);
+    if (!form || !form.active) {
+        res.status(404).json({ error: 'This application is not open.' });
+        return null;
+    }
+
+    const { error, answers } = validateSubmission(form, req.body);
+    if (error) {
+        res.status(400).json({ error });
+        return null;
+    }
+    return { form, answers };
+}
+
+/**
+ * Post a saved application to the Discord review channel (never fails the submission)
+ */
+async function postForReview(type, app) {
+    if (!postApplicationForReview) return;
+    try {
+        const result = await postApplicationForReview(type, app);
+        if (!result.success) console.log(`[Apply] ${type} application ${app.applicationId} not posted for review: ${result.reason}`);
+    } catch (err) {
+        console.error(`[Apply] Failed to post ${type} application for review:`, err.message);
+    }
+}
+
 // Rate limiter for application submissions
 const applyLimiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
@@ -14,123 +63,51 @@ const applyLimiter = rateLimit({
 });
 
 /**
- * GET /apply/staff-apply
+ * Staff application: one open application at a time, 7 days between applications
  */
-router.get('/staff-apply', ensureAuth, (req, res) => {
-    res.sendFile(path.join(__dirname, '../../public/staff-apply.html'));
-});
+async function submitStaffApp(req, res) {
+    const submission = await readSubmission(STAFF_FORM_ID, req, res);
+    if (!submission) return;
 
-/**
- * POST /api/staff-apply
- */
-router.post('/staff-apply', ensureAuth, applyLimiter, async (req, res) => {
-    const { age, experience, whyStaff, availability, scenario } = req.body;
     const discordId = req.user.discordId;
 
-    // Validation
-    if (!age || !experience || !whyStaff || !availability || !scenario) {
-        return res.status(400).json({ error: 'All fields are required.' });
-    }
-
-    const staffApps = await storage.getStaffApps();
-
-    // Check for pending application
-    const pendingApp = staffApps.find(app => app.discordId === discordId && app.status === 'pending');
-    if (pendingApp) {
-        return res.status(400).json({ error: 'You already have a pending application.' });
-    }
-
-    // Check for 7-day cooldown
-    const lastApp = staffApps
-        .filter(app => app.discordId === discordId)
-        .sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt))[0];
-
-    if (lastApp) {
-        const sevenDaysMs = 7 * 24 * 60 * 60 * 1000;
-        const timePassed = Date.now() - new Date(lastApp.submittedAt).getTime();
-        if (timePassed < sevenDaysMs) {
-            const daysLeft = Math.ceil((sevenDaysMs - timePassed) / (24 * 60 * 60 * 1000));
-            return res.status(400).json({ error: `You must wait ${daysLeft} more day(s) before applying again.` });
-        }
+    const eligibility = getApplyEligibility(STAFF_FORM_ID, (await storage.getStaffApps()).filter(app => app.discordId === discordId));
+    if (!eligibility.canApply) {
+        return res.status(400).json({ error: eligibility.reason });
     }
 
+    // The id is generated here so it matches the one posted to Discord
     const newApp = {
-        applicationId: Date.now().toString(36) + Math.random().toString(36).substr(2, 5), // Supabase will ignore this as we use generic details? No, schema is Text, so we can use it.
-        // Or better, let Supabase generate UUID but we changed schema to TEXT.
-        // In addStaffApp, we insert details: app.
-        // So we should keep generating ID here or let Supabase generate it and return it?
-        // Current storage.addStaffApp implementation:
-        // const dbApp = { ... details: app };
-        // It relies on DB default for ID if not provided.
-        // But `insert` doesn't return ID unless `select()` is called.
-        // And `addStaffApp` returns boolean.
-        // So we should generate ID here if we want to store it in `details` consistent with object.
-        applicationId: Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+        applicationId: newApplicationId(),
         discordId: discordId,
         username: req.user.username,
-        answers: {
-            age,
-            experience,
-            whyStaff,
-            availability,
-            scenario
-        },
+        answers: submission.answers,
         status: 'pending'
     };
 
-    // We need to pass the ID to storage so it can be used for DB ID or details?
-    // storage.addStaffApp uses `insert(dbApp)`. DB has default gen_random_uuid().
-    // But we changed schema to TEXT. So default gen_random_uuid() might fail if not cast to text?
-    // No, postgres casts uuid to text automatically?
-    // Wait, I changed column type to TEXT. Default was `gen_random_uuid()`.
-    // Postgres `gen_random_uuid()` returns UUID. Assigning UUID to TEXT column works.
-    // So DB will generate an ID.
-    // But `newApp.applicationId` is generated here.
-    // Ideally we use this ID.
-    // storage.addStaffApp implementation:
-    // const dbApp = { ... details: app };
-    // It does NOT set `application_id`. So DB generates one.
-    // But `app.applicationId` is in `details`.
-    // This is inconsistent.
-    // I should update `addStaffApp` in storage to use `app.applicationId` as primary keys if provided?
-    // Or just accept that `applicationId` in `details` might differ from DB PK?
-    // Previous JSON used `applicationId`. Frontend uses it.
-    // If I use DB generated ID, `getStaffApps` maps `applicationId: a.application_id`.
-    // So frontend sees DB ID.
-    // So generating `applicationId` here is useless unless I pass it to DB PK.
-    // I will update `addStaffApp` in `storage.js` to accept ID if simple, but for now let's just await.
-
-    await storage.addStaffApp(newApp);
+    if (await storage.addStaffApp(newApp)) {
+        await postForReview('staff', newApp);
+    }
     res.json({ success: true, message: 'Staff application submitted successfully!' });
-});
+}
 
 /**
- * GET /apply/gang-apply
+ * Gang registration: one application per leader, unique gang names
  */
-router.get('/gang-apply', ensureAuth, (req, res) => {
-    res.sendFile(path.join(__dirname, '../../public/gang-apply.html'));
-});
+async function submitGangApp(req, res) {
+    const submission = await readSubmission(GANG_FORM_ID, req, res);
+    if (!submission) return;
 
-router.post('/gang-apply', ensureAuth, applyLimiter, async (req, res) => {
-    const { gangName, gangType, story, memberCount } = req.body;
+    // Core fields have their own columns; any fields added by admins are kept in `answers`
+    const { gangName, gangType, story, memberCount, ...answers } = submission.answers;
     const discordId = req.user.discordId;
 
-    // Validation
-    if (!gangName || !gangType || !story || !memberCount) {
-        return res.status(400).json({ error: 'All fields are required.' });
-    }
-
-    const count = parseInt(memberCount);
-    if (isNaN(count) || count < 1) {
-        return res.status(400).json({ error: 'Member count must be at least 1.' });
-    }
-
     const gangApps = await storage.getGangApps();
 
     // Check if user already has a gang application
-    const userApp = gangApps.find(app => app.leaderDiscordId === discordId);
-    if (userApp) {
-        return res.status(400).json({ error: 'You already have a gang application submitted.' });
+    const eligibility = getApplyEligibility(GANG_FORM_ID, gangApps.filter(app => app.leaderDiscordId === discordId));
+    if (!eligibility.canApply) {
+        return res.status(400).json({ error: eligibility.reason });
     }
 
     // Check for duplicate gang name
@@ -140,18 +117,84 @@ router.post('/gang-apply', ensureAuth, applyLimiter, async (req, res) => {
     }
 
     const newApp = {
-        applicationId: Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+        applicationId: newApplicationId(),
         leaderDiscordId: discordId,
         leaderUsername: req.user.username,
         gangName,
         gangType,
         story,
-        memberCount: count,
+        memberCount: Math.floor(memberCount),
+        answers,
         status: 'pending'
     };
 
-    await storage.addGangApp(newApp);
+    if (await storage.addGangApp(newApp)) {
+        await postForReview('gang', newApp);
+    }
     res.json({ success: true, message: 'Gang application submitted successfully!' });
+}
+
+/**
+ * Application for an admin-built form: one open application per form at a time
+ */
+async function submitFormApp(formId, req, res) {
+    const submission = await readSubmission(formId, req, res);
+    if (!submission) return;
+
+    const discordId = req.user.discordId;
+    const previousApps = (await storage.getFormApps()).filter(app => app.formId === formId && app.discordId === discordId);
+    const eligibility = getApplyEligibility(formId, previousApps);
+    if (!eligibility.canApply) {
+        return res.status(400).json({ error: eligibility.reason });
+    }
+
+    const newApp = {
+        applicationId: newApplicationId(),
+        formId,
+        formName: submission.form.name,
+        discordId,
+        username: req.user.username,
+        answers: submission.answers,
+        status: 'pending'
+    };
+
+    if (!await storage.addFormApp(newApp)) {
+        return res.status(500).json({ error: 'Failed to save application.' });
+    }
+    await postForReview('form', newApp);
+    res.json({ success: true, message: `${submission.form.name} submitted successfully!` });
+}
+
+/**
+ * GET /staff-apply, GET /gang-apply
+ * Old form URLs, now served by the generic form page
+ */
+router.get('/staff-apply', (req, res) => res.redirect(`/apply/${STAFF_FORM_ID}`));
+router.get('/gang-apply', (req, res) => res.redirect(`/apply/${GANG_FORM_ID}`));
+
+/**
+ * POST /staff-apply, POST /gang-apply
+ */
+router.post('/staff-apply', ensureAuth, applyLimiter, submitStaffApp);
+router.post('/gang-apply', ensureAuth, applyLimiter, submitGangApp);
+
+/**
+ * GET /apply/:formId
+ * Application form page
+ */
+router.get('/apply/:formId', ensureAuth, (req, res) => {
+    res.sendFile(APPLY_PAGE);
+});
+
+/**
+ * POST /apply/:formId
+ * Submit an application; answers are validated against the form's fields
+ */
+router.post('/apply/:formId', ensureAuth, applyLimiter, (req, res) => {
+    const { formId } = req.params;
+    if (formId === STAFF_FORM_ID) return submitStaffApp(req, res);
+    if (formId === GANG_FORM_ID) return submitGangApp(req, res);
+    return submitFormApp(formId, req, res);
 });
 
 module.exports = router;
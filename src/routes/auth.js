@@ -1,26 +1,85 @@
 const express = require('express');
 const router = express.Router();
 const storage = require('../utils/storage'); // Need storage to save user
-const { createClient } = require('@supabase/supabase-js');
-
-// Initialize a separate client for Auth to avoid conflicts or use the one from storage if exported?
-// Storage exports 'supabase' client implicitly? No, it's internal.
-// We should create a new one or export it.
-// Let's create a new lightweight client here just for Auth flow or import from storage if we modify storage to export it.
-// Modifying storage.js to export supabase client is cleaner.
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
-const supabase = createClient(supabaseUrl, supabaseKey);
+const { isAdmin } = require('../middleware/auth');
+const { checkLoginGates } = require('../utils/loginGates');
+const { LOGIN_ERRORS } = require('../config/login');
+// Supabase Auth handles the Discord OAuth handshake; the client is shared with the Supabase storage adapter.
+const { getClient: getSupabase } = require('../utils/adapters/supabase');
 
 // Get the base URL for redirects
 const BASE_URL = process.env.NODE_ENV === 'production'
     ? 'https://eliteindiaroleplay.onrender.com' // Hardcoded for now based on context, or use env
     : 'http://localhost:3000';
 
+/**
+ * Create the user on first login, otherwise refresh their profile info
+ * @returns {Promise<object>} The user object to store in the session
+ */
+async function upsertLoginUser(discordId, username, avatarUrl) {
+    let user = await storage.getUser(discordId);
+
+    if (!user) {
+        console.log(`[Auth] Creating new user for ${discordId}`);
+        user = {
+            discordId: discordId,
+            username: username,
+            avatar: avatarUrl,
+            status: 'new',
+            lastAttempt: null
+        };
+        await storage.saveUser(user);
+    } else {
+        console.log(`[Auth] Updating existing user ${discordId}`);
+        await storage.updateUser(discordId, {
+            username: username,
+            avatar: avatarUrl
+        });
+        user.username = username;
+        user.avatar = avatarUrl;
+    }
+
+    return user;
+}
+
+/**
+ * Check bans and run the login gates (server membership, verification role, account age); ADMIN_DISCORD_IDS always pass
+ * @returns {Promise<object|null>} The failed gate ({ code, reason, error, allowedAt }), or null if the user may log in
+ */
+async function getLoginRejection(discordId) {
+    if (isAdmin(discordId)) return null;
+
+    const ban = await storage.getActiveBan(discordId);
+    const gate = ban
+        ? { success: false, code: 403, reason: 'banned', error: LOGIN_ERRORS.banned, allowedAt: ban.expiresAt || undefined }
+        : await checkLoginGates(discordId);
+    if (gate.success) return null;
+
+    console.log(`[Auth] Login rejected for ${discordId}: ${gate.reason}`);
+    return gate;
+}
+
+// index.html explains each error code (and when a too-new account can log in or a ban ends)
+const getLoginErrorUrl = (rejection) => `/?${new URLSearchParams({
+    error: rejection.reason,
+    ...(rejection.allowedAt ? { allowedAt: rejection.allowedAt } : {})
+})}`;
+
+/**
+ * Log the user into the request's session, with where they logged in from (shown in the admin session list)
+ */
+function startSession(req, user) {
+    req.session.user = user;
+    req.session.client = {
+        ip: req.ip,
+        userAgent: (req.get('user-agent') || '').slice(0, 256) || null
+    };
+}
+
 // Initiate Discord OAuth via Supabase
 router.get('/discord', async (req, res) => {
     try {
-        const { data, error } = await supabase.auth.signInWithOAuth({
+        const { data, error } = await getSupabase().auth.signInWithOAuth({
             provider: 'discord',
             options: {
                 redirectTo: `${BASE_URL}/auth/callback`,
@@ -101,6 +160,9 @@ router.get('/callback', (req, res) => {
                     if (response.ok) {
                         status.textContent = 'Success! Redirecting...';
                         window.location.href = '/dashboard.html';
+                    } else if (data.redirect) {
+                        // Login gate (server membership, account age...): the home page explains it
+                        window.location.href = data.redirect;
                     } else {
                         status.textContent = 'Verification failed: ' + (data.error || 'Unknown error');
                         setTimeout(() => window.location.href = '/', 3000);
@@ -129,7 +191,7 @@ router.post('/session', async (req, res) => {
 
     try {
         // Verify token with Supabase
-        const { data: { user: sbUser }, error } = await supabase.auth.getUser(access_token);
+        const { data: { user: sbUser }, error } = await getSupabase().auth.getUser(access_token);
 
         if (error || !sbUser) {
             console.error('Token Verification Error:', error);
@@ -147,31 +209,17 @@ router.post('/session', async (req, res) => {
             // Fallback if needed, but user_metadata usually has it
         }
 
-        // Save/Update in our public.users table
-        let user = await storage.getUser(discordId);
-
-        if (!user) {
-            console.log(`[Auth] Creating new user for ${discordId}`);
-            user = {
-                discordId: discordId,
-                username: username,
-                avatar: avatarUrl,
-                status: 'new',
-                lastAttempt: null
-            };
-            await storage.saveUser(user);
-        } else {
-            console.log(`[Auth] Updating existing user ${discordId}`);
-            await storage.updateUser(discordId, {
-                username: username,
-                avatar: avatarUrl
-            });
-            user.username = username;
-            user.avatar = avatarUrl;
+        // Turn away non-members and new accounts before a user is created for them
+        const rejection = await getLoginRejection(discordId);
+        if (rejection) {
+            return res.status(rejection.code).json({ error: rejection.error, code: rejection.reason, redirect: getLoginErrorUrl(rejection) });
         }
 
+        // Save/Update in our public.users table
+        const user = await upsertLoginUser(discordId, username, avatarUrl);
+
         // Establish Express Session
-        req.session.user = user;
+        startSession(req, user);
         req.session.save((err) => {
             if (err) {
                 console.error('Session Save Error:', err);
@@ -186,6 +234,37 @@ router.post('/session', async (req, res) => {
     }
 });
 
+// Offline login for local development. Off unless ENABLE_DEV_LOGIN=true (and never with Supabase or in
+// production): it logs anyone in as any Discord ID, so admin IDs are refused
+router.get('/dev-login', async (req, res) => {
+    if (process.env.ENABLE_DEV_LOGIN !== 'true' || storage.STORAGE_DRIVER !== 'local' || process.env.NODE_ENV === 'production') {
+        return res.status(404).json({ error: 'Not found' });
+    }
+
+    const { discordId, username } = req.query;
+    if (!discordId || !/^\d{5,20}$/.test(discordId)) {
+        return res.status(400).json({ error: 'A numeric discordId query parameter is required' });
+    }
+    if (isAdmin(discordId)) {
+        return res.status(403).json({ error: 'Dev login is not available for ADMIN_DISCORD_IDS' });
+    }
+
+    const rejection = await getLoginRejection(discordId);
+    if (rejection) {
+        return res.redirect(getLoginErrorUrl(rejection));
+    }
+
+    const user = await upsertLoginUser(discordId, username || `dev-${discordId}`, 'https://cdn.discordapp.com/embed/avatars/0.png');
+    startSession(req, user);
+    req.session.save((err) => {
+        if (err) {
+            console.error('Session Save Error:', err);
+            return res.status(500).json({ error: 'Session save failed' });
+        }
+        res.redirect('/dashboard.html');
+    });
+});
+
 // Logout
 router.get('/logout', async (req, res) => {
     // Optional: Sign out from Supabase (invalidates token)
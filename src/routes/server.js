@@ -0,0 +1,79 @@
+/**
+ * Game Server Routes
+ * Machine API for the FiveM server, e.g. an allowlist check in `playerConnecting` deferrals.
+ * Authenticated by API keys created in the admin panel, not by user sessions.
+ */
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { ensureApiKey } = require('../middleware/auth');
+const storage = require('../utils/storage');
+
+const router = express.Router();
+
+// Max players per bulk lookup
+const MAX_BULK_IDS = 100;
+
+// Rate limited per API key, separately from the user-facing limiters
+const serverApiLimiter = rateLimit({
+    windowMs: 60 * 1000, // 1 minute
+    max: parseInt(process.env.SERVER_API_RATE_LIMIT, 10) || 300,
+    keyGenerator: (req) => req.apiKey.id,
+    message: { error: 'Too many requests for this API key. Please slow down.' }
+});
+
+// Rejected keys per IP, checked before the key so keys can't be guessed without limit
+// (accepted requests don't count, so a game server using a valid key is never blocked)
+const invalidKeyLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 20,
+    skipSuccessfulRequests: true,
+    requestWasSuccessful: (req, res) => res.statusCode !== 401,
+    message: { error: 'Too many invalid API keys from this IP. Please try again later.' }
+});
+
+router.use(invalidKeyLimiter, ensureApiKey, serverApiLimiter);
+
+/**
+ * Accept a raw Discord ID or a FiveM identifier (`discord:123...`)
+ * @returns {string|null} The Discord ID, or null if invalid
+ */
+const parseDiscordId = (value) => {
+    const id = String(value || '').trim().replace(/^discord:/, '');
+    return /^\d{17,20}$/.test(id) ? id : null;
+};
+
+/**
+ * GET /api/server/allowlist/:discordId
+ * Check whether a player is allowlisted
+ */
+router.get('/allowlist/:discordId', async (req, res) => {
+    const discordId = parseDiscordId(req.params.discordId);
+    if (!discordId) {
+        return res.status(400).json({ error: 'Invalid Discord ID' });
+    }
+
+    res.json(await storage.getAllowlistStatus(discordId));
+});
+
+/**
+ * POST /api/server/allowlist
+ * Check several players at once
+ * Body: { discordIds: string[] } - up to 100 Discord IDs or `discord:` identifiers
+ */
+router.post('/allowlist', async (req, res) => {
+    const { discordIds } = req.body;
+
+    if (!Array.isArray(discordIds) || discordIds.length === 0 || discordIds.length > MAX_BULK_IDS) {
+        return res.status(400).json({ error: `discordIds must be an array of 1-${MAX_BULK_IDS} IDs` });
+    }
+
+    const ids = discordIds.map(parseDiscordId);
+    if (ids.includes(null)) {
+        return res.status(400).json({ error: 'Invalid Discord ID in discordIds' });
+    }
+
+    res.json({ players: await storage.getAllowlistStatuses([...new Set(ids)]) });
+});
+
+module.exports = router;
@@ -0,0 +1,678 @@
+/**
+ * Local JSON Storage Adapter
+ * File-backed stand-in for Supabase, used for offline development and testing.
+ * Files use the same shapes as data/backup/*.json so backups can be dropped in directly.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DEFAULT_QUIZ_ID } = require('../../config/quiz');
+const { FINAL_STATUSES } = require('../../config/applications');
+const { getBackupTable, getRowKey, rowsFromFile, rowsToFile } = require('../../config/backup');
+
+const DATA_DIR = process.env.LOCAL_DATA_DIR
+    ? path.resolve(process.env.LOCAL_DATA_DIR)
+    : path.join(__dirname, '../../../data');
+
+// Seed data used when a file does not exist yet in DATA_DIR
+const SEED_DIR = path.join(__dirname, '../../../data/backup');
+
+const FILES = {
+    users: 'users.json',
+    attempts: 'attempts.json',
+    questions: 'questions.json',
+    staffApps: 'staff_applications.json',
+    staffAppVotes: 'staff_application_votes.json',
+    gangApps: 'gang_applications.json',
+    quizSessions: 'quiz_sessions.json',
+    quizzes: 'quizzes.json',
+    settings: 'settings.json',
+    auditLog: 'audit_log.json',
+    apiKeys: 'api_keys.json',
+    forms: 'application_forms.json',
+    formApps: 'form_applications.json',
+    gangs: 'gangs.json',
+    loginSessions: 'login_sessions.json',
+    bans: 'bans.json'
+};
+
+/**
+ * Read a JSON file from DATA_DIR
+ * @param {string} filename
+ * @param {object} fallback - Returned when the file does not exist
+ * @param {boolean} [seed] - Fall back to data/backup before using `fallback`
+ */
+const readJSON = (filename, fallback, seed = false) => {
+    const filePath = path.join(DATA_DIR, filename);
+    const seedPath = path.join(SEED_DIR, filename);
+
+    let source = null;
+    if (fs.existsSync(filePath)) source = filePath;
+    else if (seed && fs.existsSync(seedPath)) source = seedPath;
+    if (!source) return fallback;
+
+    try {
+        return JSON.parse(fs.readFileSync(source, 'utf8'));
+    } catch (err) {
+        console.error(`[LocalStorage] Failed to parse ${source}:`, err.message);
+        return fallback;
+    }
+};
+
+/**
+ * Write a JSON file to DATA_DIR (write to temp file then rename, so a crash never leaves half a file)
+ */
+const writeJSON = (filename, data) => {
+    try {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+        const filePath = path.join(DATA_DIR, filename);
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+        fs.renameSync(tmpPath, filePath);
+        return true;
+    } catch (err) {
+        console.error(`[LocalStorage] Failed to write ${filename}:`, err.message);
+        return false;
+    }
+};
+
+const readUsers = () => readJSON(FILES.users, { users: {} }).users || {};
+const readAttempts = () => readJSON(FILES.attempts, { attempts: [] }).attempts || [];
+const readQuestions = () => readJSON(FILES.questions, { questions: [] }, true).questions || [];
+const readStaffApps = () => readJSON(FILES.staffApps, { applications: [] }).applications || [];
+const readStaffAppVotes = () => readJSON(FILES.staffAppVotes, { votes: [] }).votes || [];
+const readGangApps = () => readJSON(FILES.gangApps, { applications: [] }).applications || [];
+const readQuizSessions = () => readJSON(FILES.quizSessions, { sessions: [] }).sessions || [];
+const readQuizzes = () => readJSON(FILES.quizzes, { quizzes: [] }).quizzes || [];
+const readSettings = () => readJSON(FILES.settings, { settings: {} }).settings || {};
+const readAuditLog = () => readJSON(FILES.auditLog, { entries: [] }).entries || [];
+const readApiKeys = () => readJSON(FILES.apiKeys, { keys: [] }).keys || [];
+const readForms = () => readJSON(FILES.forms, { forms: [] }).forms || [];
+const readFormApps = () => readJSON(FILES.formApps, { applications: [] }).applications || [];
+const readGangs = () => readJSON(FILES.gangs, { gangs: [] }).gangs || [];
+const readBans = () => readJSON(FILES.bans, { bans: [] }).bans || [];
+const readLoginSessions = () => readJSON(FILES.loginSessions, { sessions: {} }).sessions || {};
+
+const generateId = () => Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+
+/**
+ * Sort rows by a key like the database would: nulls last, ties broken by `tieKey`
+ */
+const sortRows = (rows, key, order, tieKey) => {
+    const direction = order === 'asc' ? 1 : -1;
+    return rows.slice().sort((a, b) => {
+        const x = a[key];
+        const y = b[key];
+        if ((x === null || x === undefined) !== (y === null || y === undefined)) return x === null || x === undefined ? 1 : -1;
+        if (x < y) return -direction;
+        if (x > y) return direction;
+        return String(a[tieKey]).localeCompare(String(b[tieKey]));
+    });
+};
+
+// ==================== USERS ====================
+
+const getUser = async (discordId) => {
+    return readUsers()[discordId] || null;
+};
+
+const getUsers = async () => readUsers();
+
+const getUsersByIds = async (discordIds) => {
+    const users = readUsers();
+    return discordIds.reduce((acc, id) => {
+        if (users[id]) acc[id] = users[id];
+        return acc;
+    }, {});
+};
+
+const filterUsers = (filters = {}) => {
+    const search = (filters.search || '').toLowerCase();
+    return Object.values(readUsers())
+        .filter(u => !filters.status || u.status === filters.status)
+        .filter(u => !search || (u.username || '').toLowerCase().includes(search) || u.discordId.includes(search));
+};
+
+const USER_SORT_KEYS = ['lastAttempt', 'username'];
+
+const queryUsers = async ({ sort = 'lastAttempt', order = 'desc', offset = 0, limit = 50, ...filters } = {}) => {
+    const users = filterUsers(filters);
+    const key = USER_SORT_KEYS.includes(sort) ? sort : 'lastAttempt';
+    return { users: sortRows(users, key, order, 'discordId').slice(offset, offset + limit), total: users.length };
+};
+
+const countUsers = async (filters = {}) => filterUsers(filters).length;
+
+const saveUser = async (user) => {
+    const discordId = user.discordId || user.discord_id;
+    if (!discordId) return false;
+
+    const users = readUsers();
+    users[discordId] = {
+        ...user,
+        discordId,
+        lastAttempt: user.lastAttempt ? new Date(user.lastAttempt).toISOString() : null
+    };
+    return writeJSON(FILES.users, { users });
+};
+
+const deleteUser = async (discordId) => {
+    const users = readUsers();
+    if (!users[discordId]) return false;
+    delete users[discordId];
+    return writeJSON(FILES.users, { users });
+};
+
+// ==================== ATTEMPTS ====================
+
+const getAttempts = async () => readAttempts();
+
+const getUserAttempts = async (discordId) => readAttempts().filter(a => a.discordId === discordId);
+
+const getAttemptsForUsers = async (discordIds) => {
+    const ids = new Set(discordIds);
+    return readAttempts().filter(a => ids.has(a.discordId));
+};
+
+const filterAttempts = (filters = {}) => {
+    const from = filters.from ? new Date(filters.from).getTime() : null;
+    const to = filters.to ? new Date(filters.to).getTime() : null;
+
+    return readAttempts()
+        .filter(a => filters.passed === undefined || !!a.passed === filters.passed)
+        .filter(a => !filters.discordId || a.discordId === filters.discordId)
+        .filter(a => !filters.quizId || (a.quizId || DEFAULT_QUIZ_ID) === filters.quizId)
+        .filter(a => from === null || new Date(a.timestamp).getTime() >= from)
+        .filter(a => to === null || new Date(a.timestamp).getTime() <= to);
+};
+
+const ATTEMPT_SORT_KEYS = ['timestamp', 'score'];
+
+const queryAttempts = async ({ sort = 'timestamp', order = 'desc', offset = 0, limit = 50, ...filters } = {}) => {
+    const attempts = filterAttempts(filters);
+    const key = ATTEMPT_SORT_KEYS.includes(sort) ? sort : 'timestamp';
+    return { attempts: sortRows(attempts, key, order, 'id').slice(offset, offset + limit), total: attempts.length };
+};
+
+const countAttempts = async (filters = {}) => filterAttempts(filters).length;
+
+const addAttempt = async (attempt) => {
+    const attempts = readAttempts();
+    attempts.push({
+        id: crypto.randomUUID(),
+        ...attempt,
+        timestamp: new Date().toISOString()
+    });
+    return writeJSON(FILES.attempts, { attempts });
+};
+
+// ==================== QUESTIONS ====================
+
+const getQuestions = async () => readQuestions().slice().sort((a, b) => a.id - b.id);
+
+const addQuestion = async (question) => {
+    const questions = readQuestions();
+    const newQuestion = {
+        id: questions.reduce((max, q) => Math.max(max, q.id), 0) + 1,
+        question: question.question,
+        options: question.options,
+        correctOption: question.correctOption,
+        category: question.category,
+        quizId: question.quizId
+    };
+    questions.push(newQuestion);
+    if (!writeJSON(FILES.questions, { questions })) return null;
+    return newQuestion;
+};
+
+const updateQuestion = async (id, updates) => {
+    const questions = readQuestions();
+    const question = questions.find(q => q.id === id);
+    if (!question) return null;
+
+    if (updates.question) question.question = updates.question;
+    if (updates.options) question.options = updates.options;
+    if (updates.correctOption !== undefined) question.correctOption = updates.correctOption;
+    if (updates.category) question.category = updates.category;
+    if (updates.quizId) question.quizId = updates.quizId;
+
+    if (!writeJSON(FILES.questions, { questions })) return null;
+    return question;
+};
+
+const deleteQuestion = async (id) => {
+    const questions = readQuestions();
+    const remaining = questions.filter(q => q.id !== id);
+    if (remaining.length === questions.length) return false;
+    return writeJSON(FILES.questions, { questions: remaining });
+};
+
+const importQuestions = async ({ create, update, remove }) => {
+    const questions = readQuestions();
+    let nextId = questions.reduce((max, q) => Math.max(max, q.id), 0) + 1;
+    const removed = new Set(remove);
+    const updates = new Map(update.map(q => [q.id, q]));
+
+    const result = questions
+        .filter(q => !removed.has(q.id))
+        .map(q => {
+            const changes = updates.get(q.id);
+            if (!changes) return q;
+            return { ...q, question: changes.question, options: changes.options, correctOption: changes.correctOption, category: changes.category };
+        });
+    create.forEach(q => result.push({
+        id: nextId++,
+        question: q.question,
+        options: q.options,
+        correctOption: q.correctOption,
+        category: q.category,
+        quizId: q.quizId
+    }));
+
+    // A single file write, so the import is saved whole or not at all
+    return writeJSON(FILES.questions, { questions: result });
+};
+
+// ==================== QUIZ SESSIONS ====================
+
+const createQuizSession = async (session) => {
+    const sessions = readQuizSessions();
+    const newSession = {
+        ...session,
+        status: session.status || 'active',
+        createdAt: new Date().toISOString(),
+        submittedAt: null
+    };
+    sessions.push(newSession);
+    if (!writeJSON(FILES.quizSessions, { sessions })) return null;
+    return newSession;
+};
+
+const getActiveQuizSession = async (discordId, quizId) => {
+    const active = readQuizSessions()
+        .filter(s => s.discordId === discordId && s.quizId === quizId && s.status === 'active')
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    return active[0] || null;
+};
+
+const updateQuizSession = async (sessionId, updates) => {
+    const sessions = readQuizSessions();
+    const session = sessions.find(s => s.sessionId === sessionId);
+    if (!session) return false;
+
+    if (updates.status) session.status = updates.status;
+    if (updates.submittedAt) session.submittedAt = new Date(updates.submittedAt).toISOString();
+    return writeJSON(FILES.quizSessions, { sessions });
+};
+
+// ==================== QUIZZES ====================
+
+const getQuizzes = async () => readQuizzes();
+
+const saveQuiz = async (quiz) => {
+    const quizzes = readQuizzes().filter(q => q.id !== quiz.id);
+    quizzes.push(quiz);
+    if (!writeJSON(FILES.quizzes, { quizzes })) return null;
+    return quiz;
+};
+
+// ==================== APPLICATION FORMS ====================
+
+const getForms = async () => readForms();
+
+const saveForm = async (form) => {
+    const forms = readForms().filter(f => f.id !== form.id);
+    forms.push(form);
+    if (!writeJSON(FILES.forms, { forms })) return null;
+    return form;
+};
+
+const deleteForm = async (formId) => writeJSON(FILES.forms, { forms: readForms().filter(f => f.id !== formId) });
+
+// ==================== SETTINGS ====================
+
+const getSetting = async (key) => {
+    const settings = readSettings();
+    return settings[key] !== undefined ? settings[key] : null;
+};
+
+const saveSetting = async (key, value) => {
+    const settings = readSettings();
+    settings[key] = value;
+    return writeJSON(FILES.settings, { settings });
+};
+
+// ==================== AUDIT LOG ====================
+
+const addAuditEntry = async (entry) => {
+    const entries = readAuditLog();
+    entries.push({
+        id: crypto.randomUUID(),
+        ...entry,
+        createdAt: new Date().toISOString()
+    });
+    return writeJSON(FILES.auditLog, { entries });
+};
+
+/**
+ * @param {object} filters - { actorId, targetId, action, from, to, limit }
+ */
+const getAuditLog = async (filters = {}) => {
+    const from = filters.from ? new Date(filters.from).getTime() : null;
+    const to = filters.to ? new Date(filters.to).getTime() : null;
+
+    return readAuditLog()
+        .filter(e => !filters.actorId || e.actorId === filters.actorId)
+        .filter(e => !filters.targetId || e.targetId === filters.targetId)
+        .filter(e => !filters.action || e.action === filters.action)
+        .filter(e => from === null || new Date(e.createdAt).getTime() >= from)
+        .filter(e => to === null || new Date(e.createdAt).getTime() <= to)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .slice(0, filters.limit || 500);
+};
+
+// ==================== API KEYS ====================
+
+const getApiKeys = async () => readApiKeys().slice().sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+const getApiKeyByHash = async (keyHash) => readApiKeys().find(k => k.keyHash === keyHash) || null;
+
+const addApiKey = async (apiKey) => {
+    const keys = readApiKeys();
+    const newKey = {
+        id: crypto.randomUUID(),
+        name: apiKey.name,
+        keyHash: apiKey.keyHash,
+        keyPrefix: apiKey.keyPrefix,
+        createdBy: apiKey.createdBy,
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null,
+        revokedAt: null
+    };
+    keys.push(newKey);
+    if (!writeJSON(FILES.apiKeys, { keys })) return null;
+    return newKey;
+};
+
+const updateApiKey = async (id, updates) => {
+    const keys = readApiKeys();
+    const key = keys.find(k => k.id === id);
+    if (!key) return false;
+
+    if (updates.lastUsedAt) key.lastUsedAt = new Date(updates.lastUsedAt).toISOString();
+    if (updates.revokedAt) key.revokedAt = new Date(updates.revokedAt).toISOString();
+    return writeJSON(FILES.apiKeys, { keys });
+};
+
+// ==================== BANS ====================
+
+const getBans = async () => readBans().slice().sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+const getBan = async (discordId) => readBans().find(b => b.discordId === discordId) || null;
+
+// One record per user: banning again replaces the previous (lifted or expired) ban
+const saveBan = async (ban) => {
+    const bans = readBans().filter(b => b.discordId !== ban.discordId);
+    bans.push(ban);
+    return writeJSON(FILES.bans, { bans });
+};
+
+// ==================== LOGIN SESSIONS ====================
+
+const getLoginSession = async (id) => readLoginSessions()[id] || null;
+
+const getUserLoginSessions = async (discordId) => Object.values(readLoginSessions())
+    .filter(s => s.discordId === discordId)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+const saveLoginSession = async (session) => {
+    const sessions = readLoginSessions();
+    const now = new Date().toISOString();
+    sessions[session.id] = {
+        ...session,
+        createdAt: sessions[session.id]?.createdAt || now,
+        updatedAt: now
+    };
+    return writeJSON(FILES.loginSessions, { sessions });
+};
+
+const deleteLoginSession = async (id) => {
+    const sessions = readLoginSessions();
+    delete sessions[id];
+    return writeJSON(FILES.loginSessions, { sessions });
+};
+
+/**
+ * Delete the sessions matching a predicate
+ * @returns {number|null} How many were deleted, or null if the file could not be written
+ */
+const deleteLoginSessionsWhere = (predicate) => {
+    const sessions = readLoginSessions();
+    const ids = Object.keys(sessions).filter(id => predicate(sessions[id]));
+    if (ids.length === 0) return 0;
+    ids.forEach(id => delete sessions[id]);
+    return writeJSON(FILES.loginSessions, { sessions }) ? ids.length : null;
+};
+
+const deleteUserLoginSessions = async (discordId) => deleteLoginSessionsWhere(s => s.discordId === discordId);
+
+const deleteExpiredLoginSessions = async (before) => deleteLoginSessionsWhere(s => new Date(s.expiresAt) <= new Date(before));
+
+// ==================== APPLICATIONS ====================
+
+// Read, check and write happen without awaiting, so the status check can't race another update
+const setAppStatus = (filename, applications, appId, status, fromStatuses) => {
+    const app = applications.find(a => a.applicationId === appId);
+    if (!app || (fromStatuses && !fromStatuses.includes(app.status))) return false;
+    app.status = status;
+    app.reviewedAt = FINAL_STATUSES.includes(status) ? new Date().toISOString() : null;
+    return writeJSON(filename, { applications }) ? true : null;
+};
+
+const getStaffApps = async () => readStaffApps();
+
+const addStaffApp = async (app) => {
+    const applications = readStaffApps();
+    applications.push({
+        ...app,
+        applicationId: app.applicationId || generateId(),
+        status: app.status || 'pending',
+        submittedAt: new Date().toISOString(),
+        reviewedAt: null
+    });
+    return writeJSON(FILES.staffApps, { applications });
+};
+
+const updateStaffAppStatus = async (appId, status, fromStatuses = null) =>
+    setAppStatus(FILES.staffApps, readStaffApps(), appId, status, fromStatuses);
+
+const updateStaffApp = async (appId, updates) => {
+    const applications = readStaffApps();
+    const app = applications.find(a => a.applicationId === appId);
+    if (!app) return false;
+    Object.assign(app, updates);
+    return writeJSON(FILES.staffApps, { applications });
+};
+
+const getStaffAppVotes = async (appId = null) => {
+    const votes = readStaffAppVotes();
+    return appId ? votes.filter(v => v.applicationId === appId) : votes;
+};
+
+const saveStaffAppVote = async (vote) => {
+    const votes = readStaffAppVotes().filter(v => v.voteId !== vote.voteId);
+    votes.push(vote);
+    return writeJSON(FILES.staffAppVotes, { votes });
+};
+
+const getGangApps = async () => readGangApps();
+
+const addGangApp = async (app) => {
+    const applications = readGangApps();
+    applications.push({
+        ...app,
+        applicationId: app.applicationId || generateId(),
+        leaderDiscordId: app.leaderDiscordId || app.discordId,
+        leaderUsername: app.leaderUsername || app.username,
+        status: 'pending',
+        submittedAt: new Date().toISOString(),
+        reviewedAt: null
+    });
+    return writeJSON(FILES.gangApps, { applications });
+};
+
+const updateGangAppStatus = async (appId, status, fromStatuses = null) =>
+    setAppStatus(FILES.gangApps, readGangApps(), appId, status, fromStatuses);
+
+const updateGangApp = async (appId, updates) => {
+    const applications = readGangApps();
+    const app = applications.find(a => a.applicationId === appId);
+    if (!app) return false;
+    Object.assign(app, updates);
+    return writeJSON(FILES.gangApps, { applications });
+};
+
+const getFormApps = async () => readFormApps();
+
+const addFormApp = async (app) => {
+    const applications = readFormApps();
+    applications.push({
+        ...app,
+        applicationId: app.applicationId || generateId(),
+        status: 'pending',
+        submittedAt: new Date().toISOString(),
+        reviewedAt: null
+    });
+    return writeJSON(FILES.formApps, { applications });
+};
+
+const updateFormAppStatus = async (appId, status, fromStatuses = null) =>
+    setAppStatus(FILES.formApps, readFormApps(), appId, status, fromStatuses);
+
+const updateFormApp = async (appId, updates) => {
+    const applications = readFormApps();
+    const app = applications.find(a => a.applicationId === appId);
+    if (!app) return false;
+    Object.assign(app, updates);
+    return writeJSON(FILES.formApps, { applications });
+};
+
+// ==================== GANGS ====================
+
+const getGangs = async () => readGangs();
+
+const addGang = async (gang) => {
+    const gangs = readGangs();
+    gangs.push({
+        members: [],
+        invites: [],
+        ...gang,
+        gangId: gang.gangId || generateId(),
+        status: 'active',
+        createdAt: new Date().toISOString(),
+        disbandedAt: null
+    });
+    return writeJSON(FILES.gangs, { gangs });
+};
+
+const updateGang = async (gangId, updates) => {
+    const gangs = readGangs();
+    const gang = gangs.find(g => g.gangId === gangId);
+    if (!gang) return false;
+    Object.assign(gang, updates);
+    return writeJSON(FILES.gangs, { gangs });
+};
+
+// ==================== BACKUP ====================
+
+// Backup table names are the file names; questions fall back to the seed file like readQuestions
+const readTableRows = (table) => rowsFromFile(table, readJSON(`${table.name}.json`, {}, table.name === 'questions'));
+
+/**
+ * Rows of a backup table (src/config/backup.js) in its backup file shape
+ */
+const getTableRows = async (tableName, { offset = 0, limit = Infinity } = {}) => {
+    return readTableRows(getBackupTable(tableName)).slice(offset, offset + limit);
+};
+
+// Rows are stored as given
+const normalizeTableRow = (tableName, row) => row;
+
+/**
+ * Insert or replace rows of a backup table by primary key, as given (ids and timestamps are kept)
+ */
+const upsertTableRows = async (tableName, rows) => {
+    const table = getBackupTable(tableName);
+    const byKey = new Map(readTableRows(table).map((row, i) => [getRowKey(table, row) || `#${i}`, row]));
+    rows.forEach(row => byKey.set(getRowKey(table, row), row));
+    return writeJSON(`${table.name}.json`, rowsToFile(table, [...byKey.values()]));
+};
+
+module.exports = {
+    name: 'local',
+    DATA_DIR,
+    getUser,
+    getUsers,
+    getUsersByIds,
+    queryUsers,
+    countUsers,
+    saveUser,
+    deleteUser,
+    getAttempts,
+    getUserAttempts,
+    getAttemptsForUsers,
+    queryAttempts,
+    countAttempts,
+    addAttempt,
+    getQuestions,
+    addQuestion,
+    updateQuestion,
+    deleteQuestion,
+    importQuestions,
+    createQuizSession,
+    getActiveQuizSession,
+    updateQuizSession,
+    getQuizzes,
+    saveQuiz,
+    getForms,
+    saveForm,
+    deleteForm,
+    getSetting,
+    saveSetting,
+    addAuditEntry,
+    getAuditLog,
+    getApiKeys,
+    getApiKeyByHash,
+    addApiKey,
+    updateApiKey,
+    getBans,
+    getBan,
+    saveBan,
+    getLoginSession,
+    getUserLoginSessions,
+    saveLoginSession,
+    deleteLoginSession,
+    deleteUserLoginSessions,
+    deleteExpiredLoginSessions,
+    getStaffApps,
+    addStaffApp,
+    updateStaffAppStatus,
+    updateStaffApp,
+    getStaffAppVotes,
+    saveStaffAppVote,
+    getGangApps,
+    addGangApp,
+    updateGangAppStatus,
+    updateGangApp,
+    getFormApps,
+    addFormApp,
+    updateFormAppStatus,
+    updateFormApp,
+    getGangs,
+    addGang,
+    updateGang,
+    getTableRows,
+    normalizeTableRow,
+    upsertTableRows
+};
@@ -0,0 +1,1219 @@
+/**
+ * Supabase Storage Adapter
+ * Reads/writes users, attempts, questions and applications in Supabase (PostgreSQL).
+ * Rows are mapped back to the camelCase shapes used by the rest of the app.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const { DEFAULT_CATEGORY, DEFAULT_QUIZ_ID } = require('../../config/quiz');
+const { FINAL_STATUSES } = require('../../config/applications');
+
+let supabase = null;
+
+/**
+ * Lazily create the Supabase client so that requiring this module
+ * does not crash when another storage driver is selected.
+ */
+const getClient = () => {
+    if (supabase) return supabase;
+
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY; // Use Service Role for admin access
+
+    if (!supabaseUrl || !supabaseKey) {
+        console.warn('⚠️ Supabase credentials missing in .env! Storage will fail.');
+    }
+
+    supabase = createClient(supabaseUrl || '', supabaseKey || '');
+    return supabase;
+};
+
+// ==================== MAPPERS ====================
+
+const mapUser = (row) => ({
+    ...row,
+    ...row.data, // Merge JSONB data back into top level to match old structure
+    discordId: row.discord_id, // Map snake_case to camelCase
+    lastAttempt: row.last_attempt
+});
+
+const mapAttempt = (row) => ({
+    ...row,
+    discordId: row.discord_id,
+    quizId: row.quiz_id,
+    categoryScores: row.category_scores || [],
+    manualPass: !!row.manual && row.passed,
+    manualFail: !!row.manual && !row.passed,
+    answers: row.answers || [],
+    ipHash: row.ip_hash,
+    userAgent: row.user_agent,
+    durationMs: row.duration_ms,
+    timestamp: row.timestamp
+});
+
+const mapQuestion = (row) => ({
+    id: row.id,
+    question: row.question,
+    options: row.options,
+    correctOption: row.correct_option,
+    category: row.category,
+    quizId: row.quiz_id
+});
+
+const mapStaffApp = (row) => ({
+    ...row,
+    ...row.details, // Spread generic details
+    applicationId: row.application_id,
+    discordId: row.discord_id,
+    status: row.status, // details holds the status at submission time
+    submittedAt: row.submitted_at,
+    reviewedAt: row.reviewed_at
+});
+
+const mapGangApp = (row) => ({
+    ...row,
+    ...row.details,
+    applicationId: row.application_id,
+    leaderDiscordId: row.leader_discord_id,
+    status: row.status,
+    gangName: row.gang_name,
+    submittedAt: row.submitted_at,
+    reviewedAt: row.reviewed_at
+});
+
+const mapQuizSession = (row) => ({
+    sessionId: row.session_id,
+    discordId: row.discord_id,
+    quizId: row.quiz_id,
+    questionIds: row.question_ids,
+    optionOrder: row.option_order,
+    categories: row.categories,
+    status: row.status,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    submittedAt: row.submitted_at
+});
+
+const mapQuiz = (row) => ({
+    id: row.quiz_id,
+    name: row.name,
+    description: row.description,
+    roleId: row.role_id,
+    passScore: row.pass_score,
+    timeLimitMs: row.time_limit_ms,
+    shuffleOptions: row.shuffle_options,
+    requiresQuizId: row.requires_quiz_id,
+    active: row.active,
+    sections: row.sections
+});
+
+const mapForm = (row) => ({
+    id: row.form_id,
+    name: row.name,
+    description: row.description,
+    notice: row.notice,
+    active: row.active,
+    fields: row.fields
+});
+
+const mapFormApp = (row) => ({
+    ...row.details,
+    applicationId: row.application_id,
+    formId: row.form_id,
+    discordId: row.discord_id,
+    username: row.username,
+    status: row.status,
+    submittedAt: row.submitted_at,
+    reviewedAt: row.reviewed_at
+});
+
+const mapGang = (row) => ({
+    gangId: row.gang_id,
+    applicationId: row.application_id,
+    name: row.name,
+    gangType: row.gang_type,
+    leaderDiscordId: row.leader_discord_id,
+    roleId: row.role_id,
+    channelId: row.channel_id,
+    status: row.status,
+    members: row.members || [],
+    invites: row.invites || [],
+    createdAt: row.created_at,
+    disbandedAt: row.disbanded_at,
+    disbandReason: row.disband_reason
+});
+
+const mapAuditEntry = (row) => ({
+    id: row.id,
+    actorId: row.actor_id,
+    actorName: row.actor_name,
+    actorType: row.actor_type,
+    action: row.action,
+    targetType: row.target_type,
+    targetId: row.target_id,
+    before: row.before,
+    after: row.after,
+    reason: row.reason,
+    createdAt: row.created_at
+});
+
+const mapApiKey = (row) => ({
+    id: row.id,
+    name: row.name,
+    keyHash: row.key_hash,
+    keyPrefix: row.key_prefix,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at
+});
+
+const mapBan = (row) => ({
+    discordId: row.discord_id,
+    username: row.username,
+    reason: row.reason,
+    bannedBy: row.banned_by,
+    bannedByName: row.banned_by_name,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    liftedAt: row.lifted_at,
+    liftedBy: row.lifted_by,
+    liftReason: row.lift_reason
+});
+
+const mapStaffAppVote = (row) => ({
+    voteId: row.vote_id,
+    applicationId: row.application_id,
+    discordId: row.reviewer_id,
+    username: row.username,
+    vote: row.vote,
+    comment: row.comment,
+    at: row.voted_at
+});
+
+const mapLoginSession = (row) => ({
+    id: row.sid,
+    discordId: row.discord_id,
+    data: row.data,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    expiresAt: row.expires_at
+});
+
+// Optional date (Date, ISO string or null) for a TIMESTAMPTZ column
+const toTimestamp = (value) => (value ? new Date(value).toISOString() : null);
+
+// ==================== USERS ====================
+
+const toUserRow = (user) => {
+    // Don't nest the previous JSONB copy inside the new one
+    const { data: _previous, ...fields } = user;
+
+    return {
+        discord_id: user.discordId,
+        username: user.username,
+        avatar: user.avatar,
+        status: user.status,
+        last_attempt: user.lastAttempt ? new Date(user.lastAttempt).toISOString() : null,
+        data: fields // Store full object in JSONB for custom fields
+    };
+};
+
+const getUser = async (discordId) => {
+    const { data, error } = await getClient()
+        .from('users')
+        .select('*')
+        .eq('discord_id', discordId)
+        .single();
+
+    if (error || !data) return null;
+    return mapUser(data);
+};
+
+const getUsers = async () => {
+    const { data, error } = await getClient().from('users').select('*');
+    if (error) {
+        console.error('Error fetching users:', error);
+        return {};
+    }
+    return data.reduce((acc, user) => {
+        acc[user.discord_id] = mapUser(user);
+        return acc;
+    }, {});
+};
+
+const getUsersByIds = async (discordIds) => {
+    if (discordIds.length === 0) return {};
+    const { data, error } = await getClient().from('users').select('*').in('discord_id', discordIds);
+    if (error) return {};
+    return data.reduce((acc, user) => {
+        acc[user.discord_id] = mapUser(user);
+        return acc;
+    }, {});
+};
+
+const USER_SORT_COLUMNS = { lastAttempt: 'last_attempt', username: 'username' };
+
+const applyUserFilters = (query, filters = {}) => {
+    if (filters.status) query = query.eq('status', filters.status);
+    if (filters.search) {
+        // Characters that would break the PostgREST `or` filter or act as wildcards
+        const term = filters.search.replace(/[,()"\\%*]/g, '');
+        if (term) query = query.or(`username.ilike.%${term}%,discord_id.ilike.%${term}%`);
+    }
+    return query;
+};
+
+const queryUsers = async ({ sort = 'lastAttempt', order = 'desc', offset = 0, limit = 50, ...filters } = {}) => {
+    const { data, error, count } = await applyUserFilters(getClient().from('users').select('*', { count: 'exact' }), filters)
+        .order(USER_SORT_COLUMNS[sort] || USER_SORT_COLUMNS.lastAttempt, { ascending: order === 'asc', nullsFirst: false })
+        .order('discord_id')
+        .range(offset, offset + limit - 1);
+    if (error) {
+        console.error('Error querying users:', error);
+        return { users: [], total: 0 };
+    }
+    return { users: data.map(mapUser), total: count || 0 };
+};
+
+const countUsers = async (filters = {}) => {
+    const { count, error } = await applyUserFilters(getClient().from('users').select('*', { count: 'exact', head: true }), filters);
+    return error ? 0 : count || 0;
+};
+
+const saveUser = async (user) => {
+    const discordId = user.discordId || user.discord_id;
+    if (!discordId) return false;
+
+    const { error } = await getClient().from('users').upsert(toUserRow({ ...user, discordId }));
+    if (error) {
+        console.error('Error saving user:', error);
+        return false;
+    }
+    return true;
+};
+
+const deleteUser = async (discordId) => {
+    const { error } = await getClient().from('users').delete().eq('discord_id', discordId);
+    return !error;
+};
+
+// ==================== ATTEMPTS ====================
+
+const getAttempts = async () => {
+    const { data, error } = await getClient().from('attempts').select('*');
+    if (error) return [];
+    return data.map(mapAttempt);
+};
+
+const getUserAttempts = async (discordId) => {
+    const { data, error } = await getClient().from('attempts').select('*').eq('discord_id', discordId);
+    if (error) return [];
+    return data.map(mapAttempt);
+};
+
+const getAttemptsForUsers = async (discordIds) => {
+    if (discordIds.length === 0) return [];
+    const { data, error } = await getClient().from('attempts').select('*').in('discord_id', discordIds);
+    if (error) return [];
+    return data.map(mapAttempt);
+};
+
+const ATTEMPT_SORT_COLUMNS = { timestamp: 'timestamp', score: 'score' };
+
+const applyAttemptFilters = (query, filters = {}) => {
+    if (filters.passed !== undefined) query = query.eq('passed', filters.passed);
+    if (filters.discordId) query = query.eq('discord_id', filters.discordId);
+    if (filters.quizId) query = query.eq('quiz_id', filters.quizId);
+    if (filters.from) query = query.gte('timestamp', new Date(filters.from).toISOString());
+    if (filters.to) query = query.lte('timestamp', new Date(filters.to).toISOString());
+    return query;
+};
+
+const queryAttempts = async ({ sort = 'timestamp', order = 'desc', offset = 0, limit = 50, ...filters } = {}) => {
+    const { data, error, count } = await applyAttemptFilters(getClient().from('attempts').select('*', { count: 'exact' }), filters)
+        .order(ATTEMPT_SORT_COLUMNS[sort] || ATTEMPT_SORT_COLUMNS.timestamp, { ascending: order === 'asc' })
+        .order('id')
+        .range(offset, offset + limit - 1);
+    if (error) {
+        console.error('Error querying attempts:', error);
+        return { attempts: [], total: 0 };
+    }
+    return { attempts: data.map(mapAttempt), total: count || 0 };
+};
+
+const countAttempts = async (filters = {}) => {
+    const { count, error } = await applyAttemptFilters(getClient().from('attempts').select('*', { count: 'exact', head: true }), filters);
+    return error ? 0 : count || 0;
+};
+
+const addAttempt = async (attempt) => {
+    const dbAttempt = {
+        discord_id: attempt.discordId,
+        quiz_id: attempt.quizId,
+        score: attempt.score,
+        total: attempt.total,
+        passed: attempt.passed,
+        category_scores: attempt.categoryScores || null,
+        expired: !!attempt.expired,
+        manual: !!(attempt.manualPass || attempt.manualFail),
+        answers: attempt.answers || [],
+        ip_hash: attempt.ipHash || null,
+        user_agent: attempt.userAgent || null,
+        duration_ms: attempt.durationMs ?? null,
+        timestamp: new Date().toISOString()
+    };
+    const { error } = await getClient().from('attempts').insert(dbAttempt);
+    if (error) {
+        console.error('Error adding attempt:', error);
+        return false;
+    }
+    return true;
+};
+
+// ==================== QUESTIONS ====================
+
+const getQuestions = async () => {
+    const { data, error } = await getClient().from('questions').select('*').order('id', { ascending: true });
+    if (error) return [];
+    return data.map(mapQuestion);
+};
+
+const addQuestion = async (question) => {
+    const dbQuestion = {
+        question: question.question,
+        options: question.options,
+        correct_option: question.correctOption,
+        category: question.category,
+        quiz_id: question.quizId
+    };
+    // Let database handle ID (SERIAL)
+    const { data, error } = await getClient().from('questions').insert(dbQuestion).select().single();
+    if (error) return null;
+    return mapQuestion(data);
+};
+
+const updateQuestion = async (id, updates) => {
+    const payload = {};
+    if (updates.question) payload.question = updates.question;
+    if (updates.options) payload.options = updates.options;
+    if (updates.correctOption !== undefined) payload.correct_option = updates.correctOption;
+    if (updates.category) payload.category = updates.category;
+    if (updates.quizId) payload.quiz_id = updates.quizId;
+
+    const { data, error } = await getClient().from('questions').update(payload).eq('id', id).select().single();
+    if (error) return null;
+    return mapQuestion(data);
+};
+
+const deleteQuestion = async (id) => {
+    const { error } = await getClient().from('questions').delete().eq('id', id);
+    return !error;
+};
+
+// Runs the import_questions function (scripts/supabase_schema.sql), which applies it in one transaction
+const importQuestions = async ({ create, update, remove }) => {
+    const { error } = await getClient().rpc('import_questions', {
+        creates: create.map(q => ({
+            question: q.question,
+            options: q.options,
+            correct_option: q.correctOption,
+            category: q.category,
+            quiz_id: q.quizId
+        })),
+        updates: update.map(q => ({
+            id: q.id,
+            question: q.question,
+            options: q.options,
+            correct_option: q.correctOption,
+            category: q.category
+        })),
+        deletes: remove
+    });
+    if (error) {
+        console.error('Error importing questions:', error);
+        return false;
+    }
+    return true;
+};
+
+// ==================== QUIZ SESSIONS ====================
+
+const createQuizSession = async (session) => {
+    const dbSession = {
+        session_id: session.sessionId,
+        discord_id: session.discordId,
+        quiz_id: session.quizId,
+        question_ids: session.questionIds,
+        option_order: session.optionOrder,
+        categories: session.categories,
+        status: session.status || 'active',
+        created_at: new Date().toISOString(),
+        expires_at: session.expiresAt || null
+    };
+    const { data, error } = await getClient().from('quiz_sessions').insert(dbSession).select().single();
+    if (error) {
+        console.error('Error creating quiz session:', error);
+        return null;
+    }
+    return mapQuizSession(data);
+};
+
+const getActiveQuizSession = async (discordId, quizId) => {
+    const { data, error } = await getClient()
+        .from('quiz_sessions')
+        .select('*')
+        .eq('discord_id', discordId)
+        .eq('quiz_id', quizId)
+        .eq('status', 'active')
+        .order('created_at', { ascending: false })
+        .limit(1);
+    if (error || !data || data.length === 0) return null;
+    return mapQuizSession(data[0]);
+};
+
+const updateQuizSession = async (sessionId, updates) => {
+    const payload = {};
+    if (updates.status) payload.status = updates.status;
+    if (updates.submittedAt) payload.submitted_at = new Date(updates.submittedAt).toISOString();
+
+    const { error } = await getClient().from('quiz_sessions').update(payload).eq('session_id', sessionId);
+    return !error;
+};
+
+// ==================== QUIZZES ====================
+
+const getQuizzes = async () => {
+    const { data, error } = await getClient().from('quizzes').select('*');
+    if (error) return [];
+    return data.map(mapQuiz);
+};
+
+const toQuizRow = (quiz) => ({
+    quiz_id: quiz.id,
+    name: quiz.name,
+    description: quiz.description,
+    role_id: quiz.roleId,
+    pass_score: quiz.passScore,
+    time_limit_ms: quiz.timeLimitMs,
+    shuffle_options: quiz.shuffleOptions,
+    requires_quiz_id: quiz.requiresQuizId,
+    active: quiz.active,
+    sections: quiz.sections
+});
+
+const saveQuiz = async (quiz) => {
+    const { data, error } = await getClient().from('quizzes').upsert(toQuizRow(quiz)).select().single();
+    if (error) {
+        console.error('Error saving quiz:', error);
+        return null;
+    }
+    return mapQuiz(data);
+};
+
+// ==================== APPLICATION FORMS ====================
+
+const getForms = async () => {
+    const { data, error } = await getClient().from('application_forms').select('*');
+    if (error) return [];
+    return data.map(mapForm);
+};
+
+const toFormRow = (form) => ({
+    form_id: form.id,
+    name: form.name,
+    description: form.description,
+    notice: form.notice,
+    active: form.active,
+    fields: form.fields,
+    updated_at: new Date().toISOString()
+});
+
+const saveForm = async (form) => {
+    const { data, error } = await getClient().from('application_forms').upsert(toFormRow(form)).select().single();
+    if (error) {
+        console.error('Error saving form:', error);
+        return null;
+    }
+    return mapForm(data);
+};
+
+const deleteForm = async (formId) => {
+    const { error } = await getClient().from('application_forms').delete().eq('form_id', formId);
+    return !error;
+};
+
+// ==================== SETTINGS ====================
+
+const getSetting = async (key) => {
+    const { data, error } = await getClient().from('settings').select('value').eq('key', key).maybeSingle();
+    if (error || !data) return null;
+    return data.value;
+};
+
+const saveSetting = async (key, value) => {
+    const { error } = await getClient()
+        .from('settings')
+        .upsert({ key, value, updated_at: new Date().toISOString() });
+    if (error) {
+        console.error('Error saving setting:', error);
+        return false;
+    }
+    return true;
+};
+
+// ==================== AUDIT LOG ====================
+
+const addAuditEntry = async (entry) => {
+    const dbEntry = {
+        actor_id: entry.actorId,
+        actor_name: entry.actorName,
+        actor_type: entry.actorType,
+        action: entry.action,
+        target_type: entry.targetType,
+        target_id: entry.targetId,
+        before: entry.before,
+        after: entry.after,
+        reason: entry.reason,
+        created_at: new Date().toISOString()
+    };
+    const { error } = await getClient().from('audit_log').insert(dbEntry);
+    if (error) {
+        console.error('Error adding audit entry:', error);
+        return false;
+    }
+    return true;
+};
+
+/**
+ * @param {object} filters - { actorId, targetId, action, from, to, limit }
+ */
+const getAuditLog = async (filters = {}) => {
+    let query = getClient().from('audit_log').select('*');
+    if (filters.actorId) query = query.eq('actor_id', filters.actorId);
+    if (filters.targetId) query = query.eq('target_id', filters.targetId);
+    if (filters.action) query = query.eq('action', filters.action);
+    if (filters.from) query = query.gte('created_at', new Date(filters.from).toISOString());
+    if (filters.to) query = query.lte('created_at', new Date(filters.to).toISOString());
+
+    const { data, error } = await query
+        .order('created_at', { ascending: false })
+        .limit(filters.limit || 500);
+    if (error) return [];
+    return data.map(mapAuditEntry);
+};
+
+// ==================== API KEYS ====================
+
+const getApiKeys = async () => {
+    const { data, error } = await getClient()
+        .from('api_keys')
+        .select('*')
+        .order('created_at', { ascending: false });
+    if (error) return [];
+    return data.map(mapApiKey);
+};
+
+const getApiKeyByHash = async (keyHash) => {
+    const { data, error } = await getClient().from('api_keys').select('*').eq('key_hash', keyHash).maybeSingle();
+    if (error || !data) return null;
+    return mapApiKey(data);
+};
+
+const addApiKey = async (apiKey) => {
+    const dbKey = {
+        name: apiKey.name,
+        key_hash: apiKey.keyHash,
+        key_prefix: apiKey.keyPrefix,
+        created_by: apiKey.createdBy,
+        created_at: new Date().toISOString()
+    };
+    const { data, error } = await getClient().from('api_keys').insert(dbKey).select().single();
+    if (error) {
+        console.error('Error adding API key:', error);
+        return null;
+    }
+    return mapApiKey(data);
+};
+
+const updateApiKey = async (id, updates) => {
+    const dbUpdates = {};
+    if (updates.lastUsedAt) dbUpdates.last_used_at = new Date(updates.lastUsedAt).toISOString();
+    if (updates.revokedAt) dbUpdates.revoked_at = new Date(updates.revokedAt).toISOString();
+
+    const { error } = await getClient().from('api_keys').update(dbUpdates).eq('id', id);
+    return !error;
+};
+
+// ==================== BANS ====================
+
+const toBanRow = (ban) => ({
+    discord_id: ban.discordId,
+    username: ban.username || null,
+    reason: ban.reason,
+    banned_by: ban.bannedBy || null,
+    banned_by_name: ban.bannedByName || null,
+    created_at: toTimestamp(ban.createdAt) || new Date().toISOString(),
+    expires_at: toTimestamp(ban.expiresAt),
+    lifted_at: toTimestamp(ban.liftedAt),
+    lifted_by: ban.liftedBy || null,
+    lift_reason: ban.liftReason || null
+});
+
+const getBans = async () => {
+    const { data, error } = await getClient().from('bans').select('*').order('created_at', { ascending: false });
+    if (error) return [];
+    return data.map(mapBan);
+};
+
+const getBan = async (discordId) => {
+    const { data, error } = await getClient().from('bans').select('*').eq('discord_id', discordId).maybeSingle();
+    if (error || !data) return null;
+    return mapBan(data);
+};
+
+const saveBan = async (ban) => {
+    const { error } = await getClient().from('bans').upsert(toBanRow(ban), { onConflict: 'discord_id' });
+    if (error) {
+        console.error('Error saving ban:', error);
+        return false;
+    }
+    return true;
+};
+
+// ==================== LOGIN SESSIONS ====================
+
+const getLoginSession = async (id) => {
+    const { data, error } = await getClient().from('login_sessions').select('*').eq('sid', id).maybeSingle();
+    if (error || !data) return null;
+    return mapLoginSession(data);
+};
+
+const getUserLoginSessions = async (discordId) => {
+    const { data, error } = await getClient()
+        .from('login_sessions')
+        .select('*')
+        .eq('discord_id', discordId)
+        .order('created_at', { ascending: false });
+    if (error) return [];
+    return data.map(mapLoginSession);
+};
+
+const saveLoginSession = async (session) => {
+    // created_at is left out so an update keeps the row's original value
+    const { error } = await getClient().from('login_sessions').upsert({
+        sid: session.id,
+        discord_id: session.discordId,
+        data: session.data,
+        expires_at: session.expiresAt,
+        updated_at: new Date().toISOString()
+    }, { onConflict: 'sid' });
+    if (error) {
+        console.error('Error saving login session:', error);
+        return false;
+    }
+    return true;
+};
+
+const deleteLoginSession = async (id) => {
+    const { error } = await getClient().from('login_sessions').delete().eq('sid', id);
+    return !error;
+};
+
+const deleteUserLoginSessions = async (discordId) => {
+    const { data, error } = await getClient().from('login_sessions').delete().eq('discord_id', discordId).select('sid');
+    if (error) return null;
+    return data.length;
+};
+
+const deleteExpiredLoginSessions = async (before) => {
+    const { data, error } = await getClient().from('login_sessions').delete().lte('expires_at', before).select('sid');
+    if (error) return null;
+    return data.length;
+};
+
+// ==================== APPLICATIONS ====================
+
+// The status check is part of the UPDATE, so two reviewers can't both move an application out of it
+const setAppStatus = async (table, appId, status, fromStatuses) => {
+    let query = getClient()
+        .from(table)
+        .update({ status, reviewed_at: FINAL_STATUSES.includes(status) ? new Date().toISOString() : null })
+        .eq('application_id', appId);
+    if (fromStatuses) query = query.in('status', fromStatuses);
+
+    const { data, error } = await query.select('application_id');
+    if (error) return null;
+    return data.length > 0;
+};
+
+const getStaffApps = async () => {
+    const { data, error } = await getClient().from('staff_applications').select('*');
+    if (error) return [];
+    return data.map(mapStaffApp);
+};
+
+const addStaffApp = async (app) => {
+    const dbApp = {
+        discord_id: app.discordId,
+        username: app.username,
+        status: app.status || 'pending',
+        submitted_at: new Date().toISOString(),
+        details: app // Store full object
+    };
+    // Keep the id generated by the caller so it matches the one already shown/posted
+    if (app.applicationId) dbApp.application_id = app.applicationId;
+    // If explicit columns exist, map them
+    if (app.experience) dbApp.experience = app.experience;
+    // ...
+    const { error } = await getClient().from('staff_applications').insert(dbApp);
+    return !error;
+};
+
+const updateStaffAppStatus = (appId, status, fromStatuses = null) => setAppStatus('staff_applications', appId, status, fromStatuses);
+
+/**
+ * Merge extra fields (e.g. reviewedBy, votes) into an application's details.
+ * `status` also goes to its column, without touching reviewed_at (used for intermediate review stages).
+ */
+const updateAppDetails = async (table, appId, updates) => {
+    const { data, error } = await getClient().from(table).select('details').eq('application_id', appId).maybeSingle();
+    if (error || !data) return false;
+
+    const row = { details: { ...data.details, ...updates } };
+    if (updates.status) row.status = updates.status;
+
+    const { error: updateError } = await getClient()
+        .from(table)
+        .update(row)
+        .eq('application_id', appId);
+    return !updateError;
+};
+
+const updateStaffApp = (appId, updates) => updateAppDetails('staff_applications', appId, updates);
+
+const toStaffAppVoteRow = (vote) => ({
+    vote_id: vote.voteId,
+    application_id: vote.applicationId,
+    reviewer_id: vote.discordId,
+    username: vote.username,
+    vote: vote.vote,
+    comment: vote.comment ?? null,
+    voted_at: toTimestamp(vote.at)
+});
+
+const getStaffAppVotes = async (appId = null) => {
+    let query = getClient().from('staff_application_votes').select('*');
+    if (appId) query = query.eq('application_id', appId);
+    const { data, error } = await query;
+    if (error) return [];
+    return data.map(mapStaffAppVote);
+};
+
+const saveStaffAppVote = async (vote) => {
+    const { error } = await getClient()
+        .from('staff_application_votes')
+        .upsert(toStaffAppVoteRow(vote), { onConflict: 'vote_id' });
+    return !error;
+};
+
+const getGangApps = async () => {
+    const { data, error } = await getClient().from('gang_applications').select('*');
+    if (error) return [];
+    return data.map(mapGangApp);
+};
+
+const addGangApp = async (app) => {
+    const dbApp = {
+        leader_discord_id: app.leaderDiscordId || app.discordId,
+        leader_username: app.leaderUsername || app.username,
+        gang_name: app.gangName,
+        gang_type: app.gangType,
+        member_count: app.memberCount,
+        story: app.story,
+        status: 'pending',
+        submitted_at: new Date().toISOString(),
+        details: app
+    };
+    if (app.applicationId) dbApp.application_id = app.applicationId;
+    const { error } = await getClient().from('gang_applications').insert(dbApp);
+    return !error;
+};
+
+const updateGangAppStatus = (appId, status, fromStatuses = null) => setAppStatus('gang_applications', appId, status, fromStatuses);
+
+const updateGangApp = (appId, updates) => updateAppDetails('gang_applications', appId, updates);
+
+const getFormApps = async () => {
+    const { data, error } = await getClient().from('form_applications').select('*');
+    if (error) return [];
+    return data.map(mapFormApp);
+};
+
+const addFormApp = async (app) => {
+    const dbApp = {
+        form_id: app.formId,
+        discord_id: app.discordId,
+        username: app.username,
+        status: 'pending',
+        submitted_at: new Date().toISOString(),
+        details: app
+    };
+    if (app.applicationId) dbApp.application_id = app.applicationId;
+    const { error } = await getClient().from('form_applications').insert(dbApp);
+    return !error;
+};
+
+const updateFormAppStatus = (appId, status, fromStatuses = null) => setAppStatus('form_applications', appId, status, fromStatuses);
+
+const updateFormApp = (appId, updates) => updateAppDetails('form_applications', appId, updates);
+
+// ==================== GANGS ====================
+
+const GANG_COLUMNS = {
+    name: 'name',
+    leaderDiscordId: 'leader_discord_id',
+    roleId: 'role_id',
+    channelId: 'channel_id',
+    status: 'status',
+    members: 'members',
+    invites: 'invites',
+    disbandedAt: 'disbanded_at',
+    disbandReason: 'disband_reason'
+};
+
+const getGangs = async () => {
+    const { data, error } = await getClient().from('gangs').select('*');
+    if (error) return [];
+    return data.map(mapGang);
+};
+
+const addGang = async (gang) => {
+    const dbGang = {
+        application_id: gang.applicationId,
+        name: gang.name,
+        gang_type: gang.gangType,
+        leader_discord_id: gang.leaderDiscordId,
+        role_id: gang.roleId || null,
+        channel_id: gang.channelId || null,
+        status: 'active',
+        members: gang.members || [],
+        invites: gang.invites || [],
+        created_at: new Date().toISOString()
+    };
+    if (gang.gangId) dbGang.gang_id = gang.gangId;
+    const { error } = await getClient().from('gangs').insert(dbGang);
+    if (error) {
+        console.error('Error adding gang:', error);
+        return false;
+    }
+    return true;
+};
+
+const updateGang = async (gangId, updates) => {
+    const dbUpdates = {};
+    for (const [key, column] of Object.entries(GANG_COLUMNS)) {
+        if (updates[key] !== undefined) dbUpdates[column] = updates[key];
+    }
+
+    const { error } = await getClient().from('gangs').update(dbUpdates).eq('gang_id', gangId);
+    return !error;
+};
+
+// ==================== BACKUP ====================
+// Backup tables (src/config/backup.js): key column, row -> backup file shape, backup file shape -> row.
+// Rows keep their ids and timestamps so a restored database matches the one that was dumped.
+
+const BACKUP_ROWS = {
+    users: {
+        column: 'discord_id',
+        fromRow: (row) => ({
+            ...row.data,
+            discordId: row.discord_id,
+            username: row.username,
+            avatar: row.avatar,
+            status: row.status,
+            lastAttempt: row.last_attempt
+        }),
+        toRow: toUserRow
+    },
+    quizzes: { column: 'quiz_id', fromRow: mapQuiz, toRow: toQuizRow },
+    questions: {
+        column: 'id',
+        fromRow: mapQuestion,
+        toRow: (q) => ({
+            id: q.id,
+            question: q.question,
+            options: q.options,
+            correct_option: q.correctOption,
+            category: q.category || DEFAULT_CATEGORY,
+            quiz_id: q.quizId || DEFAULT_QUIZ_ID
+        })
+    },
+    attempts: {
+        column: 'id',
+        fromRow: (row) => ({
+            id: row.id,
+            discordId: row.discord_id,
+            quizId: row.quiz_id,
+            score: row.score,
+            total: row.total,
+            passed: row.passed,
+            categoryScores: row.category_scores,
+            expired: row.expired,
+            manualPass: !!row.manual && row.passed,
+            manualFail: !!row.manual && !row.passed,
+            answers: row.answers || [],
+            ipHash: row.ip_hash,
+            userAgent: row.user_agent,
+            durationMs: row.duration_ms,
+            timestamp: row.timestamp
+        }),
+        toRow: (a) => ({
+            id: a.id,
+            discord_id: a.discordId,
+            quiz_id: a.quizId || DEFAULT_QUIZ_ID,
+            score: a.score,
+            total: a.total ?? null,
+            passed: !!a.passed,
+            category_scores: a.categoryScores || null,
+            expired: !!a.expired,
+            manual: !!(a.manualPass || a.manualFail),
+            answers: Array.isArray(a.answers) ? a.answers : [],
+            ip_hash: a.ipHash || null,
+            user_agent: a.userAgent || null,
+            duration_ms: a.durationMs ?? null,
+            timestamp: toTimestamp(a.timestamp)
+        })
+    },
+    application_forms: { column: 'form_id', fromRow: mapForm, toRow: toFormRow },
+    staff_applications: {
+        column: 'application_id',
+        fromRow: (row) => ({
+            ...row.details,
+            applicationId: row.application_id,
+            discordId: row.discord_id,
+            username: row.username,
+            status: row.status,
+            submittedAt: row.submitted_at,
+            reviewedAt: row.reviewed_at
+        }),
+        toRow: (app) => ({
+            application_id: app.applicationId,
+            discord_id: app.discordId,
+            username: app.username,
+            experience: app.experience ?? null,
+            status: app.status,
+            submitted_at: toTimestamp(app.submittedAt),
+            reviewed_at: toTimestamp(app.reviewedAt),
+            details: app
+        })
+    },
+    staff_application_votes: { column: 'vote_id', fromRow: mapStaffAppVote, toRow: toStaffAppVoteRow },
+    gang_applications: {
+        column: 'application_id',
+        fromRow: (row) => ({
+            ...row.details,
+            applicationId: row.application_id,
+            leaderDiscordId: row.leader_discord_id,
+            leaderUsername: row.leader_username,
+            gangName: row.gang_name,
+            gangType: row.gang_type,
+            memberCount: row.member_count,
+            story: row.story,
+            status: row.status,
+            submittedAt: row.submitted_at,
+            reviewedAt: row.reviewed_at
+        }),
+        toRow: (app) => ({
+            application_id: app.applicationId,
+            leader_discord_id: app.leaderDiscordId || app.discordId,
+            leader_username: app.leaderUsername || app.username,
+            gang_name: app.gangName,
+            gang_type: app.gangType,
+            member_count: parseInt(app.memberCount) || 0,
+            story: app.story,
+            status: app.status,
+            submitted_at: toTimestamp(app.submittedAt),
+            reviewed_at: toTimestamp(app.reviewedAt),
+            details: app
+        })
+    },
+    form_applications: {
+        column: 'application_id',
+        fromRow: mapFormApp,
+        toRow: (app) => ({
+            application_id: app.applicationId,
+            form_id: app.formId,
+            discord_id: app.discordId,
+            username: app.username,
+            status: app.status,
+            submitted_at: toTimestamp(app.submittedAt),
+            reviewed_at: toTimestamp(app.reviewedAt),
+            details: app
+        })
+    },
+    gangs: {
+        column: 'gang_id',
+        fromRow: mapGang,
+        toRow: (gang) => ({
+            gang_id: gang.gangId,
+            application_id: gang.applicationId,
+            name: gang.name,
+            gang_type: gang.gangType,
+            leader_discord_id: gang.leaderDiscordId,
+            role_id: gang.roleId || null,
+            channel_id: gang.channelId || null,
+            status: gang.status,
+            members: gang.members || [],
+            invites: gang.invites || [],
+            created_at: toTimestamp(gang.createdAt),
+            disbanded_at: toTimestamp(gang.disbandedAt),
+            disband_reason: gang.disbandReason || null
+        })
+    },
+    settings: {
+        column: 'key',
+        fromRow: (row) => ({ key: row.key, value: row.value }),
+        toRow: (setting) => ({ key: setting.key, value: setting.value, updated_at: new Date().toISOString() })
+    },
+    bans: { column: 'discord_id', fromRow: mapBan, toRow: toBanRow },
+    api_keys: {
+        column: 'id',
+        fromRow: mapApiKey,
+        toRow: (key) => ({
+            id: key.id,
+            name: key.name,
+            key_hash: key.keyHash,
+            key_prefix: key.keyPrefix,
+            created_by: key.createdBy,
+            created_at: toTimestamp(key.createdAt),
+            last_used_at: toTimestamp(key.lastUsedAt),
+            revoked_at: toTimestamp(key.revokedAt)
+        })
+    },
+    audit_log: {
+        column: 'id',
+        fromRow: mapAuditEntry,
+        toRow: (entry) => ({
+            id: entry.id,
+            actor_id: entry.actorId,
+            actor_name: entry.actorName,
+            actor_type: entry.actorType,
+            action: entry.action,
+            target_type: entry.targetType,
+            target_id: entry.targetId,
+            before: entry.before ?? null,
+            after: entry.after ?? null,
+            reason: entry.reason ?? null,
+            created_at: toTimestamp(entry.createdAt)
+        })
+    }
+};
+
+/**
+ * One page of a backup table in its backup file shape, ordered by primary key
+ * @returns {Promise<object[]|null>} null when the table could not be read
+ */
+const getTableRows = async (tableName, { offset = 0, limit = 1000 } = {}) => {
+    const { column, fromRow } = BACKUP_ROWS[tableName];
+    const { data, error } = await getClient()
+        .from(tableName)
+        .select('*')
+        .order(column)
+        .range(offset, offset + limit - 1);
+    if (error) {
+        console.error(`Error reading ${tableName}:`, error);
+        return null;
+    }
+    return data.map(fromRow);
+};
+
+/**
+ * A backup row as it reads back once stored: defaults filled in, fields without a column dropped
+ */
+const normalizeTableRow = (tableName, row) => {
+    const { fromRow, toRow } = BACKUP_ROWS[tableName];
+    return fromRow(toRow(row));
+};
+
+/**
+ * Insert or replace rows of a backup table by primary key, as given (ids and timestamps are kept)
+ */
+const upsertTableRows = async (tableName, rows) => {
+    const { column, toRow } = BACKUP_ROWS[tableName];
+    const { error } = await getClient().from(tableName).upsert(rows.map(toRow), { onConflict: column });
+    if (error) {
+        console.error(`Error restoring ${tableName}:`, error);
+        return false;
+    }
+    return true;
+};
+
+module.exports = {
+    name: 'supabase',
+    getClient,
+    getUser,
+    getUsers,
+    getUsersByIds,
+    queryUsers,
+    countUsers,
+    saveUser,
+    deleteUser,
+    getAttempts,
+    getUserAttempts,
+    getAttemptsForUsers,
+    queryAttempts,
+    countAttempts,
+    addAttempt,
+    getQuestions,
+    addQuestion,
+    updateQuestion,
+    deleteQuestion,
+    importQuestions,
+    createQuizSession,
+    getActiveQuizSession,
+    updateQuizSession,
+    getQuizzes,
+    saveQuiz,
+    getForms,
+    saveForm,
+    deleteForm,
+    getSetting,
+    saveSetting,
+    addAuditEntry,
+    getAuditLog,
+    getApiKeys,
+    getApiKeyByHash,
+    addApiKey,
+    updateApiKey,
+    getBans,
+    getBan,
+    saveBan,
+    getLoginSession,
+    getUserLoginSessions,
+    saveLoginSession,
+    deleteLoginSession,
+    deleteUserLoginSessions,
+    deleteExpiredLoginSessions,
+    getStaffApps,
+    addStaffApp,
+    updateStaffAppStatus,
+    updateStaffApp,
+    getStaffAppVotes,
+    saveStaffAppVote,
+    getGangApps,
+    addGangApp,
+    updateGangAppStatus,
+    updateGangApp,
+    getFormApps,
+    addFormApp,
+    updateFormAppStatus,
+    updateFormApp,
+    getGangs,
+    addGang,
+    updateGang,
+    getTableRows,
+    normalizeTableRow,
+    upsertTableRows
+};
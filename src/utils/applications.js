@@ -0,0 +1,407 @@
+/**
+ * Application Review
+ * Accepting/rejecting staff, gang and admin-built form applications, shared by the admin panel and the
+ * bot's review buttons so the applicant DM, audit entry and Discord review message are handled the same way.
+ *
+ * Staff applications are decided by reviewer votes (see src/config/applications.js);
+ * gang and form applications are still accepted/rejected directly. Accepting a gang application
+ * creates the gang and its roster (see ./gangs.js).
+ */
+
+const storage = require('./storage');
+const { OPEN_STATUSES, STAGE_STATUSES, VOTES, STAFF_REAPPLY_COOLDOWN_MS, isOpenStatus } = require('../config/applications');
+const { STAFF_FORM_ID, GANG_FORM_ID } = require('../config/forms');
+const { createGangFromApplication } = require('./gangs');
+
+// Required lazily: the bot module requires this one for its review buttons
+const getBot = () => {
+    try {
+        return require('../../bot/bot');
+    } catch (err) {
+        return null;
+    }
+};
+
+const REVIEW_STATUSES = ['accepted', 'rejected'];
+
+/**
+ * Count a staff application's votes against the review policy
+ * @returns {{ approve: number, deny: number, approvalsRequired: number, denialsRequired: number, decision: string|null }}
+ */
+const getVoteTally = (app, policy) => {
+    const votes = app.votes || [];
+    const approve = votes.filter(v => v.vote === 'approve').length;
+    const deny = votes.filter(v => v.vote === 'deny').length;
+
+    let decision = null;
+    if (approve >= policy.approvalsRequired) decision = 'accepted';
+    else if (deny >= policy.denialsRequired) decision = 'rejected';
+
+    return { approve, deny, ...policy, decision };
+};
+
+/**
+ * Refresh the Discord review message for an application (never throws)
+ */
+const refreshReviewMessage = async (bot, type, app, options) => {
+    try {
+        await bot.updateApplicationReviewMessage(type, app, options);
+    } catch (botErr) {
+        console.error(`[Applications] Failed to update review message: ${botErr.message}`);
+    }
+};
+
+const APPLICATION_TYPES = {
+    staff: {
+        label: 'Staff',
+        getApps: storage.getStaffApps,
+        updateStatus: storage.updateStaffAppStatus,
+        update: storage.updateStaffApp,
+        applicantId: (app) => app.discordId,
+        notify: (bot, app, status, reason) => bot.notifyStaffAppResult(app.discordId, status, reason)
+    },
+    gang: {
+        label: 'Gang',
+        getApps: storage.getGangApps,
+        updateStatus: storage.updateGangAppStatus,
+        update: storage.updateGangApp,
+        applicantId: (app) => app.leaderDiscordId,
+        notify: (bot, app, status, reason) => bot.notifyGangAppResult(app.leaderDiscordId, status, app.gangName, reason)
+    },
+    form: {
+        label: 'Form',
+        getApps: storage.getFormApps,
+        updateStatus: storage.updateFormAppStatus,
+        update: storage.updateFormApp,
+        applicantId: (app) => app.discordId,
+        notify: (bot, app, status, reason) => bot.notifyFormAppResult(app.discordId, status, app.formName, reason)
+    }
+};
+
+/**
+ * Find an application by type and id
+ * @param {'staff'|'gang'|'form'} type
+ */
+const getApplication = async (type, appId) => {
+    const config = APPLICATION_TYPES[type];
+    if (!config) return null;
+    return (await config.getApps()).find(a => a.applicationId === appId) || null;
+};
+
+/**
+ * Accept or reject an application, then audit it, DM the applicant and update its Discord review message
+ * @param {'staff'|'gang'|'form'} type
+ * @param {string} appId
+ * @param {object} review - { status, reason, reviewer: { discordId, username }, via: 'admin'|'bot' }
+ * @returns {Promise<{ success: boolean, code?: number, error?: string, app?: object, notified?: boolean, gang?: object }>}
+ */
+const reviewApplication = async (type, appId, { status, reason = null, reviewer, via = 'admin' }) => {
+    const config = APPLICATION_TYPES[type];
+    if (!config) return { success: false, code: 400, error: 'Invalid application type' };
+
+    if (!REVIEW_STATUSES.includes(status)) {
+        return { success: false, code: 400, error: 'Invalid status' };
+    }
+
+    const app = await getApplication(type, appId);
+    if (!app) return { success: false, code: 404, error: 'Application not found' };
+    // A decision is final: re-deciding would e.g. reject a gang that was already created
+    if (!isOpenStatus(app.status)) return { success: false, code: 409, error: `Application already ${app.status}` };
+
+    // Only changes an application that is still open, so when two reviewers decide at once (web and
+    // Discord) only one of them gets past here and runs the side effects below
+    const changed = await config.updateStatus(appId, status, OPEN_STATUSES);
+    if (changed === null) return { success: false, code: 500, error: 'Failed to update status in storage' };
+    if (!changed) return { success: false, code: 409, error: 'Application was already decided by another reviewer' };
+
+    // The roster is created before anything else so a failure can be undone: the application goes
+    // back to its open status and the reviewer sees why, instead of an accepted gang without a roster
+    let gang;
+    if (type === 'gang' && status === 'accepted') {
+        gang = await createGangFromApplication(app, reviewer, via);
+        if (!gang.success) {
+            console.error(`[Applications] Failed to create gang for ${appId}: ${gang.error}`);
+            await config.updateStatus(appId, app.status, ['accepted']);
+            return { success: false, code: gang.code || 500, error: `Gang not created: ${gang.error}` };
+        }
+    }
+
+    // The reason is kept so the applicant can see it on their dashboard (DMs can fail)
+    const reviewedBy = { discordId: reviewer.discordId, username: reviewer.username };
+    await config.update(appId, { reviewedBy, reviewReason: reason });
+
+    await storage.logAudit({
+        actorId: reviewer.discordId,
+        actorName: reviewer.username,
+        actorType: via,
+        action: `${type}_application.status`,
+        targetType: `${type}_application`,
+        targetId: appId,
+        before: type === 'gang'
+            ? { status: app.status, leaderDiscordId: app.leaderDiscordId, gangName: app.gangName }
+            : { status: app.status, discordId: app.discordId, formId: app.formId },
+        after: { status },
+        reason
+    });
+
+    let notified = false;
+    const bot = getBot();
+    if (bot) {
+        // Notify user via bot
+        try {
+            notified = (await config.notify(bot, app, status, reason)).success;
+        } catch (botErr) {
+            console.error(`[Applications] Failed to send bot notification: ${botErr.message}`);
+        }
+
+        const tally = type === 'staff' ? getVoteTally(app, await storage.getReviewPolicy()) : null;
+        await refreshReviewMessage(bot, type, { ...app, status, reviewedBy }, { reason, tally });
+    }
+
+    return { success: true, app: { ...app, status, reviewedBy, reviewReason: reason }, notified, gang };
+};
+
+/**
+ * Cast (or change) a reviewer's vote on a staff application.
+ * The first vote moves it to "under review"; reaching the policy's quorum accepts or rejects it.
+ * @param {object} ballot - { vote: 'approve'|'deny', comment, reviewer: { discordId, username }, via }
+ * @returns {Promise<{ success: boolean, code?: number, error?: string, app?: object, tally?: object }>}
+ */
+const castVote = async (appId, { vote, comment = null, reviewer, via = 'admin' }) => {
+    if (!VOTES.includes(vote)) return { success: false, code: 400, error: 'Invalid vote' };
+
+    const app = await getApplication('staff', appId);
+    if (!app) return { success: false, code: 404, error: 'Application not found' };
+    if (!isOpenStatus(app.status)) return { success: false, code: 409, error: `Application already ${app.status}` };
+
+    // One vote per reviewer; voting again replaces it
+    if (!await storage.saveStaffAppVote(appId, { discordId: reviewer.discordId, username: reviewer.username, vote, comment })) {
+        return { success: false, code: 500, error: 'Failed to save vote' };
+    }
+
+    // The first vote starts the review (only once, however many reviewers vote at the same time)
+    const started = app.status === 'pending' && await storage.updateStaffAppStatus(appId, 'under_review', ['pending']);
+
+    await storage.logAudit({
+        actorId: reviewer.discordId,
+        actorName: reviewer.username,
+        actorType: via,
+        action: 'staff_application.vote',
+        targetType: 'staff_application',
+        targetId: appId,
+        after: { vote },
+        reason: comment
+    });
+
+    // Read back so the tally counts votes cast at the same time as this one
+    const updated = await getApplication('staff', appId);
+    const tally = getVoteTally(updated, await storage.getReviewPolicy());
+
+    if (tally.decision && isOpenStatus(updated.status)) {
+        const result = await reviewApplication('staff', appId, {
+            status: tally.decision,
+            reason: `${tally.decision === 'accepted' ? 'Approved' : 'Denied'} by staff vote (${tally.approve} approve / ${tally.deny} deny).`,
+            reviewer,
+            via
+        });
+        // Another vote reached the quorum first; this vote still counted
+        if (!result.success && result.code === 409) {
+            return { success: true, app: await getApplication('staff', appId), tally };
+        }
+        return { ...result, tally };
+    }
+
+    const bot = getBot();
+    if (bot) {
+        if (started) {
+            try {
+                await bot.notifyStaffAppProgress(app.discordId, 'under_review');
+            } catch (botErr) {
+                console.error(`[Applications] Failed to send bot notification: ${botErr.message}`);
+            }
+        }
+        await refreshReviewMessage(bot, 'staff', updated, { tally });
+    }
+
+    return { success: true, app: updated, tally };
+};
+
+/**
+ * Add an internal reviewer comment to a staff application (not shown to the applicant)
+ * @param {object} entry - { comment, reviewer: { discordId, username }, via }
+ */
+const addReviewComment = async (appId, { comment, reviewer, via = 'admin' }) => {
+    const app = await getApplication('staff', appId);
+    if (!app) return { success: false, code: 404, error: 'Application not found' };
+
+    const comments = [
+        ...(app.comments || []),
+        { discordId: reviewer.discordId, username: reviewer.username, comment, at: new Date().toISOString() }
+    ];
+    if (!await storage.updateStaffApp(appId, { comments })) {
+        return { success: false, code: 500, error: 'Failed to save comment' };
+    }
+
+    await storage.logAudit({
+        actorId: reviewer.discordId,
+        actorName: reviewer.username,
+        actorType: via,
+        action: 'staff_application.comment',
+        targetType: 'staff_application',
+        targetId: appId,
+        reason: comment
+    });
+
+    return { success: true, app: { ...app, comments } };
+};
+
+/**
+ * Move an open staff application to an intermediate stage and let the applicant know
+ * @param {object} stage - { status: 'under_review'|'interview_scheduled', interviewAt, note, reviewer, via }
+ */
+const setReviewStage = async (appId, { status, interviewAt = null, note = null, reviewer, via = 'admin' }) => {
+    if (!STAGE_STATUSES.includes(status)) return { success: false, code: 400, error: 'Invalid status' };
+
+    const app = await getApplication('staff', appId);
+    if (!app) return { success: false, code: 404, error: 'Application not found' };
+    if (!isOpenStatus(app.status)) return { success: false, code: 409, error: `Application already ${app.status}` };
+
+    const changed = await storage.updateStaffAppStatus(appId, status, OPEN_STATUSES);
+    if (changed === null) return { success: false, code: 500, error: 'Failed to update application' };
+    if (!changed) return { success: false, code: 409, error: 'Application was already decided by another reviewer' };
+
+    const updates = { status };
+    if (status === 'interview_scheduled') {
+        updates.interview = { at: interviewAt, note, scheduledBy: reviewer.discordId };
+        if (!await storage.updateStaffApp(appId, { interview: updates.interview })) {
+            return { success: false, code: 500, error: 'Failed to update application' };
+        }
+    }
+
+    await storage.logAudit({
+        actorId: reviewer.discordId,
+        actorName: reviewer.username,
+        actorType: via,
+        action: 'staff_application.stage',
+        targetType: 'staff_application',
+        targetId: appId,
+        before: { status: app.status },
+        after: updates
+    });
+
+    const updated = { ...app, ...updates };
+    let notified = false;
+    const bot = getBot();
+    if (bot) {
+        try {
+            notified = (await bot.notifyStaffAppProgress(app.discordId, status, { interviewAt, note })).success;
+        } catch (botErr) {
+            console.error(`[Applications] Failed to send bot notification: ${botErr.message}`);
+        }
+        await refreshReviewMessage(bot, 'staff', updated, { tally: getVoteTally(updated, await storage.getReviewPolicy()) });
+    }
+
+    return { success: true, app: updated, notified };
+};
+
+/**
+ * Whether a user can submit a new application with a form, given their previous applications with it
+ * - staff: one open application at a time, and STAFF_REAPPLY_COOLDOWN_MS between submissions
+ * - gang: one registration per leader
+ * - other forms: one open application at a time
+ * @returns {{ canApply: boolean, reason: string|null, availableAt: string|null }}
+ */
+const getApplyEligibility = (formId, previousApps) => {
+    const latest = previousApps
+        .slice()
+        .sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt))[0];
+
+    if (formId === GANG_FORM_ID) {
+        return latest
+            ? { canApply: false, reason: 'You already have a gang application submitted.', availableAt: null }
+            : { canApply: true, reason: null, availableAt: null };
+    }
+
+    if (previousApps.some(app => isOpenStatus(app.status))) {
+        const reason = formId === STAFF_FORM_ID
+            ? 'You already have a pending application.'
+            : 'You already have a pending application for this form.';
+        return { canApply: false, reason, availableAt: null };
+    }
+
+    if (formId === STAFF_FORM_ID && latest) {
+        const availableAt = new Date(new Date(latest.submittedAt).getTime() + STAFF_REAPPLY_COOLDOWN_MS);
+        const remainingMs = availableAt.getTime() - Date.now();
+        if (remainingMs > 0) {
+            const daysLeft = Math.ceil(remainingMs / (24 * 60 * 60 * 1000));
+            return {
+                canApply: false,
+                reason: `You must wait ${daysLeft} more day(s) before applying again.`,
+                availableAt: availableAt.toISOString()
+            };
+        }
+    }
+
+    return { canApply: true, reason: null, availableAt: null };
+};
+
+/**
+ * A user's applications as shown to them: status, the reviewer's reason and when they can apply again.
+ * Internal review data (votes, comments, review messages) is left out.
+ */
+const getUserApplications = async (discordId) => {
+    const [staffApps, gangApps, formApps] = await Promise.all([
+        storage.getStaffApps(),
+        storage.getGangApps(),
+        storage.getFormApps()
+    ]);
+
+    const byForm = new Map();
+    const add = (formId, name, app) => {
+        if (!byForm.has(formId)) byForm.set(formId, []);
+        byForm.get(formId).push({ app, name });
+    };
+    staffApps.filter(a => a.discordId === discordId).forEach(a => add(STAFF_FORM_ID, 'Staff Application', a));
+    gangApps.filter(a => a.leaderDiscordId === discordId).forEach(a => add(GANG_FORM_ID, `Gang Registration: ${a.gangName}`, a));
+    formApps.filter(a => a.discordId === discordId).forEach(a => add(a.formId, a.formName || a.formId, a));
+
+    const applications = [];
+    for (const [formId, entries] of byForm) {
+        const eligibility = getApplyEligibility(formId, entries.map(e => e.app));
+        const latestId = entries
+            .map(e => e.app)
+            .sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt))[0].applicationId;
+
+        for (const { app, name } of entries) {
+            applications.push({
+                applicationId: app.applicationId,
+                formId,
+                name,
+                status: app.status,
+                reason: app.reviewReason || null,
+                interview: app.status === 'interview_scheduled' && app.interview
+                    ? { at: app.interview.at, note: app.interview.note }
+                    : null,
+                submittedAt: app.submittedAt,
+                reviewedAt: app.reviewedAt || null,
+                // When they can apply again, shown on their latest application with this form
+                reapply: app.applicationId === latestId ? eligibility : null
+            });
+        }
+    }
+
+    return applications.sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt));
+};
+
+module.exports = {
+    REVIEW_STATUSES,
+    APPLICATION_TYPES,
+    getApplication,
+    getVoteTally,
+    reviewApplication,
+    castVote,
+    addReviewComment,
+    setReviewStage,
+    getApplyEligibility,
+    getUserApplications
+};
@@ -0,0 +1,378 @@
+/**
+ * Backups
+ * Dumps every table to a timestamped directory of data/backup-style JSON files and restores from one.
+ *
+ * Restores are idempotent upserts by primary key: rows that are already identical are skipped, and
+ * rows that exist with different contents are reported as conflicts (overwritten unless keepExisting
+ * is set). Both directions run integrity checks, e.g. attempts that reference unknown users.
+ *
+ * Used by scripts/backup.js and by the optional nightly dump that server.js schedules (BACKUP_NIGHTLY_AT).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const storage = require('./storage');
+const { BACKUP_TABLES, getBackupTable, getRowKey, rowsFromFile, rowsToFile } = require('../config/backup');
+const { DEFAULT_QUIZZES } = require('../config/quiz');
+const { DEFAULT_FORMS } = require('../config/forms');
+
+const BACKUP_DIR = process.env.BACKUP_DIR
+    ? path.resolve(process.env.BACKUP_DIR)
+    : path.join(__dirname, '../../data/backups');
+
+// Nightly backups kept by pruneBackups (older ones are deleted)
+const BACKUP_KEEP = parseInt(process.env.BACKUP_KEEP, 10) || 14;
+
+const MANIFEST_FILE = 'manifest.json';
+
+const READ_BATCH_SIZE = 1000;
+const WRITE_BATCH_SIZE = 500;
+
+// Rows that point at another table; `builtIn` keys exist without a row (config defaults)
+const REFERENCES = [
+    { table: 'questions', field: 'quizId', target: 'quizzes', builtIn: DEFAULT_QUIZZES.map(q => q.id) },
+    { table: 'attempts', field: 'discordId', target: 'users' },
+    { table: 'staff_applications', field: 'discordId', target: 'users' },
+    { table: 'staff_application_votes', field: 'applicationId', target: 'staff_applications' },
+    { table: 'gang_applications', field: 'leaderDiscordId', target: 'users' },
+    { table: 'form_applications', field: 'discordId', target: 'users' },
+    { table: 'form_applications', field: 'formId', target: 'application_forms', builtIn: DEFAULT_FORMS.map(f => f.id) },
+    { table: 'gangs', field: 'applicationId', target: 'gang_applications' },
+    { table: 'gangs', field: 'leaderDiscordId', target: 'users' }
+];
+
+/**
+ * Directory name for a backup taken at `date` (sorts chronologically, safe on every OS)
+ */
+const backupName = (date) => date.toISOString().replace(/\.\d+Z$/, 'Z').replace(/:/g, '-');
+
+/**
+ * Read every row of a table, a page at a time
+ * @returns {Promise<object[]|null>}
+ */
+const readTable = async (name) => {
+    const rows = [];
+    for (let offset = 0; ; offset += READ_BATCH_SIZE) {
+        const page = await storage.getTableRows(name, { offset, limit: READ_BATCH_SIZE });
+        if (!page) return null;
+        rows.push(...page);
+        if (page.length < READ_BATCH_SIZE) return rows;
+    }
+};
+
+const readAllTables = async () => {
+    const tables = {};
+    for (const table of BACKUP_TABLES) {
+        const rows = await readTable(table.name);
+        if (!rows) return null;
+        tables[table.name] = rows;
+    }
+    return tables;
+};
+
+/**
+ * Compare rows regardless of key order, missing vs null fields and timestamp formatting
+ * (Supabase returns +00:00 where the local files have Z)
+ */
+const canonical = (value) => {
+    if (Array.isArray(value)) return value.map(canonical);
+    if (value && typeof value === 'object') {
+        return Object.keys(value).sort().reduce((acc, key) => {
+            if (value[key] !== null && value[key] !== undefined) acc[key] = canonical(value[key]);
+            return acc;
+        }, {});
+    }
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value) && !isNaN(Date.parse(value))) {
+        return new Date(value).toISOString();
+    }
+    return value;
+};
+
+const sameRow = (a, b) => JSON.stringify(canonical(a)) === JSON.stringify(canonical(b));
+
+/**
+ * Integrity checks over backup rows
+ * @param {object} tables - { tableName: rows } being checked
+ * @param {object} [existing] - { tableName: rows } already stored (references to them are fine)
+ * @returns {Array<{ level: 'error'|'warning', table: string, key: string|null, message: string }>}
+ *   errors are rows that cannot be restored; warnings are restored anyway
+ */
+const checkIntegrity = (tables, existing = {}) => {
+    const issues = [];
+    const keys = {};
+
+    for (const table of BACKUP_TABLES) {
+        const known = new Set((existing[table.name] || []).map(row => getRowKey(table, row)));
+        const seen = new Set();
+
+        (tables[table.name] || []).forEach((row, i) => {
+            const key = getRowKey(table, row);
+            if (!key) {
+                issues.push({ level: 'error', table: table.name, key: null, message: `Row ${i + 1} has no ${table.key}` });
+                return;
+            }
+            if (seen.has(key)) {
+                issues.push({ level: 'warning', table: table.name, key, message: `Duplicate ${table.key} (the last copy is used)` });
+            }
+            seen.add(key);
+            known.add(key);
+        });
+        keys[table.name] = known;
+    }
+
+    for (const ref of REFERENCES) {
+        const table = getBackupTable(ref.table);
+        const builtIn = new Set(ref.builtIn || []);
+        for (const row of tables[ref.table] || []) {
+            const value = row[ref.field];
+            if (value === undefined || value === null || value === '') continue;
+            if (builtIn.has(value) || keys[ref.target].has(String(value))) continue;
+            issues.push({
+                level: 'warning',
+                table: ref.table,
+                key: getRowKey(table, row),
+                message: `${ref.field} ${value} not found in ${ref.target}`
+            });
+        }
+    }
+
+    return issues;
+};
+
+/**
+ * Dump every table to a new backup directory. manifest.json is written last, so a directory
+ * without one is an unfinished backup.
+ * @param {object} [options] - { dir } (defaults to BACKUP_DIR/<timestamp>)
+ * @returns {Promise<{ success: boolean, dir?: string, counts?: object, issues?: object[], error?: string }>}
+ */
+const createBackup = async ({ dir = null } = {}) => {
+    const createdAt = new Date();
+    const target = path.resolve(dir || path.join(BACKUP_DIR, backupName(createdAt)));
+
+    if (fs.existsSync(path.join(target, MANIFEST_FILE))) {
+        return { success: false, error: `${target} already contains a backup` };
+    }
+
+    const tables = await readAllTables();
+    if (!tables) return { success: false, error: 'Failed to read data from storage' };
+
+    const counts = {};
+    const issues = checkIntegrity(tables);
+
+    try {
+        fs.mkdirSync(target, { recursive: true });
+        for (const table of BACKUP_TABLES) {
+            const rows = tables[table.name];
+            fs.writeFileSync(path.join(target, `${table.name}.json`), JSON.stringify(rowsToFile(table, rows), null, 2));
+            counts[table.name] = rows.length;
+        }
+        fs.writeFileSync(path.join(target, MANIFEST_FILE), JSON.stringify({
+            createdAt: createdAt.toISOString(),
+            driver: storage.STORAGE_DRIVER,
+            tables: counts,
+            issues
+        }, null, 2));
+    } catch (err) {
+        return { success: false, error: `Failed to write backup: ${err.message}` };
+    }
+
+    return { success: true, dir: target, counts, issues };
+};
+
+/**
+ * Read the table files in a backup directory. Tables without a file are left out, so data/backup
+ * or a single exported file can be restored too.
+ * @returns {{ success: boolean, tables?: object, manifest?: object|null, error?: string }}
+ */
+const readBackup = (dir) => {
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+        return { success: false, error: `Backup directory not found: ${dir}` };
+    }
+
+    const tables = {};
+    for (const table of BACKUP_TABLES) {
+        const file = path.join(dir, `${table.name}.json`);
+        if (!fs.existsSync(file)) continue;
+        try {
+            tables[table.name] = rowsFromFile(table, JSON.parse(fs.readFileSync(file, 'utf8')));
+        } catch (err) {
+            return { success: false, error: `Failed to parse ${file}: ${err.message}` };
+        }
+    }
+
+    let manifest = null;
+    const manifestFile = path.join(dir, MANIFEST_FILE);
+    if (fs.existsSync(manifestFile)) {
+        try {
+            manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+        } catch (err) {
+            return { success: false, error: `Failed to parse ${manifestFile}: ${err.message}` };
+        }
+    }
+
+    return { success: true, tables, manifest };
+};
+
+/**
+ * Restore a backup directory into the configured storage
+ * @param {string} dir
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Compare and check only, write nothing
+ * @param {boolean} [options.keepExisting] - Leave rows that differ from the backup as they are
+ * @param {string[]} [options.only] - Restore only these tables
+ * @returns {Promise<{ success: boolean, report?: object, issues?: object[], notes?: string[], error?: string }>}
+ *   report: { table: { total, inserted, updated, unchanged, skipped, invalid, conflicts: string[] } }
+ */
+const restoreBackup = async (dir, { dryRun = false, keepExisting = false, only = null } = {}) => {
+    const unknown = (only || []).filter(name => !getBackupTable(name));
+    if (unknown.length > 0) return { success: false, error: `Unknown table(s): ${unknown.join(', ')}` };
+
+    const backup = readBackup(dir);
+    if (!backup.success) return backup;
+
+    const names = BACKUP_TABLES
+        .map(t => t.name)
+        .filter(name => backup.tables[name] && (!only || only.includes(name)));
+    if (names.length === 0) return { success: false, error: 'No table files to restore' };
+
+    const existing = await readAllTables();
+    if (!existing) return { success: false, error: 'Failed to read current data from storage' };
+
+    const incoming = names.reduce((acc, name) => ({ ...acc, [name]: backup.tables[name] }), {});
+    const issues = checkIntegrity(incoming, existing);
+    const report = {};
+    const notes = [];
+
+    for (const name of names) {
+        const table = getBackupTable(name);
+        const current = new Map(existing[name].map(row => [getRowKey(table, row), row]));
+        const result = { total: incoming[name].length, inserted: 0, updated: 0, unchanged: 0, skipped: 0, invalid: 0, conflicts: [] };
+
+        // Last copy of each key wins; keyless attempts get their derived id so they keep it from now on
+        const rows = new Map();
+        for (const row of incoming[name]) {
+            const key = getRowKey(table, row);
+            if (!key) {
+                result.invalid++;
+                continue;
+            }
+            const hasKey = row[table.key] !== undefined && row[table.key] !== null && row[table.key] !== '';
+            rows.set(key, hasKey ? row : { ...row, [table.key]: key });
+        }
+
+        const writes = [];
+        for (const [key, row] of rows) {
+            const before = current.get(key);
+            if (!before) {
+                result.inserted++;
+                writes.push(row);
+            } else if (sameRow(before, storage.normalizeTableRow(name, row))) {
+                result.unchanged++;
+            } else {
+                result.conflicts.push(key);
+                if (keepExisting) {
+                    result.skipped++;
+                } else {
+                    result.updated++;
+                    writes.push(row);
+                }
+            }
+        }
+        report[name] = result;
+
+        if (dryRun) continue;
+        for (let i = 0; i < writes.length; i += WRITE_BATCH_SIZE) {
+            if (!await storage.upsertTableRows(name, writes.slice(i, i + WRITE_BATCH_SIZE))) {
+                return { success: false, error: `Failed to write ${name}; tables before it were restored`, report, issues };
+            }
+        }
+    }
+
+    if (storage.STORAGE_DRIVER === 'supabase' && report.questions && report.questions.inserted > 0 && !dryRun) {
+        notes.push("Questions were restored with their ids. Run SELECT setval(pg_get_serial_sequence('questions', 'id'), (SELECT MAX(id) FROM questions)); in the SQL editor before adding new questions.");
+    }
+
+    if (!dryRun) {
+        await storage.logAudit({
+            actorId: null,
+            actorName: 'backup',
+            actorType: 'system',
+            action: 'backup.restore',
+            targetType: 'backup',
+            targetId: path.basename(path.resolve(dir)),
+            after: Object.fromEntries(Object.entries(report).map(([name, r]) => [name, { inserted: r.inserted, updated: r.updated }])),
+            reason: keepExisting ? 'Existing rows kept' : null
+        });
+    }
+
+    return { success: true, report, issues, notes };
+};
+
+/**
+ * Delete the oldest finished backups in BACKUP_DIR, keeping `keep`
+ * @returns {string[]} Deleted directories
+ */
+const pruneBackups = (keep = BACKUP_KEEP) => {
+    if (!fs.existsSync(BACKUP_DIR)) return [];
+
+    const backups = fs.readdirSync(BACKUP_DIR)
+        .filter(name => fs.existsSync(path.join(BACKUP_DIR, name, MANIFEST_FILE)))
+        .sort();
+
+    return backups.slice(0, Math.max(backups.length - keep, 0)).map(name => {
+        const dir = path.join(BACKUP_DIR, name);
+        fs.rmSync(dir, { recursive: true, force: true });
+        return dir;
+    });
+};
+
+/**
+ * Take a backup every night at BACKUP_NIGHTLY_AT (HH:MM, server local time) and prune old ones.
+ * Does nothing when BACKUP_NIGHTLY_AT is not set.
+ */
+const scheduleNightlyBackup = () => {
+    const time = (process.env.BACKUP_NIGHTLY_AT || '').trim();
+    if (!time) return;
+
+    const match = /^(\d{1,2}):(\d{2})$/.exec(time);
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        console.warn(`[Backup] Ignoring BACKUP_NIGHTLY_AT "${time}" (expected HH:MM)`);
+        return;
+    }
+
+    const run = async () => {
+        try {
+            const result = await createBackup();
+            if (result.success) {
+                const rows = Object.values(result.counts).reduce((sum, count) => sum + count, 0);
+                console.log(`[Backup] Nightly backup written to ${result.dir} (${rows} rows, ${result.issues.length} integrity issue(s))`);
+                pruneBackups().forEach(dir => console.log(`[Backup] Removed old backup ${dir}`));
+            } else {
+                console.error(`[Backup] Nightly backup failed: ${result.error}`);
+            }
+        } catch (err) {
+            console.error('[Backup] Nightly backup failed:', err.message);
+        }
+        schedule();
+    };
+
+    const schedule = () => {
+        const next = new Date();
+        next.setHours(Number(match[1]), Number(match[2]), 0, 0);
+        if (next <= new Date()) next.setDate(next.getDate() + 1);
+        setTimeout(run, next - Date.now()).unref();
+        return next;
+    };
+
+    console.log(`[Backup] Nightly backups enabled, next at ${schedule().toLocaleString()} (${BACKUP_DIR})`);
+};
+
+module.exports = {
+    BACKUP_DIR,
+    checkIntegrity,
+    createBackup,
+    readBackup,
+    restoreBackup,
+    pruneBackups,
+    scheduleNightlyBackup
+};
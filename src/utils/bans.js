@@ -0,0 +1,180 @@
+/**
+ * Bans
+ * Blacklist of Discord IDs shared by the website (login, ensureAuth, quizzes, applications), the bot
+ * (role assignment, /ban and /unban) and the FiveM allowlist API. A Discord ID can be banned before it
+ * ever logs in. Bans are permanent unless given a number of days.
+ *
+ * Banning logs the user out everywhere and removes the quiz roles they hold; lifting a ban does not
+ * give roles back (the user runs /verify). Every change is audited.
+ *
+ * Only super admins can ban someone with admin panel permissions, and nobody can ban an ID in
+ * ADMIN_DISCORD_IDS (it would lock them out of the panel they need to lift the ban).
+ */
+
+const storage = require('./storage');
+const { PERMISSIONS } = require('../config/permissions');
+
+// Required lazily: the auth middleware requires the bot module, which requires this one for /ban
+const getAuth = () => require('../middleware/auth');
+
+// Required lazily: the bot module requires this one for /ban
+const getBot = () => {
+    try {
+        return require('../../bot/bot');
+    } catch (err) {
+        return null;
+    }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_BAN_DAYS = 3650;
+const MAX_REASON_LENGTH = 500;
+
+const isDiscordId = (id) => /^\d{17,20}$/.test(String(id || ''));
+
+/**
+ * Remove the roles of every quiz the user passed (Discord errors are logged, never thrown)
+ * @returns {Promise<number>} Roles removed
+ */
+const removeQuizRoles = async (discordId, user) => {
+    const bot = getBot();
+    if (!bot || !user) return 0;
+
+    let removed = 0;
+    for (const quiz of await storage.getQuizzes()) {
+        if (!quiz.roleId || storage.getQuizStatus(user, quiz.id).status !== 'passed') continue;
+        try {
+            // The ban itself is the user's explanation, not the usual "retake the quiz" DM
+            const result = await bot.removeRoleFromUser(discordId, quiz.roleId, { notify: false });
+            if (result.success) removed++;
+        } catch (err) {
+            console.error(`[Bans] Failed to remove ${quiz.id} role from ${discordId}:`, err.message);
+        }
+    }
+    return removed;
+};
+
+/**
+ * DM the user about their ban (instead of a "retake the quiz" DM per removed role)
+ * @returns {Promise<boolean>} Whether the DM was sent
+ */
+const notifyBan = async (discordId, ban) => {
+    const bot = getBot();
+    if (!bot) return false;
+    try {
+        return (await bot.notifyBan(discordId, ban)).success;
+    } catch (err) {
+        console.error(`[Bans] Failed to DM ${discordId}:`, err.message);
+        return false;
+    }
+};
+
+/**
+ * Ban a Discord ID (replaces the user's current ban, if any)
+ * @param {object} params - { discordId, reason, days } (no days = permanent)
+ * @param {object} actor - { discordId, username, type: 'admin'|'bot' }
+ * @returns {Promise<{ success: boolean, code?: number, error?: string, ban?: object, updated?: boolean, sessionsRevoked?: number, rolesRemoved?: number, notified?: boolean }>}
+ */
+const banUser = async ({ discordId, reason, days }, actor) => {
+    const targetId = String(discordId || '').trim();
+    if (!isDiscordId(targetId)) return { success: false, code: 400, error: 'A valid Discord ID is required' };
+    if (targetId === actor.discordId) return { success: false, code: 400, error: 'You cannot ban yourself' };
+
+    const { isAdmin, getPermissions } = getAuth();
+    if (isAdmin(targetId)) {
+        return { success: false, code: 403, error: 'IDs in ADMIN_DISCORD_IDS cannot be banned (remove them from it first)' };
+    }
+    const [targetPermissions, actorPermissions] = await Promise.all([getPermissions(targetId), getPermissions(actor.discordId)]);
+    if (targetPermissions.length > 0 && !actorPermissions.includes(PERMISSIONS.SUPER_ADMIN)) {
+        return { success: false, code: 403, error: 'Only super admins can ban users with admin panel permissions' };
+    }
+
+    const banReason = typeof reason === 'string' ? reason.trim() : '';
+    if (!banReason) return { success: false, code: 400, error: 'A reason is required' };
+    if (banReason.length > MAX_REASON_LENGTH) {
+        return { success: false, code: 400, error: `Reason must be at most ${MAX_REASON_LENGTH} characters` };
+    }
+
+    const permanent = days === undefined || days === null || days === '';
+    const banDays = Number(days);
+    if (!permanent && (!Number.isFinite(banDays) || banDays <= 0 || banDays > MAX_BAN_DAYS)) {
+        return { success: false, code: 400, error: `Days must be more than 0 and at most ${MAX_BAN_DAYS} (leave empty for a permanent ban)` };
+    }
+
+    const [before, user] = await Promise.all([storage.getActiveBan(targetId), storage.getUser(targetId)]);
+
+    const now = Date.now();
+    const ban = {
+        discordId: targetId,
+        username: user?.username || before?.username || null,
+        reason: banReason,
+        bannedBy: actor.discordId,
+        bannedByName: actor.username,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: permanent ? null : new Date(now + banDays * DAY_MS).toISOString(),
+        liftedAt: null,
+        liftedBy: null,
+        liftReason: null
+    };
+    if (!await storage.saveBan(ban)) {
+        return { success: false, code: 500, error: 'Failed to save ban' };
+    }
+
+    const sessionsRevoked = await storage.revokeUserLoginSessions(targetId);
+    const rolesRemoved = await removeQuizRoles(targetId, user);
+    const notified = await notifyBan(targetId, ban);
+
+    await storage.logAudit({
+        actorId: actor.discordId,
+        actorName: actor.username,
+        actorType: actor.type,
+        action: 'user.ban',
+        targetType: 'user',
+        targetId,
+        before,
+        after: { expiresAt: ban.expiresAt, sessionsRevoked, rolesRemoved, notified },
+        reason: banReason
+    });
+    console.log(`[Bans] ${targetId} banned ${permanent ? 'permanently' : `for ${banDays} day(s)`} by ${actor.discordId}`);
+
+    return { success: true, ban, updated: !!before, sessionsRevoked, rolesRemoved, notified };
+};
+
+/**
+ * Lift a user's active ban
+ * @param {object} params - { discordId, reason }
+ * @param {object} actor - { discordId, username, type: 'admin'|'bot' }
+ * @returns {Promise<{ success: boolean, code?: number, error?: string, ban?: object }>}
+ */
+const unbanUser = async ({ discordId, reason }, actor) => {
+    const targetId = String(discordId || '').trim();
+    const before = await storage.getActiveBan(targetId);
+    if (!before) return { success: false, code: 404, error: 'This user is not banned' };
+
+    const liftReason = typeof reason === 'string' && reason.trim() ? reason.trim().slice(0, MAX_REASON_LENGTH) : null;
+    const ban = { ...before, liftedAt: new Date().toISOString(), liftedBy: actor.discordId, liftReason };
+    if (!await storage.saveBan(ban)) {
+        return { success: false, code: 500, error: 'Failed to lift ban' };
+    }
+
+    await storage.logAudit({
+        actorId: actor.discordId,
+        actorName: actor.username,
+        actorType: actor.type,
+        action: 'user.unban',
+        targetType: 'user',
+        targetId,
+        before,
+        after: { liftedAt: ban.liftedAt },
+        reason: liftReason
+    });
+    console.log(`[Bans] Ban on ${targetId} lifted by ${actor.discordId}`);
+
+    return { success: true, ban };
+};
+
+module.exports = {
+    MAX_BAN_DAYS,
+    banUser,
+    unbanUser
+};
@@ -0,0 +1,139 @@
+/**
+ * Streamed Exports
+ * Writes rows to an HTTP response as CSV or JSON as they are fetched, so large exports are never
+ * held in memory. JSON output has the same shape as data/backup/*.json (e.g. { "attempts": [...] },
+ * users keyed by Discord ID) so an export can be dropped in as a backup.
+ *
+ * parseCsv reads exported CSV files back in (question bank imports).
+ */
+
+const { once } = require('events');
+
+const EXPORT_FORMATS = ['csv', 'json'];
+
+/**
+ * One CSV cell: objects as JSON, quoted when needed, and text that a spreadsheet would run
+ * as a formula (=, +, -, @) prefixed with a quote
+ */
+const toCsvValue = (value) => {
+    if (value === undefined || value === null) return '';
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Parse CSV text (RFC 4180: quoted cells, "" escapes, newlines inside quotes, CRLF or LF) into rows
+ * of cells. Empty rows are skipped and the formula quote added by toCsvValue is removed.
+ * @returns {string[][]}
+ * @throws {Error} On an unterminated quoted cell
+ */
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    const endCell = () => {
+        row.push(/^'[=+\-@\t\r]/.test(cell) ? cell.slice(1) : cell);
+        cell = '';
+    };
+    const endRow = () => {
+        endCell();
+        if (row.some(value => value !== '')) rows.push(row);
+        row = [];
+    };
+
+    const input = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === ',') {
+            endCell();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            cell += char;
+        }
+    }
+    if (quoted) throw new Error('Unterminated quoted cell');
+    endRow();
+
+    return rows;
+};
+
+/**
+ * Indent a pretty-printed JSON value to sit inside the export's wrapper object
+ */
+const indentJson = (value, spaces) => JSON.stringify(value, null, 2).replace(/\n/g, `\n${' '.repeat(spaces)}`);
+
+/**
+ * Start a streamed export
+ * @param {object} res - Express response
+ * @param {object} options
+ * @param {'csv'|'json'} options.format
+ * @param {string} options.filename - Without extension
+ * @param {Array<{ header: string, value: function }>} options.columns - CSV columns
+ * @param {string} options.jsonKey - Top-level key of the JSON file ("users", "attempts", "applications")
+ * @param {string} [options.keyedBy] - Write the JSON rows as an object keyed by this field (users.json)
+ * @returns {{ write: function(object[]): Promise<void>, end: function(): Promise<void> }}
+ */
+const createExportStream = (res, { format, filename, columns, jsonKey, keyedBy = null }) => {
+    let first = true;
+
+    const send = async (chunk) => {
+        if (!res.write(chunk)) await once(res, 'drain');
+    };
+
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+    const start = format === 'csv'
+        ? columns.map(c => toCsvValue(c.header)).join(',') + '\r\n'
+        : `{\n  ${JSON.stringify(jsonKey)}: ${keyedBy ? '{' : '['}`;
+    res.write(start);
+
+    return {
+        async write(rows) {
+            if (rows.length === 0) return;
+
+            let chunk;
+            if (format === 'csv') {
+                chunk = rows.map(row => columns.map(c => toCsvValue(c.value(row))).join(',')).join('\r\n') + '\r\n';
+            } else {
+                chunk = rows.map((row, i) => {
+                    const separator = first && i === 0 ? '\n    ' : ',\n    ';
+                    const entry = keyedBy ? `${JSON.stringify(String(row[keyedBy]))}: ${indentJson(row, 4)}` : indentJson(row, 4);
+                    return separator + entry;
+                }).join('');
+            }
+            first = false;
+            await send(chunk);
+        },
+
+        async end() {
+            if (format === 'json') {
+                res.write(`${first ? '' : '\n  '}${keyedBy ? '}' : ']'}\n}\n`);
+            }
+            res.end();
+        }
+    };
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    toCsvValue,
+    parseCsv,
+    createExportStream
+};
@@ -0,0 +1,26 @@
+/**
+ * Formatting Helpers
+ * Shared by the API responses and the Discord bot embeds.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Human-readable duration, e.g. "3 days", "1 day 4 hours", "45 minutes"
+ * @param {number} ms
+ */
+const formatDuration = (ms) => {
+    if (!ms || ms <= 0) return '0 minutes';
+
+    const plural = (n, unit) => `${n} ${unit}${n === 1 ? '' : 's'}`;
+    const days = Math.floor(ms / DAY_MS);
+    const hours = Math.floor((ms % DAY_MS) / HOUR_MS);
+    const minutes = Math.ceil((ms % HOUR_MS) / 60000);
+
+    if (days > 0) return hours > 0 ? `${plural(days, 'day')} ${plural(hours, 'hour')}` : plural(days, 'day');
+    if (hours > 0) return minutes > 0 && minutes < 60 ? `${plural(hours, 'hour')} ${plural(minutes, 'minute')}` : plural(hours, 'hour');
+    return plural(minutes, 'minute');
+};
+
+module.exports = { formatDuration };
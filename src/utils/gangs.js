@@ -0,0 +1,321 @@
+/**
+ * Gang Rosters
+ * Accepted gang applications become gangs with a tracked roster. The leader invites members by
+ * Discord ID from the website, invitees accept or decline, and the leader can kick members or hand
+ * leadership over. Admins can disband a gang. The bot keeps the gang's Discord role in sync.
+ *
+ * Every change is audited; Discord failures are logged and never block the roster change.
+ */
+
+const storage = require('./storage');
+
+// Required lazily: the bot module requires applications.js, which requires this one
+const getBot = () => {
+    try {
+        return require('../../bot/bot');
+    } catch (err) {
+        return null;
+    }
+};
+
+// Matches the gang registration form's member count limit
+const MAX_GANG_MEMBERS = 50;
+
+const isDiscordId = (id) => /^\d{17,20}$/.test(String(id || ''));
+
+/**
+ * Run a bot action without letting Discord errors escape
+ */
+const withBot = async (action, fn) => {
+    const bot = getBot();
+    if (!bot) return { success: false, reason: 'Bot unavailable' };
+    try {
+        return await fn(bot);
+    } catch (botErr) {
+        console.error(`[Gangs] Failed to ${action}: ${botErr.message}`);
+        return { success: false, reason: botErr.message };
+    }
+};
+
+const audit = (actor, via, action, gang, { before, after, reason } = {}) => storage.logAudit({
+    actorId: actor.discordId,
+    actorName: actor.username,
+    actorType: via,
+    action,
+    targetType: 'gang',
+    targetId: gang.gangId,
+    before,
+    after,
+    reason
+});
+
+/**
+ * Load an active gang, optionally requiring the actor to be its leader
+ * @returns {Promise<{ gang?: object, code?: number, error?: string }>}
+ */
+const loadGang = async (gangId, { leader = null } = {}) => {
+    const gang = await storage.getGang(gangId);
+    if (!gang) return { code: 404, error: 'Gang not found' };
+    if (gang.status !== 'active') return { code: 409, error: 'This gang has been disbanded' };
+    if (leader && gang.leaderDiscordId !== leader.discordId) {
+        return { code: 403, error: 'Only the gang leader can do this' };
+    }
+    return { gang };
+};
+
+/**
+ * Create the gang for an accepted gang application (once), with its leader as the first member,
+ * and have the bot create its Discord role/channel
+ * @param {object} app - The accepted gang application
+ * @param {object} reviewer - { discordId, username }
+ */
+const createGangFromApplication = async (app, reviewer, via = 'admin') => {
+    const existing = (await storage.getGangs()).find(g => g.applicationId === app.applicationId);
+    if (existing) return { success: true, gang: existing };
+
+    const leaderGang = await storage.getMemberGang(app.leaderDiscordId);
+    if (leaderGang) {
+        return { success: false, code: 409, error: `The leader is already in the gang ${leaderGang.name}` };
+    }
+
+    const gang = {
+        gangId: app.applicationId,
+        applicationId: app.applicationId,
+        name: app.gangName,
+        gangType: app.gangType,
+        leaderDiscordId: app.leaderDiscordId,
+        members: [{ discordId: app.leaderDiscordId, username: app.leaderUsername || app.username, joinedAt: new Date().toISOString() }],
+        invites: []
+    };
+    if (!await storage.addGang(gang)) {
+        return { success: false, code: 500, error: 'Failed to create gang' };
+    }
+
+    const discord = await withBot('set up gang on Discord', bot => bot.setupGang(gang));
+    if (discord.success) {
+        gang.roleId = discord.roleId;
+        gang.channelId = discord.channelId;
+        await storage.updateGang(gang.gangId, { roleId: gang.roleId, channelId: gang.channelId });
+    }
+
+    await audit(reviewer, via, 'gang.create', gang, {
+        after: { name: gang.name, leaderDiscordId: gang.leaderDiscordId, roleId: gang.roleId || null, channelId: gang.channelId || null }
+    });
+
+    return { success: true, gang: { ...gang, status: 'active' }, discord };
+};
+
+/**
+ * Leader invites a user by Discord ID
+ * @param {object} actor - { discordId, username } of the leader
+ */
+const inviteMember = async (gangId, discordId, actor) => {
+    const { gang, code, error } = await loadGang(gangId, { leader: actor });
+    if (!gang) return { success: false, code, error };
+
+    if (!isDiscordId(discordId)) return { success: false, code: 400, error: 'Invalid Discord ID' };
+    if (gang.members.some(m => m.discordId === discordId)) return { success: false, code: 409, error: 'User is already a member' };
+    if (gang.invites.some(i => i.discordId === discordId)) return { success: false, code: 409, error: 'User is already invited' };
+    if (gang.members.length + gang.invites.length >= MAX_GANG_MEMBERS) {
+        return { success: false, code: 409, error: `A gang can have at most ${MAX_GANG_MEMBERS} members (including pending invites)` };
+    }
+    if (await storage.getMemberGang(discordId)) return { success: false, code: 409, error: 'User is already in a gang' };
+
+    const invites = [...gang.invites, { discordId, invitedBy: actor.discordId, invitedAt: new Date().toISOString() }];
+    if (!await storage.updateGang(gangId, { invites })) {
+        return { success: false, code: 500, error: 'Failed to save invite' };
+    }
+
+    await audit(actor, 'user', 'gang.invite', gang, { after: { discordId } });
+    const notified = (await withBot('send gang invite', bot => bot.notifyGangInvite(discordId, gang.name, actor.username))).success;
+
+    return { success: true, gang: { ...gang, invites }, notified };
+};
+
+/**
+ * Leader withdraws a pending invite
+ */
+const cancelInvite = async (gangId, discordId, actor) => {
+    const { gang, code, error } = await loadGang(gangId, { leader: actor });
+    if (!gang) return { success: false, code, error };
+
+    if (!gang.invites.some(i => i.discordId === discordId)) return { success: false, code: 404, error: 'Invite not found' };
+
+    const invites = gang.invites.filter(i => i.discordId !== discordId);
+    if (!await storage.updateGang(gangId, { invites })) {
+        return { success: false, code: 500, error: 'Failed to cancel invite' };
+    }
+
+    await audit(actor, 'user', 'gang.invite_cancel', gang, { before: { discordId } });
+    return { success: true, gang: { ...gang, invites } };
+};
+
+/**
+ * Invitee accepts or declines an invite
+ * @param {object} user - { discordId, username } of the invitee
+ */
+const respondToInvite = async (gangId, accept, user) => {
+    const { gang, code, error } = await loadGang(gangId);
+    if (!gang) return { success: false, code, error };
+
+    if (!gang.invites.some(i => i.discordId === user.discordId)) {
+        return { success: false, code: 404, error: 'You have no invite from this gang' };
+    }
+
+    const invites = gang.invites.filter(i => i.discordId !== user.discordId);
+
+    if (!accept) {
+        if (!await storage.updateGang(gangId, { invites })) {
+            return { success: false, code: 500, error: 'Failed to decline invite' };
+        }
+        await audit(user, 'user', 'gang.invite_decline', gang);
+        return { success: true, gang: { ...gang, invites } };
+    }
+
+    const currentGang = await storage.getMemberGang(user.discordId);
+    if (currentGang) return { success: false, code: 409, error: `You are already in ${currentGang.name}` };
+
+    const members = [...gang.members, { discordId: user.discordId, username: user.username, joinedAt: new Date().toISOString() }];
+    if (!await storage.updateGang(gangId, { members, invites })) {
+        return { success: false, code: 500, error: 'Failed to join gang' };
+    }
+
+    await audit(user, 'user', 'gang.join', gang);
+    await withBot('add gang role', bot => bot.addGangRole(gang, user.discordId));
+
+    return { success: true, gang: { ...gang, members, invites } };
+};
+
+/**
+ * Remove a member from the roster and take their gang role
+ */
+const removeMember = async (gang, discordId, actor, action) => {
+    const members = gang.members.filter(m => m.discordId !== discordId);
+    if (!await storage.updateGang(gang.gangId, { members })) {
+        return { success: false, code: 500, error: 'Failed to update roster' };
+    }
+
+    await audit(actor, 'user', action, gang, { before: { discordId } });
+    await withBot('remove gang role', bot => bot.removeGangRole(gang, discordId));
+
+    return { success: true, gang: { ...gang, members } };
+};
+
+/**
+ * Leader kicks a member
+ */
+const kickMember = async (gangId, discordId, actor) => {
+    const { gang, code, error } = await loadGang(gangId, { leader: actor });
+    if (!gang) return { success: false, code, error };
+
+    if (discordId === gang.leaderDiscordId) return { success: false, code: 400, error: 'The leader cannot be kicked; transfer leadership first' };
+    if (!gang.members.some(m => m.discordId === discordId)) return { success: false, code: 404, error: 'Member not found' };
+
+    return removeMember(gang, discordId, actor, 'gang.kick');
+};
+
+/**
+ * Member leaves their gang (the leader has to transfer leadership first)
+ */
+const leaveGang = async (gangId, user) => {
+    const { gang, code, error } = await loadGang(gangId);
+    if (!gang) return { success: false, code, error };
+
+    if (!gang.members.some(m => m.discordId === user.discordId)) return { success: false, code: 404, error: 'You are not in this gang' };
+    if (user.discordId === gang.leaderDiscordId) {
+        return { success: false, code: 400, error: 'Transfer leadership before leaving your gang' };
+    }
+
+    return removeMember(gang, user.discordId, user, 'gang.leave');
+};
+
+/**
+ * Leader hands leadership to another member
+ */
+const transferLeadership = async (gangId, discordId, actor) => {
+    const { gang, code, error } = await loadGang(gangId, { leader: actor });
+    if (!gang) return { success: false, code, error };
+
+    if (discordId === gang.leaderDiscordId) return { success: false, code: 400, error: 'You are already the leader' };
+    if (!gang.members.some(m => m.discordId === discordId)) return { success: false, code: 404, error: 'New leader must be a member of the gang' };
+
+    if (!await storage.updateGang(gangId, { leaderDiscordId: discordId })) {
+        return { success: false, code: 500, error: 'Failed to transfer leadership' };
+    }
+
+    await audit(actor, 'user', 'gang.transfer', gang, {
+        before: { leaderDiscordId: gang.leaderDiscordId },
+        after: { leaderDiscordId: discordId }
+    });
+
+    return { success: true, gang: { ...gang, leaderDiscordId: discordId } };
+};
+
+/**
+ * Admin disbands a gang: the roster is closed and the bot deletes its role and channel
+ * @param {object} actor - { discordId, username } of the admin
+ */
+const disbandGang = async (gangId, { reason = null, actor, via = 'admin' }) => {
+    const { gang, code, error } = await loadGang(gangId);
+    if (!gang) return { success: false, code, error };
+
+    const updates = { status: 'disbanded', invites: [], disbandedAt: new Date().toISOString(), disbandReason: reason };
+    if (!await storage.updateGang(gangId, updates)) {
+        return { success: false, code: 500, error: 'Failed to disband gang' };
+    }
+
+    await audit(actor, via, 'gang.disband', gang, {
+        before: { status: gang.status, leaderDiscordId: gang.leaderDiscordId, members: gang.members.map(m => m.discordId) },
+        after: { status: 'disbanded' },
+        reason
+    });
+
+    const discord = await withBot('remove gang from Discord', bot => bot.teardownGang(gang));
+
+    return { success: true, gang: { ...gang, ...updates }, discord };
+};
+
+/**
+ * What a user sees on their gang page: their gang (invites only for the leader) and invites they can accept
+ */
+const getUserGang = async (discordId) => {
+    const gangs = (await storage.getGangs()).filter(g => g.status === 'active');
+    const gang = gangs.find(g => g.members.some(m => m.discordId === discordId)) || null;
+    const isLeader = !!gang && gang.leaderDiscordId === discordId;
+
+    return {
+        gang: gang && {
+            gangId: gang.gangId,
+            name: gang.name,
+            gangType: gang.gangType,
+            leaderDiscordId: gang.leaderDiscordId,
+            members: gang.members,
+            invites: isLeader ? gang.invites : [],
+            createdAt: gang.createdAt
+        },
+        isLeader,
+        invites: gangs
+            .filter(g => g.invites.some(i => i.discordId === discordId))
+            .map(g => ({
+                gangId: g.gangId,
+                name: g.name,
+                gangType: g.gangType,
+                memberCount: g.members.length,
+                invitedAt: g.invites.find(i => i.discordId === discordId).invitedAt
+            })),
+        maxMembers: MAX_GANG_MEMBERS
+    };
+};
+
+module.exports = {
+    MAX_GANG_MEMBERS,
+    createGangFromApplication,
+    inviteMember,
+    cancelInvite,
+    respondToInvite,
+    kickMember,
+    leaveGang,
+    transferLeadership,
+    disbandGang,
+    getUserGang
+};
@@ -0,0 +1,77 @@
+/**
+ * Login Gates
+ * Decides whether a Discord account may log in to the website (see src/config/login.js): server
+ * membership and the verification role are checked through the bot, account age from the ID.
+ * Role and membership gates fail closed: if the bot cannot check, the login is rejected.
+ */
+
+const { LOGIN_GATES, LOGIN_ERRORS, getAccountCreatedAt } = require('../config/login');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Discord API errors meaning the user is simply not in the server
+const UNKNOWN_MEMBER_CODES = [10007, 10013];
+
+// Required lazily: the bot is optional (e.g. on Vercel) and requires the storage layer itself
+const getBot = () => {
+    try {
+        return require('../../bot/bot');
+    } catch (err) {
+        return null;
+    }
+};
+
+/**
+ * A user's member object in DISCORD_GUILD_ID
+ * @returns {Promise<{ available: boolean, member?: object|null }>} available is false when the bot can't check
+ */
+async function fetchGuildMember(discordId) {
+    const bot = getBot();
+    const client = bot && bot.getClient();
+    const guildId = process.env.DISCORD_GUILD_ID;
+    if (!client || !client.isReady() || !guildId) return { available: false };
+
+    try {
+        const guild = await client.guilds.fetch(guildId);
+        const member = await guild.members.fetch(discordId).catch(err => {
+            if (UNKNOWN_MEMBER_CODES.includes(err.code)) return null;
+            throw err;
+        });
+        return { available: true, member };
+    } catch (err) {
+        console.error('[Auth] Error checking guild membership:', err.message);
+        return { available: false };
+    }
+}
+
+const reject = (reason, details = {}) => ({ success: false, code: 403, reason, error: LOGIN_ERRORS[reason], ...details });
+
+/**
+ * Check the configured login gates for a Discord account
+ * @returns {Promise<{ success: boolean, code?: number, reason?: string, error?: string, allowedAt?: string }>}
+ *   reason: a LOGIN_ERRORS code; allowedAt: when an account that is too new can log in
+ */
+async function checkLoginGates(discordId) {
+    const { requireGuildMember, requiredRoleId, minAccountAgeDays } = LOGIN_GATES;
+
+    if (minAccountAgeDays > 0) {
+        const createdAt = getAccountCreatedAt(discordId);
+        const allowedAt = createdAt ? createdAt.getTime() + minAccountAgeDays * DAY_MS : Infinity;
+        if (allowedAt > Date.now()) {
+            return reject('account_too_new', createdAt ? { allowedAt: new Date(allowedAt).toISOString() } : {});
+        }
+    }
+
+    if (requireGuildMember || requiredRoleId) {
+        const { available, member } = await fetchGuildMember(discordId);
+        if (!available) return reject('discord_unavailable');
+        if (!member) return reject('not_in_guild');
+        if (requiredRoleId && !member.roles.cache.has(requiredRoleId)) return reject('missing_role');
+    }
+
+    return { success: true };
+}
+
+module.exports = {
+    checkLoginGates
+};
@@ -0,0 +1,125 @@
+/**
+ * Question Analytics
+ * Per-question statistics from the answers stored with each scored attempt, so editors can spot
+ * questions that are too easy, too hard, ambiguous or keyed wrong:
+ *   - correctRate: share of answers that were correct
+ *   - options: how often each stored option was chosen (unanswered counted separately)
+ *   - discrimination: correct rate among attempts that passed minus among attempts that failed
+ *     (near 0 = the question doesn't tell good candidates apart, below 0 = it favours failers)
+ *   - avgTimeMs: average time on the question, as reported by the quiz page
+ *
+ * Option counts refer to the question's current options; editing the options of a question
+ * mixes old and new answers, so re-check its numbers after a while.
+ */
+
+const storage = require('./storage');
+const { DEFAULT_QUIZ_ID } = require('../config/quiz');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_DAYS = 365;
+
+// Questions answered fewer times than this get statistics but no flags
+const MIN_RESPONSES = 10;
+
+const TOO_EASY_RATE = 0.95;
+const TOO_HARD_RATE = 0.25;
+const LOW_DISCRIMINATION = 0.1;
+
+const rate = (count, total) => (total > 0 ? count / total : null);
+
+/**
+ * Flags for a question's statistics (nothing until it has MIN_RESPONSES answers)
+ * @returns {string[]} too_easy, too_hard, low_discrimination, check_answer (a wrong option is picked more than the right one)
+ */
+function getFlags(stats, correctOption) {
+    if (stats.responses < MIN_RESPONSES) return [];
+
+    const flags = [];
+    if (stats.correctRate >= TOO_EASY_RATE) flags.push('too_easy');
+    if (stats.correctRate <= TOO_HARD_RATE) flags.push('too_hard');
+    if (stats.discrimination !== null && stats.discrimination < LOW_DISCRIMINATION) flags.push('low_discrimination');
+    if (stats.options.some((count, option) => option !== correctOption && count > stats.options[correctOption])) {
+        flags.push('check_answer');
+    }
+    return flags;
+}
+
+/**
+ * Statistics for every question of a quiz
+ * @param {object} [options] - { quizId, days } (no days = every attempt)
+ * @returns {Promise<{ success: boolean, code?: number, error?: string, quizId?: string, since?: string|null, attemptsAnalysed?: number, questions?: object[] }>}
+ *   questions: { questionId, responses, correct, correctRate, options, unanswered, discrimination, avgTimeMs, flags }
+ */
+async function getQuestionAnalytics({ quizId = DEFAULT_QUIZ_ID, days } = {}) {
+    const quiz = await storage.getQuiz(quizId);
+    if (!quiz) return { success: false, code: 404, error: 'Quiz not found' };
+
+    let since = null;
+    if (days !== undefined && days !== null && days !== '') {
+        const windowDays = Number(days);
+        if (!Number.isFinite(windowDays) || windowDays <= 0 || windowDays > MAX_DAYS) {
+            return { success: false, code: 400, error: `Days must be more than 0 and at most ${MAX_DAYS}` };
+        }
+        since = new Date(Date.now() - windowDays * DAY_MS).toISOString();
+    }
+
+    const [questions, attempts] = await Promise.all([storage.getQuestions(quiz.id), storage.getScoredAttempts(quiz.id, since)]);
+
+    const tallies = new Map(questions.map(q => [q.id, {
+        responses: 0,
+        correct: 0,
+        options: q.options.map(() => 0),
+        unanswered: 0,
+        passed: { responses: 0, correct: 0 },
+        failed: { responses: 0, correct: 0 },
+        timeMs: 0,
+        timed: 0
+    }]));
+
+    let analysed = 0;
+    for (const attempt of attempts) {
+        if (!Array.isArray(attempt.answers) || attempt.answers.length === 0) continue;
+        analysed++;
+        for (const response of attempt.answers) {
+            const tally = tallies.get(response.questionId);
+            if (!tally) continue; // Deleted question
+
+            tally.responses++;
+            if (response.correct) tally.correct++;
+            if (response.option >= 0 && response.option < tally.options.length) tally.options[response.option]++;
+            else tally.unanswered++;
+
+            const group = attempt.passed ? tally.passed : tally.failed;
+            group.responses++;
+            if (response.correct) group.correct++;
+
+            if (Number.isFinite(response.timeMs)) {
+                tally.timeMs += response.timeMs;
+                tally.timed++;
+            }
+        }
+    }
+
+    const results = questions.map(q => {
+        const t = tallies.get(q.id);
+        const passRate = rate(t.passed.correct, t.passed.responses);
+        const failRate = rate(t.failed.correct, t.failed.responses);
+        const stats = {
+            questionId: q.id,
+            responses: t.responses,
+            correct: t.correct,
+            correctRate: rate(t.correct, t.responses),
+            options: t.options,
+            unanswered: t.unanswered,
+            discrimination: passRate !== null && failRate !== null ? passRate - failRate : null,
+            avgTimeMs: t.timed > 0 ? Math.round(t.timeMs / t.timed) : null
+        };
+        return { ...stats, flags: getFlags(stats, q.correctOption) };
+    });
+
+    return { success: true, quizId: quiz.id, since, attemptsAnalysed: analysed, questions: results };
+}
+
+module.exports = {
+    getQuestionAnalytics
+};
@@ -0,0 +1,292 @@
+/**
+ * Question Bank Import
+ * Admins upload a quiz's questions as CSV or JSON (the data/backup/questions.json shape, or the
+ * panel's exports). An import is planned first: every row is validated and matched to an existing
+ * question by id or by question text, so the admin sees a per-row diff before anything is saved.
+ * The commit re-plans the same upload and saves it in one storage transaction.
+ *
+ * Modes:
+ *   - merge: add new questions and update matched ones; nothing is deleted
+ *   - replace: also delete the quiz's questions the file does not contain
+ *
+ * CSV columns: id (optional), question, category, answer (option number, 1 = option1), option1, option2, ...
+ */
+
+const crypto = require('crypto');
+const storage = require('./storage');
+const { parseCsv } = require('./export');
+const { DEFAULT_CATEGORY, isValidCategory } = require('../config/quiz');
+
+const IMPORT_FORMATS = ['csv', 'json'];
+const IMPORT_MODES = ['merge', 'replace'];
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Fields compared to decide whether a matched question changes
+const QUESTION_FIELDS = ['question', 'options', 'correctOption', 'category'];
+
+// Duplicate detection ignores case and spacing
+const normalizeText = (text) => String(text).trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Fingerprint of a quiz's bank, so a commit can tell the bank changed after its preview
+ */
+const getBankVersion = (questions) => crypto.createHash('sha256')
+    .update(JSON.stringify(questions
+        .map(q => [q.id, ...QUESTION_FIELDS.map(f => q[f])])
+        .sort((a, b) => a[0] - b[0])))
+    .digest('hex')
+    .slice(0, 16);
+
+/**
+ * Raw rows from the uploaded file, as { question, options, correctOption, category, id, quizId }
+ * @returns {{ rows?: object[], error?: string }}
+ */
+const parseQuestionFile = (content, format) => {
+    if (format === 'json') {
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (err) {
+            return { error: `Invalid JSON: ${err.message}` };
+        }
+        const list = Array.isArray(data) ? data : data && data.questions;
+        if (!Array.isArray(list)) return { error: 'JSON must be an array of questions or { "questions": [...] }' };
+
+        return {
+            rows: list.map(q => (q && typeof q === 'object' ? {
+                ...q,
+                correctOption: q.correctOption !== undefined ? q.correctOption : q.correctAnswer
+            } : {}))
+        };
+    }
+
+    let table;
+    try {
+        table = parseCsv(content);
+    } catch (err) {
+        return { error: `Invalid CSV: ${err.message}` };
+    }
+    if (table.length === 0) return { error: 'The file is empty' };
+
+    const header = table[0].map(h => h.trim());
+    const index = (name) => header.findIndex(h => h.toLowerCase() === name.toLowerCase());
+    if (index('question') === -1 || index('answer') === -1 || index('option1') === -1) {
+        return { error: 'CSV needs a header row with at least question, answer and option1, option2, ... columns' };
+    }
+
+    const optionColumns = header
+        .map((h, i) => ({ n: parseInt((/^option(\d+)$/i.exec(h) || [])[1], 10), i }))
+        .filter(c => c.n)
+        .sort((a, b) => a.n - b.n)
+        .map(c => c.i);
+    const cell = (cells, name) => (index(name) === -1 ? undefined : (cells[index(name)] || '').trim());
+
+    return {
+        rows: table.slice(1).map(cells => {
+            const answer = cell(cells, 'answer');
+            return {
+                id: cell(cells, 'id') || undefined,
+                question: cell(cells, 'question'),
+                category: cell(cells, 'category') || undefined,
+                quizId: cell(cells, 'quizId') || undefined,
+                options: optionColumns.map(i => (cells[i] || '').trim()).filter(Boolean),
+                correctOption: /^\d+$/.test(answer) ? parseInt(answer, 10) - 1 : answer
+            };
+        })
+    };
+};
+
+/**
+ * Validate a question for the target quiz (import rows, and questions added or edited in the admin panel)
+ * @returns {{ question: object, errors: string[] }}
+ */
+const validateQuestion = (raw, quizId) => {
+    const errors = [];
+
+    const question = typeof raw.question === 'string' ? raw.question.trim() : '';
+    if (!question) errors.push('Question text is required');
+
+    const options = Array.isArray(raw.options)
+        ? raw.options.map(o => (typeof o === 'string' || typeof o === 'number' ? String(o).trim() : ''))
+        : [];
+    if (options.length < 2 || options.some(o => !o)) errors.push('At least 2 non-empty options are required');
+
+    const correctOption = Number(raw.correctOption);
+    if (raw.correctOption === '' || raw.correctOption === undefined || raw.correctOption === null ||
+        !Number.isInteger(correctOption) || correctOption < 0 || correctOption >= options.length) {
+        errors.push('Valid correct answer is required');
+    }
+
+    const category = raw.category || DEFAULT_CATEGORY;
+    if (!isValidCategory(category)) errors.push(`Unknown category "${category}"`);
+
+    if (raw.quizId && raw.quizId !== quizId) errors.push(`Question belongs to quiz "${raw.quizId}"`);
+
+    let id = null;
+    if (raw.id !== undefined && raw.id !== null && raw.id !== '') {
+        id = Number(raw.id);
+        if (!Number.isInteger(id) || id < 1) errors.push('Id must be a positive number');
+    }
+
+    return { question: { id, question, options, correctOption, category, quizId }, errors };
+};
+
+/**
+ * Plan an import: validate every row and diff it against the quiz's bank
+ * @param {object} params - { quizId, content, format: 'csv'|'json', mode: 'merge'|'replace' }
+ * @returns {Promise<{ success: boolean, code?: number, error?: string, plan?: object }>}
+ *   plan: { quizId, mode, version, valid, summary, rows, deletions, warnings }
+ *   rows: [{ row, status: 'new'|'update'|'unchanged'|'invalid', errors, question, before, changes }]
+ */
+const planImport = async ({ quizId, content, format, mode = 'merge' }) => {
+    if (!IMPORT_FORMATS.includes(format)) return { success: false, code: 400, error: `Format must be one of: ${IMPORT_FORMATS.join(', ')}` };
+    if (!IMPORT_MODES.includes(mode)) return { success: false, code: 400, error: `Mode must be one of: ${IMPORT_MODES.join(', ')}` };
+    if (typeof content !== 'string' || !content.trim()) return { success: false, code: 400, error: 'File content is required' };
+    if (!await storage.getQuiz(quizId)) return { success: false, code: 404, error: 'Quiz not found' };
+
+    const parsed = parseQuestionFile(content, format);
+    if (parsed.error) return { success: false, code: 400, error: parsed.error };
+    if (parsed.rows.length === 0) return { success: false, code: 400, error: 'The file has no questions' };
+    if (parsed.rows.length > MAX_IMPORT_ROWS) {
+        return { success: false, code: 400, error: `At most ${MAX_IMPORT_ROWS} questions can be imported at once` };
+    }
+
+    const existing = await storage.getQuestions(quizId);
+    const byId = new Map(existing.map(q => [q.id, q]));
+    const byText = new Map(existing.map(q => [normalizeText(q.question), q]));
+
+    const seenText = new Map();
+    const seenTarget = new Map();
+
+    const rows = parsed.rows.map((raw, i) => {
+        const row = i + 1;
+        const { question, errors } = validateQuestion(raw, quizId);
+
+        // Ids only match within this quiz; a row copied from another quiz's export is a new question here
+        const idMatch = question.id !== null ? byId.get(question.id) || null : null;
+
+        const text = normalizeText(question.question);
+        const textMatch = question.question ? byText.get(text) : null;
+        const target = idMatch || textMatch || null;
+
+        if (question.question) {
+            if (seenText.has(text)) errors.push(`Same question as row ${seenText.get(text)}`);
+            else seenText.set(text, row);
+        }
+        if (textMatch && target && textMatch.id !== target.id) {
+            errors.push(`Same question text as #${textMatch.id}`);
+        }
+        if (target) {
+            if (seenTarget.has(target.id)) errors.push(`Row ${seenTarget.get(target.id)} already updates #${target.id}`);
+            else seenTarget.set(target.id, row);
+        }
+
+        if (errors.length > 0) return { row, status: 'invalid', errors, question, before: target };
+        if (!target) return { row, status: 'new', errors, question: { ...question, id: null } };
+
+        const changes = QUESTION_FIELDS.filter(f => JSON.stringify(target[f]) !== JSON.stringify(question[f]));
+        return {
+            row,
+            status: changes.length > 0 ? 'update' : 'unchanged',
+            errors,
+            question: { ...question, id: target.id },
+            before: target,
+            changes
+        };
+    });
+
+    // Invalid rows keep their match so a replace preview does not list it for deletion
+    const matched = new Set(rows.filter(r => r.before).map(r => r.before.id));
+    const deletions = mode === 'replace' ? existing.filter(q => !matched.has(q.id)) : [];
+
+    // Sections that would draw fewer questions than configured once the import is saved
+    const warnings = [];
+    const saved = rows.filter(r => r.status !== 'invalid');
+    const replaced = new Set([...deletions, ...saved.filter(r => r.before).map(r => r.before)].map(q => q.id));
+    const finalBank = [...existing.filter(q => !replaced.has(q.id)), ...saved.map(r => r.question)];
+    const quiz = await storage.getQuiz(quizId);
+    for (const section of quiz.sections) {
+        const bankSize = finalBank.filter(q => q.category === section.category).length;
+        if (bankSize < section.count) {
+            warnings.push(`${section.category}: ${bankSize} question(s) left, but attempts draw ${section.count}`);
+        }
+    }
+
+    const count = (status) => rows.filter(r => r.status === status).length;
+    const summary = {
+        total: rows.length,
+        create: count('new'),
+        update: count('update'),
+        unchanged: count('unchanged'),
+        invalid: count('invalid'),
+        delete: deletions.length
+    };
+
+    return {
+        success: true,
+        plan: {
+            quizId,
+            mode,
+            version: getBankVersion(existing),
+            valid: summary.invalid === 0,
+            summary,
+            rows,
+            deletions,
+            warnings
+        }
+    };
+};
+
+/**
+ * Save a planned import in one transaction. Fails without saving anything when a row is invalid or
+ * the bank changed since the preview (`version` from the preview).
+ * @param {object} params - planImport params plus { version }
+ * @param {object} actor - { discordId, username }
+ */
+const commitImport = async ({ version, ...params }, actor) => {
+    const result = await planImport(params);
+    if (!result.success) return result;
+
+    const { plan } = result;
+    if (!plan.valid) return { success: false, code: 400, error: `${plan.summary.invalid} row(s) have errors; fix them and preview again`, plan };
+    if (!version || version !== plan.version) {
+        return { success: false, code: 409, error: 'The question bank changed since the preview; preview the import again', plan };
+    }
+
+    const create = plan.rows.filter(r => r.status === 'new').map(r => r.question);
+    const update = plan.rows.filter(r => r.status === 'update').map(r => r.question);
+    const remove = plan.deletions.map(q => q.id);
+
+    if (create.length + update.length + remove.length > 0) {
+        if (!await storage.importQuestions({ create, update, remove })) {
+            return { success: false, code: 500, error: 'Failed to save the import; no questions were changed' };
+        }
+    }
+
+    // Keep the replaced and deleted questions so a bad import can be undone from the audit log
+    await storage.logAudit({
+        actorId: actor.discordId,
+        actorName: actor.username,
+        actorType: 'admin',
+        action: 'question.import',
+        targetType: 'quiz',
+        targetId: plan.quizId,
+        before: {
+            updated: plan.rows.filter(r => r.status === 'update').map(r => r.before),
+            deleted: plan.deletions
+        },
+        after: { mode: plan.mode, ...plan.summary }
+    });
+
+    return { success: true, plan };
+};
+
+module.exports = {
+    IMPORT_FORMATS,
+    IMPORT_MODES,
+    MAX_IMPORT_ROWS,
+    validateQuestion,
+    planImport,
+    commitImport
+};
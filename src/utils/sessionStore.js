@@ -0,0 +1,57 @@
+/**
+ * Session Store
+ * express-session store backed by the configured storage adapter (login_sessions table on Supabase,
+ * data/login_sessions.json locally), so logins survive restarts and are shared between instances.
+ * Expired sessions are ignored on read and removed periodically.
+ */
+
+const session = require('express-session');
+const storage = require('./storage');
+
+// Used when a session cookie has no expiry of its own
+const DEFAULT_SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+// express-session may call set/destroy without a callback (e.g. req.session.destroy())
+const done = (callback, ...args) => callback && callback(...args);
+
+class StorageSessionStore extends session.Store {
+    /**
+     * @param {object} [options] - { cleanupIntervalMs } (0 disables the periodic cleanup)
+     */
+    constructor({ cleanupIntervalMs = CLEANUP_INTERVAL_MS } = {}) {
+        super();
+        if (cleanupIntervalMs > 0) {
+            // Don't keep the process alive just for the cleanup
+            setInterval(() => this.cleanup(), cleanupIntervalMs).unref();
+        }
+    }
+
+    get(sid, callback) {
+        storage.getLoginSession(sid).then(data => done(callback, null, data), err => done(callback, err));
+    }
+
+    set(sid, sess, callback) {
+        const expiresAt = sess.cookie && sess.cookie.expires
+            ? new Date(sess.cookie.expires)
+            : new Date(Date.now() + DEFAULT_SESSION_TTL_MS);
+
+        storage.saveLoginSession(sid, sess, expiresAt)
+            .then(saved => done(callback, saved ? null : new Error('Failed to save session')), err => done(callback, err));
+    }
+
+    destroy(sid, callback) {
+        storage.destroyLoginSession(sid).then(() => done(callback, null), err => done(callback, err));
+    }
+
+    async cleanup() {
+        const removed = await storage.deleteExpiredLoginSessions().catch(() => null);
+        if (removed === null) console.error('[Sessions] Failed to remove expired sessions');
+        else if (removed > 0) console.log(`[Sessions] Removed ${removed} expired session(s)`);
+    }
+}
+
+module.exports = {
+    StorageSessionStore
+};
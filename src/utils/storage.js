@@ -1,121 +1,82 @@
 /**
- * Supabase Storage Utilities
+ * Storage Utilities
  * Handles all read/write operations for users, attempts, question, etc.
- * Replaces old fs-based storage.js
+ *
+ * Raw reads/writes are delegated to a storage adapter selected by STORAGE_DRIVER:
+ * - 'supabase' (default): src/utils/adapters/supabase.js
+ * - 'local': src/utils/adapters/local.js (JSON files in data/, for offline dev)
+ *
+ * Every adapter implements the same async interface (getUser, saveUser, getAttempts,
+ * addAttempt, getQuestions, addStaffApp, ...) and returns camelCase objects.
  */
 
-const { createClient } = require('@supabase/supabase-js');
+const crypto = require('crypto');
+const {
+    DEFAULT_CATEGORY,
+    DEFAULT_QUIZ_ID,
+    DEFAULT_COOLDOWN_POLICY,
+    DEFAULT_QUIZZES,
+    getCategoryLabel
+} = require('../config/quiz');
+const { DEFAULT_REVIEW_POLICY } = require('../config/applications');
+const { DEFAULT_FORMS } = require('../config/forms');
 
-// Initialize Supabase Client
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY; // Use Service Role for admin access
+const ADAPTERS = {
+    supabase: () => require('./adapters/supabase'),
+    local: () => require('./adapters/local')
+};
+
+const STORAGE_DRIVER = (process.env.STORAGE_DRIVER || 'supabase').toLowerCase();
 
-if (!supabaseUrl || !supabaseKey) {
-    console.warn('⚠️ Supabase credentials missing in .env! Storage will fail.');
+if (!ADAPTERS[STORAGE_DRIVER]) {
+    throw new Error(`Unknown STORAGE_DRIVER "${STORAGE_DRIVER}" (expected: ${Object.keys(ADAPTERS).join(', ')})`);
 }
 
-const supabase = createClient(supabaseUrl || '', supabaseKey || '');
+const adapter = ADAPTERS[STORAGE_DRIVER]();
+console.log(`[Storage] Using ${adapter.name} storage adapter`);
 
 // ==================== USERS ====================
 
-// Cache users in memory to reduce DB calls (optional, but mimics old behavior for synchronous reads)
-// HOWEVER, since we are moving to async database, we should refactor callers.
-// BUT to avoid massive refactor, we might need a sync interface? No, DB calls are async.
-// We MUST check if callers can handle promises.
-// Most callers in routes are async. `passport.deserializeUser` is async.
-// `bot.js` handlers are async.
-// `storage.getUsers()` was synchronous. Now it must be async or we fetch all on start?
-// Fetching all users on start is bad for scaling but fine for small app.
-// Let's implement ASYNC methods and update callers.
-
 /**
  * Get a specific user by Discord ID
  * @returns {Promise<object|null>}
  */
-const getUser = async (discordId) => {
-    const { data, error } = await supabase
-        .from('users')
-        .select('*')
-        .eq('discord_id', discordId)
-        .single();
-
-    if (error || !data) return null;
-    return {
-        ...data,
-        ...data.data, // Merge JSONB data back into top level to match old structure
-        discordId: data.discord_id, // Map snake_case to camelCase
-        lastAttempt: data.last_attempt
-    };
-};
+const getUser = (discordId) => adapter.getUser(discordId);
 
 /**
  * Get all users (CAUTION: Expensive)
  * Returns object map { discordId: user } to match old API
  */
-const getUsers = async () => {
-    const { data, error } = await supabase.from('users').select('*');
-    if (error) {
-        console.error('Error fetching users:', error);
-        return {};
-    }
-    return data.reduce((acc, user) => {
-        acc[user.discord_id] = {
-            ...user,
-            ...user.data,
-            discordId: user.discord_id,
-            lastAttempt: user.last_attempt
-        };
-        return acc;
-    }, {});
-};
+const getUsers = () => adapter.getUsers();
+
+/**
+ * Get users by Discord ID
+ * @returns {Promise<object>} Map { discordId: user } of the users that exist
+ */
+const getUsersByIds = (discordIds) => adapter.getUsersByIds(discordIds);
+
+/**
+ * Get one page of users, filtered and sorted by the database
+ * @param {object} query - { status, search, sort: 'lastAttempt'|'username', order: 'asc'|'desc', offset, limit }
+ * @returns {Promise<{ users: object[], total: number }>} total counts every user matching the filters
+ */
+const queryUsers = (query) => adapter.queryUsers(query);
+
+/**
+ * Count users matching { status, search }
+ */
+const countUsers = (filters) => adapter.countUsers(filters);
 
 /**
  * Save/Update user
  * @param {object} user - User object with discordId
  */
-const saveUser = async (user) => {
-    const discordId = user.discordId || user.discord_id;
-    if (!discordId) return false;
-
-    // Prepare data for DB
-    const dbUser = {
-        discord_id: discordId,
-        username: user.username,
-        avatar: user.avatar,
-        status: user.status,
-        last_attempt: user.lastAttempt ? new Date(user.lastAttempt).toISOString() : null,
-        data: user // Store full object in JSONB for custom fields
-    };
+const saveUser = (user) => adapter.saveUser(user);
 
-    const { error } = await supabase.from('users').upsert(dbUser);
-    if (error) {
-        console.error('Error saving user:', error);
-        return false;
-    }
-    return true;
-};
-
-// Wrapper to match old `saveUsers(users)` which saved ALL users.
-// We should deprecate this and use `saveUser(user)`.
-// But for compatibility, if `users` is an object, we can't easily save all efficiently.
-// We will modify callers to check if they are saving one user or all.
-// Old `saveUsers(users)` was called after `users[id] = ...`.
-// So we can change `saveUsers` to actually just save the specific modified user if possible.
-// Or we just implement `saveUsers` to do nothing and force callers to use `saveUser`.
-// Let's keep `saveUsers` as a dummy or log warning, and implement `updateUser`.
+// Old `saveUsers(users)` saved ALL users; it is kept as a no-op and callers use `saveUser`/`updateUser`.
 
 const updateUser = async (discordId, updates) => {
-    // Fetch current to merge?
-    // Supabase upsert/update is partial.
-    // We need to map camelCase fields to snake_case columns.
-    const payload = {};
-    if (updates.username) payload.username = updates.username;
-    if (updates.avatar) payload.avatar = updates.avatar;
-    if (updates.status) payload.status = updates.status;
-    if (updates.lastAttempt) payload.last_attempt = new Date(updates.lastAttempt).toISOString();
-
-    // Also update data jsonb
-    // This is tricky. simpler to just get, merge, save.
+    // Simpler to just get, merge, save than to map partial updates per adapter.
     const current = await getUser(discordId);
     if (!current) return false;
 
@@ -123,255 +84,1002 @@ const updateUser = async (discordId, updates) => {
     return await saveUser(newUser);
 };
 
-const deleteUser = async (discordId) => {
-    const { error } = await supabase.from('users').delete().eq('discord_id', discordId);
-    return !error;
+const deleteUser = (discordId) => adapter.deleteUser(discordId);
+
+/**
+ * Get a user's status for one quiz.
+ * The default (civilian) quiz lives in the top-level status/lastAttempt fields;
+ * other quizzes are kept in `user.quizzes[quizId]`.
+ * @returns {{ status: string, lastAttempt: string|null }}
+ */
+const getQuizStatus = (user, quizId = DEFAULT_QUIZ_ID) => {
+    if (!user) return { status: 'new', lastAttempt: null };
+    if (quizId === DEFAULT_QUIZ_ID) {
+        return { status: user.status || 'new', lastAttempt: user.lastAttempt || null };
+    }
+    const entry = (user.quizzes || {})[quizId] || {};
+    return { status: entry.status || 'new', lastAttempt: entry.lastAttempt || null };
 };
 
+/**
+ * Update a user's status for one quiz
+ * @param {object} updates - { status, lastAttempt }
+ */
+const setQuizStatus = async (discordId, quizId, updates) => {
+    if (quizId === DEFAULT_QUIZ_ID) {
+        return await updateUser(discordId, updates);
+    }
 
-// ==================== ATTEMPTS ====================
+    const user = await getUser(discordId);
+    if (!user) return false;
 
-const getAttempts = async () => {
-    const { data, error } = await supabase.from('attempts').select('*');
-    if (error) return [];
-    return data.map(a => ({
-        ...a,
-        discordId: a.discord_id,
-        timestamp: a.timestamp
-    }));
+    const quizzes = { ...(user.quizzes || {}) };
+    quizzes[quizId] = { ...getQuizStatus(user, quizId), ...updates };
+    return await updateUser(discordId, { quizzes });
 };
 
-const getUserAttempts = async (discordId) => {
-    const { data, error } = await supabase.from('attempts').select('*').eq('discord_id', discordId);
-    if (error) return [];
-    return data.map(a => ({
-        ...a,
-        discordId: a.discord_id,
-        timestamp: a.timestamp
-    }));
+
+// ==================== ATTEMPTS ====================
+
+const getAttempts = () => adapter.getAttempts();
+
+const getUserAttempts = (discordId) => adapter.getUserAttempts(discordId);
+
+/**
+ * Get every attempt by the given users (e.g. one page of the admin user list)
+ */
+const getAttemptsForUsers = (discordIds) => adapter.getAttemptsForUsers(discordIds);
+
+/**
+ * Get one page of attempts, filtered and sorted by the database
+ * @param {object} query - { passed, discordId, quizId, from, to, sort: 'timestamp'|'score', order: 'asc'|'desc', offset, limit }
+ * @returns {Promise<{ attempts: object[], total: number }>} total counts every attempt matching the filters
+ */
+const queryAttempts = (query) => adapter.queryAttempts(query);
+
+/**
+ * Count attempts matching { passed, discordId, quizId, from, to }
+ */
+const countAttempts = (filters) => adapter.countAttempts(filters);
+
+const SCORED_ATTEMPTS_BATCH = 500;
+
+/**
+ * Every scored attempt of a quiz (not manual passes/fails or timed-out attempts), read in batches
+ * @param {string} quizId
+ * @param {string} [from] - only attempts since this date
+ */
+const getScoredAttempts = async (quizId, from) => {
+    const attempts = [];
+    for (let offset = 0; ; offset += SCORED_ATTEMPTS_BATCH) {
+        const page = await queryAttempts({ quizId, from, sort: 'timestamp', order: 'asc', offset, limit: SCORED_ATTEMPTS_BATCH });
+        attempts.push(...page.attempts.filter(a => !a.manualPass && !a.manualFail && !a.expired));
+        if (page.attempts.length < SCORED_ATTEMPTS_BATCH) return attempts;
+    }
 };
 
-const getLatestAttempt = async (discordId) => {
-    const attempts = await getUserAttempts(discordId);
+const getLatestAttempt = async (discordId, quizId = DEFAULT_QUIZ_ID) => {
+    const attempts = (await getUserAttempts(discordId)).filter(a => (a.quizId || DEFAULT_QUIZ_ID) === quizId);
     if (attempts.length === 0) return null;
     return attempts.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
 };
 
-const addAttempt = async (attempt) => {
-    const dbAttempt = {
-        discord_id: attempt.discordId,
-        score: attempt.score,
-        passed: attempt.passed,
-        timestamp: new Date().toISOString()
-    };
-    const { error } = await supabase.from('attempts').insert(dbAttempt);
-    if (error) {
-        console.error('Error adding attempt:', error);
-        return false;
+// Keyed so a leaked attempts table can't be matched against known IPs. Without IP_HASH_SECRET the
+// key is derived from SESSION_SECRET; the development fallback is public, so never use it in production.
+let ipHashKey = null;
+const getIpHashKey = () => {
+    if (ipHashKey) return ipHashKey;
+    if (process.env.IP_HASH_SECRET) {
+        ipHashKey = process.env.IP_HASH_SECRET;
+    } else if (process.env.SESSION_SECRET) {
+        ipHashKey = crypto.createHmac('sha256', process.env.SESSION_SECRET).update('ip-hash').digest('hex');
+    } else {
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error('IP_HASH_SECRET or SESSION_SECRET must be set in production');
+        }
+        console.warn('[Storage] IP_HASH_SECRET and SESSION_SECRET are not set; using an insecure development key for IP hashes');
+        ipHashKey = 'elite-india-roleplay-dev-ip';
     }
-    return true;
+    return ipHashKey;
 };
+// Fail at startup rather than on the first quiz submission
+if (process.env.NODE_ENV === 'production') getIpHashKey();
+
+/**
+ * Hash an IP for storage; attempts from the same address share a hash (see src/utils/suspicious.js)
+ */
+const hashIp = (ip) => crypto.createHmac('sha256', getIpHashKey()).update(String(ip)).digest('hex');
+
+/**
+ * Record an attempt. Only a hash of `ip` is stored.
+ * @param {object} attempt - { discordId, quizId, score, total, passed, categoryScores, answers, ip, userAgent, durationMs, ... }
+ *   answers: [{ questionId, option, correct }] as returned by validateQuiz (option indexes the stored options, -1 = unanswered)
+ */
+const addAttempt = ({ ip, ...attempt }) => adapter.addAttempt({
+    ...attempt,
+    quizId: attempt.quizId || DEFAULT_QUIZ_ID,
+    ipHash: ip ? hashIp(ip) : null,
+    userAgent: attempt.userAgent ? String(attempt.userAgent).slice(0, 256) : null
+});
 
 // ==================== QUESTIONS ====================
 
-const getQuestions = async () => {
-    const { data, error } = await supabase.from('questions').select('*').order('id', { ascending: true });
-    if (error) return [];
-    return data.map(q => ({
-        id: q.id,
-        question: q.question,
-        options: q.options,
-        correctOption: q.correct_option
+/**
+ * Get questions, optionally only one quiz's bank
+ * @param {string} [quizId]
+ */
+const getQuestions = async (quizId) => {
+    const questions = (await adapter.getQuestions()).map(q => ({
+        ...q,
+        category: q.category || DEFAULT_CATEGORY,
+        quizId: q.quizId || DEFAULT_QUIZ_ID
     }));
+    return quizId ? questions.filter(q => q.quizId === quizId) : questions;
 };
 
-const getQuestionsForClient = async () => {
-    const questions = await getQuestions();
-    return questions.map(q => ({
-        id: q.id,
-        question: q.question,
-        options: q.options
-    }));
+const addQuestion = (question) => adapter.addQuestion({ ...question, quizId: question.quizId || DEFAULT_QUIZ_ID });
+
+const updateQuestion = (id, updates) => adapter.updateQuestion(id, updates);
+
+const deleteQuestion = (id) => adapter.deleteQuestion(id);
+
+/**
+ * Apply a bulk question import in one transaction: either every change is saved or none is
+ * @param {object} changes - { create: question[], update: question[] (with id), remove: id[] }
+ * @returns {Promise<boolean>}
+ */
+const importQuestions = (changes) => adapter.importQuestions({
+    create: (changes.create || []).map(q => ({ ...q, quizId: q.quizId || DEFAULT_QUIZ_ID })),
+    update: changes.update || [],
+    remove: changes.remove || []
+});
+
+// ==================== QUIZZES ====================
+
+/**
+ * Get all quiz definitions: built-in defaults overridden by saved definitions, plus any extra saved quizzes
+ */
+const getQuizzes = async () => {
+    const saved = await adapter.getQuizzes();
+    const savedById = new Map(saved.map(q => [q.id, q]));
+
+    const merged = DEFAULT_QUIZZES.map(def => {
+        const override = savedById.get(def.id) || {};
+        // A saved null roleId shouldn't hide the role configured in .env
+        return {
+            ...def,
+            ...override,
+            roleId: override.roleId || def.roleId,
+            timeLimitMs: override.timeLimitMs ?? def.timeLimitMs
+        };
+    });
+    const extra = saved.filter(q => !DEFAULT_QUIZZES.some(def => def.id === q.id));
+
+    return [...merged, ...extra];
 };
 
-const addQuestion = async (question) => {
-    const dbQuestion = {
-        question: question.question,
-        options: question.options,
-        correct_option: question.correctOption
-    };
-    // Let database handle ID (SERIAL)
-    const { data, error } = await supabase.from('questions').insert(dbQuestion).select().single();
-    if (error) return null;
-    return {
-        id: data.id,
-        question: data.question,
-        options: data.options,
-        correctOption: data.correct_option
-    };
+/**
+ * @returns {Promise<object|null>} The quiz definition, or null if it doesn't exist
+ */
+const getQuiz = async (quizId = DEFAULT_QUIZ_ID) => {
+    const quizzes = await getQuizzes();
+    return quizzes.find(q => q.id === quizId) || null;
+};
+
+const saveQuiz = (quiz) => adapter.saveQuiz(quiz);
+
+// ==================== APPLICATION FORMS ====================
+
+/**
+ * Get all application forms: built-in staff/gang forms overridden by saved definitions, plus admin-built forms
+ */
+const getForms = async () => {
+    const saved = await adapter.getForms();
+    const savedById = new Map(saved.map(f => [f.id, f]));
+
+    const merged = DEFAULT_FORMS.map(def => ({ ...def, ...(savedById.get(def.id) || {}), builtIn: true }));
+    const extra = saved
+        .filter(f => !DEFAULT_FORMS.some(def => def.id === f.id))
+        .map(f => ({ ...f, builtIn: false }));
+
+    return [...merged, ...extra];
+};
+
+/**
+ * @returns {Promise<object|null>} The form definition, or null if it doesn't exist
+ */
+const getForm = async (formId) => (await getForms()).find(f => f.id === formId) || null;
+
+const saveForm = ({ builtIn, ...form }) => adapter.saveForm(form);
+
+// Removes a saved form (for built-in forms this restores the default definition)
+const deleteForm = (formId) => adapter.deleteForm(formId);
+
+// ==================== QUIZ SESSIONS ====================
+
+/**
+ * Fisher-Yates shuffle (returns a new array)
+ */
+const shuffle = (items) => {
+    const result = items.slice();
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = crypto.randomInt(i + 1);
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
 };
 
-const updateQuestion = async (id, updates) => {
-    const payload = {};
-    if (updates.question) payload.question = updates.question;
-    if (updates.options) payload.options = updates.options;
-    if (updates.correctOption !== undefined) payload.correct_option = updates.correctOption;
+/**
+ * Resolve the quiz definition against the current bank:
+ * how many questions each section will actually draw and its effective minimum
+ * @returns {Promise<{ passScore: number, total: number, sections: object[] }>}
+ */
+const getQuizPlan = async (quizId = DEFAULT_QUIZ_ID) => {
+    const quiz = await getQuiz(quizId);
+    if (!quiz) return { passScore: 0, total: 0, shuffleOptions: false, sections: [] };
+
+    const questions = await getQuestions(quizId);
+
+    const sections = quiz.sections.map(section => {
+        const bankSize = questions.filter(q => q.category === section.category).length;
+        const drawn = Math.min(section.count, bankSize);
+        return {
+            ...section,
+            label: getCategoryLabel(section.category),
+            bankSize,
+            drawn,
+            minCorrect: Math.min(section.minCorrect, drawn)
+        };
+    });
+    const total = sections.reduce((sum, s) => sum + s.drawn, 0);
 
-    const { data, error } = await supabase.from('questions').update(payload).eq('id', id).select().single();
-    if (error) return null;
     return {
-        id: data.id,
-        question: data.question,
-        options: data.options,
-        correctOption: data.correct_option
+        passScore: Math.min(quiz.passScore, total),
+        total,
+        shuffleOptions: quiz.shuffleOptions,
+        sections
     };
 };
 
-const deleteQuestion = async (id) => {
-    const { error } = await supabase.from('questions').delete().eq('id', id);
-    return !error;
-};
+/**
+ * Number of questions an attempt will actually contain, given the current bank
+ */
+const getQuestionsPerAttempt = async (quizId = DEFAULT_QUIZ_ID) => (await getQuizPlan(quizId)).total;
 
-const validateQuiz = async (answers) => {
+/**
+ * Build the client view of a session: issued questions in order, options permuted, no answers
+ */
+const getQuestionsForClient = async (session) => {
     const questions = await getQuestions();
+    const byId = new Map(questions.map(q => [q.id, q]));
+
+    return session.questionIds
+        .map((id, index) => {
+            const q = byId.get(id);
+            if (!q) return null;
+            return {
+                id: q.id,
+                question: q.question,
+                categoryLabel: getCategoryLabel(q.category),
+                options: session.optionOrder[index].map(original => q.options[original])
+            };
+        })
+        .filter(Boolean);
+};
 
-    if (!Array.isArray(answers) || answers.length !== questions.length) {
-        return { valid: false, score: 0 };
+// Allowance for network latency when a client auto-submits right at the deadline
+const SUBMIT_GRACE_MS = 30 * 1000;
+
+/**
+ * Whether a timed attempt is past its deadline (plus the submit grace period)
+ */
+const isSessionExpired = (session) => {
+    if (!session || !session.expiresAt) return false;
+    return Date.now() > new Date(session.expiresAt).getTime() + SUBMIT_GRACE_MS;
+};
+
+/**
+ * Milliseconds left before the attempt's deadline (null for untimed attempts)
+ */
+const getSessionRemainingTime = (session) => {
+    if (!session || !session.expiresAt) return null;
+    return Math.max(0, new Date(session.expiresAt).getTime() - Date.now());
+};
+
+/**
+ * Close an attempt that ran out of time and record it as a failed attempt.
+ * The deadline counts as the attempt time, so the cooldown starts from when time ran out.
+ */
+const expireQuizSession = async (session) => {
+    await adapter.updateQuizSession(session.sessionId, {
+        status: 'expired',
+        submittedAt: session.expiresAt
+    });
+
+    await addAttempt({
+        discordId: session.discordId,
+        quizId: session.quizId,
+        score: 0,
+        total: session.questionIds.length,
+        passed: false,
+        categoryScores: [],
+        answers: [],
+        durationMs: session.expiresAt ? new Date(session.expiresAt) - new Date(session.createdAt) : null,
+        expired: true
+    });
+
+    await setQuizStatus(session.discordId, session.quizId || DEFAULT_QUIZ_ID, {
+        status: 'failed',
+        lastAttempt: session.expiresAt
+    });
+
+    console.log(`[Storage] Quiz attempt ${session.sessionId} (${session.quizId}) expired for ${session.discordId}`);
+};
+
+/**
+ * Expire the user's in-progress attempt if its deadline has passed
+ * @returns {Promise<boolean>} true if an attempt was expired
+ */
+const expireStaleQuizSession = async (discordId, quizId = DEFAULT_QUIZ_ID) => {
+    const session = await adapter.getActiveQuizSession(discordId, quizId);
+    if (!isSessionExpired(session)) return false;
+    await expireQuizSession(session);
+    return true;
+};
+
+/**
+ * Get the user's in-progress attempt, or issue a new one.
+ * Re-opening the quiz returns the same questions, so refreshing can't reroll the draw
+ * or reset the timer.
+ * @returns {Promise<object|null>} session { sessionId, questionIds, optionOrder, expiresAt, ... }
+ */
+const startQuizSession = async (discordId, quizId = DEFAULT_QUIZ_ID) => {
+    const existing = await adapter.getActiveQuizSession(discordId, quizId);
+    if (existing && !isSessionExpired(existing)) return existing;
+    if (existing) await expireQuizSession(existing);
+
+    const quiz = await getQuiz(quizId);
+    const questions = await getQuestions(quizId);
+    const plan = await getQuizPlan(quizId);
+    if (plan.total === 0) return null;
+
+    // Draw each section's questions from its category, then mix the sections together
+    const drawn = shuffle(plan.sections.flatMap(section =>
+        shuffle(questions.filter(q => q.category === section.category)).slice(0, section.drawn)
+    ));
+
+    return await adapter.createQuizSession({
+        sessionId: crypto.randomUUID(),
+        discordId,
+        quizId,
+        expiresAt: quiz.timeLimitMs ? new Date(Date.now() + quiz.timeLimitMs).toISOString() : null,
+        questionIds: drawn.map(q => q.id),
+        categories: drawn.map(q => q.category),
+        // optionOrder[i][displayedIndex] = index into the stored options of question i
+        optionOrder: drawn.map(q => {
+            const order = q.options.map((_, idx) => idx);
+            return plan.shuffleOptions ? shuffle(order) : order;
+        })
+    });
+};
+
+const getActiveQuizSession = (discordId, quizId = DEFAULT_QUIZ_ID) => adapter.getActiveQuizSession(discordId, quizId);
+
+const completeQuizSession = (sessionId) => adapter.updateQuizSession(sessionId, {
+    status: 'submitted',
+    submittedAt: new Date().toISOString()
+});
+
+/**
+ * Score answers against the questions issued for a session.
+ * Answers are displayed option indexes; they are mapped back through the session's permutation.
+ * Questions deleted since the attempt was issued are left out of the totals.
+ * @param {number[]} [timings] - milliseconds spent on each question, as reported by the quiz page
+ * @returns {Promise<{ valid: boolean, score: number, total: number, passed: boolean, categories: object[], responses: object[] }>}
+ *   responses: per question { questionId, option, correct, timeMs? }, with option mapped back to the stored options (-1 = no valid answer)
+ */
+const validateQuiz = async (answers, session, timings = []) => {
+    if (!session || !Array.isArray(answers) || answers.length !== session.questionIds.length) {
+        return { valid: false, score: 0, total: 0, passed: false, categories: [], responses: [] };
     }
 
+    const quiz = await getQuiz(session.quizId || DEFAULT_QUIZ_ID);
+    if (!quiz) {
+        return { valid: false, score: 0, total: 0, passed: false, categories: [], responses: [] };
+    }
+
+    const questions = await getQuestions();
+    const byId = new Map(questions.map(q => [q.id, q]));
+
+    // Per-category tallies, in the order the definition lists them
+    const tallies = new Map(quiz.sections.map(s => [s.category, { score: 0, total: 0, minCorrect: s.minCorrect }]));
+
     let score = 0;
+    let total = 0;
+    const responses = [];
     answers.forEach((answer, index) => {
-        if (questions[index] && questions[index].correctOption === answer) {
+        const question = byId.get(session.questionIds[index]);
+        if (!question) return;
+
+        const category = (session.categories && session.categories[index]) || question.category;
+        if (!tallies.has(category)) tallies.set(category, { score: 0, total: 0, minCorrect: 0 });
+        const tally = tallies.get(category);
+
+        total++;
+        tally.total++;
+        const original = session.optionOrder[index][answer];
+        const correct = original !== undefined && question.correctOption === original;
+        if (correct) {
             score++;
+            tally.score++;
         }
+        responses.push({
+            questionId: question.id,
+            option: original ?? -1,
+            correct,
+            ...(Number.isFinite(timings[index]) ? { timeMs: timings[index] } : {})
+        });
     });
 
-    return { valid: true, score };
+    const categories = [...tallies.entries()]
+        .filter(([, t]) => t.total > 0)
+        .map(([category, t]) => {
+            const minCorrect = Math.min(t.minCorrect, t.total);
+            return {
+                category,
+                label: getCategoryLabel(category),
+                score: t.score,
+                total: t.total,
+                minCorrect,
+                passed: t.score >= minCorrect
+            };
+        });
+
+    const passScore = Math.min(quiz.passScore, total);
+    const passed = total > 0 && score >= passScore && categories.every(c => c.passed);
+
+    return { valid: true, score, total, passed, categories, responses };
 };
 
 // ==================== APPLICATIONS ====================
 
+/**
+ * Staff applications with their votes ([{ discordId, username, vote, comment, at }], one per reviewer).
+ * Applications voted on before votes had their own table keep those votes in their details.
+ */
 const getStaffApps = async () => {
-    const { data, error } = await supabase.from('staff_applications').select('*');
-    if (error) return [];
-    return data.map(a => ({
-        ...a,
-        ...a.details, // Spread generic details
-        applicationId: a.application_id,
-        discordId: a.discord_id,
-        submittedAt: a.submitted_at,
-        reviewedAt: a.reviewed_at
-    }));
+    const [apps, votes] = await Promise.all([adapter.getStaffApps(), adapter.getStaffAppVotes()]);
+    const byApp = new Map();
+    for (const { discordId, username, vote, comment, at, applicationId } of votes) {
+        if (!byApp.has(applicationId)) byApp.set(applicationId, new Map());
+        byApp.get(applicationId).set(discordId, { discordId, username, vote, comment, at });
+    }
+    return apps.map(app => {
+        const appVotes = new Map((app.votes || []).map(v => [v.discordId, v]));
+        (byApp.get(app.applicationId) || new Map()).forEach((v, discordId) => appVotes.set(discordId, v));
+        return { ...app, votes: [...appVotes.values()] };
+    });
 };
 
-const addStaffApp = async (app) => {
-    const dbApp = {
-        discord_id: app.discordId,
-        username: app.username,
-        status: app.status || 'pending',
-        submitted_at: new Date().toISOString(),
-        details: app // Store full object
-    };
-    // If explicit columns exist, map them
-    if (app.experience) dbApp.experience = app.experience;
-    // ...
-    const { error } = await supabase.from('staff_applications').insert(dbApp);
-    return !error;
-};
-
-const updateStaffAppStatus = async (appId, status) => {
-    const { error } = await supabase
-        .from('staff_applications')
-        .update({ status: status, reviewed_at: new Date().toISOString() })
-        .eq('application_id', appId);
-    return !error;
-};
-
-const getGangApps = async () => {
-    const { data, error } = await supabase.from('gang_applications').select('*');
-    if (error) return [];
-    return data.map(a => ({
-        ...a,
-        ...a.details,
-        applicationId: a.application_id,
-        leaderDiscordId: a.leader_discord_id,
-        gangName: a.gang_name,
-        submittedAt: a.submitted_at,
-        reviewedAt: a.reviewed_at
-    }));
+/**
+ * Save a reviewer's vote on a staff application, replacing their previous one. Each vote is its own
+ * row, so reviewers voting at the same time can't overwrite each other's votes.
+ * @param {object} vote - { discordId, username, vote: 'approve'|'deny', comment }
+ */
+const saveStaffAppVote = (appId, { discordId, username, vote, comment = null }) => adapter.saveStaffAppVote({
+    voteId: `${appId}:${discordId}`,
+    applicationId: appId,
+    discordId,
+    username,
+    vote,
+    comment,
+    at: new Date().toISOString()
+});
+
+const addStaffApp = (app) => adapter.addStaffApp(app);
+
+/**
+ * Set an application's status (the same for staff, gang and form applications).
+ * With `fromStatuses`, only an application currently in one of them is changed.
+ * @returns {Promise<boolean|null>} Whether the application changed (null if storage failed)
+ */
+const updateStaffAppStatus = (appId, status, fromStatuses) => adapter.updateStaffAppStatus(appId, status, fromStatuses);
+
+// Extra fields kept with an application (e.g. reviewedBy, reviewMessage)
+const updateStaffApp = (appId, updates) => adapter.updateStaffApp(appId, updates);
+
+const getGangApps = () => adapter.getGangApps();
+
+const addGangApp = (app) => adapter.addGangApp(app);
+
+const updateGangAppStatus = (appId, status, fromStatuses) => adapter.updateGangAppStatus(appId, status, fromStatuses);
+
+const updateGangApp = (appId, updates) => adapter.updateGangApp(appId, updates);
+
+const getFormApps = () => adapter.getFormApps();
+
+const addFormApp = (app) => adapter.addFormApp(app);
+
+const updateFormAppStatus = (appId, status, fromStatuses) => adapter.updateFormAppStatus(appId, status, fromStatuses);
+
+const updateFormApp = (appId, updates) => adapter.updateFormApp(appId, updates);
+
+// ==================== GANGS ====================
+
+const getGangs = () => adapter.getGangs();
+
+const getGang = async (gangId) => (await getGangs()).find(g => g.gangId === gangId) || null;
+
+/**
+ * Get the active gang a user belongs to (leader or member)
+ */
+const getMemberGang = async (discordId) => (await getGangs())
+    .find(g => g.status === 'active' && g.members.some(m => m.discordId === discordId)) || null;
+
+const addGang = (gang) => adapter.addGang(gang);
+
+// Replaces members/invites wholesale; callers pass the full updated arrays
+const updateGang = (gangId, updates) => adapter.updateGang(gangId, updates);
+
+const REVIEW_POLICY_KEY = 'staff_review_policy';
+
+/**
+ * Get the staff application voting policy: saved admin settings over the built-in defaults
+ * @returns {Promise<{ approvalsRequired: number, denialsRequired: number }>}
+ */
+const getReviewPolicy = async () => {
+    const saved = await adapter.getSetting(REVIEW_POLICY_KEY);
+    return { ...DEFAULT_REVIEW_POLICY, ...(saved || {}) };
 };
 
-const addGangApp = async (app) => {
-    const dbApp = {
-        leader_discord_id: app.leaderDiscordId || app.discordId,
-        leader_username: app.leaderUsername || app.username,
-        gang_name: app.gangName,
-        gang_type: app.gangType,
-        member_count: app.memberCount,
-        story: app.story,
-        status: 'pending',
-        submitted_at: new Date().toISOString(),
-        details: app
-    };
-    const { error } = await supabase.from('gang_applications').insert(dbApp);
-    return !error;
+const saveReviewPolicy = (policy) => adapter.saveSetting(REVIEW_POLICY_KEY, {
+    approvalsRequired: policy.approvalsRequired,
+    denialsRequired: policy.denialsRequired
+});
+
+// ==================== AUDIT LOG ====================
+
+/**
+ * Record an admin or bot action. Never throws: a failed audit write is logged, not fatal.
+ * @param {object} entry - { actorId, actorName, actorType ('admin'|'bot'|'system'), action,
+ *   targetType, targetId, before, after, reason }
+ */
+const logAudit = async (entry) => {
+    try {
+        return await adapter.addAuditEntry({
+            actorType: 'admin',
+            targetType: null,
+            targetId: null,
+            before: null,
+            after: null,
+            reason: null,
+            ...entry
+        });
+    } catch (err) {
+        console.error('[Storage] Failed to write audit entry:', err.message);
+        return false;
+    }
 };
 
-const updateGangAppStatus = async (appId, status) => {
-    const { error } = await supabase
-        .from('gang_applications')
-        .update({ status: status, reviewed_at: new Date().toISOString() })
-        .eq('application_id', appId);
-    return !error;
+/**
+ * @param {object} [filters] - { actorId, targetId, action, from, to, limit }
+ */
+const getAuditLog = (filters = {}) => adapter.getAuditLog(filters);
+
+// ==================== BANS ====================
+// Blacklist by Discord ID (managed through src/utils/bans.js). A ban is in force until it expires
+// (no expiresAt = permanent) or is lifted.
+
+const isBanActive = (ban) => !!ban && !ban.liftedAt && (!ban.expiresAt || new Date(ban.expiresAt).getTime() > Date.now());
+
+/**
+ * A user's ban if it is in force
+ * @returns {Promise<object|null>}
+ */
+const getActiveBan = async (discordId) => {
+    const ban = await adapter.getBan(String(discordId));
+    return isBanActive(ban) ? ban : null;
 };
 
+/**
+ * Every ban record (including lifted and expired ones), newest first, with `active`
+ */
+const getBans = async () => (await adapter.getBans()).map(ban => ({ ...ban, active: isBanActive(ban) }));
+
+/**
+ * Create or replace a user's ban record
+ */
+const saveBan = (ban) => adapter.saveBan(ban);
+
 // ==================== COOLDOWN ====================
 
-const COOLDOWN_MS = 24 * 60 * 60 * 1000;
+const COOLDOWN_POLICY_KEY = 'cooldown_policy';
+
+// Rolling window for the policy's maxAttemptsPerMonth
+const MONTH_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Get the cooldown policy: saved admin settings over the built-in defaults
+ * @returns {Promise<{ steps: number[], maxAttemptsPerMonth: number }>}
+ */
+const getCooldownPolicy = async () => {
+    const saved = await adapter.getSetting(COOLDOWN_POLICY_KEY);
+    return { ...DEFAULT_COOLDOWN_POLICY, ...(saved || {}) };
+};
+
+const saveCooldownPolicy = (policy) => adapter.saveSetting(COOLDOWN_POLICY_KEY, {
+    steps: policy.steps,
+    maxAttemptsPerMonth: policy.maxAttemptsPerMonth
+});
 
-const isInCooldown = async (discordId) => {
+/**
+ * Cooldown earned by a number of consecutive failures (0 failures = no cooldown)
+ */
+const getCooldownForFailures = (policy, failures) => {
+    if (failures <= 0 || policy.steps.length === 0) return 0;
+    return policy.steps[Math.min(failures, policy.steps.length) - 1];
+};
+
+/**
+ * Where a user stands against the cooldown policy for a quiz.
+ * Consecutive failures since the last pass pick the cooldown step; attempts in the
+ * last 30 days count toward the monthly limit. Manual passes/fails by admins count for neither.
+ * @returns {Promise<{ inCooldown: boolean, remainingTime: number, failures: number, cooldownMs: number,
+ *   nextCooldownMs: number, attemptsThisMonth: number, maxAttemptsPerMonth: number, monthlyLimitReached: boolean }>}
+ */
+const isInCooldown = async (discordId, quizId = DEFAULT_QUIZ_ID) => {
+    const policy = await getCooldownPolicy();
     const user = await getUser(discordId);
-    if (!user || user.status === 'passed' || user.status === 'new') {
-        return { inCooldown: false, remainingTime: 0 };
-    }
-    if (!user.lastAttempt) {
-        return { inCooldown: false, remainingTime: 0 };
+    const { status, lastAttempt } = getQuizStatus(user, quizId);
+
+    const attempts = (await getUserAttempts(discordId))
+        .filter(a => (a.quizId || DEFAULT_QUIZ_ID) === quizId && !a.manualPass && !a.manualFail)
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    let failures = 0;
+    for (const attempt of attempts) {
+        if (attempt.passed) break;
+        failures++;
     }
-    const lastAttempt = new Date(user.lastAttempt).getTime();
+
     const now = Date.now();
-    const elapsed = now - lastAttempt;
-    if (elapsed >= COOLDOWN_MS) {
-        return { inCooldown: false, remainingTime: 0 };
+    const monthAttempts = attempts.filter(a => now - new Date(a.timestamp).getTime() < MONTH_MS);
+
+    const result = {
+        inCooldown: false,
+        remainingTime: 0,
+        failures,
+        cooldownMs: 0,
+        nextCooldownMs: getCooldownForFailures(policy, failures + 1),
+        attemptsThisMonth: monthAttempts.length,
+        maxAttemptsPerMonth: policy.maxAttemptsPerMonth,
+        monthlyLimitReached: false,
+        override: null
+    };
+
+    if (!user || status === 'passed') return result;
+
+    // Cooldown after the latest failure
+    if (status === 'failed' && lastAttempt) {
+        // Status can say failed with no recorded attempts (e.g. older data); treat it as one failure
+        result.cooldownMs = getCooldownForFailures(policy, Math.max(failures, 1));
+        const elapsed = now - new Date(lastAttempt).getTime();
+        result.remainingTime = Math.max(0, result.cooldownMs - elapsed);
     }
-    return {
-        inCooldown: true,
-        remainingTime: COOLDOWN_MS - elapsed
+
+    // Monthly limit: blocked until enough attempts age out of the window
+    if (policy.maxAttemptsPerMonth > 0 && monthAttempts.length >= policy.maxAttemptsPerMonth) {
+        const oldestCounted = monthAttempts[policy.maxAttemptsPerMonth - 1];
+        const monthlyRemaining = new Date(oldestCounted.timestamp).getTime() + MONTH_MS - now;
+        result.monthlyLimitReached = true;
+        result.remainingTime = Math.max(result.remainingTime, monthlyRemaining);
+    }
+
+    // An admin adjustment replaces the wait for the current failure; the next attempt goes back to the policy
+    const override = (user.cooldownOverrides || {})[quizId];
+    if (override && isSameTime(override.lastAttempt, lastAttempt)) {
+        result.remainingTime = Math.max(0, new Date(override.until).getTime() - now);
+        result.monthlyLimitReached = result.monthlyLimitReached && result.remainingTime > 0;
+        result.override = { until: override.until, reason: override.reason, by: override.by };
+    }
+
+    result.inCooldown = result.remainingTime > 0;
+    return result;
+};
+
+const isSameTime = (a, b) => (!a && !b) || (!!a && !!b && new Date(a).getTime() === new Date(b).getTime());
+
+const COOLDOWN_ACTIONS = ['clear', 'shorten', 'extend'];
+
+// Most hours a cooldown can be shortened or extended by at once (one year)
+const MAX_COOLDOWN_ADJUST_HOURS = 8760;
+
+/**
+ * Clear, shorten or extend a user's current cooldown for a quiz.
+ * The change is kept in the user's cooldownHistory.
+ * @param {object} change - { action: 'clear'|'shorten'|'extend', hours, reason, by }
+ * @returns {Promise<object|null>} The new cooldown state, or null if the user doesn't exist (or the change is invalid)
+ */
+const adjustCooldown = async (discordId, quizId, { action, hours = 0, reason, by }) => {
+    const user = await getUser(discordId);
+    if (!user || !COOLDOWN_ACTIONS.includes(action)) return null;
+    if (!(hours >= 0 && hours <= MAX_COOLDOWN_ADJUST_HOURS)) return null;
+
+    const current = await isInCooldown(discordId, quizId);
+    const { lastAttempt } = getQuizStatus(user, quizId);
+    const now = Date.now();
+    const deltaMs = hours * 60 * 60 * 1000;
+
+    let remaining = 0;
+    if (action === 'shorten') remaining = Math.max(0, current.remainingTime - deltaMs);
+    if (action === 'extend') remaining = current.remainingTime + deltaMs;
+    const until = new Date(now + remaining).toISOString();
+
+    const entry = {
+        quizId,
+        action,
+        hours: action === 'clear' ? 0 : hours,
+        reason,
+        by,
+        at: new Date(now).toISOString(),
+        previousRemainingTime: current.remainingTime,
+        until
     };
+
+    await updateUser(discordId, {
+        cooldownOverrides: {
+            ...(user.cooldownOverrides || {}),
+            [quizId]: { until, reason, by, lastAttempt: lastAttempt || null }
+        },
+        cooldownHistory: [...(user.cooldownHistory || []), entry]
+    });
+
+    return await isInCooldown(discordId, quizId);
 };
 
-const canAttemptQuiz = async (discordId) => {
+const canAttemptQuiz = async (discordId, quizId = DEFAULT_QUIZ_ID) => {
+    if (await getActiveBan(discordId)) return { allowed: false, reason: 'You are banned from taking quizzes' };
+
     const user = await getUser(discordId);
     if (!user) return { allowed: false, reason: 'User not found' };
-    if (user.status === 'passed') return { allowed: false, reason: 'Already passed' };
 
-    const { inCooldown, remainingTime } = await isInCooldown(discordId);
+    const quiz = await getQuiz(quizId);
+    if (!quiz || !quiz.active) return { allowed: false, reason: 'Quiz not available' };
+
+    if (getQuizStatus(user, quizId).status === 'passed') return { allowed: false, reason: 'Already passed' };
+
+    // An attempt left open past its deadline counts as a failed attempt, so it starts the cooldown
+    await expireStaleQuizSession(discordId, quizId);
+
+    // Job quizzes are only open to players who passed their prerequisite (usually the allowlist)
+    if (quiz.requiresQuizId && getQuizStatus(user, quiz.requiresQuizId).status !== 'passed') {
+        const required = await getQuiz(quiz.requiresQuizId);
+        return { allowed: false, reason: `You must pass the ${required ? required.name : quiz.requiresQuizId} quiz first` };
+    }
+
+    const { inCooldown, remainingTime, monthlyLimitReached } = await isInCooldown(discordId, quizId);
     if (inCooldown) {
-        return { allowed: false, reason: 'In cooldown', remainingTime };
+        return {
+            allowed: false,
+            reason: monthlyLimitReached ? 'Monthly attempt limit reached' : 'In cooldown',
+            remainingTime
+        };
     }
     return { allowed: true };
 };
 
+// ==================== ALLOWLIST ====================
+
+/**
+ * Build a player's allowlist status from their user record
+ * @param {string} discordId
+ * @param {object|null} user
+ * @param {Array} quizzes - From getQuizzes()
+ * @param {object|null} [ban] - The player's active ban
+ */
+const buildAllowlistStatus = (discordId, user, quizzes, ban = null) => {
+    // A ban overrides everything, even for players who never registered
+    const banned = ban ? { status: 'banned', allowlisted: false, ban: { reason: ban.reason, expiresAt: ban.expiresAt || null } } : {};
+
+    if (!user) {
+        return { discordId, status: 'not_registered', allowlisted: false, quizStatus: null, lastAttempt: null, jobs: [], ...banned };
+    }
+
+    const { status, lastAttempt } = getQuizStatus(user, DEFAULT_QUIZ_ID);
+    const allowlisted = status === 'passed';
+    const jobs = quizzes
+        .filter(q => q.id !== DEFAULT_QUIZ_ID && getQuizStatus(user, q.id).status === 'passed')
+        .map(q => q.id);
+
+    return {
+        discordId,
+        status: allowlisted ? 'allowlisted' : 'pending',
+        allowlisted,
+        quizStatus: status,
+        lastAttempt,
+        jobs,
+        ...banned
+    };
+};
+
+/**
+ * Get whether a player may join the FiveM server
+ * @returns {Promise<{ discordId, status: 'allowlisted'|'pending'|'not_registered'|'banned', allowlisted, quizStatus, lastAttempt, jobs, ban? }>}
+ */
+const getAllowlistStatus = async (discordId) => {
+    const [user, quizzes, ban] = await Promise.all([getUser(discordId), getQuizzes(), getActiveBan(discordId)]);
+    return buildAllowlistStatus(discordId, user, quizzes, ban);
+};
+
+/**
+ * Bulk version of getAllowlistStatus (one read of the requested users and of the bans table)
+ */
+const getAllowlistStatuses = async (discordIds) => {
+    const [users, quizzes, bans] = await Promise.all([getUsersByIds(discordIds), getQuizzes(), adapter.getBans()]);
+    const activeBans = new Map(bans.filter(isBanActive).map(b => [b.discordId, b]));
+    return discordIds.map(id => buildAllowlistStatus(id, users[id] || null, quizzes, activeBans.get(id)));
+};
+
+// ==================== API KEYS ====================
+
+const API_KEY_PREFIX = 'eirp_';
+
+// Only refresh lastUsedAt this often so busy servers don't write on every request
+const API_KEY_TOUCH_MS = 60 * 1000;
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Never hand the hash back to callers
+const toPublicApiKey = ({ keyHash, ...apiKey }) => apiKey;
+
+const getApiKeys = async () => (await adapter.getApiKeys()).map(toPublicApiKey);
+
+/**
+ * Create an API key. The plain key is only returned here; only its hash is stored.
+ * @returns {Promise<{ key: string, apiKey: object }|null>}
+ */
+const createApiKey = async (name, createdBy) => {
+    const key = API_KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+    const record = await adapter.addApiKey({
+        name,
+        keyHash: hashApiKey(key),
+        keyPrefix: key.slice(0, API_KEY_PREFIX.length + 6),
+        createdBy
+    });
+    if (!record) return null;
+    return { key, apiKey: toPublicApiKey(record) };
+};
+
+const revokeApiKey = (id) => adapter.updateApiKey(id, { revokedAt: new Date() });
+
+/**
+ * Look up an active API key from its plain value
+ * @returns {Promise<object|null>} The key record, or null if unknown or revoked
+ */
+const verifyApiKey = async (key) => {
+    if (!key || typeof key !== 'string' || !key.startsWith(API_KEY_PREFIX)) return null;
+
+    const record = await adapter.getApiKeyByHash(hashApiKey(key));
+    if (!record || record.revokedAt) return null;
+
+    if (!record.lastUsedAt || Date.now() - new Date(record.lastUsedAt).getTime() > API_KEY_TOUCH_MS) {
+        await adapter.updateApiKey(record.id, { lastUsedAt: new Date() });
+    }
+    return toPublicApiKey(record);
+};
+
+// ==================== LOGIN SESSIONS ====================
+// Website login sessions (express-session, see src/utils/sessionStore.js). Session ids are stored
+// hashed, so neither the table nor the admin session list can be replayed as a session cookie.
+
+const hashSessionId = (sid) => crypto.createHash('sha256').update(sid).digest('hex');
+
+const isLoginSessionActive = (session) => new Date(session.expiresAt).getTime() > Date.now();
+
+// What admins see of a session: never the session data itself
+const toPublicLoginSession = ({ id, discordId, data, createdAt, expiresAt }) => ({
+    id,
+    discordId,
+    ip: data?.client?.ip || null,
+    userAgent: data?.client?.userAgent || null,
+    createdAt,
+    expiresAt
+});
+
+/**
+ * Session data for a session cookie's id
+ * @returns {Promise<object|null>} null if unknown or expired
+ */
+const getLoginSession = async (sid) => {
+    const session = await adapter.getLoginSession(hashSessionId(sid));
+    return session && isLoginSessionActive(session) ? session.data : null;
+};
+
+/**
+ * Create or replace a login session
+ * @param {string} sid - Session cookie id
+ * @param {object} data - express-session data ({ cookie, user, client })
+ * @param {Date} expiresAt
+ */
+const saveLoginSession = (sid, data, expiresAt) => adapter.saveLoginSession({
+    id: hashSessionId(sid),
+    discordId: data.user?.discordId || null,
+    data,
+    expiresAt: new Date(expiresAt).toISOString()
+});
+
+const destroyLoginSession = (sid) => adapter.deleteLoginSession(hashSessionId(sid));
+
+/**
+ * A user's active sessions, newest first (ids are the hashed ids, see revokeLoginSession)
+ */
+const getUserLoginSessions = async (discordId) => (await adapter.getUserLoginSessions(discordId))
+    .filter(isLoginSessionActive)
+    .map(toPublicLoginSession);
+
+/**
+ * Revoke one of a user's sessions by the id from getUserLoginSessions
+ * @returns {Promise<boolean|null>} null if the user has no such session
+ */
+const revokeLoginSession = async (discordId, id) => {
+    const sessions = await adapter.getUserLoginSessions(discordId);
+    if (!sessions.some(s => s.id === id)) return null;
+    return adapter.deleteLoginSession(id);
+};
+
+/**
+ * Log a user out everywhere
+ * @returns {Promise<number|null>} Number of sessions revoked, or null on failure
+ */
+const revokeUserLoginSessions = (discordId) => adapter.deleteUserLoginSessions(discordId);
+
+/**
+ * Remove expired sessions
+ * @returns {Promise<number|null>} Number removed, or null on failure
+ */
+const deleteExpiredLoginSessions = () => adapter.deleteExpiredLoginSessions(new Date().toISOString());
+
+// ==================== BACKUP ====================
+
+/**
+ * Read one page of a backup table (see src/config/backup.js) in its backup file shape
+ * @param {string} table - e.g. 'users', 'attempts'
+ * @param {object} [page] - { offset, limit }
+ * @returns {Promise<object[]|null>} null when the table could not be read
+ */
+const getTableRows = (table, page) => adapter.getTableRows(table, page);
+
+/**
+ * A backup row as getTableRows would return it once stored (e.g. Supabase fills in defaults and
+ * drops fields it has no column for), for comparing a backup with what is already stored
+ */
+const normalizeTableRow = (table, row) => adapter.normalizeTableRow(table, row);
+
+/**
+ * Insert or replace rows of a backup table by primary key, keeping their ids and timestamps
+ */
+const upsertTableRows = (table, rows) => adapter.upsertTableRows(table, rows);
+
 // Export ALL functions
 // NOTE: These are now ASYNC. Callers must await them.
 module.exports = {
     getUsers, // Warning: Returns Promise
     getUser,
+    getUsersByIds,
+    queryUsers,
+    countUsers,
     saveUsers: async () => true, // Deprecated, no-op
     saveUser, // NEW
     updateUser,
     deleteUser,
+    getQuizStatus,
+    setQuizStatus,
     getAttempts,
     getUserAttempts,
+    getAttemptsForUsers,
+    queryAttempts,
+    countAttempts,
+    getScoredAttempts,
     getLatestAttempt,
     addAttempt,
     getQuestions,
@@ -379,14 +1087,72 @@ module.exports = {
     addQuestion,
     updateQuestion,
     deleteQuestion,
+    importQuestions,
+    getQuizzes,
+    getQuiz,
+    saveQuiz,
+    getForms,
+    getForm,
+    saveForm,
+    deleteForm,
+    startQuizSession,
+    getActiveQuizSession,
+    completeQuizSession,
+    isSessionExpired,
+    getSessionRemainingTime,
+    expireQuizSession,
+    expireStaleQuizSession,
+    getQuizPlan,
+    getQuestionsPerAttempt,
     validateQuiz,
     addStaffApp,
     getStaffApps,
     updateStaffAppStatus,
+    updateStaffApp,
+    saveStaffAppVote,
     addGangApp,
     getGangApps,
     updateGangAppStatus,
+    updateGangApp,
+    addFormApp,
+    getFormApps,
+    updateFormAppStatus,
+    updateFormApp,
+    getGangs,
+    getGang,
+    getMemberGang,
+    addGang,
+    updateGang,
+    getReviewPolicy,
+    saveReviewPolicy,
+    logAudit,
+    getAuditLog,
+    getCooldownPolicy,
+    saveCooldownPolicy,
     isInCooldown,
+    adjustCooldown,
+    COOLDOWN_ACTIONS,
+    MAX_COOLDOWN_ADJUST_HOURS,
     canAttemptQuiz,
-    COOLDOWN_MS
+    getAllowlistStatus,
+    getAllowlistStatuses,
+    getActiveBan,
+    getBans,
+    saveBan,
+    getApiKeys,
+    createApiKey,
+    revokeApiKey,
+    verifyApiKey,
+    getLoginSession,
+    saveLoginSession,
+    destroyLoginSession,
+    getUserLoginSessions,
+    revokeLoginSession,
+    revokeUserLoginSessions,
+    deleteExpiredLoginSessions,
+    getTableRows,
+    normalizeTableRow,
+    upsertTableRows,
+    STORAGE_DRIVER,
+    adapter
 };
@@ -0,0 +1,174 @@
+/**
+ * Suspicious Attempts
+ * Flags quiz attempts that point at alt accounts or answer sharing, for staff to review in the admin
+ * panel (nothing is failed automatically):
+ *   - shared_ip: different accounts submitted from the same IP (hashed, see storage.addAttempt)
+ *   - answer_sharing: two accounts gave the same wrong answers to the same questions
+ *   - too_fast: an attempt submitted faster than the questions can be read
+ *
+ * Only scored attempts count (not manual passes/fails or timed-out attempts), and only attempts
+ * recorded since IPs and answers were stored carry the data each check needs.
+ */
+
+const storage = require('./storage');
+const { DEFAULT_QUIZ_ID } = require('../config/quiz');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 365;
+
+// answer_sharing: at least this many identical wrong answers, making up this share of the
+// questions both accounts got wrong
+const MIN_SHARED_WRONG_ANSWERS = 3;
+const MIN_SHARED_WRONG_RATIO = 0.8;
+
+// answer_sharing compares every pair of attempts giving the same wrong answer, so it is bounded:
+// only the most recent attempts are compared, and a wrong answer given by more attempts than
+// MAX_ANSWER_GROUP is a common mistake rather than evidence of sharing, so it is not counted
+const MAX_COMPARED_ATTEMPTS = 2000;
+const MAX_ANSWER_GROUP = 100;
+
+// too_fast: less time than this per question
+const MIN_SECONDS_PER_QUESTION = 3;
+
+const attemptRef = (a) => ({ id: a.id, discordId: a.discordId, score: a.score, total: a.total, passed: a.passed, timestamp: a.timestamp });
+
+/**
+ * Accounts that submitted attempts from the same IP
+ */
+function findSharedIps(attempts) {
+    const byIp = new Map();
+    for (const a of attempts) {
+        if (!a.ipHash) continue;
+        if (!byIp.has(a.ipHash)) byIp.set(a.ipHash, []);
+        byIp.get(a.ipHash).push(a);
+    }
+
+    return [...byIp.entries()]
+        .map(([ipHash, group]) => ({ ipHash, group, discordIds: [...new Set(group.map(a => a.discordId))] }))
+        .filter(({ discordIds }) => discordIds.length > 1)
+        .map(({ ipHash, group, discordIds }) => ({
+            type: 'shared_ip',
+            discordIds,
+            detail: `${discordIds.length} accounts from IP #${ipHash.slice(0, 8)}`,
+            userAgents: [...new Set(group.map(a => a.userAgent).filter(Boolean))],
+            attempts: group.map(attemptRef)
+        }));
+}
+
+/**
+ * Pairs of accounts whose wrong answers match (same question, same wrong option)
+ * @param {object[]} attempts - At most MAX_COMPARED_ATTEMPTS attempts
+ */
+function findSharedAnswers(attempts) {
+    // questionId -> option for each attempt's wrong answers
+    const wrong = attempts.map(a => new Map((a.answers || [])
+        .filter(r => !r.correct && r.option >= 0)
+        .map(r => [r.questionId, r.option])));
+
+    // Count identical wrong answers per pair of attempts by different users
+    const byAnswer = new Map();
+    wrong.forEach((answers, index) => {
+        for (const [questionId, option] of answers) {
+            const key = `${questionId}:${option}`;
+            if (!byAnswer.has(key)) byAnswer.set(key, []);
+            byAnswer.get(key).push(index);
+        }
+    });
+    const identical = new Map();
+    for (const indexes of byAnswer.values()) {
+        if (indexes.length > MAX_ANSWER_GROUP) continue;
+        for (let i = 0; i < indexes.length; i++) {
+            for (let j = i + 1; j < indexes.length; j++) {
+                if (attempts[indexes[i]].discordId === attempts[indexes[j]].discordId) continue;
+                const pair = `${indexes[i]}:${indexes[j]}`;
+                identical.set(pair, (identical.get(pair) || 0) + 1);
+            }
+        }
+    }
+
+    // Keep the strongest match per pair of users
+    const byUsers = new Map();
+    for (const [pair, count] of identical) {
+        if (count < MIN_SHARED_WRONG_ANSWERS) continue;
+        const [i, j] = pair.split(':').map(Number);
+        const bothWrong = [...wrong[i].keys()].filter(questionId => wrong[j].has(questionId)).length;
+        if (count / bothWrong < MIN_SHARED_WRONG_RATIO) continue;
+
+        const discordIds = [attempts[i].discordId, attempts[j].discordId].sort();
+        const key = discordIds.join(':');
+        if (byUsers.has(key) && byUsers.get(key).count >= count) continue;
+        byUsers.set(key, { discordIds, count, bothWrong, attempts: [attempts[i], attempts[j]] });
+    }
+
+    return [...byUsers.values()].map(({ discordIds, count, bothWrong, attempts: pair }) => ({
+        type: 'answer_sharing',
+        discordIds,
+        detail: `${count} of ${bothWrong} wrong answers identical`,
+        attempts: pair.map(attemptRef)
+    }));
+}
+
+/**
+ * Attempts submitted in less than MIN_SECONDS_PER_QUESTION per question
+ */
+function findFastAttempts(attempts) {
+    return attempts
+        .filter(a => typeof a.durationMs === 'number' && a.total > 0 && a.durationMs < a.total * MIN_SECONDS_PER_QUESTION * 1000)
+        .map(a => ({
+            type: 'too_fast',
+            discordIds: [a.discordId],
+            detail: `${a.total} questions in ${Math.round(a.durationMs / 1000)}s`,
+            attempts: [attemptRef(a)]
+        }));
+}
+
+/**
+ * Build the suspicious attempts report for a quiz
+ * @param {object} [options] - { quizId, days } (attempts from the last `days` days)
+ * @returns {Promise<{ success: boolean, code?: number, error?: string, quizId?: string, since?: string, attemptsChecked?: number, answersCompared?: number, flags?: object[], users?: object[] }>}
+ *   answersCompared: attempts checked for answer_sharing (the most recent MAX_COMPARED_ATTEMPTS with answers)
+ *   users: every flagged account with its flag types and quiz status, most flags first
+ */
+async function getSuspiciousReport({ quizId = DEFAULT_QUIZ_ID, days = DEFAULT_DAYS } = {}) {
+    const quiz = await storage.getQuiz(quizId);
+    if (!quiz) return { success: false, code: 404, error: 'Quiz not found' };
+
+    const windowDays = Number(days);
+    if (!Number.isFinite(windowDays) || windowDays <= 0 || windowDays > MAX_DAYS) {
+        return { success: false, code: 400, error: `Days must be more than 0 and at most ${MAX_DAYS}` };
+    }
+
+    const since = new Date(Date.now() - windowDays * DAY_MS).toISOString();
+    const attempts = await storage.getScoredAttempts(quiz.id, since);
+    const compared = attempts
+        .filter(a => Array.isArray(a.answers) && a.answers.length > 0)
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+        .slice(0, MAX_COMPARED_ATTEMPTS);
+    const flags = [...findSharedIps(attempts), ...findSharedAnswers(compared), ...findFastAttempts(attempts)];
+
+    const flagged = new Map();
+    for (const flag of flags) {
+        for (const discordId of flag.discordIds) {
+            if (!flagged.has(discordId)) flagged.set(discordId, new Set());
+            flagged.get(discordId).add(flag.type);
+        }
+    }
+
+    const users = await storage.getUsersByIds([...flagged.keys()]);
+    const flaggedUsers = [...flagged.entries()]
+        .map(([discordId, types]) => ({
+            discordId,
+            username: users[discordId]?.username || 'Unknown',
+            status: users[discordId] ? storage.getQuizStatus(users[discordId], quiz.id).status : null,
+            flagTypes: [...types],
+            flagCount: flags.filter(f => f.discordIds.includes(discordId)).length
+        }))
+        .sort((a, b) => b.flagCount - a.flagCount);
+
+    return { success: true, quizId: quiz.id, since, attemptsChecked: attempts.length, answersCompared: compared.length, flags, users: flaggedUsers };
+}
+
+module.exports = {
+    getSuspiciousReport
+};
@@ -0,0 +1,115 @@
+/**
+ * Application review: decisions are final, whichever path (admin panel or bot) makes them, and
+ * concurrent reviews and votes are neither lost nor applied twice
+ * Runs against the local storage adapter in a temporary data directory.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eirp-test-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_DATA_DIR = dataDir;
+
+const storage = require('../src/utils/storage');
+const { reviewApplication, castVote } = require('../src/utils/applications');
+
+const reviewer = { discordId: '100000000000000001', username: 'reviewer' };
+
+const addGangApp = async (applicationId, leaderId = '100000000000000002') => {
+    await storage.addGangApp({
+        applicationId,
+        discordId: leaderId,
+        username: 'leader',
+        gangName: `Gang ${applicationId}`,
+        gangType: 'street',
+        memberCount: 4,
+        story: 'test'
+    });
+};
+
+let logSpy;
+before(() => {
+    // Keep the test output readable
+    logSpy = console.log;
+    console.log = () => {};
+});
+
+after(() => {
+    console.log = logSpy;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('a decided application cannot be decided again', async () => {
+    await addGangApp('gang-decided');
+
+    const accepted = await reviewApplication('gang', 'gang-decided', { status: 'accepted', reviewer });
+    assert.strictEqual(accepted.success, true);
+
+    const rejected = await reviewApplication('gang', 'gang-decided', { status: 'rejected', reason: 'changed my mind', reviewer });
+    assert.strictEqual(rejected.success, false);
+    assert.strictEqual(rejected.code, 409);
+
+    const [app] = (await storage.getGangApps()).filter(a => a.applicationId === 'gang-decided');
+    assert.strictEqual(app.status, 'accepted');
+
+    const audits = await storage.getAuditLog({ targetId: 'gang-decided', action: 'gang_application.status' });
+    assert.deepStrictEqual(audits.map(e => e.after.status), ['accepted']);
+});
+
+test('an open application can be decided', async () => {
+    await addGangApp('gang-open');
+
+    const result = await reviewApplication('gang', 'gang-open', { status: 'rejected', reason: 'incomplete', reviewer });
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.app.status, 'rejected');
+});
+
+test('concurrent decisions apply only once', async () => {
+    await storage.addFormApp({ applicationId: 'form-race', formId: 'events', discordId: '100000000000000003', username: 'applicant', answers: {} });
+
+    const results = await Promise.all([
+        reviewApplication('form', 'form-race', { status: 'accepted', reviewer }),
+        reviewApplication('form', 'form-race', { status: 'rejected', reason: 'late click', reviewer })
+    ]);
+    assert.deepStrictEqual(results.map(r => r.success).sort(), [false, true]);
+    assert.strictEqual(results.find(r => !r.success).code, 409);
+
+    const [app] = (await storage.getFormApps()).filter(a => a.applicationId === 'form-race');
+    assert.strictEqual(app.status, results.find(r => r.success).app.status);
+
+    const audits = await storage.getAuditLog({ targetId: 'form-race', action: 'form_application.status' });
+    assert.strictEqual(audits.length, 1);
+});
+
+test('votes cast at the same time are all counted', async () => {
+    await storage.addStaffApp({ applicationId: 'staff-votes', discordId: '100000000000000004', username: 'applicant' });
+
+    const reviewers = ['100000000000000011', '100000000000000012'].map(discordId => ({ discordId, username: `r${discordId.slice(-2)}` }));
+    const results = await Promise.all(reviewers.map(r => castVote('staff-votes', { vote: 'deny', comment: 'no', reviewer: r })));
+    assert.ok(results.every(r => r.success));
+
+    const [app] = (await storage.getStaffApps()).filter(a => a.applicationId === 'staff-votes');
+    assert.strictEqual(app.votes.length, 2);
+    assert.strictEqual(app.status, 'rejected');
+});
+
+test('accepting a gang application that cannot create the gang leaves it open', async () => {
+    const leaderId = '100000000000000005';
+    await storage.addGang({ name: 'Existing', leaderDiscordId: leaderId, members: [{ discordId: leaderId, username: 'leader' }] });
+    await addGangApp('gang-blocked', leaderId);
+
+    const result = await reviewApplication('gang', 'gang-blocked', { status: 'accepted', reviewer });
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.code, 409);
+
+    const [app] = (await storage.getGangApps()).filter(a => a.applicationId === 'gang-blocked');
+    assert.strictEqual(app.status, 'pending');
+    assert.strictEqual(app.reviewedAt, null);
+
+    const rejected = await reviewApplication('gang', 'gang-blocked', { status: 'rejected', reason: 'already in a gang', reviewer });
+    assert.strictEqual(rejected.success, true);
+});
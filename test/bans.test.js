@@ -0,0 +1,127 @@
+/**
+ * Bans and permissions: ban managers can ban players but not admins, super admins can ban anyone outside
+ * ADMIN_DISCORD_IDS, and a ban logs the user out and blocks quiz attempts until it is lifted or expires
+ * Runs against the local storage adapter in a temporary data directory.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eirp-test-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_DATA_DIR = dataDir;
+process.env.ADMIN_DISCORD_IDS = '500000000000000001';
+
+const storage = require('../src/utils/storage');
+const { banUser, unbanUser, MAX_BAN_DAYS } = require('../src/utils/bans');
+const { getPermissions } = require('../src/middleware/auth');
+const { PERMISSIONS, isValidPermission, hasPermission } = require('../src/config/permissions');
+
+const superAdmin = { discordId: '500000000000000001', username: 'owner', type: 'admin' };
+const banManager = { discordId: '500000000000000002', username: 'mod', type: 'admin' };
+const reviewerId = '500000000000000003';
+
+let nextId = 510000000000000000n;
+const addPlayer = async () => {
+    const discordId = String(nextId++);
+    await storage.saveUser({ discordId, username: `player${discordId.slice(-3)}`, status: 'new' });
+    return discordId;
+};
+
+let logSpy;
+before(async () => {
+    // Keep the test output readable
+    logSpy = console.log;
+    console.log = () => {};
+
+    await storage.saveUser({ discordId: banManager.discordId, username: banManager.username, permissions: [PERMISSIONS.BAN_MANAGER] });
+    await storage.saveUser({ discordId: reviewerId, username: 'reviewer', permissions: [PERMISSIONS.QUIZ_REVIEWER, 'not_a_permission'] });
+});
+
+after(() => {
+    console.log = logSpy;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('permissions come from ADMIN_DISCORD_IDS or the ones granted to the user', async () => {
+    assert.deepStrictEqual(await getPermissions(superAdmin.discordId), Object.values(PERMISSIONS));
+    assert.deepStrictEqual(await getPermissions(banManager.discordId), [PERMISSIONS.BAN_MANAGER]);
+    assert.deepStrictEqual(await getPermissions(reviewerId), [PERMISSIONS.QUIZ_REVIEWER]);
+    assert.deepStrictEqual(await getPermissions(await addPlayer()), []);
+
+    assert.strictEqual(isValidPermission(PERMISSIONS.BAN_MANAGER), true);
+    assert.strictEqual(isValidPermission('not_a_permission'), false);
+    assert.strictEqual(hasPermission([PERMISSIONS.SUPER_ADMIN], PERMISSIONS.BAN_MANAGER), true);
+    assert.strictEqual(hasPermission([PERMISSIONS.QUIZ_REVIEWER], PERMISSIONS.BAN_MANAGER), false);
+});
+
+test('a ban manager can ban a player, which logs them out and blocks quiz attempts', async () => {
+    const playerId = await addPlayer();
+    await storage.saveLoginSession('player-sid', { user: { discordId: playerId } }, new Date(Date.now() + 60 * 60 * 1000));
+
+    const result = await banUser({ discordId: playerId, reason: ' Cheating ', days: 7 }, banManager);
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.updated, false);
+    assert.strictEqual(result.sessionsRevoked, 1);
+    assert.strictEqual(result.ban.reason, 'Cheating');
+    assert.strictEqual(result.ban.bannedBy, banManager.discordId);
+    assert.ok(Math.abs(new Date(result.ban.expiresAt) - Date.now() - 7 * 24 * 60 * 60 * 1000) < 60 * 1000);
+
+    assert.strictEqual(await storage.getLoginSession('player-sid'), null);
+    assert.ok(await storage.getActiveBan(playerId));
+    assert.deepStrictEqual(await storage.canAttemptQuiz(playerId), { allowed: false, reason: 'You are banned from taking quizzes' });
+
+    const [audit] = await storage.getAuditLog({ targetId: playerId, action: 'user.ban' });
+    assert.strictEqual(audit.actorId, banManager.discordId);
+    assert.strictEqual(audit.reason, 'Cheating');
+});
+
+test('a ban manager cannot ban users with admin panel permissions, but a super admin can', async () => {
+    const refused = await banUser({ discordId: reviewerId, reason: 'abuse' }, banManager);
+    assert.strictEqual(refused.code, 403);
+    assert.strictEqual(refused.error, 'Only super admins can ban users with admin panel permissions');
+    assert.strictEqual(await storage.getActiveBan(reviewerId), null);
+
+    const banned = await banUser({ discordId: reviewerId, reason: 'abuse' }, superAdmin);
+    assert.strictEqual(banned.success, true);
+    assert.strictEqual(banned.ban.expiresAt, null);
+});
+
+test('nobody can ban an ID in ADMIN_DISCORD_IDS or themselves', async () => {
+    const admin = await banUser({ discordId: superAdmin.discordId, reason: 'test' }, banManager);
+    assert.strictEqual(admin.code, 403);
+    assert.strictEqual(admin.error, 'IDs in ADMIN_DISCORD_IDS cannot be banned (remove them from it first)');
+
+    const self = await banUser({ discordId: superAdmin.discordId, reason: 'test' }, superAdmin);
+    assert.strictEqual(self.code, 400);
+    assert.strictEqual(self.error, 'You cannot ban yourself');
+});
+
+test('a ban needs a valid ID, a reason and a duration in range', async () => {
+    const playerId = await addPlayer();
+
+    assert.strictEqual((await banUser({ discordId: 'abc', reason: 'test' }, banManager)).code, 400);
+    assert.strictEqual((await banUser({ discordId: playerId, reason: '  ' }, banManager)).error, 'A reason is required');
+    assert.strictEqual((await banUser({ discordId: playerId, reason: 'x'.repeat(501) }, banManager)).code, 400);
+    for (const days of [0, -1, 'soon', MAX_BAN_DAYS + 1]) {
+        assert.strictEqual((await banUser({ discordId: playerId, reason: 'test', days }, banManager)).code, 400);
+    }
+    assert.strictEqual(await storage.getActiveBan(playerId), null);
+});
+
+test('lifting a ban lets the player back in', async () => {
+    const playerId = await addPlayer();
+    await banUser({ discordId: playerId, reason: 'test' }, banManager);
+
+    const lifted = await unbanUser({ discordId: playerId, reason: 'appeal accepted' }, banManager);
+    assert.strictEqual(lifted.success, true);
+    assert.strictEqual(lifted.ban.liftReason, 'appeal accepted');
+    assert.strictEqual(await storage.getActiveBan(playerId), null);
+    assert.strictEqual((await storage.canAttemptQuiz(playerId)).allowed, true);
+
+    const again = await unbanUser({ discordId: playerId }, banManager);
+    assert.strictEqual(again.code, 404);
+});
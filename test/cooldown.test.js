@@ -0,0 +1,146 @@
+/**
+ * Quiz cooldowns: the wait after a failure escalates with consecutive failures, a pass resets it,
+ * the monthly attempt limit blocks until attempts age out, and admin adjustments are bounded
+ * Runs against the local storage adapter in a temporary data directory.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eirp-test-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_DATA_DIR = dataDir;
+
+const storage = require('../src/utils/storage');
+
+const HOUR_MS = 60 * 60 * 1000;
+const QUIZ_ID = 'civilian';
+
+let nextId = 200000000000000000n;
+const addUser = async () => {
+    const discordId = String(nextId++);
+    await storage.saveUser({ discordId, username: `user${discordId.slice(-3)}`, status: 'new' });
+    return discordId;
+};
+
+// Record a graded attempt the way the quiz submit route does.
+// Attempts are ordered by timestamp, so keep each one in its own millisecond.
+const recordAttempt = async (discordId, passed) => {
+    await new Promise(resolve => setTimeout(resolve, 2));
+    await storage.addAttempt({ discordId, quizId: QUIZ_ID, score: passed ? 9 : 2, total: 9, passed, answers: [] });
+    await storage.setQuizStatus(discordId, QUIZ_ID, {
+        status: passed ? 'passed' : 'failed',
+        lastAttempt: new Date().toISOString()
+    });
+};
+
+let logSpy;
+before(async () => {
+    // Keep the test output readable
+    logSpy = console.log;
+    console.log = () => {};
+    await storage.saveCooldownPolicy({ steps: [1 * HOUR_MS, 24 * HOUR_MS, 72 * HOUR_MS], maxAttemptsPerMonth: 0 });
+});
+
+after(() => {
+    console.log = logSpy;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('the cooldown escalates with each consecutive failure and the last step repeats', async () => {
+    const discordId = await addUser();
+    const expected = [1 * HOUR_MS, 24 * HOUR_MS, 72 * HOUR_MS, 72 * HOUR_MS];
+
+    for (const [i, cooldownMs] of expected.entries()) {
+        await recordAttempt(discordId, false);
+        const state = await storage.isInCooldown(discordId, QUIZ_ID);
+        assert.strictEqual(state.failures, i + 1);
+        assert.strictEqual(state.cooldownMs, cooldownMs);
+        assert.strictEqual(state.inCooldown, true);
+        assert.ok(state.remainingTime > cooldownMs - 60 * 1000 && state.remainingTime <= cooldownMs);
+    }
+});
+
+test('a pass resets the failure count', async () => {
+    const discordId = await addUser();
+    await recordAttempt(discordId, false);
+    await recordAttempt(discordId, false);
+    await recordAttempt(discordId, true);
+
+    const passed = await storage.isInCooldown(discordId, QUIZ_ID);
+    assert.strictEqual(passed.failures, 0);
+    assert.strictEqual(passed.inCooldown, false);
+
+    // A failure after the pass (e.g. the pass was revoked) starts again from the first step
+    await recordAttempt(discordId, false);
+    const failed = await storage.isInCooldown(discordId, QUIZ_ID);
+    assert.strictEqual(failed.failures, 1);
+    assert.strictEqual(failed.cooldownMs, 1 * HOUR_MS);
+});
+
+test('the monthly limit blocks further attempts until the oldest counted one ages out', async () => {
+    const discordId = await addUser();
+    await storage.saveCooldownPolicy({ steps: [], maxAttemptsPerMonth: 3 });
+    try {
+        await recordAttempt(discordId, false);
+        await recordAttempt(discordId, false);
+        const below = await storage.isInCooldown(discordId, QUIZ_ID);
+        assert.strictEqual(below.attemptsThisMonth, 2);
+        assert.strictEqual(below.monthlyLimitReached, false);
+        assert.strictEqual(below.inCooldown, false);
+
+        await recordAttempt(discordId, false);
+        const reached = await storage.isInCooldown(discordId, QUIZ_ID);
+        assert.strictEqual(reached.attemptsThisMonth, 3);
+        assert.strictEqual(reached.maxAttemptsPerMonth, 3);
+        assert.strictEqual(reached.monthlyLimitReached, true);
+        assert.strictEqual(reached.inCooldown, true);
+        assert.ok(reached.remainingTime > 29 * 24 * HOUR_MS);
+    } finally {
+        await storage.saveCooldownPolicy({ steps: [1 * HOUR_MS, 24 * HOUR_MS, 72 * HOUR_MS], maxAttemptsPerMonth: 0 });
+    }
+});
+
+test('adjusting a cooldown clears, shortens or extends the current wait', async () => {
+    const discordId = await addUser();
+    await recordAttempt(discordId, false);
+    await recordAttempt(discordId, false);
+
+    const shortened = await storage.adjustCooldown(discordId, QUIZ_ID, { action: 'shorten', hours: 20, reason: 'appeal', by: 'admin' });
+    assert.ok(shortened.remainingTime > 3 * HOUR_MS && shortened.remainingTime <= 4 * HOUR_MS);
+    assert.strictEqual(shortened.override.reason, 'appeal');
+
+    const extended = await storage.adjustCooldown(discordId, QUIZ_ID, { action: 'extend', hours: 2, reason: 'rude', by: 'admin' });
+    assert.ok(extended.remainingTime > 5 * HOUR_MS && extended.remainingTime <= 6 * HOUR_MS);
+
+    const cleared = await storage.adjustCooldown(discordId, QUIZ_ID, { action: 'clear', reason: 'mistake', by: 'admin' });
+    assert.strictEqual(cleared.inCooldown, false);
+
+    const user = await storage.getUser(discordId);
+    assert.deepStrictEqual(user.cooldownHistory.map(e => e.action), ['shorten', 'extend', 'clear']);
+
+    // The next failure goes back to the policy
+    await recordAttempt(discordId, false);
+    const next = await storage.isInCooldown(discordId, QUIZ_ID);
+    assert.strictEqual(next.override, null);
+    assert.strictEqual(next.cooldownMs, 72 * HOUR_MS);
+});
+
+test('cooldown adjustments outside the allowed hours are rejected', async () => {
+    const discordId = await addUser();
+    await recordAttempt(discordId, false);
+
+    const change = { action: 'extend', reason: 'test', by: 'admin' };
+    assert.strictEqual(await storage.adjustCooldown(discordId, QUIZ_ID, { ...change, hours: -1 }), null);
+    assert.strictEqual(await storage.adjustCooldown(discordId, QUIZ_ID, { ...change, hours: storage.MAX_COOLDOWN_ADJUST_HOURS + 1 }), null);
+    assert.strictEqual(await storage.adjustCooldown(discordId, QUIZ_ID, { ...change, hours: NaN }), null);
+    assert.strictEqual(await storage.adjustCooldown(discordId, QUIZ_ID, { ...change, action: 'double' }), null);
+    assert.strictEqual(await storage.adjustCooldown('299999999999999999', QUIZ_ID, { ...change, hours: 1 }), null);
+
+    const maxed = await storage.adjustCooldown(discordId, QUIZ_ID, { ...change, hours: storage.MAX_COOLDOWN_ADJUST_HOURS });
+    assert.ok(maxed.remainingTime > storage.MAX_COOLDOWN_ADJUST_HOURS * HOUR_MS);
+    assert.strictEqual((await storage.getUser(discordId)).cooldownHistory.length, 1);
+});
@@ -0,0 +1,168 @@
+/**
+ * Question validation and bulk import: rows are checked with the same rules as questions added in
+ * the admin panel, previews diff them against the quiz's bank, and a stale or invalid preview saves nothing
+ * Runs against the local storage adapter in a temporary data directory.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eirp-test-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_DATA_DIR = dataDir;
+
+const storage = require('../src/utils/storage');
+const { validateQuestion, planImport, commitImport } = require('../src/utils/questions');
+
+const QUIZ_ID = 'import-quiz';
+const actor = { discordId: '400000000000000001', username: 'editor' };
+
+let existing;
+
+let logSpy;
+before(async () => {
+    // Keep the test output readable
+    logSpy = console.log;
+    console.log = () => {};
+
+    await storage.saveQuiz({
+        id: QUIZ_ID,
+        name: 'Import Quiz',
+        description: 'test',
+        roleId: null,
+        passScore: 1,
+        timeLimitMs: 0,
+        shuffleOptions: false,
+        requiresQuizId: null,
+        active: true,
+        sections: [{ category: 'general', count: 2, minCorrect: 1 }]
+    });
+    existing = await storage.addQuestion({
+        question: 'What is NLR?',
+        options: ['New Life Rule', 'No Looting Rule'],
+        correctOption: 0,
+        category: 'general',
+        quizId: QUIZ_ID
+    });
+});
+
+after(() => {
+    console.log = logSpy;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('a valid question is normalized', () => {
+    const { question, errors } = validateQuestion({
+        question: '  What is RDM? ',
+        options: [' Random Deathmatch ', 'Roleplay Damage', 3],
+        correctOption: '0',
+        category: 'rdm-vdm'
+    }, QUIZ_ID);
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(question, {
+        id: null,
+        question: 'What is RDM?',
+        options: ['Random Deathmatch', 'Roleplay Damage', '3'],
+        correctOption: 0,
+        category: 'rdm-vdm',
+        quizId: QUIZ_ID
+    });
+    assert.strictEqual(validateQuestion({ question: 'Q', options: ['a', 'b'], correctOption: 1 }, QUIZ_ID).question.category, 'general');
+});
+
+test('invalid questions report every problem', () => {
+    assert.deepStrictEqual(validateQuestion({}, QUIZ_ID).errors, [
+        'Question text is required',
+        'At least 2 non-empty options are required',
+        'Valid correct answer is required'
+    ]);
+
+    const { errors } = validateQuestion({
+        id: 'abc',
+        question: 'Q',
+        options: ['a', ' '],
+        correctOption: 2,
+        category: 'cooking',
+        quizId: 'police'
+    }, QUIZ_ID);
+    assert.deepStrictEqual(errors, [
+        'At least 2 non-empty options are required',
+        'Valid correct answer is required',
+        'Unknown category "cooking"',
+        'Question belongs to quiz "police"',
+        'Id must be a positive number'
+    ]);
+
+    assert.deepStrictEqual(validateQuestion({ question: 'Q', options: ['a', 'b'], correctOption: 1.5 }, QUIZ_ID).errors,
+        ['Valid correct answer is required']);
+    assert.deepStrictEqual(validateQuestion({ question: 'Q', options: ['a', 'b'], correctOption: -1 }, QUIZ_ID).errors,
+        ['Valid correct answer is required']);
+});
+
+test('an import preview marks each row new, updated, unchanged or invalid', async () => {
+    const content = [
+        'id,question,category,answer,option1,option2',
+        `${existing.id},What is NLR?,general,1,New Life Rule,No Looting Rule`,
+        'What is VDM?,What is VDM?,general,1,Vehicle Deathmatch,Vehicle Damage',
+        ',What is metagaming?,general,1,Using outside info,Meeting players',
+        ',what is  METAGAMING?,general,1,Using outside info,Meeting players',
+        ',No answer,general,5,a,b'
+    ].join('\n');
+
+    const result = await planImport({ quizId: QUIZ_ID, content, format: 'csv', mode: 'merge' });
+    assert.strictEqual(result.success, true);
+
+    const { plan } = result;
+    assert.deepStrictEqual(plan.rows.map(r => r.status), ['unchanged', 'invalid', 'new', 'invalid', 'invalid']);
+    assert.deepStrictEqual(plan.rows[1].errors, ['Id must be a positive number']);
+    assert.deepStrictEqual(plan.rows[3].errors, ['Same question as row 3']);
+    assert.deepStrictEqual(plan.rows[4].errors, ['Valid correct answer is required']);
+    assert.strictEqual(plan.valid, false);
+    assert.deepStrictEqual(plan.summary, { total: 5, create: 1, update: 0, unchanged: 1, invalid: 3, delete: 0 });
+});
+
+test('an import matches existing questions by id or text and lists deletions in replace mode', async () => {
+    const content = JSON.stringify([
+        { id: existing.id, question: 'What is NLR?', options: ['New Life Rule', 'No Looting Rule', 'Neither'], correctAnswer: 0, category: 'general' },
+        { question: 'What is powergaming?', options: ['Forcing actions', 'Gaming hard'], correctOption: 0, category: 'powergaming' }
+    ]);
+
+    const merge = await planImport({ quizId: QUIZ_ID, content, format: 'json', mode: 'merge' });
+    assert.deepStrictEqual(merge.plan.rows.map(r => r.status), ['update', 'new']);
+    assert.deepStrictEqual(merge.plan.rows[0].changes, ['options']);
+    assert.deepStrictEqual(merge.plan.deletions, []);
+
+    const other = await storage.addQuestion({ question: 'Old question', options: ['a', 'b'], correctOption: 0, category: 'general', quizId: QUIZ_ID });
+    const replace = await planImport({ quizId: QUIZ_ID, content, format: 'json', mode: 'replace' });
+    assert.deepStrictEqual(replace.plan.deletions.map(q => q.id), [other.id]);
+    assert.deepStrictEqual(replace.plan.warnings, ['general: 1 question(s) left, but attempts draw 2']);
+});
+
+test('an import is only saved when it is valid and the bank has not changed since the preview', async () => {
+    const content = JSON.stringify([{ question: 'What is failRP?', options: ['Unrealistic play', 'Failing a quiz'], correctOption: 0 }]);
+    const params = { quizId: QUIZ_ID, content, format: 'json', mode: 'merge' };
+    const { plan } = await planImport(params);
+
+    const stale = await commitImport({ ...params, version: 'outdated' }, actor);
+    assert.strictEqual(stale.code, 409);
+
+    const invalid = await commitImport({ ...params, content: JSON.stringify([{ question: 'No options' }]), version: plan.version }, actor);
+    assert.strictEqual(invalid.code, 400);
+    assert.strictEqual((await storage.getQuestions(QUIZ_ID)).some(q => q.question === 'What is failRP?'), false);
+
+    const saved = await commitImport({ ...params, version: plan.version }, actor);
+    assert.strictEqual(saved.success, true);
+    assert.strictEqual((await storage.getQuestions(QUIZ_ID)).some(q => q.question === 'What is failRP?'), true);
+});
+
+test('an import is rejected for an unknown quiz, format or mode', async () => {
+    const content = '[]';
+    assert.strictEqual((await planImport({ quizId: 'missing', content: '[{}]', format: 'json' })).code, 404);
+    assert.strictEqual((await planImport({ quizId: QUIZ_ID, content, format: 'xml' })).code, 400);
+    assert.strictEqual((await planImport({ quizId: QUIZ_ID, content, format: 'json', mode: 'append' })).code, 400);
+    assert.strictEqual((await planImport({ quizId: QUIZ_ID, content, format: 'json' })).error, 'The file has no questions');
+});
@@ -0,0 +1,171 @@
+/**
+ * Quiz attempts: questions are drawn per section, answers are graded through the shuffled option
+ * order, an attempt passes only with the pass mark and every section minimum, and a timed attempt
+ * can still be submitted within the grace period after its deadline
+ * Runs against the local storage adapter in a temporary data directory.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eirp-test-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_DATA_DIR = dataDir;
+
+const storage = require('../src/utils/storage');
+
+const QUIZ_ID = 'test-quiz';
+
+const addQuestion = (category, correctOption) => storage.addQuestion({
+    question: `${category} question ${Math.random()}`,
+    options: ['A', 'B', 'C', 'D'],
+    correctOption,
+    category,
+    quizId: QUIZ_ID
+});
+
+let nlr;
+let general;
+
+// A session with every question's options displayed in reverse, so displayed index 3 - i is stored option i
+const reversedSession = (questions) => ({
+    sessionId: 'reversed',
+    quizId: QUIZ_ID,
+    questionIds: questions.map(q => q.id),
+    categories: questions.map(q => q.category),
+    optionOrder: questions.map(() => [3, 2, 1, 0])
+});
+const displayed = (question) => 3 - question.correctOption;
+
+let logSpy;
+before(async () => {
+    // Keep the test output readable
+    logSpy = console.log;
+    console.log = () => {};
+
+    await storage.saveQuiz({
+        id: QUIZ_ID,
+        name: 'Test Quiz',
+        description: 'test',
+        roleId: null,
+        passScore: 3,
+        timeLimitMs: 10 * 60 * 1000,
+        shuffleOptions: true,
+        requiresQuizId: null,
+        active: true,
+        sections: [
+            { category: 'nlr', count: 2, minCorrect: 2 },
+            { category: 'general', count: 2, minCorrect: 0 }
+        ]
+    });
+    nlr = [await addQuestion('nlr', 0), await addQuestion('nlr', 1), await addQuestion('nlr', 2)];
+    general = [await addQuestion('general', 1), await addQuestion('general', 0)];
+});
+
+after(() => {
+    console.log = logSpy;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('an attempt draws each section\'s count and re-opening it returns the same draw', async () => {
+    const session = await storage.startQuizSession('300000000000000001', QUIZ_ID);
+
+    assert.strictEqual(session.questionIds.length, 4);
+    assert.strictEqual(session.categories.filter(c => c === 'nlr').length, 2);
+    assert.strictEqual(session.categories.filter(c => c === 'general').length, 2);
+    session.optionOrder.forEach(order => assert.deepStrictEqual([...order].sort(), [0, 1, 2, 3]));
+    assert.ok(session.expiresAt);
+
+    const reopened = await storage.startQuizSession('300000000000000001', QUIZ_ID);
+    assert.strictEqual(reopened.sessionId, session.sessionId);
+    assert.deepStrictEqual(reopened.questionIds, session.questionIds);
+    assert.deepStrictEqual(reopened.optionOrder, session.optionOrder);
+});
+
+test('answers are mapped back through the displayed option order', async () => {
+    const questions = [nlr[0], nlr[1], general[0], general[1]];
+    const session = reversedSession(questions);
+
+    const right = await storage.validateQuiz(questions.map(displayed), session);
+    assert.strictEqual(right.valid, true);
+    assert.strictEqual(right.score, 4);
+    assert.strictEqual(right.total, 4);
+    assert.strictEqual(right.passed, true);
+    assert.deepStrictEqual(right.responses.map(r => r.option), questions.map(q => q.correctOption));
+
+    // Picking the stored index instead of the displayed one is wrong once options are shuffled
+    const stored = await storage.validateQuiz(questions.map(q => q.correctOption), session);
+    assert.strictEqual(stored.score, 0);
+    assert.strictEqual(stored.passed, false);
+});
+
+test('an attempt passes only when every section reaches its minimum', async () => {
+    const questions = [nlr[0], nlr[1], general[0], general[1]];
+    const session = reversedSession(questions);
+    const wrong = (question) => (displayed(question) + 1) % 4;
+
+    // 3/4 reaches the pass mark, but NLR needs both of its questions
+    const missedNlr = await storage.validateQuiz([wrong(nlr[0]), displayed(nlr[1]), displayed(general[0]), displayed(general[1])], session);
+    assert.strictEqual(missedNlr.score, 3);
+    assert.strictEqual(missedNlr.passed, false);
+    const nlrResult = missedNlr.categories.find(c => c.category === 'nlr');
+    assert.deepStrictEqual([nlrResult.score, nlrResult.total, nlrResult.minCorrect, nlrResult.passed], [1, 2, 2, false]);
+
+    const missedGeneral = await storage.validateQuiz([displayed(nlr[0]), displayed(nlr[1]), wrong(general[0]), displayed(general[1])], session);
+    assert.strictEqual(missedGeneral.score, 3);
+    assert.strictEqual(missedGeneral.passed, true);
+
+    const belowPassMark = await storage.validateQuiz([displayed(nlr[0]), displayed(nlr[1]), wrong(general[0]), wrong(general[1])], session);
+    assert.strictEqual(belowPassMark.score, 2);
+    assert.strictEqual(belowPassMark.passed, false);
+});
+
+test('answers that do not match the issued questions are rejected or marked wrong', async () => {
+    const questions = [nlr[0], nlr[1], general[0], general[1]];
+    const session = reversedSession(questions);
+
+    const short = await storage.validateQuiz([displayed(nlr[0])], session);
+    assert.strictEqual(short.valid, false);
+    assert.strictEqual((await storage.validateQuiz('0,1,2,3', session)).valid, false);
+
+    const outOfRange = await storage.validateQuiz([9, displayed(nlr[1]), displayed(general[0]), displayed(general[1])], session);
+    assert.strictEqual(outOfRange.valid, true);
+    assert.strictEqual(outOfRange.score, 3);
+    assert.strictEqual(outOfRange.responses[0].option, -1);
+    assert.strictEqual(outOfRange.responses[0].correct, false);
+});
+
+test('a timed attempt expires only after the submit grace period', () => {
+    const endedAgo = (ms) => ({ expiresAt: new Date(Date.now() - ms).toISOString() });
+
+    assert.strictEqual(storage.isSessionExpired(endedAgo(-60 * 1000)), false);
+    assert.strictEqual(storage.isSessionExpired(endedAgo(10 * 1000)), false);
+    assert.strictEqual(storage.isSessionExpired(endedAgo(40 * 1000)), true);
+    assert.strictEqual(storage.isSessionExpired({ expiresAt: null }), false);
+    assert.strictEqual(storage.isSessionExpired(null), false);
+
+    // The time shown to the player still runs out at the deadline itself
+    assert.strictEqual(storage.getSessionRemainingTime(endedAgo(10 * 1000)), 0);
+    assert.strictEqual(storage.getSessionRemainingTime({ expiresAt: null }), null);
+});
+
+test('an attempt that runs out of time counts as a failed attempt', async () => {
+    const discordId = '300000000000000002';
+    await storage.saveUser({ discordId, username: 'late', status: 'new' });
+    const session = await storage.startQuizSession(discordId, QUIZ_ID);
+
+    assert.strictEqual(await storage.expireStaleQuizSession(discordId, QUIZ_ID), false);
+    await storage.expireQuizSession(session);
+
+    const [attempt] = await storage.getUserAttempts(discordId);
+    assert.strictEqual(attempt.passed, false);
+    assert.strictEqual(attempt.expired, true);
+    assert.strictEqual(attempt.total, 4);
+    assert.strictEqual(storage.getQuizStatus(await storage.getUser(discordId), QUIZ_ID).status, 'failed');
+
+    const next = await storage.startQuizSession(discordId, QUIZ_ID);
+    assert.notStrictEqual(next.sessionId, session.sessionId);
+});
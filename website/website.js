@@ -10,12 +10,14 @@ const session = require('express-session');
 const helmet = require('helmet');
 const path = require('path');
 const rateLimit = require('express-rate-limit');
+const { StorageSessionStore } = require('../src/utils/sessionStore');
 
 // Import routes
 const authRoutes = require('../src/routes/auth');
 const apiRoutes = require('../src/routes/api');
 const adminRoutes = require('../src/routes/admin');
 const applyRoutes = require('../src/routes/apply');
+const serverRoutes = require('../src/routes/server');
 
 /**
  * Create and configure Express app
@@ -40,13 +42,25 @@ function createApp() {
         },
     }));
 
-    // Body parsing middleware
+    // Body parsing middleware (question imports carry the uploaded file, so they get a larger limit)
+    app.use('/admin/questions/import', express.json({ limit: '2mb' }));
     app.use(express.json());
     app.use(express.urlencoded({ extended: true }));
 
-    // Session configuration
+    // Session configuration (sessions are kept in storage so logins survive restarts and are
+    // shared between instances)
+    let sessionSecret = process.env.SESSION_SECRET;
+    if (!sessionSecret) {
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error('SESSION_SECRET must be set in production');
+        }
+        console.warn('[Website] SESSION_SECRET is not set; using an insecure development secret');
+        sessionSecret = 'elite-india-roleplay-dev-secret';
+    }
+
     app.use(session({
-        secret: process.env.SESSION_SECRET || 'elite-india-roleplay-secret-key',
+        store: new StorageSessionStore(),
+        secret: sessionSecret,
         resave: false,
         saveUninitialized: false,
         cookie: {
@@ -81,9 +95,10 @@ function createApp() {
 
     // Routes
     app.use('/auth', authRoutes);
+    app.use('/api/server', serverRoutes); // FiveM server (API key auth)
     app.use('/api', apiRoutes);
     app.use('/admin', adminRoutes);
-    app.use('/', applyRoutes); // Handling /staff-apply and /gang-apply here
+    app.use('/', applyRoutes); // Application forms: /apply/:formId (and the old /staff-apply, /gang-apply)
 
     // Root redirect
     app.get('/', (req, res) => {
@@ -118,8 +133,6 @@ function createApp() {
 function startWebsite(port) {
     return new Promise((resolve, reject) => {
         try {
-            const app = createApp();
-
             app.listen(port, () => {
                 resolve(app);
             });
@@ -129,4 +142,9 @@ function startWebsite(port) {
     });
 }
 
-module.exports = createApp();
+// Vercel imports the app directly; server.js uses startWebsite()
+const app = createApp();
+
+module.exports = app;
+module.exports.createApp = createApp;
+module.exports.startWebsite = startWebsite;